@@ -1,5 +1,7 @@
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import { io } from 'socket.io-client'
+import { sha256 } from '@noble/hashes/sha2.js'
+import { bytesToHex } from '@noble/hashes/utils.js'
 
 const apiBase = '/api'
 
@@ -44,7 +46,9 @@ function getSocket() {
   return socketReady
 }
 
-function socketEmit(event, payload) {
+// `timeout` (ms) gives up on an answer that may never come, e.g. when the connection drops
+// while the server works on the request
+function socketEmit(event, payload, { timeout } = {}) {
   return getSocket().then((s) => new Promise((resolve, reject) => {
     // pass token via auth and cookies
     const token = typeof localStorage !== 'undefined' ? localStorage.getItem('authToken') : null
@@ -52,14 +56,71 @@ function socketEmit(event, payload) {
     const finalPayload = (payload && typeof payload === 'object')
       ? (token ? { ...payload, token } : payload)
       : (token ? { token } : payload)
-    s.emit(event, finalPayload, (res) => {
+    const emitter = timeout ? s.timeout(timeout) : s
+    emitter.emit(event, finalPayload, (...args) => {
+      // With a timeout the acknowledgement gets an error argument first
+      if (timeout && args[0]) return reject(new Error('The server did not answer in time'))
+      const res = timeout ? args[1] : args[0]
       if (!res) return reject(new Error('No response'))
-      if (res.error) return reject(new Error(res.error))
+      // Keep any extra details (e.g. the open blockers) on the error
+      if (res.error) return reject(Object.assign(new Error(res.error), res))
       resolve(res)
     })
   }))
 }
 
+// Resolves once the socket is connected (again); socket.io reconnects by itself
+function socketConnected() {
+  return getSocket().then(s => s.connected ? s : new Promise(resolve => s.once('connect', () => resolve(s))))
+}
+
+async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data)
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+const FILE_HASH_SLICE_BYTES = 4 * 1024 * 1024
+
+// The SHA-256 of a whole file, read a slice at a time: crypto.subtle can only digest a buffer
+// holding all of it, and files go up to the upload limit
+async function fileSha256Hex(file) {
+  const hash = sha256.create()
+  for (let offset = 0; offset < file.size; offset += FILE_HASH_SLICE_BYTES) {
+    hash.update(new Uint8Array(await file.slice(offset, offset + FILE_HASH_SLICE_BYTES).arrayBuffer()))
+  }
+  return bytesToHex(hash.digest())
+}
+
+const UPLOAD_CHUNK_TIMEOUT_MS = 30000
+const UPLOAD_RETRIES = 5
+
+// Upload a file to a task in chunks over the socket (uploads:init, uploads:chunk,
+// uploads:complete). When a chunk fails, e.g. because the connection dropped, it waits for the
+// socket to reconnect, asks the server where the upload stands and carries on from there; a file
+// whose earlier upload was cut short (say by a reload) resumes too. `onProgress(received, size)`
+// follows along. Resolves with the new attachment.
+async function uploadFile(taskId, file, onProgress = () => {}) {
+  const checksum = await fileSha256Hex(file)
+  let session = await socketEmit('uploads:init', { taskId, name: file.name, size: file.size, type: file.type, checksum })
+  let failures = 0
+  while (session.received < session.size) {
+    onProgress(session.received, session.size)
+    try {
+      const data = await file.slice(session.received, session.received + session.chunkSize).arrayBuffer()
+      const payload = { uploadId: session.uploadId, offset: session.received, data, checksum: await sha256Hex(data) }
+      session = await socketEmit('uploads:chunk', payload, { timeout: UPLOAD_CHUNK_TIMEOUT_MS })
+      failures = 0
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED' || ++failures > UPLOAD_RETRIES) throw e
+      await new Promise(resolve => setTimeout(resolve, 1000 * failures))
+      await socketConnected()
+      session = await socketEmit('uploads:init', { uploadId: session.uploadId }, { timeout: UPLOAD_CHUNK_TIMEOUT_MS })
+    }
+  }
+  onProgress(session.size, session.size)
+  return socketEmit('uploads:complete', { uploadId: session.uploadId })
+}
+
 // Drop-in replacement to preserve GUI and call sites
 function fetchJson(url, options = {}) {
   // Auth endpoints
@@ -88,10 +149,254 @@ function fetchJson(url, options = {}) {
     return socketEmit('auth:me', {}).then((res) => ({ user: res.user }))
   }
 
+  // Projects endpoints
+  if (/\/projects$/.test(url) && (!options.method || options.method === 'GET')) {
+    return socketEmit('projects:get', {})
+  }
+  if (/\/projects$/.test(url) && options.method === 'POST') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('projects:create', body)
+  }
+  if (/\/projects\/(\d+)$/.test(url) && options.method === 'PUT') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('projects:update', { id, ...body })
+  }
+  if (/\/projects\/(\d+)(\?|$)/.test(url) && options.method === 'DELETE') {
+    const id = parseInt(url.match(/\/projects\/(\d+)/)[1])
+    const params = new URLSearchParams(url.split('?')[1] || '')
+    return socketEmit('projects:delete', { id, mode: params.get('mode'), target: params.get('target') })
+      .then(() => ({ success: true }))
+  }
+
+  // Workflow endpoints
+  if (/\/workflow$/.test(url) && options.method === 'PUT') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('workflow:update', body)
+  }
+  if (/\/workflow$/.test(url)) {
+    return socketEmit('workflow:get', {})
+  }
+  if (/\/workflow\?taskId=(\d+)$/.test(url)) {
+    const taskId = parseInt(url.match(/taskId=(\d+)/)[1])
+    return socketEmit('workflow:get', { taskId })
+  }
+
+  // Workspace endpoints
+  if (/\/workspaces$/.test(url)) {
+    if (options.method === 'POST') return socketEmit('workspaces:create', options.body ? JSON.parse(options.body) : {})
+    return socketEmit('workspaces:get', {})
+  }
+  if (/\/workspaces\/(\d+)$/.test(url)) {
+    const id = parseInt(url.match(/\/workspaces\/(\d+)/)[1])
+    if (options.method === 'PUT') return socketEmit('workspaces:update', { id, ...(options.body ? JSON.parse(options.body) : {}) })
+    if (options.method === 'DELETE') return socketEmit('workspaces:delete', { id })
+    return socketEmit('workspaces:getById', { id })
+  }
+  if (/\/workspaces\/(\d+)\/invitations$/.test(url) && options.method === 'POST') {
+    const workspaceId = parseInt(url.match(/\/workspaces\/(\d+)/)[1])
+    return socketEmit('invitations:create', { workspaceId, ...(options.body ? JSON.parse(options.body) : {}) })
+  }
+  if (/\/workspaces\/(\d+)\/members\/(\d+)$/.test(url)) {
+    const [, workspaceId, userId] = url.match(/\/workspaces\/(\d+)\/members\/(\d+)/).map(Number)
+    if (options.method === 'DELETE') return socketEmit('members:remove', { workspaceId, userId })
+    return socketEmit('members:update', { workspaceId, userId, ...(options.body ? JSON.parse(options.body) : {}) })
+  }
+  if (/\/invitations$/.test(url)) {
+    return socketEmit('invitations:get', {})
+  }
+  if (/\/invitations\/(\d+)\/accept$/.test(url)) {
+    return socketEmit('invitations:accept', { id: parseInt(url.match(/\/invitations\/(\d+)/)[1]) })
+  }
+  if (/\/invitations\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    return socketEmit('invitations:remove', { id: parseInt(url.match(/\/invitations\/(\d+)/)[1]) })
+  }
+
+  // Sharing endpoints
+  if (/\/tasks\/(\d+)\/shares\/(\d+)$/.test(url)) {
+    const [, taskId, userId] = url.match(/\/tasks\/(\d+)\/shares\/(\d+)/)
+    if (options.method === 'DELETE') return socketEmit('shares:remove', { taskId: parseInt(taskId), userId: parseInt(userId) })
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('shares:set', { taskId: parseInt(taskId), userId: parseInt(userId), ...body })
+  }
+  if (url.includes('/users?')) {
+    const params = Object.fromEntries(new URLSearchParams(url.split('?')[1]))
+    return socketEmit('users:search', params)
+  }
+
+  // Template endpoints
+  if (/\/templates$/.test(url) && (!options.method || options.method === 'GET')) {
+    return socketEmit('templates:get', {})
+  }
+  if (/\/templates$/.test(url) && options.method === 'POST') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('templates:create', body)
+  }
+  if (/\/templates\/(\d+)\/tasks$/.test(url) && options.method === 'POST') {
+    const id = parseInt(url.match(/\/templates\/(\d+)/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('templates:createTask', { id, ...body })
+  }
+  if (/\/templates\/(\d+)\/attachments\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    const [, id, attachmentId] = url.match(/\/templates\/(\d+)\/attachments\/(\d+)$/).map(Number)
+    return socketEmit('templates:removeAttachment', { id, attachmentId })
+  }
+  if (/\/templates\/(\d+)$/.test(url) && (!options.method || options.method === 'GET')) {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    return socketEmit('templates:getById', { id })
+  }
+  if (/\/templates\/(\d+)$/.test(url) && options.method === 'PUT') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('templates:update', { id, ...body })
+  }
+  if (/\/templates\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    return socketEmit('templates:delete', { id }).then(() => ({ success: true }))
+  }
+
+  // Tags endpoints
+  if (/\/tags$/.test(url) && (!options.method || options.method === 'GET')) {
+    return socketEmit('tags:get', {})
+  }
+  if (/\/tags$/.test(url) && options.method === 'POST') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('tags:create', body)
+  }
+  if (/\/tags\/(\d+)$/.test(url) && options.method === 'PUT') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('tags:update', { id, ...body })
+  }
+  if (/\/tags\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    return socketEmit('tags:delete', { id }).then(() => ({ success: true }))
+  }
+
+  // Checklist endpoints (socket events answer with the whole updated task)
+  if (/\/tasks\/(\d+)\/checklist$/.test(url) && options.method === 'POST') {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('checklist:add', { taskId, ...body })
+  }
+  if (/\/tasks\/(\d+)\/checklist\/reorder$/.test(url)) {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('checklist:reorder', { taskId, ...body })
+  }
+  if (/\/tasks\/(\d+)\/checklist\/(\d+)\/toggle$/.test(url)) {
+    const [, taskId, id] = url.match(/\/tasks\/(\d+)\/checklist\/(\d+)/)
+    return socketEmit('checklist:toggle', { taskId: parseInt(taskId), id: parseInt(id) })
+  }
+  if (/\/tasks\/(\d+)\/checklist\/(\d+)$/.test(url)) {
+    const [, taskId, id] = url.match(/\/tasks\/(\d+)\/checklist\/(\d+)/)
+    if (options.method === 'DELETE') return socketEmit('checklist:delete', { taskId: parseInt(taskId), id: parseInt(id) })
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('checklist:update', { taskId: parseInt(taskId), id: parseInt(id), ...body })
+  }
+
+  // Comment endpoints (GET also joins the task's live room, see comments:watch)
+  if (/\/tasks\/(\d+)\/comments$/.test(url) && options.method === 'POST') {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('comments:create', { taskId, ...body })
+  }
+  if (/\/tasks\/(\d+)\/comments$/.test(url)) {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    return socketEmit('comments:watch', { taskId })
+  }
+  if (/\/tasks\/(\d+)\/comments\/(\d+)$/.test(url)) {
+    const [, taskId, id] = url.match(/\/tasks\/(\d+)\/comments\/(\d+)/)
+    if (options.method === 'DELETE') return socketEmit('comments:delete', { taskId: parseInt(taskId), id: parseInt(id) })
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('comments:update', { taskId: parseInt(taskId), id: parseInt(id), ...body })
+  }
+
+  // Trash endpoints
+  if (/\/trash$/.test(url)) {
+    return socketEmit('trash:get', {})
+  }
+  if (/\/trash\/(\d+)\/restore$/.test(url)) {
+    const id = parseInt(url.match(/\/trash\/(\d+)/)[1])
+    return socketEmit('trash:restore', { id })
+  }
+  if (/\/trash\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    return socketEmit('trash:delete', { id }).then(() => ({ success: true }))
+  }
+
+  // History endpoints
+  if (/\/tasks\/(\d+)\/history\/(\d+)\/revert$/.test(url)) {
+    const [, taskId, entryId] = url.match(/\/tasks\/(\d+)\/history\/(\d+)/)
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('history:revert', { taskId: parseInt(taskId), entryId: parseInt(entryId), ...body })
+  }
+  if (/\/tasks\/(\d+)\/history$/.test(url)) {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    return socketEmit('history:get', { taskId })
+  }
+
+  // Settings endpoints
+  if (/\/settings$/.test(url) && options.method === 'PUT') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('settings:update', body)
+  }
+  if (/\/settings$/.test(url)) {
+    return socketEmit('settings:get', {})
+  }
+
+  // Time tracking endpoints
+  if (/\/tasks\/(\d+)\/timer\/start$/.test(url) && options.method === 'POST') {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    return socketEmit('timer:start', { taskId })
+  }
+  if (/\/timer\/stop$/.test(url) && options.method === 'POST') {
+    return socketEmit('timer:stop', {})
+  }
+  if (/\/timer$/.test(url)) {
+    return socketEmit('timer:get', {})
+  }
+  if (/\/tasks\/(\d+)\/time\/(\d+)$/.test(url)) {
+    const [, taskId, id] = url.match(/\/tasks\/(\d+)\/time\/(\d+)/)
+    if (options.method === 'DELETE') return socketEmit('time:delete', { taskId: parseInt(taskId), id: parseInt(id) })
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('time:update', { taskId: parseInt(taskId), id: parseInt(id), ...body })
+  }
+  if (/\/tasks\/(\d+)\/time$/.test(url)) {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    if (options.method === 'POST') return socketEmit('time:create', { taskId, ...JSON.parse(options.body || '{}') })
+    return socketEmit('time:get', { taskId })
+  }
+  // CSV downloads need the HTTP response, so only the JSON report goes over the socket
+  if (url.includes('/reports/time') && !url.includes('format=csv')) {
+    const params = Object.fromEntries(new URLSearchParams(url.split('?')[1] || ''))
+    return socketEmit('reports:time', params)
+  }
+
+  // Dependency endpoints
+  if (/\/tasks\/(\d+)\/dependencies$/.test(url) && options.method === 'POST') {
+    const taskId = parseInt(url.match(/\/tasks\/(\d+)/)[1])
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('dependencies:add', { taskId, ...body })
+  }
+  if (/\/tasks\/(\d+)\/dependencies\/(\d+)$/.test(url) && options.method === 'DELETE') {
+    const [, taskId, blockedById] = url.match(/\/tasks\/(\d+)\/dependencies\/(\d+)/)
+    return socketEmit('dependencies:remove', { taskId: parseInt(taskId), blockedById: parseInt(blockedById) })
+  }
+
   // Tasks endpoints
+  if (url.endsWith('/tasks/bulk') && options.method === 'POST') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('tasks:bulk', body)
+  }
+  if (url.endsWith('/tasks/reorder') && options.method === 'PATCH') {
+    const body = options.body ? JSON.parse(options.body) : {}
+    return socketEmit('tasks:reorder', body)
+  }
   if (url.includes('/tasks?')) {
-    const status = new URLSearchParams(url.split('?')[1]).get('status') || 'all'
-    return socketEmit('tasks:get', { status })
+    // Filters, sort and paging parameters are passed through as they are
+    const params = Object.fromEntries(new URLSearchParams(url.split('?')[1]))
+    return socketEmit('tasks:get', { status: 'all', project: 'all', match: 'any', sort: 'created', ...params })
   }
   if (/\/tasks\/$/.test(url) || url.endsWith('/tasks')) {
     const body = options.body ? JSON.parse(options.body) : {}
@@ -100,7 +405,13 @@ function fetchJson(url, options = {}) {
   if (/\/tasks\/(\d+)$/.test(url) && options.method === 'PUT') {
     const id = parseInt(url.match(/\/(\d+)$/)[1])
     const body = options.body ? JSON.parse(options.body) : {}
-    return socketEmit('tasks:update', { id, ...body })
+    // The socket takes the If-Match version as a field
+    const version = options.headers?.['If-Match']?.replace(/"/g, '')
+    return socketEmit('tasks:update', { id, ...body, version })
+  }
+  if (/\/tasks\/(\d+)$/.test(url) && (!options.method || options.method === 'GET')) {
+    const id = parseInt(url.match(/\/(\d+)$/)[1])
+    return socketEmit('tasks:getById', { id })
   }
   if (/\/tasks\/(\d+)$/.test(url) && options.method === 'DELETE') {
     const id = parseInt(url.match(/\/(\d+)$/)[1])
@@ -121,21 +432,213 @@ function fetchJson(url, options = {}) {
       const errorMessage = errorData.error || 'Request failed';
       if (url.includes('/auth/') && r.status === 401) throw new Error(errorMessage)
       if (r.status === 401) throw new Error('AUTH_REQUIRED')
-      throw new Error(errorMessage)
+      throw Object.assign(new Error(errorMessage), errorData)
     }
     return r.json();
   })
 }
 
-function badgeText(status) {
+// Prefer the name from the user's workflow; fall back to the built-in labels
+function badgeText(status, workflow = []) {
+  const custom = workflow.find(s => s.key === status)
+  if (custom) return custom.name
   if (status === 'pending') return 'Pending'
   if (status === 'in-progress') return 'In Progress'
   if (status === 'completed') return 'Completed'
   return status
 }
 
+function priorityText(priority) {
+  if (priority === 'low') return 'Low'
+  if (priority === 'high') return 'High'
+  if (priority === 'urgent') return 'Urgent'
+  return 'Normal'
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Tasks fetched per page; more are loaded as the list scrolls
+const PAGE_SIZE = 30
+
+const HISTORY_ACTIONS = {
+  created: 'created the task',
+  updated: 'changed',
+  deleted: 'deleted the task',
+  attachment_added: 'added an attachment',
+  attachment_removed: 'removed an attachment',
+  reverted: 'reverted to an earlier version',
+  restored: 'restored the task from the trash'
+}
+
+const HISTORY_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  reminders: 'Reminders',
+  estimateMinutes: 'Estimate',
+  assignee: 'Assignee',
+  projectId: 'Project',
+  autoComplete: 'Auto-complete',
+  tags: 'Tags',
+  attachment: 'Attachment'
+}
+
+// Reminder choices, in minutes before the due time
+const REMINDER_PRESETS = [0, 15, 60, 1440, 10080]
+
+// 0 -> "At due time", 1440 -> "1 day before", 90 -> "90 minutes before"
+function reminderText(minutes) {
+  if (!minutes) return 'At due time'
+  const [size, unit] = [[10080, 'week'], [1440, 'day'], [60, 'hour'], [1, 'minute']].find(([size]) => minutes % size === 0)
+  const n = minutes / size
+  return `${n} ${unit}${n === 1 ? '' : 's'} before`
+}
+
+// Due dates and times are wall-clock values in the user's time zone, shown as they are
+function formatDue(task) {
+  return task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate
+}
+
+// 5400 -> "1h 30m", 600 -> "10m"
+function formatDuration(seconds) {
+  const minutes = Math.floor((seconds || 0) / 60)
+  const hours = Math.floor(minutes / 60)
+  return hours ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`
+}
+
+// 3725 -> "1:02:05"
+function formatClock(seconds) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+}
+
+// Estimates are entered in hours and stored in minutes; '' clears the estimate
+function hoursToMinutes(hours) {
+  return hours === '' || hours === null ? null : Math.round(parseFloat(hours) * 60)
+}
+
+function minutesToHours(minutes) {
+  return minutes === null || minutes === undefined ? '' : String(Math.round(minutes / 60 * 100) / 100)
+}
+
+// "YYYY-MM-DDTHH:MM" in local time, as used by datetime-local inputs
+function localDateTime(date) {
+  const d = new Date(date)
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset())
+  return d.toISOString().slice(0, 16)
+}
+
+const DEVICE_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// UTC, this device's zone and every zone the browser knows, plus the current one
+function timeZoneOptions(current) {
+  const known = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return [...new Set(['UTC', DEVICE_TIME_ZONE, current || 'UTC', ...known])]
+}
+
+// Search matches arrive wrapped in \uE000...\uE001 (see normalizeTask on the server)
+function renderHighlight(text) {
+  return String(text).split(/(\uE000[^\uE001]*\uE001)/).map((part, i) =>
+    part.startsWith('\uE000') ? <mark key={i}>{part.slice(1, -1)}</mark> : part)
+}
+
+const INLINE_MARKDOWN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`|\[[^\]]+\]\(https?:\/\/[^\s)]+\))/g
+
+function renderInline(text) {
+  return text.split(INLINE_MARKDOWN).map((part, i) => {
+    if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={i}>{part.slice(2, -2)}</strong>
+    if (/^\*[^*]+\*$/.test(part)) return <em key={i}>{part.slice(1, -1)}</em>
+    if (/^`[^`]+`$/.test(part)) return <code key={i}>{part.slice(1, -1)}</code>
+    const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)$/)
+    if (link) return <a key={i} href={link[2]} target="_blank" rel="noreferrer">{link[1]}</a>
+    return part
+  })
+}
+
+// Comment markdown subset: **bold**, *italic*, `code`, [text](https://...), "- " lists and
+// paragraphs separated by blank lines. Builds React elements, so no HTML is ever injected.
+function renderMarkdown(text) {
+  const blocks = []
+  for (const line of String(text).split('\n')) {
+    const item = line.match(/^\s*[-*] (.*)$/)
+    const last = blocks[blocks.length - 1]
+    if (item) {
+      if (last && last.type === 'list') last.lines.push(item[1])
+      else blocks.push({ type: 'list', lines: [item[1]] })
+    } else if (!line.trim()) {
+      blocks.push({ type: 'gap', lines: [] })
+    } else if (last && last.type === 'para') {
+      last.lines.push(line)
+    } else {
+      blocks.push({ type: 'para', lines: [line] })
+    }
+  }
+  return blocks.map((b, i) => {
+    if (b.type === 'list') return <ul key={i}>{b.lines.map((l, j) => <li key={j}>{renderInline(l)}</li>)}</ul>
+    if (b.type === 'para') return <p key={i}>{b.lines.map((l, j) => <React.Fragment key={j}>{j ? <br /> : null}{renderInline(l)}</React.Fragment>)}</p>
+    return null
+  })
+}
+
+// Strip the display-only fields the server adds to task.recurrence
+function editableRecurrence(recurrence) {
+  if (!recurrence) return null
+  const { rrule, text, index, ...rule } = recurrence
+  return rule
+}
+
+// Template placeholders: {date} is today in `timeZone`, other names come from `values`;
+// placeholders without a value stay as they are (same rules as the server)
+function fillPlaceholders(text, values, timeZone) {
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date())
+  return text.replace(/\{([a-zA-Z][a-zA-Z0-9_]*)\}/g, (whole, name) => {
+    const value = name === 'date' ? date : Object.hasOwn(values, name) ? values[name] : undefined
+    return value === undefined || value === null || value === '' ? whole : String(value)
+  })
+}
+
+// "+7 days", "-1 day", "same day"
+function offsetText(days) {
+  if (!days) return 'the same day'
+  return `${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`
+}
+
+// The values of the edit form for a task
+function editableFields(task) {
+  return {
+    title: task.title,
+    description: task.description || '',
+    status: task.status,
+    dueDate: task.dueDate || '',
+    dueTime: task.dueTime || '',
+    reminders: (task.reminders || []).map(r => r.minutesBefore),
+    projectId: task.projectId ? String(task.projectId) : '',
+    tagIds: (task.tags || []).map(tag => tag.id),
+    autoComplete: !!task.autoComplete,
+    priority: task.priority || 'normal',
+    estimateHours: minutesToHours(task.estimateMinutes),
+    assignee: task.assignee,
+    recurrence: editableRecurrence(task.recurrence)
+  }
+}
+
+const CONFLICT_FIELDS = { ...HISTORY_FIELDS, estimateHours: 'Estimate', tagIds: 'Tags', recurrence: 'Repeat' }
+
+// Compare one form field; lists are compared regardless of order
+function sameField(field, a, b) {
+  if (field === 'assignee') return (a?.id ?? null) === (b?.id ?? null)
+  const plain = v => Array.isArray(v) ? [...v].sort() : v
+  return JSON.stringify(plain(a)) === JSON.stringify(plain(b))
+}
+
+// Same as UPLOAD_MAX_MB on the server
+const MAX_UPLOAD_MB = 100
+
 function validateFile(file) {
-  const maxSize = 5 * 1024 * 1024; // 5MB
+  const maxSize = MAX_UPLOAD_MB * 1024 * 1024;
   const allowedTypes = [
     'image/jpeg', 'image/jpg', 'image/png', 'image/gif',
     'application/pdf', 'application/msword', 
@@ -144,7 +647,7 @@ function validateFile(file) {
   ];
   
   if (file.size > maxSize) {
-    throw new Error(`File "${file.name}" is too large. Maximum size is 5MB.`);
+    throw new Error(`File "${file.name}" is too large. Maximum size is ${MAX_UPLOAD_MB}MB.`);
   }
   
   if (!allowedTypes.includes(file.type)) {
@@ -166,13 +669,440 @@ function validateFiles(files) {
   return true;
 }
 
+// Time that keeps counting from `since`, on top of `base` seconds. It ticks on its own, outside
+// App, so the rest of the page (and any open modal) is not re-rendered every second.
+function TimerClock({ since, base = 0, format = formatClock }) {
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    if (!since) return
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [since])
+  const running = since ? Math.max(0, Math.floor((now - new Date(since).getTime()) / 1000)) : 0
+  return format(base + running)
+}
+
+// Actions for the tasks picked in multi-select mode. One request changes them all; tasks that
+// could not be changed stay selected and are listed with the reason. Lives outside App so its
+// inputs and the last outcome survive the list reloading.
+function BulkToolbar({ selected, onSelect, tasks, workflow, projects, workspaces, workspaceId, onChanged, onAuthRequired }) {
+  const [bulkStatus, setBulkStatus] = useState('')
+  const [ignoreBlockers, setIgnoreBlockers] = useState(false)
+  const [days, setDays] = useState('1')
+  const [moveProject, setMoveProject] = useState('')
+  const [moveWorkspace, setMoveWorkspace] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [outcome, setOutcome] = useState(null)
+  const targets = workspaces.filter(w => w.id !== workspaceId && w.role !== 'viewer')
+
+  const run = async (body) => {
+    setBusy(true)
+    setOutcome(null)
+    try {
+      const result = await fetchJson(`${apiBase}/tasks/bulk`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: selected, ...body })
+      })
+      setOutcome(result)
+      onSelect(result.results.filter(r => !r.ok).map(r => r.id))
+      onChanged()
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        onAuthRequired()
+      } else {
+        setOutcome({ error: e.message })
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const remove = () => {
+    if (!confirm(`Move ${selected.length} task(s) to the trash?`)) return
+    run({ action: 'delete' })
+  }
+
+  const taskTitle = (id) => tasks.find(t => t.id === id)?.title || `Task #${id}`
+  const none = !selected.length || busy
+
+  return (
+    <div className="bulk-toolbar">
+      <div className="header-toolbar">
+        <strong>{selected.length} selected</strong>
+        <button type="button" className="btn btn-secondary" onClick={()=>onSelect(tasks.map(t => t.id))}>Select all</button>
+        <button type="button" className="btn btn-secondary" disabled={!selected.length} onClick={()=>onSelect([])}>Clear</button>
+        <span className="bulk-group">
+          <select value={bulkStatus} onChange={e=>setBulkStatus(e.target.value)} title="New status">
+            <option value="">Status…</option>
+            {workflow.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+          </select>
+          <label title="Complete tasks even if their blockers are still open">
+            <input type="checkbox" checked={ignoreBlockers} onChange={e=>setIgnoreBlockers(e.target.checked)} /> ignore blockers
+          </label>
+          <button type="button" className="btn btn-secondary" disabled={none || !bulkStatus} onClick={()=>run({ action: 'status', status: bulkStatus, ignoreBlockers })}>Set</button>
+        </span>
+        <span className="bulk-group">
+          <input type="number" value={days} onChange={e=>setDays(e.target.value)} style={{width:70}} title="Days (negative moves earlier)" />
+          <button type="button" className="btn btn-secondary" disabled={none || !parseInt(days)} onClick={()=>run({ action: 'shiftDue', days: parseInt(days) })}>Shift due dates</button>
+        </span>
+        <span className="bulk-group">
+          <select value={moveProject} onChange={e=>setMoveProject(e.target.value)} title="Project">
+            <option value="">Project…</option>
+            <option value="none">No project</option>
+            {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <button type="button" className="btn btn-secondary" disabled={none || !moveProject}
+            onClick={()=>run({ action: 'move', projectId: moveProject === 'none' ? null : parseInt(moveProject) })}>Move</button>
+        </span>
+        {targets.length ? (
+          <span className="bulk-group">
+            <select value={moveWorkspace} onChange={e=>setMoveWorkspace(e.target.value)} title="Workspace">
+              <option value="">Workspace…</option>
+              {targets.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+            <button type="button" className="btn btn-secondary" disabled={none || !moveWorkspace}
+              onClick={()=>run({ action: 'move', workspaceId: parseInt(moveWorkspace) })}>Move</button>
+          </span>
+        ) : null}
+        <button type="button" className="btn btn-delete" disabled={none} onClick={remove}>Delete</button>
+        <button type="button" className="btn btn-secondary" onClick={()=>onSelect(null)}>Done</button>
+      </div>
+      {outcome?.error ? <p className="bulk-outcome error">{outcome.error}</p> : outcome ? (
+        <div className="bulk-outcome">
+          {outcome.succeeded} changed{outcome.failed ? `, ${outcome.failed} not changed:` : ''}
+          {outcome.failed ? (
+            <ul>
+              {outcome.results.filter(r => !r.ok).map(r => <li key={r.id}>{taskTitle(r.id)}: {r.error}</li>)}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+// Edit one template at a time; 'new' starts an empty one. Checklist items are one per line.
+// Top-level so the selection survives the reloads of `templates`.
+function TemplatesModal({ templates, workflow, onChanged, onAuthRequired, onClose }) {
+  const templateDraft = (t) => ({
+    name: t?.name || '',
+    title: t?.title || '',
+    description: t?.description || '',
+    status: t?.status || '',
+    priority: t?.priority || 'normal',
+    dueOffsetDays: t?.dueOffsetDays ?? '',
+    checklist: (t?.checklist || []).join('\n')
+  })
+  const [editingId, setEditingId] = useState(templates.length ? templates[0].id : 'new')
+  const editing = templates.find(t => t.id === editingId)
+  const [draft, setDraft] = useState(() => templateDraft(editing))
+  const [templatesError, setTemplatesError] = useState('')
+
+  const pick = (id) => {
+    setEditingId(id)
+    setDraft(templateDraft(templates.find(t => t.id === id)))
+    setTemplatesError('')
+  }
+
+  const templateRequest = async (url, options) => {
+    setTemplatesError('')
+    try {
+      const result = await fetchJson(url, options)
+      await onChanged()
+      return result
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') onAuthRequired()
+      else setTemplatesError(e.message)
+      return null
+    }
+  }
+
+  const saveTemplate = async () => {
+    if (draft.dueOffsetDays !== '' && !Number.isInteger(Number(draft.dueOffsetDays))) {
+      setTemplatesError('The due offset must be a whole number of days')
+      return
+    }
+    const saved = await templateRequest(editing ? `${apiBase}/templates/${editing.id}` : `${apiBase}/templates`, {
+      method: editing ? 'PUT' : 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: draft.name,
+        title: draft.title,
+        description: draft.description,
+        status: draft.status || null,
+        priority: draft.priority,
+        dueOffsetDays: draft.dueOffsetDays === '' ? null : Number(draft.dueOffsetDays),
+        checklist: draft.checklist.split('\n').map(line => line.trim()).filter(Boolean)
+      })
+    })
+    if (saved) setEditingId(saved.id)
+  }
+
+  const removeTemplate = async () => {
+    if (!confirm(`Delete template "${editing.name}"?`)) return
+    const ok = await templateRequest(`${apiBase}/templates/${editing.id}`, { method: 'DELETE' })
+    if (ok) pick(templates.find(t => t.id !== editing.id)?.id ?? 'new')
+  }
+
+  const removeFile = (file) => templateRequest(`${apiBase}/templates/${editing.id}/attachments/${file.id}`, { method: 'DELETE' })
+
+  return (
+    <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+      <div className="modal">
+        <div className="modal-header">
+          <h3>Templates</h3>
+          <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body">
+          {templatesError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{templatesError}</div>}
+          <select value={editingId} onChange={e=>pick(e.target.value === 'new' ? 'new' : parseInt(e.target.value))}>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            <option value="new">New template…</option>
+          </select>
+          <p className="muted">
+            Use {'{date}'} for the day a task is created and names like {'{name}'} for values asked when creating it.
+            Save a task as a template from its edit dialog to copy its checklist and files.
+          </p>
+          <form className="template-form" onSubmit={(e)=>{e.preventDefault(); saveTemplate()}}>
+            <input placeholder="Template name" value={draft.name} onChange={e=>setDraft(d=>({...d, name: e.target.value}))} />
+            <input placeholder="Title, e.g. Onboard {name}" value={draft.title} onChange={e=>setDraft(d=>({...d, title: e.target.value}))} />
+            <textarea placeholder="Description" rows={3} value={draft.description} onChange={e=>setDraft(d=>({...d, description: e.target.value}))} />
+            <div className="inline">
+              <select value={draft.status} onChange={e=>setDraft(d=>({...d, status: e.target.value}))} title="Status">
+                <option value="">First open status</option>
+                {workflow.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+              </select>
+              <select value={draft.priority} onChange={e=>setDraft(d=>({...d, priority: e.target.value}))} title="Priority">
+                <option value="low">low</option>
+                <option value="normal">normal</option>
+                <option value="high">high</option>
+                <option value="urgent">urgent</option>
+              </select>
+              <label>
+                Due after{' '}
+                <input type="number" step="1" placeholder="—" value={draft.dueOffsetDays} style={{width:70}}
+                  onChange={e=>setDraft(d=>({...d, dueOffsetDays: e.target.value}))} /> day(s)
+              </label>
+            </div>
+            <textarea placeholder="Checklist, one item per line" rows={4} value={draft.checklist} onChange={e=>setDraft(d=>({...d, checklist: e.target.value}))} />
+            {editing && editing.attachments.length ? (
+              <ul style={{display:'flex',flexWrap:'wrap',gap:'0.5rem'}}>
+                {editing.attachments.map(file => (
+                  <li key={file.id} className="chip">
+                    <a href={file.url} target="_blank" rel="noreferrer">{file.originalName}</a>
+                    <button type="button" className="delete-x" title="Remove" aria-label="Remove" onClick={()=>removeFile(file)}>×</button>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            <div className="inline">
+              <button type="submit" className="btn btn-edit">{editing ? 'Save' : 'Create template'}</button>
+              {editing ? <button type="button" className="btn btn-delete" onClick={removeTemplate}>Delete</button> : null}
+            </div>
+          </form>
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Text behind a text attachment's thumbnail or preview URL, by URL path (the signature in the
+// query changes on every load)
+const snippetCache = new Map()
+
+function TextSnippet({ url }) {
+  const key = url.split('?')[0]
+  const [text, setText] = useState(snippetCache.has(key) ? snippetCache.get(key) : null)
+  useEffect(() => {
+    if (snippetCache.has(key)) {
+      setText(snippetCache.get(key))
+      return
+    }
+    let active = true
+    fetch(url, { credentials: 'include' })
+      .then(res => res.ok ? res.text() : '')
+      .catch(() => '')
+      .then(body => {
+        if (body) snippetCache.set(key, body)
+        if (active) setText(body)
+      })
+    return () => { active = false }
+  }, [key])
+  if (text === null) return <span className="muted">Loading…</span>
+  return text ? <pre className="text-snippet">{text}</pre> : <span className="muted">No preview</span>
+}
+
+// Attachments as a strip of thumbnails, or the file extension for types without one. Files with
+// a preview open in the lightbox, the rest download. `onDelete` adds a remove button to each.
+// Lives outside App so an open lightbox survives App re-rendering.
+function AttachmentStrip({ attachments, onDelete }) {
+  const [open, setOpen] = useState(null)
+  const [broken, setBroken] = useState({})
+  const viewable = attachments.filter(a => a.previewUrl && !a.uploading)
+
+  return (
+    <>
+      <ul className="attachment-strip">
+        {attachments.map(a => {
+          const name = a.originalName || a.filename
+          const index = viewable.indexOf(a)
+          return (
+            <li key={a.id} className="attachment-tile">
+              <a href={a.url} target="_blank" rel="noreferrer" title={name} onClick={index >= 0 ? (e)=>{ e.preventDefault(); setOpen(index) } : undefined}>
+                <span className="attachment-thumb">
+                  {a.uploading ? <span className="uploading">uploading… {a.progress ? `${a.progress}%` : ''}</span>
+                    : a.previewType === 'text' ? <TextSnippet url={a.thumbnailUrl} />
+                    : a.thumbnailUrl && !broken[a.id] ? <img src={a.thumbnailUrl} alt="" loading="lazy" onError={()=>setBroken(b => ({ ...b, [a.id]: true }))} />
+                    : <span className="attachment-ext">{(a.filename.split('.').pop() || 'file').toUpperCase()}</span>}
+                </span>
+                <span className="attachment-name">{name}</span>
+              </a>
+              {onDelete && !a.uploading ? (
+                <button aria-label="Delete file" title="Delete" className="delete-x" onClick={()=>onDelete(a.id)}>×</button>
+              ) : null}
+            </li>
+          )
+        })}
+      </ul>
+      {open !== null && viewable[open] ? (
+        <Lightbox items={viewable} index={open} onIndex={setOpen} onClose={()=>setOpen(null)} />
+      ) : null}
+    </>
+  )
+}
+
+// Full view of the previews in `items` (the first page for PDFs, the opening lines for text
+// files). The arrow keys step through them and Escape closes it.
+function Lightbox({ items, index, onIndex, onClose }) {
+  const [failed, setFailed] = useState(false)
+  const item = items[index]
+  const name = item.originalName || item.filename
+  const prev = index > 0 ? () => onIndex(index - 1) : null
+  const next = index < items.length - 1 ? () => onIndex(index + 1) : null
+
+  useEffect(() => { setFailed(false) }, [item.id])
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose()
+      else if (e.key === 'ArrowLeft' && prev) prev()
+      else if (e.key === 'ArrowRight' && next) next()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [index, items.length])
+
+  return (
+    <div className="lightbox" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+      <div className="lightbox-header">
+        <strong>{name}</strong>
+        {items.length > 1 ? <span className="muted">{index + 1} / {items.length}</span> : null}
+        <span className="lightbox-actions">
+          {item.previewType === 'pdf' ? <a className="btn btn-secondary" href={`${item.url}&inline=1`} target="_blank" rel="noreferrer">Open PDF</a> : null}
+          <a className="btn btn-secondary" href={item.url}>Download</a>
+          <button className="btn btn-secondary" onClick={onClose}>Close</button>
+        </span>
+      </div>
+      <div className="lightbox-body" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+        <button className="lightbox-nav" aria-label="Previous file" disabled={!prev} onClick={prev || undefined}>‹</button>
+        {failed ? <p className="lightbox-missing">No preview available for this file.</p>
+          : item.previewType === 'text' ? <div className="lightbox-text"><TextSnippet url={item.previewUrl} /></div>
+          : <img key={item.id} src={item.previewUrl} alt={name} onError={()=>setFailed(true)} />}
+        <button className="lightbox-nav" aria-label="Next file" disabled={!next} onClick={next || undefined}>›</button>
+      </div>
+    </div>
+  )
+}
+
+// The user's running timer in the header. It follows timer:changed on the user's room by
+// itself, for the same reason as TimerClock.
+function RunningTimer({ userId, onOpen, onStopped }) {
+  const [timer, setTimer] = useState(null)
+
+  useEffect(() => {
+    let active = true
+    let live = null
+    const refresh = () => socketEmit('timer:get', {}).then(res => { if (active) setTimer(res.timer) }).catch(() => {})
+    const changed = (res) => setTimer(res.timer)
+    getSocket().then(s => {
+      if (!active) return
+      live = s
+      s.on('timer:changed', changed)
+      s.on('connect', refresh)
+      refresh()
+    }).catch(() => {})
+    return () => {
+      active = false
+      if (live) {
+        live.off('timer:changed', changed)
+        live.off('connect', refresh)
+      }
+    }
+  }, [userId])
+
+  const stop = async () => {
+    try {
+      await socketEmit('timer:stop', {})
+      setTimer(null)
+      onStopped()
+    } catch (e) {
+      alert('Failed to stop timer: ' + e.message)
+    }
+  }
+
+  if (!timer) return null
+  return (
+    <span className="running-timer">
+      <a href="#" title="Open task" onClick={(e)=>{e.preventDefault(); onOpen(timer.taskId)}}>⏱ {timer.title}</a>
+      <strong><TimerClock since={timer.startedAt} /></strong>
+      <button className="btn btn-secondary" onClick={stop}>Stop</button>
+    </span>
+  )
+}
+
 function App() {
   const [tasks, setTasks] = useState([])
+  const [workspaces, setWorkspaces] = useState([])
+  // The task list shows one workspace at a time; the choice survives reloads
+  const [workspaceId, setWorkspaceId] = useState(() => parseInt(localStorage.getItem('workspaceId')) || null)
+  const [invitations, setInvitations] = useState([])
+  const [showWorkspace, setShowWorkspace] = useState(false)
   const [status, setStatus] = useState('all')
+  const [projects, setProjects] = useState([])
+  const [project, setProject] = useState('all')
+  const [deletingProject, setDeletingProject] = useState(null)
+  const [tags, setTags] = useState([])
+  const [tagFilter, setTagFilter] = useState([])
+  const [tagMatch, setTagMatch] = useState('any')
+  const [showTags, setShowTags] = useState(false)
+  const [templates, setTemplates] = useState([])
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [sort, setSort] = useState('created')
+  const [view, setView] = useState('all')
+  const [searchInput, setSearchInput] = useState('')
+  const [search, setSearch] = useState('')
+  // Extra list filters: { dueFrom, dueTo, overdue, hasAttachments: '' | 'true' | 'false' }
+  const [filters, setFilters] = useState({ dueFrom: '', dueTo: '', overdue: false, hasAttachments: '' })
+  const [showFilters, setShowFilters] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const sentinelRef = useRef(null)
+  // Only the newest load() may set the list; older search responses can arrive late
+  const loadSeq = useRef(0)
+  const [workflow, setWorkflow] = useState([])
+  const [showWorkflow, setShowWorkflow] = useState(false)
+  const [showTrash, setShowTrash] = useState(false)
+  const [dragId, setDragId] = useState(null)
+  // Multi-select mode: null when off, otherwise the ids of the selected tasks
+  const [selected, setSelected] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [showCreate, setShowCreate] = useState(false)
   const [editingTask, setEditingTask] = useState(null)
+  // Reminders pushed by the server, shown until dismissed
+  const [reminderAlerts, setReminderAlerts] = useState([])
+  const [showReport, setShowReport] = useState(false)
   
   // Authentication state
   const [user, setUser] = useState(null)
@@ -237,18 +1167,26 @@ function App() {
       await fetchJson(`${apiBase}/auth/logout`, { method: 'POST' })
       setUser(null)
       setTasks([])
+      setWorkspaces([])
+      setInvitations([])
+      setProjects([])
+      setProject('all')
+      setTags([])
+      setTagFilter([])
     } catch (e) {
       console.error('Logout error:', e)
     }
   }
 
-  const load = async () => {
+  const loadWorkspaces = async () => {
     if (!user) return
-    setLoading(true); setError('')
     try {
-      const data = await fetchJson(`${apiBase}/tasks?status=${encodeURIComponent(status)}`)
-      setTasks(data)
-    } catch (e) { 
+      const [list, pending] = await Promise.all([fetchJson(`${apiBase}/workspaces`), fetchJson(`${apiBase}/invitations`)])
+      setWorkspaces(list)
+      setInvitations(pending)
+      // Fall back to the personal workspace when the chosen one is gone (left, removed or deleted)
+      setWorkspaceId(current => list.some(w => w.id === current) ? current : list[0]?.id ?? null)
+    } catch (e) {
       if (e.message === 'AUTH_REQUIRED') {
         setUser(null)
         setShowLogin(true)
@@ -256,11 +1194,158 @@ function App() {
         setError(e.message)
       }
     }
-    finally { setLoading(false) }
   }
 
-  useEffect(() => { 
-    checkAuth().then(isAuthenticated => {
+  const switchWorkspace = (id) => {
+    setWorkspaceId(id)
+    localStorage.setItem('workspaceId', String(id))
+  }
+
+  const loadProjects = async () => {
+    if (!user) return
+    try {
+      const data = await fetchJson(`${apiBase}/projects`)
+      setProjects(data)
+      if (project !== 'all' && project !== 'none' && !data.some(p => String(p.id) === project)) {
+        setProject('all')
+      }
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  const createProject = async () => {
+    const name = prompt('Project name')
+    if (!name || !name.trim()) return
+    try {
+      const created = await fetchJson(`${apiBase}/projects`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      })
+      await loadProjects()
+      setProject(String(created.id))
+    } catch (e) {
+      alert('Failed to create project: ' + e.message)
+    }
+  }
+
+  const renameProject = async (p) => {
+    const name = prompt('Rename project', p.name)
+    if (!name || !name.trim() || name.trim() === p.name) return
+    try {
+      await fetchJson(`${apiBase}/projects/${p.id}`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      })
+      loadProjects()
+    } catch (e) {
+      alert('Failed to rename project: ' + e.message)
+    }
+  }
+
+  const projectName = (id) => projects.find(p => p.id === id)?.name
+
+  const loadTemplates = async () => {
+    if (!user) return
+    try {
+      setTemplates(await fetchJson(`${apiBase}/templates`))
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  const loadTags = async () => {
+    if (!user) return
+    try {
+      const data = await fetchJson(`${apiBase}/tags`)
+      setTags(data)
+      // Drop filter entries for tags that were renamed or deleted
+      setTagFilter(prev => {
+        const next = prev.filter(name => data.some(t => t.name === name))
+        return next.length === prev.length ? prev : next
+      })
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  const loadWorkflow = async () => {
+    if (!user) return
+    try {
+      const data = await fetchJson(`${apiBase}/workflow`)
+      setWorkflow(data)
+      if (status !== 'all' && !data.some(s => s.key === status)) setStatus('all')
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  const statusInfo = (key) => workflow.find(s => s.key === key)
+
+  const toggleTagFilter = (name) => {
+    setTagFilter(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name])
+  }
+
+  const tasksUrl = (cursor = null) => {
+    const params = new URLSearchParams({ workspaceId, view, status, project, sort, limit: PAGE_SIZE })
+    if (tagFilter.length) {
+      params.set('tags', tagFilter.join(','))
+      params.set('match', tagMatch)
+    }
+    if (search) params.set('q', search)
+    if (filters.dueFrom) params.set('dueFrom', filters.dueFrom)
+    if (filters.dueTo) params.set('dueTo', filters.dueTo)
+    if (filters.overdue) params.set('overdue', 'true')
+    if (filters.hasAttachments) params.set('hasAttachments', filters.hasAttachments)
+    if (cursor) params.set('cursor', cursor)
+    return `${apiBase}/tasks?${params}`
+  }
+
+  const load = async () => {
+    if (!user || !workspaceId) return
+    const seq = ++loadSeq.current
+    setLoading(true); setError('')
+    try {
+      const data = await fetchJson(tasksUrl())
+      if (seq === loadSeq.current) {
+        setTasks(data.tasks)
+        setSelected(prev => prev && prev.filter(id => data.tasks.some(t => t.id === id)))
+        setNextCursor(data.paging.nextCursor)
+      }
+    } catch (e) { 
+      if (seq !== loadSeq.current) return
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+    finally { if (seq === loadSeq.current) setLoading(false) }
+  }
+
+  useEffect(() => { 
+    checkAuth().then(isAuthenticated => {
       if (isAuthenticated) {
         load()
       } else {
@@ -269,14 +1354,154 @@ function App() {
     })
   }, [])
 
-  useEffect(() => { load() }, [status, user])
+  useEffect(() => { loadWorkspaces(); loadProjects(); loadTags(); loadTemplates(); loadWorkflow() }, [user])
+
+  useEffect(() => { load() }, [workspaceId, view, status, project, tagFilter, tagMatch, sort, search, filters, user])
+
+  // Reminders and workspace changes are pushed to the user's room; join it again after every reconnect
+  useEffect(() => {
+    if (!user) return
+    let active = true
+    let live = null
+    const subscribe = () => socketEmit('reminders:subscribe', {}).catch(() => {})
+    const notify = (reminder) => setReminderAlerts(prev => prev.some(r => r.id === reminder.id) ? prev : [...prev, reminder])
+    const zoneChanged = ({ timeZone }) => setUser(u => u && { ...u, timeZone })
+    const workspacesChanged = () => loadWorkspaces()
+    getSocket().then(s => {
+      if (!active) return
+      live = s
+      s.on('reminders:due', notify)
+      s.on('settings:updated', zoneChanged)
+      s.on('workspaces:changed', workspacesChanged)
+      s.on('connect', subscribe)
+      subscribe()
+    }).catch(() => {})
+    return () => {
+      active = false
+      if (live) {
+        live.off('reminders:due', notify)
+        live.off('settings:updated', zoneChanged)
+        live.off('workspaces:changed', workspacesChanged)
+        live.off('connect', subscribe)
+      }
+    }
+  }, [user?.id])
+
+  const dismissReminder = (id) => setReminderAlerts(prev => prev.filter(r => r.id !== id))
+
+  // Open a task that may not be on the current page of the list
+  const openTask = async (taskId) => {
+    try {
+      setEditingTask(tasks.find(t => t.id === taskId) || await fetchJson(`${apiBase}/tasks/${taskId}`))
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  const openReminder = (reminder) => {
+    dismissReminder(reminder.id)
+    openTask(reminder.taskId)
+  }
+
+  // Due dates are read in this zone, so the overdue filter and due order can change with it
+  const changeTimeZone = async (timeZone) => {
+    try {
+      const data = await fetchJson(`${apiBase}/settings`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timeZone })
+      })
+      setUser(u => ({ ...u, timeZone: data.timeZone }))
+      load()
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    }
+  }
+
+  // Next page for infinite scroll; dropped if the list was reloaded in the meantime
+  const loadMore = async () => {
+    if (!user || !nextCursor || loading || loadingMore) return
+    const seq = loadSeq.current
+    setLoadingMore(true)
+    try {
+      const data = await fetchJson(tasksUrl(nextCursor))
+      if (seq !== loadSeq.current) return
+      setTasks(prev => [...prev, ...data.tasks.filter(t => !prev.some(p => p.id === t.id))])
+      setNextCursor(data.paging.nextCursor)
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        setError(e.message)
+      }
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  // Load the next page when the end of the grid scrolls into view. Paused while a modal is
+  // open, because changing the list would remount it and drop unsaved edits.
+  useEffect(() => {
+    const el = sentinelRef.current
+    if (!el || !nextCursor || loading || loadingMore || editingTask || showCreate) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '200px' })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [nextCursor, loading, loadingMore, editingTask, showCreate, tasks])
+
+  // Debounce the search box so typing does not fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchInput])
+
+  // Drag-and-drop in manual sort: drop the dragged task onto another card to take its place
+  const dropTask = async (targetId) => {
+    const sourceId = dragId
+    setDragId(null)
+    if (!sourceId || sourceId === targetId) return
+    const from = tasks.findIndex(t => t.id === sourceId)
+    const to = tasks.findIndex(t => t.id === targetId)
+    if (from < 0 || to < 0) return
+    const next = [...tasks]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    setTasks(next)
+    try {
+      await fetchJson(`${apiBase}/tasks/reorder`, {
+        method: 'PATCH', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: sourceId, beforeId: next[to - 1]?.id ?? null, afterId: next[to + 1]?.id ?? null })
+      })
+    } catch (e) {
+      if (e.message === 'AUTH_REQUIRED') {
+        setUser(null)
+        setShowLogin(true)
+      } else {
+        alert('Failed to reorder task: ' + e.message)
+        load()
+      }
+    }
+  }
 
   const TaskCard = ({ t }) => {
     const delTask = async () => {
-      if (!confirm('Delete task?')) return
+      if (!confirm('Move task to the trash?')) return
       try {
         await fetchJson(`${apiBase}/tasks/${t.id}`, { method: 'DELETE' })
         load()
+        loadProjects()
       } catch (e) {
         if (e.message === 'AUTH_REQUIRED') {
           setUser(null)
@@ -287,18 +1512,106 @@ function App() {
       }
     }
 
+    // Starting here stops the timer running on any other task
+    const toggleTimer = async () => {
+      try {
+        if (t.timeSpent?.runningSince) {
+          await fetchJson(`${apiBase}/timer/stop`, { method: 'POST' })
+        } else {
+          await fetchJson(`${apiBase}/tasks/${t.id}/timer/start`, { method: 'POST' })
+        }
+        load()
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          alert('Failed to update timer: ' + e.message)
+        }
+      }
+    }
+
+    const manual = sort === 'manual' && !selected
+    const spent = t.timeSpent?.seconds || 0
+    const isSelected = !!selected?.includes(t.id)
+    const toggleSelected = () => setSelected(prev => prev.includes(t.id) ? prev.filter(id => id !== t.id) : [...prev, t.id])
+
     return (
-      <article className={`task-card status-${t.status}`}>
+      <article
+        className={`task-card status-${t.status}${statusInfo(t.status)?.isDone ? ' status-done' : ''}${manual ? ' draggable' : ''}${dragId === t.id ? ' dragging' : ''}${isSelected ? ' selected' : ''}`}
+        onClick={selected ? (e) => { if (!e.target.closest('button, a, input')) toggleSelected() } : undefined}
+        draggable={manual}
+        onDragStart={manual ? (e) => { e.dataTransfer.effectAllowed = 'move'; setDragId(t.id) } : undefined}
+        onDragOver={manual ? (e) => e.preventDefault() : undefined}
+        onDrop={manual ? (e) => { e.preventDefault(); dropTask(t.id) } : undefined}
+        onDragEnd={manual ? () => setDragId(null) : undefined}
+      >
         <header className="task-header" style={{marginBottom: '0.75rem'}}>
-          <h3 style={{flex:1}}>{t.title}</h3>
-          <button aria-label="Delete task" title="Delete" className="delete-x" onClick={delTask}>×</button>
+          {selected ? <input type="checkbox" aria-label="Select task" checked={isSelected} onChange={toggleSelected} /> : null}
+          <h3 style={{flex:1}}>{t.search ? renderHighlight(t.search.title) : t.title}</h3>
+          {t.access === 'owner' ? <button aria-label="Delete task" title="Delete" className="delete-x" onClick={delTask}>×</button> : null}
         </header>
 
         <div className="task-meta" style={{justifyContent: 'space-between'}}>
-          <span className={`status-badge status-${t.status}`}>{badgeText(t.status)}</span>
-          {t.dueDate ? <span className="due-date">Due: {t.dueDate}</span> : null}
+          <span className={`status-badge status-${t.status}`} style={statusInfo(t.status) ? { borderColor: statusInfo(t.status).color } : undefined}>
+            {badgeText(t.status, workflow)}
+          </span>
+          {t.priority && t.priority !== 'normal' ? <span className={`priority-badge priority-${t.priority}`}>{priorityText(t.priority)}</span> : null}
+          {t.projectId && project === 'all' && projectName(t.projectId) ? <span className="project-label">{projectName(t.projectId)}</span> : null}
+          {t.assignee ? <span className="assignee-label" title="Assignee">👤 {t.assignee.username}</span> : null}
+          {t.owner.id !== user?.id ? (
+            <span className="shared-label">by {t.owner.username}{t.access === 'read' ? ' · view only' : ''}</span>
+          ) : t.shares?.length ? (
+            <span className="shared-label" title={t.shares.map(s => `${s.username} (${s.permission})`).join(', ')}>🔗 {t.shares.length}</span>
+          ) : null}
+          {t.dueDate ? (
+            <span className="due-date" title={t.reminders?.length ? t.reminders.map(r => reminderText(r.minutesBefore)).join(', ') : undefined}>
+              Due: {formatDue(t)}{t.reminders?.some(r => !r.sent) ? ' 🔔' : ''}
+            </span>
+          ) : null}
         </div>
 
+        {t.search?.description ? <p className="search-snippet">…{renderHighlight(t.search.description)}…</p> : null}
+        {t.search?.attachments?.length ? (
+          <p className="search-snippet">📎 {t.search.attachments.map((name, i) => <React.Fragment key={i}>{i ? ', ' : ''}{renderHighlight(name)}</React.Fragment>)}</p>
+        ) : null}
+
+        {t.recurrence ? <div className="recurrence-label" title={t.recurrence.rrule}>↻ {t.recurrence.text}</div> : null}
+
+        {t.blockedBy?.length || t.blocks?.length ? (
+          <div className="dependency-summary">
+            {t.blockedBy?.some(b => !b.done) ? (
+              <span className="dependency-blocked" title={t.blockedBy.filter(b => !b.done).map(b => b.title).join(', ')}>
+                ⛔ Blocked by {t.blockedBy.filter(b => !b.done).length} open
+              </span>
+            ) : t.blockedBy?.length ? <span className="muted">Blockers done</span> : null}
+            {t.blocks?.length ? <span className="muted" title={t.blocks.map(b => b.title).join(', ')}>Blocks {t.blocks.length}</span> : null}
+          </div>
+        ) : null}
+
+        {t.commentCount ? <div className="comment-count" title="Comments">💬 {t.commentCount}</div> : null}
+
+        {spent || t.estimateMinutes !== null || t.timeSpent?.runningSince ? (
+          <div className={`time-spent${t.estimateMinutes !== null && spent > t.estimateMinutes * 60 ? ' over-estimate' : ''}`}
+            title={t.estimateMinutes !== null ? `Estimate: ${formatDuration(t.estimateMinutes * 60)}` : 'Time spent'}>
+            ⏱ {formatDuration(spent)}{t.estimateMinutes !== null ? ` / ${formatDuration(t.estimateMinutes * 60)}` : ''}
+            {t.timeSpent?.runningSince ? <span className="timer-running" title="Timer running">●</span> : null}
+          </div>
+        ) : null}
+
+        {t.progress?.total ? (
+          <div className="checklist-progress" title={`${t.progress.done} of ${t.progress.total} checklist items done`}>
+            <div className="checklist-progress-bar"><div style={{ width: `${Math.round(100 * t.progress.done / t.progress.total)}%` }} /></div>
+            <span>{t.progress.done}/{t.progress.total}</span>
+          </div>
+        ) : null}
+
+        {t.tags?.length ? (
+          <div className="tag-list">
+            {t.tags.map(tag => <span key={tag.id} className="tag" style={{ background: tag.color }}>{tag.name}</span>)}
+          </div>
+        ) : null}
+
         <div className="task-content">
           {t.description ? (
             <p className="task-description" style={{display:'-webkit-box', WebkitLineClamp:3, WebkitBoxOrient:'vertical', overflow:'hidden'}}>
@@ -309,446 +1622,1954 @@ function App() {
           {t.attachments?.length ? (
             <div className="attachments">
               <h4>Attachments</h4>
-              <ul style={{display:'flex',flexWrap:'wrap',gap:'0.5rem'}}>
-                {t.attachments.map(a => (
-                  <li key={a.id}>
-                    <a href={a.url} target="_blank" rel="noreferrer">{a.originalName || a.filename}</a>
-                  </li>
-                ))}
-              </ul>
+              <AttachmentStrip attachments={t.attachments} />
             </div>
           ) : null}
 
           <footer className="task-actions" style={{marginTop:'1rem', justifyContent:'space-between'}}>
             <div>
               <button className="btn btn-edit" onClick={()=>setEditingTask(t)}>Edit</button>
+              {t.access !== 'read' ? (
+                <button className="btn btn-secondary" onClick={toggleTimer}>{t.timeSpent?.runningSince ? 'Stop timer' : 'Start timer'}</button>
+              ) : null}
             </div>
           </footer>
         </div>
-      </article>
+      </article>
+    )
+  }
+
+  // Toggle existing tags on a task and create new ones inline.
+  // New tags are reported through onCreated instead of App state so the open modal keeps its edits.
+  const TagPicker = ({ available, selected, onChange, onCreated }) => {
+    const [newName, setNewName] = useState('')
+    const [newColor, setNewColor] = useState('#60a5fa')
+    const [tagError, setTagError] = useState('')
+
+    const toggle = (id) => onChange(selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id])
+
+    const addTag = async () => {
+      setTagError('')
+      if (!newName.trim()) return
+      try {
+        const created = await fetchJson(`${apiBase}/tags`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: newName.trim(), color: newColor })
+        })
+        onCreated(created)
+        onChange([...selected, created.id])
+        setNewName('')
+      } catch (e) {
+        setTagError(e.message)
+      }
+    }
+
+    return (
+      <div className="tag-picker">
+        <h4>Tags</h4>
+        <div className="tag-list">
+          {available.length ? available.map(tag => (
+            <button key={tag.id} type="button" className={`tag tag-toggle${selected.includes(tag.id) ? ' selected' : ''}`}
+              style={{ background: tag.color }} onClick={()=>toggle(tag.id)}>{tag.name}</button>
+          )) : <span className="muted">No tags yet</span>}
+        </div>
+        <form className="inline" onSubmit={(e)=>{e.preventDefault(); addTag()}}>
+          <input placeholder="New tag" value={newName} onChange={e=>setNewName(e.target.value)} />
+          <input type="color" value={newColor} onChange={e=>setNewColor(e.target.value)} />
+          <button type="submit" className="btn btn-secondary">Add tag</button>
+        </form>
+        {tagError && <div style={{ color: 'red', marginTop: '0.5rem' }}>{tagError}</div>}
+      </div>
+    )
+  }
+
+  // Search accounts by username; picking one calls onSelect({ id, username })
+  const UserPicker = ({ placeholder, exclude = [], onSelect }) => {
+    const [query, setQuery] = useState('')
+    const [results, setResults] = useState([])
+
+    useEffect(() => {
+      const q = query.trim()
+      if (!q) {
+        setResults([])
+        return
+      }
+      let active = true
+      const timer = setTimeout(() => {
+        fetchJson(`${apiBase}/users?q=${encodeURIComponent(q)}`)
+          .then(list => { if (active) setResults(list) })
+          .catch(() => {})
+      }, 250)
+      return () => { active = false; clearTimeout(timer) }
+    }, [query])
+
+    const options = results.filter(u => !exclude.includes(u.id))
+    return (
+      <div className="user-picker">
+        <input placeholder={placeholder} value={query} onChange={e=>setQuery(e.target.value)} />
+        {options.length ? (
+          <ul className="user-picker-results">
+            {options.map(u => (
+              <li key={u.id}><button type="button" onClick={()=>{ onSelect(u); setQuery('') }}>{u.username}</button></li>
+            ))}
+          </ul>
+        ) : null}
+      </div>
+    )
+  }
+
+  // Edit a recurrence rule; value null means the task does not repeat
+  const RecurrenceEditor = ({ value, onChange }) => {
+    const rule = value || { freq: '', interval: 1 }
+    const set = (patch) => onChange({ ...rule, ...patch })
+    const endMode = rule.until ? 'until' : (rule.count ? 'count' : 'never')
+
+    return (
+      <div className="recurrence-editor">
+        <h4>Repeat</h4>
+        <form className="inline" onSubmit={(e)=>e.preventDefault()}>
+          <select value={rule.freq || ''} onChange={e => e.target.value ? set({ freq: e.target.value }) : onChange(null)}>
+            <option value="">Does not repeat</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+          {value ? (
+            <>
+              <label>every <input type="number" min="1" max="365" value={rule.interval || 1} style={{ width: 64 }}
+                onChange={e=>set({ interval: parseInt(e.target.value) || 1 })} /> {rule.freq === 'daily' ? 'day(s)' : rule.freq === 'weekly' ? 'week(s)' : 'month(s)'}</label>
+              {rule.freq === 'monthly' ? (
+                <label>on day <input type="number" min="1" max="31" value={rule.byMonthDay || ''} style={{ width: 64 }}
+                  onChange={e=>set({ byMonthDay: e.target.value ? parseInt(e.target.value) : undefined })} /></label>
+              ) : null}
+              <select value={endMode} onChange={e => {
+                if (e.target.value === 'never') set({ until: null, count: null })
+                if (e.target.value === 'until') set({ until: new Date().toISOString().slice(0, 10), count: null })
+                if (e.target.value === 'count') set({ until: null, count: 10 })
+              }}>
+                <option value="never">No end</option>
+                <option value="until">Until date</option>
+                <option value="count">After N times</option>
+              </select>
+              {endMode === 'until' ? <input type="date" value={rule.until} onChange={e=>set({ until: e.target.value || null })} /> : null}
+              {endMode === 'count' ? <input type="number" min="1" value={rule.count} style={{ width: 64 }} onChange={e=>set({ count: parseInt(e.target.value) || 1 })} /> : null}
+            </>
+          ) : null}
+        </form>
+        {value && rule.freq === 'weekly' ? (
+          <div className="weekday-picker">
+            {WEEKDAYS.map((name, day) => {
+              const days = rule.byWeekday || []
+              const on = days.includes(day)
+              return (
+                <button key={day} type="button" className={`chip${on ? ' selected' : ''}`}
+                  onClick={()=>set({ byWeekday: on ? days.filter(d => d !== day) : [...days, day].sort() })}>{name}</button>
+              )
+            })}
+          </div>
+        ) : null}
+      </div>
+    )
+  }
+
+  // Reminder offsets (minutes before the due time); ones set outside the presets stay listed
+  const ReminderPicker = ({ value, onChange, disabled }) => {
+    const options = [...new Set([...REMINDER_PRESETS, ...value])].sort((a, b) => a - b)
+    return (
+      <div className="reminder-picker">
+        <h4>Reminders <span className="muted">({user?.timeZone || 'UTC'} time)</span></h4>
+        <div className="weekday-picker">
+          {options.map(minutes => {
+            const on = value.includes(minutes)
+            return (
+              <button key={minutes} type="button" className={`chip${on ? ' selected' : ''}`} disabled={disabled}
+                onClick={()=>onChange(on ? value.filter(m => m !== minutes) : [...value, minutes])}>{reminderText(minutes)}</button>
+            )
+          })}
+        </div>
+        {disabled ? <p className="muted">Set a due date to get reminders.</p> : null}
+      </div>
+    )
+  }
+
+  const EditModal = ({ task, onClose }) => {
+    const [local, setLocal] = useState(() => editableFields(task))
+    // The server version the form is based on (sent as If-Match) and its values, to tell which
+    // fields were changed here when a save runs into a newer version
+    const [version, setVersion] = useState(task.version)
+    const [baseline, setBaseline] = useState(() => editableFields(task))
+    // { current: <newer server copy>, choices: { field: 'mine' | 'theirs' } } after a 409
+    const [conflict, setConflict] = useState(null)
+    const [scope, setScope] = useState('this')
+    // Projects, tags and the workflow are the task owner's; 'owner' access (the owner or a
+    // workspace admin) is needed to assign and share
+    const ownTask = task.owner.id === user?.id
+    const canManage = task.access === 'owner'
+    const readOnly = task.access === 'read'
+    const [taskWorkflow, setTaskWorkflow] = useState(ownTask ? workflow : null)
+    const statuses = taskWorkflow || workflow
+    // Only the current status and the transitions the workflow allows from it
+    const currentStatus = statuses.find(s => s.key === task.status)
+    const allowedStatuses = currentStatus
+      ? statuses.filter(s => s.key === task.status || !currentStatus.next || currentStatus.next.includes(s.key))
+      : [{ key: task.status, name: badgeText(task.status) }, ...statuses]
+    const [shares, setShares] = useState(task.shares || [])
+    const [sharePermission, setSharePermission] = useState('read')
+    const [attachments, setAttachments] = useState(task.attachments || [])
+    const [availableTags, setAvailableTags] = useState(tags)
+    const [checklist, setChecklist] = useState(task.checklist || [])
+    const [blockedBy, setBlockedBy] = useState(task.blockedBy || [])
+    const [blocks, setBlocks] = useState(task.blocks || [])
+    const [newBlocker, setNewBlocker] = useState('')
+    const [listStale, setListStale] = useState(false)
+    const [comments, setComments] = useState([])
+    const [newComment, setNewComment] = useState('')
+    const [editingComment, setEditingComment] = useState(null)
+    const [historyEntries, setHistoryEntries] = useState(null)
+    const [timeEntries, setTimeEntries] = useState([])
+    const [editingEntry, setEditingEntry] = useState(null)
+    const [newEntry, setNewEntry] = useState(() => ({ startedAt: localDateTime(Date.now() - 3600000), minutes: '60', note: '' }))
+    const [newItem, setNewItem] = useState('')
+    const [editError, setEditError] = useState('')
+
+    useEffect(() => {
+      if (ownTask) return
+      fetchJson(`${apiBase}/workflow?taskId=${task.id}`)
+        .then(setTaskWorkflow)
+        .catch(e => { if (e.message !== 'AUTH_REQUIRED') setEditError('Failed to load the workflow: ' + e.message) })
+    }, [task.id])
+
+    // Checklist and dependency edits are already saved, so refresh the list even when the form is cancelled
+    const close = () => {
+      onClose()
+      if (listStale) load()
+    }
+
+    // Checklist changes are saved immediately, like attachments
+    const checklistRequest = async (url, options) => {
+      setEditError('')
+      try {
+        const updated = await fetchJson(url, options)
+        if (updated && updated.checklist) setChecklist(updated.checklist)
+        // Auto-complete may have moved the task to 'completed' on the server
+        if (updated && updated.status) setLocal(v => ({ ...v, status: updated.status }))
+        if (updated && updated.version) setVersion(updated.version)
+        setListStale(true)
+        return true
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Checklist error: ' + e.message)
+        }
+        return false
+      }
+    }
+
+    const addItem = async () => {
+      if (!newItem.trim()) return
+      const ok = await checklistRequest(`${apiBase}/tasks/${task.id}/checklist`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: newItem.trim() })
+      })
+      if (ok) setNewItem('')
+    }
+
+    const toggleItem = (item) => checklistRequest(`${apiBase}/tasks/${task.id}/checklist/${item.id}/toggle`, { method: 'POST' })
+
+    const deleteItem = (item) => checklistRequest(`${apiBase}/tasks/${task.id}/checklist/${item.id}`, { method: 'DELETE' })
+
+    const moveItem = (index, delta) => {
+      const target = index + delta
+      if (target < 0 || target >= checklist.length) return
+      const ids = checklist.map(i => i.id)
+      ;[ids[index], ids[target]] = [ids[target], ids[index]]
+      return checklistRequest(`${apiBase}/tasks/${task.id}/checklist/reorder`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ itemIds: ids })
+      })
+    }
+
+    // Load the thread and follow it live while the modal is open. The room is
+    // re-joined after a reconnect, since the server forgets it with the old socket.
+    useEffect(() => {
+      let active = true
+      let live = null
+      const upsert = (c) => {
+        if (c.taskId !== task.id) return
+        setComments(prev => prev.some(x => x.id === c.id) ? prev.map(x => x.id === c.id ? c : x) : [...prev, c])
+      }
+      const remove = ({ id, taskId }) => {
+        if (taskId === task.id) setComments(prev => prev.filter(x => x.id !== id))
+      }
+      const watch = () => fetchJson(`${apiBase}/tasks/${task.id}/comments`)
+        .then(list => { if (active) setComments(list) })
+        .catch(e => { if (active && e.message !== 'AUTH_REQUIRED') setEditError('Failed to load comments: ' + e.message) })
+      getSocket().then(s => {
+        if (!active) return
+        live = s
+        s.on('comments:created', upsert)
+        s.on('comments:updated', upsert)
+        s.on('comments:deleted', remove)
+        s.on('connect', watch)
+        watch()
+      }).catch(() => {})
+      return () => {
+        active = false
+        if (live) {
+          live.off('comments:created', upsert)
+          live.off('comments:updated', upsert)
+          live.off('comments:deleted', remove)
+          live.off('connect', watch)
+        }
+        socketEmit('comments:unwatch', { taskId: task.id }).catch(() => {})
+      }
+    }, [task.id])
+
+    const commentRequest = async (url, options) => {
+      setEditError('')
+      try {
+        const result = await fetchJson(url, options)
+        setListStale(true)
+        return result
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Comment error: ' + e.message)
+        }
+        return null
+      }
+    }
+
+    const postComment = async () => {
+      if (!newComment.trim()) return
+      const created = await commentRequest(`${apiBase}/tasks/${task.id}/comments`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: newComment })
+      })
+      if (created) {
+        setComments(prev => prev.some(x => x.id === created.id) ? prev : [...prev, created])
+        setNewComment('')
+      }
+    }
+
+    const saveComment = async () => {
+      const updated = await commentRequest(`${apiBase}/tasks/${task.id}/comments/${editingComment.id}`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: editingComment.body })
+      })
+      if (updated) {
+        setComments(prev => prev.map(x => x.id === updated.id ? updated : x))
+        setEditingComment(null)
+      }
+    }
+
+    const deleteComment = async (c) => {
+      if (!confirm('Delete comment?')) return
+      const ok = await commentRequest(`${apiBase}/tasks/${task.id}/comments/${c.id}`, { method: 'DELETE' })
+      if (ok) setComments(prev => prev.filter(x => x.id !== c.id))
+    }
+
+    // Time entries and the timer are saved immediately; the list is refreshed on close
+    const loadTime = () => fetchJson(`${apiBase}/tasks/${task.id}/time`)
+      .then(setTimeEntries)
+      .catch(e => { if (e.message !== 'AUTH_REQUIRED') setEditError('Failed to load time entries: ' + e.message) })
+
+    useEffect(() => { loadTime() }, [task.id])
+
+    const timeRequest = async (url, options) => {
+      setEditError('')
+      try {
+        const result = await fetchJson(url, options)
+        setListStale(true)
+        await loadTime()
+        return result || true
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Time tracking error: ' + e.message)
+        }
+        return null
+      }
+    }
+
+    const runningEntry = timeEntries.find(e => e.running && user && e.userId === user.id)
+    const finishedSeconds = timeEntries.filter(e => !e.running).reduce((sum, e) => sum + e.seconds, 0)
+    const runningOthers = timeEntries.filter(e => e.running && e !== runningEntry)
+
+    const toggleTimer = () => runningEntry
+      ? timeRequest(`${apiBase}/timer/stop`, { method: 'POST' })
+      : timeRequest(`${apiBase}/tasks/${task.id}/timer/start`, { method: 'POST' })
+
+    const addEntry = async () => {
+      const ok = await timeRequest(`${apiBase}/tasks/${task.id}/time`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ startedAt: new Date(newEntry.startedAt).toISOString(), minutes: parseInt(newEntry.minutes), note: newEntry.note })
+      })
+      if (ok) setNewEntry(v => ({ ...v, note: '' }))
+    }
+
+    const saveEntry = async () => {
+      const ok = await timeRequest(`${apiBase}/tasks/${task.id}/time/${editingEntry.id}`, {
+        method: 'PUT', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          startedAt: new Date(editingEntry.startedAt).toISOString(),
+          ...(editingEntry.running ? {} : { minutes: parseInt(editingEntry.minutes) }),
+          note: editingEntry.note
+        })
+      })
+      if (ok) setEditingEntry(null)
+    }
+
+    const deleteEntry = (entry) => {
+      if (!confirm('Delete time entry?')) return
+      return timeRequest(`${apiBase}/tasks/${task.id}/time/${entry.id}`, { method: 'DELETE' })
+    }
+
+    const loadHistory = async () => {
+      setEditError('')
+      try {
+        setHistoryEntries(await fetchJson(`${apiBase}/tasks/${task.id}/history`))
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Failed to load history: ' + e.message)
+        }
+      }
+    }
+
+    const historyValue = (field, value) => {
+      if (value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)) return '—'
+      if (field === 'status') return badgeText(value, workflow)
+      if (field === 'priority') return priorityText(value)
+      if (field === 'projectId') return projectName(value) || `#${value}`
+      if (field === 'autoComplete') return value ? 'on' : 'off'
+      if (field === 'reminders') return value.map(reminderText).join(', ')
+      if (field === 'estimateMinutes') return formatDuration(value * 60)
+      if (Array.isArray(value)) return value.join(', ')
+      const text = String(value)
+      return text.length > 80 ? text.slice(0, 80) + '…' : text
+    }
+
+    // Reverting discards unsaved edits in the form, so the modal closes afterwards
+    const revertTo = async (entry, ignoreBlockers = false) => {
+      if (!ignoreBlockers && !confirm(`Revert the task to how it was on ${new Date(entry.createdAt).toLocaleString()}?`)) return
+      setEditError('')
+      try {
+        await fetchJson(`${apiBase}/tasks/${task.id}/history/${entry.id}/revert`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ignoreBlockers })
+        })
+        onClose()
+        load()
+        loadProjects()
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else if (e.blockers && !ignoreBlockers && confirm(`${e.message}. Revert anyway?`)) {
+          return revertTo(entry, true)
+        } else {
+          setEditError('Failed to revert: ' + e.message)
+        }
+      }
+    }
+
+    // Shares are saved immediately; the assignee is saved with the form
+    const shareRequest = async (url, options) => {
+      setEditError('')
+      try {
+        const updated = await fetchJson(url, options)
+        if (updated && updated.shares) setShares(updated.shares)
+        setListStale(true)
+        return true
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Sharing error: ' + e.message)
+        }
+        return false
+      }
+    }
+
+    const shareWith = (target, permission) => shareRequest(`${apiBase}/tasks/${task.id}/shares/${target.id}`, {
+      method: 'PUT', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ permission })
+    })
+
+    // Someone the task is shared with can leave it; it then disappears from their list
+    const removeShare = async (share) => {
+      const leaving = share.userId === user?.id
+      if (leaving && !confirm('Stop seeing this task?')) return
+      const ok = await shareRequest(`${apiBase}/tasks/${task.id}/shares/${share.userId}`, { method: 'DELETE' })
+      if (!ok) return
+      if (leaving) {
+        onClose()
+        load()
+      } else {
+        setShares(prev => prev.filter(s => s.userId !== share.userId))
+      }
+    }
+
+    // Dependency links are saved immediately too
+    const dependencyRequest = async (url, options) => {
+      setEditError('')
+      try {
+        const updated = await fetchJson(url, options)
+        if (updated && updated.blockedBy) setBlockedBy(updated.blockedBy)
+        setListStale(true)
+        return true
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Dependency error: ' + e.message)
+        }
+        return false
+      }
+    }
+
+    const addBlocker = async () => {
+      if (!newBlocker) return
+      const ok = await dependencyRequest(`${apiBase}/tasks/${task.id}/dependencies`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ blockedById: parseInt(newBlocker) })
+      })
+      if (ok) setNewBlocker('')
+    }
+
+    const removeBlocker = (b) => dependencyRequest(`${apiBase}/tasks/${task.id}/dependencies/${b.id}`, { method: 'DELETE' })
+
+    // "Blocks" links live on the other task, so they are removed through that task
+    const removeBlocked = async (b) => {
+      const ok = await dependencyRequest(`${apiBase}/tasks/${b.id}/dependencies/${task.id}`, { method: 'DELETE' })
+      if (ok) setBlocks(prev => prev.filter(x => x.id !== b.id))
+    }
+
+    const linkedIds = new Set([task.id, ...blockedBy.map(b => b.id)])
+    const blockerOptions = tasks.filter(t => !linkedIds.has(t.id))
+
+    const save = async (ignoreBlockers = false, values = local, expectedVersion = version) => {
+      setEditError('')
+      
+      // Validation
+      if (!values.title.trim()) {
+        setEditError('Title is required');
+        return;
+      }
+      
+      if (values.title.length > 255) {
+        setEditError('Title must be 255 characters or less');
+        return;
+      }
+      
+      if (values.description.length > 10000) {
+        setEditError('Description must be 10,000 characters or less');
+        return;
+      }
+
+      if (values.estimateHours !== '' && !(parseFloat(values.estimateHours) >= 0)) {
+        setEditError('Estimate must be a number of hours');
+        return;
+      }
+      
+      try {
+        await fetchJson(`${apiBase}/tasks/${task.id}`, {
+          method: 'PUT', headers: { 'Content-Type': 'application/json', 'If-Match': `"${expectedVersion}"` },
+          body: JSON.stringify({
+            title: values.title,
+            description: values.description,
+            status: values.status,
+            dueDate: values.dueDate || null,
+            dueTime: values.dueDate && values.dueTime ? values.dueTime : null,
+            reminders: values.reminders,
+            estimateMinutes: hoursToMinutes(values.estimateHours),
+            ...(ownTask ? {
+              projectId: values.projectId ? parseInt(values.projectId) : null,
+              tagIds: values.tagIds
+            } : {}),
+            ...(canManage ? { assigneeId: values.assignee ? values.assignee.id : null } : {}),
+            autoComplete: values.autoComplete,
+            priority: values.priority,
+            recurrence: values.recurrence,
+            scope,
+            ignoreBlockers
+          })
+        })
+        onClose();
+        load();
+        loadProjects();
+        loadTags();
+      } catch (e) { 
+        if (e.blockers && !ignoreBlockers && confirm(`${e.message}. Complete anyway?`)) return save(true, values, expectedVersion)
+        // Someone else saved the task in the meantime: let the user choose what to keep
+        if (e.current) return setConflict({ current: e.current, choices: {} })
+        setEditError(e.message)
+      }
+    }
+
+    // Templates keep the saved state of the task, not unsaved edits in the form
+    const saveAsTemplate = async () => {
+      const name = prompt('Template name', task.title)
+      if (name === null) return
+      setEditError('')
+      try {
+        const created = await fetchJson(`${apiBase}/templates`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ taskId: task.id, name })
+        })
+        await loadTemplates()
+        alert(`Saved as template "${created.name}"`)
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Failed to save template: ' + e.message)
+        }
+      }
+    }
+
+    // Fields sent on save; the project and tags only for own tasks, the assignee with 'owner' access
+    const sentFields = Object.keys(editableFields(task))
+      .filter(f => (ownTask || (f !== 'projectId' && f !== 'tagIds')) && (canManage || f !== 'assignee'))
+    const theirs = conflict ? editableFields(conflict.current) : null
+    const changedHere = f => !sameField(f, baseline[f], local[f])
+    // Fields changed both here and on the server, to different values
+    const clashes = theirs
+      ? sentFields.filter(f => changedHere(f) && !sameField(f, baseline[f], theirs[f]) && !sameField(f, local[f], theirs[f]))
+      : []
+
+    const conflictValue = (field, values) => {
+      const value = values[field]
+      if (field === 'estimateHours') return historyValue('estimateMinutes', hoursToMinutes(value))
+      if (field === 'tagIds') return historyValue('tags', value.map(id => availableTags.find(t => t.id === id)?.name || `#${id}`))
+      if (field === 'assignee') return historyValue(field, value?.username)
+      if (field === 'projectId') return historyValue(field, value ? parseInt(value) : null)
+      if (field === 'recurrence') return value ? 'repeats' : 'does not repeat'
+      return historyValue(field, value)
+    }
+
+    // 'merge' keeps this form's changes plus theirs elsewhere (clashes as chosen), 'overwrite'
+    // saves the form as it is, 'discard' loads their version into the form
+    const resolveConflict = (mode) => {
+      const { current, choices } = conflict
+      const merged = Object.fromEntries(Object.keys(theirs).map(f => {
+        const keepMine = mode === 'overwrite' || (mode === 'merge' && changedHere(f) && choices[f] !== 'theirs')
+        return [f, keepMine ? local[f] : theirs[f]]
+      }))
+      setConflict(null)
+      setLocal(merged)
+      setBaseline(theirs)
+      setVersion(current.version)
+      if (mode !== 'discard') save(false, merged, current.version)
+    }
+
+    const uploadFiles = async (files) => {
+      if (!files || files.length === 0) return
+      
+      try {
+        validateFiles(Array.from(files));
+        setEditError('') // Clear any previous errors
+      } catch (error) {
+        setEditError(error.message);
+        return;
+      }
+      
+      for (const file of Array.from(files)) {
+        const tempId = `temp-${Date.now()}-${Math.random().toString(16).slice(2)}`
+        const temp = { id: tempId, filename: file.name, originalName: file.name, url: '#', uploading: true, progress: 0 }
+        setAttachments(prev => [...prev, temp])
+
+        try {
+          const created = await uploadFile(task.id, file, (received, size) => {
+            setAttachments(prev => prev.map(a => a.id === tempId ? { ...a, progress: Math.floor(received / size * 100) } : a))
+          })
+          setAttachments(prev => prev.map(a => a.id === tempId ? created : a))
+        } catch (e) {
+          if (e.message === 'AUTH_REQUIRED') {
+            setUser(null)
+            setShowLogin(true)
+          }
+          setEditError(`File upload error: ${e.message}`)
+          setAttachments(prev => prev.filter(a => a.id !== tempId))
+        }
+      }
+    }
+
+    const delAttachment = async (id) => {
+      try {
+        await fetchJson(`${apiBase}/attachments/${id}`, { method: 'DELETE' })
+        setAttachments(prev => prev.filter(a => a.id !== id))
+        setEditError('') // Clear any previous errors
+      } catch (e) {
+        if (e.message === 'AUTH_REQUIRED') {
+          setUser(null)
+          setShowLogin(true)
+        } else {
+          setEditError('Failed to delete attachment: ' + e.message)
+        }
+      }
+    }
+
+    return (
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) close() }}>
+        <div className="modal">
+          <div className="modal-header">
+            <h3>Edit Task</h3>
+            <button aria-label="Close" className="delete-x" onClick={close}>×</button>
+          </div>
+          <div className="modal-body">
+            {editError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{editError}</div>}
+            {conflict ? (
+              <div className="conflict">
+                <strong>This task was changed while you were editing it.</strong>
+                <p className="muted">
+                  {clashes.length
+                    ? 'You both changed the fields below. Choose which value to keep:'
+                    : 'Your changes do not overlap with theirs and can be merged.'}
+                </p>
+                {clashes.map(f => (
+                  <div key={f} className="conflict-row">
+                    <span className="conflict-field">{CONFLICT_FIELDS[f]}</span>
+                    <label>
+                      <input type="radio" checked={conflict.choices[f] !== 'theirs'} onChange={()=>setConflict(c=>({ ...c, choices: { ...c.choices, [f]: 'mine' } }))} />
+                      {' '}Mine: {conflictValue(f, local)}
+                    </label>
+                    <label>
+                      <input type="radio" checked={conflict.choices[f] === 'theirs'} onChange={()=>setConflict(c=>({ ...c, choices: { ...c.choices, [f]: 'theirs' } }))} />
+                      {' '}Theirs: {conflictValue(f, theirs)}
+                    </label>
+                  </div>
+                ))}
+                <div className="conflict-actions">
+                  <button className="btn btn-edit" onClick={()=>resolveConflict('merge')}>Save merged</button>
+                  <button className="btn btn-secondary" onClick={()=>resolveConflict('overwrite')}>Overwrite with mine</button>
+                  <button className="btn btn-secondary" onClick={()=>resolveConflict('discard')}>Discard my changes</button>
+                </div>
+              </div>
+            ) : null}
+            {!ownTask ? (
+              <p className="shared-notice">
+                Created by <strong>{task.owner.username}</strong>{readOnly ? ' — you can view and comment, but not change it.' : '.'}
+              </p>
+            ) : null}
+            <form className="inline" onSubmit={(e)=>{e.preventDefault(); save()}}>
+              <input value={local.title} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} />
+              <input type="date" value={local.dueDate} onChange={e=>setLocal(v=>({...v, dueDate: e.target.value}))} />
+              <input type="time" value={local.dueTime} disabled={!local.dueDate} title="Due time (optional)" onChange={e=>setLocal(v=>({...v, dueTime: e.target.value}))} />
+              <select value={local.status} onChange={e=>setLocal(v=>({...v, status: e.target.value}))}>
+                {allowedStatuses.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+              </select>
+              <select value={local.priority} onChange={e=>setLocal(v=>({...v, priority: e.target.value}))} title="Priority">
+                <option value="low">low</option>
+                <option value="normal">normal</option>
+                <option value="high">high</option>
+                <option value="urgent">urgent</option>
+              </select>
+              <input type="number" min="0" step="0.25" placeholder="Estimate (h)" title="Estimate in hours" value={local.estimateHours}
+                onChange={e=>setLocal(v=>({...v, estimateHours: e.target.value}))} style={{width:110}} />
+              {ownTask ? (
+                <select value={local.projectId} onChange={e=>setLocal(v=>({...v, projectId: e.target.value}))}>
+                  <option value="">No project</option>
+                  {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+              ) : null}
+              <input value={local.description} onChange={e=>setLocal(v=>({...v, description: e.target.value}))} style={{minWidth:220}} />
+            </form>
+
+            {ownTask ? (
+              <TagPicker available={availableTags} selected={local.tagIds} onChange={tagIds=>setLocal(v=>({...v, tagIds}))}
+                onCreated={tag=>setAvailableTags(prev=>[...prev, tag])} />
+            ) : task.tags?.length ? (
+              <div className="tag-list">
+                {task.tags.map(tag => <span key={tag.id} className="tag" style={{ background: tag.color }}>{tag.name}</span>)}
+              </div>
+            ) : null}
+
+            <div className="sharing">
+              <h4>Sharing</h4>
+              <div className="sharing-row">
+                <span className="muted">Owner:</span> {task.owner.username}
+              </div>
+              <div className="sharing-row">
+                <span className="muted">Assigned to:</span>
+                {local.assignee ? (
+                  <span className="chip">
+                    {local.assignee.username}
+                    {canManage ? <button type="button" aria-label="Unassign" title="Unassign" className="delete-x" onClick={()=>setLocal(v=>({...v, assignee: null}))}>×</button> : null}
+                  </span>
+                ) : <span className="muted">nobody</span>}
+                {canManage ? <UserPicker placeholder="Assign to…" onSelect={u=>setLocal(v=>({...v, assignee: u}))} /> : null}
+              </div>
+              <ul>
+                {shares.map(s => (
+                  <li key={s.userId} className="sharing-row">
+                    {s.username}
+                    {canManage ? (
+                      <select value={s.permission} onChange={e=>shareWith({ id: s.userId }, e.target.value)}>
+                        <option value="read">can view</option>
+                        <option value="write">can edit</option>
+                      </select>
+                    ) : <span className="muted">({s.permission === 'write' ? 'can edit' : 'can view'})</span>}
+                    {canManage || s.userId === user?.id ? (
+                      <button type="button" aria-label="Stop sharing" title="Stop sharing" className="delete-x" onClick={()=>removeShare(s)}>×</button>
+                    ) : null}
+                  </li>
+                ))}
+                {!shares.length ? <li className="muted">Not shared with anyone</li> : null}
+              </ul>
+              {canManage ? (
+                <div className="sharing-row">
+                  <UserPicker placeholder="Share with…" exclude={[task.owner.id, ...shares.map(s => s.userId)]}
+                    onSelect={u=>shareWith(u, sharePermission)} />
+                  <select value={sharePermission} onChange={e=>setSharePermission(e.target.value)}>
+                    <option value="read">can view</option>
+                    <option value="write">can edit</option>
+                  </select>
+                </div>
+              ) : null}
+            </div>
+
+            <ReminderPicker value={local.reminders} disabled={!local.dueDate} onChange={reminders=>setLocal(v=>({...v, reminders}))} />
+            <RecurrenceEditor value={local.recurrence} onChange={recurrence=>setLocal(v=>({...v, recurrence}))} />
+            {task.recurrence ? (
+              <div className="recurrence-scope">
+                <span className="muted">Occurrence #{task.recurrence.index}. Apply changes to:</span>
+                <label><input type="radio" checked={scope === 'this'} onChange={()=>setScope('this')} /> This task only</label>
+                <label><input type="radio" checked={scope === 'future'} onChange={()=>setScope('future')} /> This and all future occurrences</label>
+              </div>
+            ) : null}
+
+            <div className="checklist">
+              <h4>Checklist {checklist.length ? `(${checklist.filter(i => i.done).length}/${checklist.length})` : ''}</h4>
+              <ul>
+                {checklist.map((item, idx) => (
+                  <li key={item.id} className={item.done ? 'done' : ''}>
+                    <input type="checkbox" checked={item.done} onChange={()=>toggleItem(item)} />
+                    <span className="checklist-text">{item.text}</span>
+                    <button type="button" className="btn-icon" title="Move up" disabled={idx === 0} onClick={()=>moveItem(idx, -1)}>↑</button>
+                    <button type="button" className="btn-icon" title="Move down" disabled={idx === checklist.length - 1} onClick={()=>moveItem(idx, 1)}>↓</button>
+                    <button type="button" aria-label="Delete item" title="Delete" className="delete-x" onClick={()=>deleteItem(item)}>×</button>
+                  </li>
+                ))}
+              </ul>
+              {!readOnly ? (
+                <form className="inline" onSubmit={(e)=>{e.preventDefault(); addItem()}}>
+                  <input placeholder="Add checklist item" value={newItem} onChange={e=>setNewItem(e.target.value)} style={{minWidth:220}} />
+                  <button type="submit" className="btn btn-secondary">Add</button>
+                </form>
+              ) : null}
+              <label className="checklist-auto">
+                <input type="checkbox" checked={local.autoComplete} onChange={e=>setLocal(v=>({...v, autoComplete: e.target.checked}))} />
+                {' '}Mark task completed when every item is done
+              </label>
+            </div>
+
+            <div className="dependencies">
+              <h4>Dependencies</h4>
+              <div className="dependency-group">
+                <span className="muted">Blocked by:</span>
+                {blockedBy.length ? blockedBy.map(b => (
+                  <span key={b.id} className={`dependency-chip${b.done ? ' done' : ''}`}>
+                    {b.title} <small>({badgeText(b.status, workflow)})</small>
+                    <button type="button" aria-label="Remove blocker" title="Remove" className="delete-x" onClick={()=>removeBlocker(b)}>×</button>
+                  </span>
+                )) : <span className="muted">nothing</span>}
+              </div>
+              <div className="dependency-group">
+                <span className="muted">Blocks:</span>
+                {blocks.length ? blocks.map(b => (
+                  <span key={b.id} className={`dependency-chip${b.done ? ' done' : ''}`}>
+                    {b.title} <small>({badgeText(b.status, workflow)})</small>
+                    <button type="button" aria-label="Remove link" title="Remove" className="delete-x" onClick={()=>removeBlocked(b)}>×</button>
+                  </span>
+                )) : <span className="muted">nothing</span>}
+              </div>
+              <form className="inline" onSubmit={(e)=>{e.preventDefault(); addBlocker()}}>
+                <select value={newBlocker} onChange={e=>setNewBlocker(e.target.value)}>
+                  <option value="">Add a blocking task…</option>
+                  {blockerOptions.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+                </select>
+                <button type="submit" className="btn btn-secondary" disabled={!newBlocker}>Add</button>
+              </form>
+            </div>
+
+            <div className="time-tracking">
+              <h4>
+                Time: <TimerClock since={runningEntry?.startedAt} base={finishedSeconds + runningOthers.reduce((sum, e) => sum + e.seconds, 0)} format={formatDuration} />
+                {task.estimateMinutes !== null ? <span className="muted"> of {formatDuration(task.estimateMinutes * 60)} estimated</span> : null}{' '}
+                {!readOnly ? <button type="button" className="btn btn-secondary" onClick={toggleTimer}>{runningEntry ? 'Stop timer' : 'Start timer'}</button> : null}
+              </h4>
+              <ul>
+                {timeEntries.map(entry => (
+                  <li key={entry.id} className="time-entry">
+                    {editingEntry?.id === entry.id ? (
+                      <form className="inline" onSubmit={(e)=>{e.preventDefault(); saveEntry()}}>
+                        <input type="datetime-local" value={editingEntry.startedAt} onChange={e=>setEditingEntry(v=>({...v, startedAt: e.target.value}))} />
+                        {entry.running ? null : (
+                          <input type="number" min="1" title="Minutes" value={editingEntry.minutes} onChange={e=>setEditingEntry(v=>({...v, minutes: e.target.value}))} style={{width:80}} />
+                        )}
+                        <input placeholder="Note" maxLength={500} value={editingEntry.note} onChange={e=>setEditingEntry(v=>({...v, note: e.target.value}))} />
+                        <button type="submit" className="btn btn-secondary">Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={()=>setEditingEntry(null)}>Cancel</button>
+                      </form>
+                    ) : (
+                      <>
+                        <span>{new Date(entry.startedAt).toLocaleString()}</span>
+                        <strong>{entry.running ? <TimerClock since={entry.startedAt} /> : formatDuration(entry.seconds)}</strong>
+                        <span className="muted">{entry.author || 'Deleted user'}{entry.note ? ` · ${entry.note}` : ''}</span>
+                        {user && entry.userId === user.id ? (
+                          <span className="comment-actions">
+                            <button type="button" className="btn-icon" title="Edit" onClick={()=>setEditingEntry({
+                              id: entry.id, running: entry.running, startedAt: localDateTime(entry.startedAt),
+                              minutes: String(Math.max(1, Math.round(entry.seconds / 60))), note: entry.note
+                            })}>✎</button>
+                            <button type="button" aria-label="Delete time entry" title="Delete" className="delete-x" onClick={()=>deleteEntry(entry)}>×</button>
+                          </span>
+                        ) : null}
+                      </>
+                    )}
+                  </li>
+                ))}
+                {!timeEntries.length ? <li className="muted">No time logged</li> : null}
+              </ul>
+              {!readOnly ? (
+                <form className="inline" onSubmit={(e)=>{e.preventDefault(); addEntry()}}>
+                  <input type="datetime-local" value={newEntry.startedAt} onChange={e=>setNewEntry(v=>({...v, startedAt: e.target.value}))} />
+                  <input type="number" min="1" title="Minutes" value={newEntry.minutes} onChange={e=>setNewEntry(v=>({...v, minutes: e.target.value}))} style={{width:80}} />
+                  <input placeholder="Note" maxLength={500} value={newEntry.note} onChange={e=>setNewEntry(v=>({...v, note: e.target.value}))} />
+                  <button type="submit" className="btn btn-secondary" disabled={!newEntry.startedAt || !(parseInt(newEntry.minutes) > 0)}>Log time</button>
+                </form>
+              ) : null}
+            </div>
+
+            <div className="history">
+              <h4>
+                History{' '}
+                <button type="button" className="btn btn-secondary" onClick={()=> historyEntries ? setHistoryEntries(null) : loadHistory()}>
+                  {historyEntries ? 'Hide' : 'Show'}
+                </button>
+              </h4>
+              {historyEntries ? (
+                <ol className="history-timeline">
+                  {historyEntries.map((entry, idx) => (
+                    <li key={entry.id}>
+                      <div className="history-meta">
+                        <strong>{entry.actor || 'Unknown user'}</strong> {HISTORY_ACTIONS[entry.action] || entry.action}
+                        <span className="muted">{new Date(entry.createdAt).toLocaleString()}</span>
+                        {entry.revertible && idx > 0 ? (
+                          <button type="button" className="btn-icon" title="Revert to this version" onClick={()=>revertTo(entry)}>↺</button>
+                        ) : null}
+                      </div>
+                      {entry.action !== 'created' && Object.keys(entry.changes).length ? (
+                        <ul className="history-changes">
+                          {Object.entries(entry.changes).map(([field, change]) => (
+                            <li key={field}>
+                              {HISTORY_FIELDS[field] || field}: <del>{historyValue(field, change.from)}</del> → {historyValue(field, change.to)}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : null}
+                    </li>
+                  ))}
+                  {!historyEntries.length ? <li className="muted">No recorded changes</li> : null}
+                </ol>
+              ) : null}
+            </div>
+
+            <div className="comments">
+              <h4>Comments {comments.length ? `(${comments.length})` : ''}</h4>
+              <ul>
+                {comments.map(c => (
+                  <li key={c.id} className="comment">
+                    <div className="comment-meta">
+                      <strong>{c.author || 'Deleted user'}</strong>
+                      <span className="muted">{new Date(c.createdAt).toLocaleString()}{c.edited ? ' (edited)' : ''}</span>
+                      {user && c.userId === user.id && editingComment?.id !== c.id ? (
+                        <span className="comment-actions">
+                          <button type="button" className="btn-icon" title="Edit" onClick={()=>setEditingComment({ id: c.id, body: c.body })}>✎</button>
+                          <button type="button" aria-label="Delete comment" title="Delete" className="delete-x" onClick={()=>deleteComment(c)}>×</button>
+                        </span>
+                      ) : null}
+                    </div>
+                    {editingComment?.id === c.id ? (
+                      <form onSubmit={(e)=>{e.preventDefault(); saveComment()}}>
+                        <textarea rows={3} value={editingComment.body} onChange={e=>setEditingComment(v=>({...v, body: e.target.value}))} />
+                        <button type="submit" className="btn btn-secondary">Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={()=>setEditingComment(null)}>Cancel</button>
+                      </form>
+                    ) : <div className="comment-body">{renderMarkdown(c.body)}</div>}
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={(e)=>{e.preventDefault(); postComment()}}>
+                <textarea rows={3} placeholder="Write a comment (**bold**, *italic*, `code`, [link](https://...), - lists)" value={newComment} onChange={e=>setNewComment(e.target.value)} />
+                <button type="submit" className="btn btn-secondary" disabled={!newComment.trim()}>Comment</button>
+              </form>
+            </div>
+
+            <div className="attachments">
+              <h4>Attachments</h4>
+              {attachments?.length ? (
+                <AttachmentStrip attachments={attachments} onDelete={readOnly ? null : delAttachment} />
+              ) : <p className="muted">No attachments</p>}
+              {!readOnly ? (
+                <form className="inline" onSubmit={(e)=>{e.preventDefault()}}>
+                  <input type="file" multiple onChange={e=> { uploadFiles(e.target.files); e.target.value=''; }} />
+                </form>
+              ) : null}
+            </div>
+          </div>
+          <div className="modal-footer">
+            {!readOnly ? <button className="btn btn-edit" onClick={()=>save()}>Save</button> : null}
+            <button className="btn btn-secondary" onClick={saveAsTemplate} title="Reuse this task's title, description, status, due offset, checklist and files">Save as template</button>
+            <button className="btn btn-secondary" onClick={close}>{readOnly ? 'Close' : 'Cancel'}</button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const LoginModal = ({ onClose }) => {
+    const [formData, setFormData] = useState({ username: '', password: '' })
+    const [loginError, setLoginError] = useState('')
+
+    const handleSubmit = async (e) => {
+      e.preventDefault()
+      e.stopPropagation()
+      setLoginError('')
+      
+      // Basic validation
+      if (!formData.username || !formData.password) {
+        setLoginError('Please enter both username and password')
+        return
+      }
+      
+      try {
+        const success = await login(formData.username, formData.password)
+        if (success) {
+          onClose()
+        }
+      } catch (e) {
+        setLoginError(e.message || 'Invalid username or password')
+        // Clear only password, keep username
+        setFormData(prev => ({ ...prev, password: '' }))
+      }
+    }
+
+    return (
+      <div className="modal-backdrop" onClick={(e) => { 
+        e.preventDefault()
+        e.stopPropagation()
+        if (e.target === e.currentTarget) onClose() 
+      }}>
+        <div className="modal" onClick={(e) => { e.stopPropagation() }}>
+          <div className="modal-header">
+            <h3>Login</h3>
+            <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
+          </div>
+          <div className="modal-body">
+            <form onSubmit={handleSubmit}>
+              <div style={{ marginBottom: '1rem' }}>
+                <input
+                  type="text"
+                  placeholder="Username"
+                  value={formData.username}
+                  onChange={e => setFormData(prev => ({ ...prev, username: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
+                />
+                <input
+                  type="password"
+                  placeholder="Password"
+                  value={formData.password}
+                  onChange={e => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem' }}
+                />
+              </div>
+              {loginError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px', position: 'relative', zIndex: 1001 }}>{loginError}</div>}
+              
+              <div className="modal-footer">
+                <button type="submit" className="btn btn-primary" disabled={authLoading}>
+                  {authLoading ? 'Logging in...' : 'Login'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => { setShowRegister(true); onClose() }}>
+                  Register
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const RegisterModal = ({ onClose }) => {
+    const [formData, setFormData] = useState({ username: '', email: '', password: '', confirmPassword: '' })
+    const [registerError, setRegisterError] = useState('')
+
+    const handleSubmit = async (e) => {
+      e.preventDefault()
+      e.stopPropagation()
+      setRegisterError('')
+      
+      // Frontend validation
+      if (!formData.username || !formData.email || !formData.password || !formData.confirmPassword) {
+        setRegisterError('Please fill in all fields')
+        return
+      }
+      
+      if (formData.username.length < 3 || formData.username.length > 50) {
+        setRegisterError('Username must be 3-50 characters')
+        return
+      }
+      
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(formData.email)) {
+        setRegisterError('Please enter a valid email address')
+        return
+      }
+      
+      if (formData.password.length < 6) {
+        setRegisterError('Password must be at least 6 characters')
+        return
+      }
+      
+      if (formData.password !== formData.confirmPassword) {
+        setRegisterError('Passwords do not match')
+        // Clear only passwords, keep username and email
+        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }))
+        return
+      }
+      
+      try {
+        const success = await register(formData.username, formData.email, formData.password)
+        if (success) {
+          onClose()
+        }
+      } catch (e) {
+        setRegisterError(e.message || 'Registration failed')
+        // Keep username and email, clear passwords
+        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }))
+      }
+    }
+
+    return (
+      <div className="modal-backdrop" onClick={(e) => { 
+        e.preventDefault()
+        e.stopPropagation()
+        if (e.target === e.currentTarget) onClose() 
+      }}>
+        <div className="modal" onClick={(e) => { e.stopPropagation() }}>
+          <div className="modal-header">
+            <h3>Register</h3>
+            <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
+          </div>
+          <div className="modal-body">
+            <form onSubmit={handleSubmit}>
+              <div style={{ marginBottom: '1rem' }}>
+                <input
+                  type="text"
+                  placeholder="Username"
+                  value={formData.username}
+                  onChange={e => setFormData(prev => ({ ...prev, username: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
+                />
+                <input
+                  type="email"
+                  placeholder="Email"
+                  value={formData.email}
+                  onChange={e => setFormData(prev => ({ ...prev, email: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
+                />
+                <input
+                  type="password"
+                  placeholder="Password"
+                  value={formData.password}
+                  onChange={e => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
+                />
+                <input
+                  type="password"
+                  placeholder="Confirm Password"
+                  value={formData.confirmPassword}
+                  onChange={e => setFormData(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                  required
+                  style={{ width: '100%', padding: '0.75rem' }}
+                />
+              </div>
+              {registerError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px', position: 'relative', zIndex: 1001 }}>{registerError}</div>}
+              
+              <div className="modal-footer">
+                <button type="submit" className="btn btn-primary" disabled={authLoading}>
+                  {authLoading ? 'Registering...' : 'Register'}
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={() => { setShowLogin(true); onClose() }}>
+                  Login
+                </button>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
     )
   }
 
-  const EditModal = ({ task, onClose }) => {
+  const CreateModal = ({ onClose }) => {
     const [local, setLocal] = useState({
-      title: task.title,
-      description: task.description || '',
-      status: task.status,
-      dueDate: task.dueDate || ''
+      title: '', description: '', status: (workflow.find(s => !s.isDone) || workflow[0])?.key || 'pending', dueDate: '', dueTime: '',
+      reminders: [],
+      projectId: project !== 'all' && project !== 'none' ? project : '',
+      tagIds: [],
+      priority: 'normal',
+      estimateHours: '',
+      recurrence: null
     })
-    const [attachments, setAttachments] = useState(task.attachments || [])
-    const [editError, setEditError] = useState('')
+    const [availableTags, setAvailableTags] = useState(tags)
+    const [files, setFiles] = useState([])
+    const [fileInputKey, setFileInputKey] = useState(0)
+    const [createError, setCreateError] = useState('')
+    const [uploadProgress, setUploadProgress] = useState('')
+    // Creating from a template replaces the form with the template's placeholders
+    const [templateId, setTemplateId] = useState('')
+    const [placeholderValues, setPlaceholderValues] = useState({})
+    const template = templates.find(t => String(t.id) === templateId)
 
-    const save = async () => {
-      setEditError('')
+    const removeFile = (idx) => setFiles(prev => prev.filter((_, i) => i !== idx))
+
+    const addFiles = (newFiles) => {
+      if (newFiles && newFiles.length > 0) {
+        try {
+          validateFiles(Array.from(newFiles));
+          setFiles(prev => [...prev, ...Array.from(newFiles)])
+          setFileInputKey(prev => prev + 1)
+          setCreateError('') // Clear any previous errors
+        } catch (error) {
+          setCreateError(error.message);
+        }
+      }
+    }
+
+    const create = async () => {
+      setCreateError('')
       
       // Validation
       if (!local.title.trim()) {
-        setEditError('Title is required');
+        setCreateError('Title is required');
         return;
       }
       
       if (local.title.length > 255) {
-        setEditError('Title must be 255 characters or less');
+        setCreateError('Title must be 255 characters or less');
         return;
       }
       
       if (local.description.length > 10000) {
-        setEditError('Description must be 10,000 characters or less');
+        setCreateError('Description must be 10,000 characters or less');
+        return;
+      }
+
+      if (local.estimateHours !== '' && !(parseFloat(local.estimateHours) >= 0)) {
+        setCreateError('Estimate must be a number of hours');
         return;
       }
       
       try {
-        await fetchJson(`${apiBase}/tasks/${task.id}`, {
-          method: 'PUT', headers: { 'Content-Type': 'application/json' },
+        const created = await fetchJson(`${apiBase}/tasks`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             title: local.title,
             description: local.description,
             status: local.status,
-            dueDate: local.dueDate || null
+            dueDate: local.dueDate || null,
+            dueTime: local.dueDate && local.dueTime ? local.dueTime : null,
+            reminders: local.reminders,
+            estimateMinutes: hoursToMinutes(local.estimateHours),
+            projectId: local.projectId ? parseInt(local.projectId) : null,
+            tagIds: local.tagIds,
+            priority: local.priority,
+            recurrence: local.recurrence,
+            workspaceId
           })
         })
+        
+        // Upload files after task creation
+        // Upload files after task creation; the task exists by now, so failures are only reported
+        if (files && files.length) {
+          const failed = []
+          for (const [i, file] of files.entries()) {
+            try {
+              await uploadFile(created.id, file, (received, size) => {
+                setUploadProgress(`Uploading ${file.name} (${i + 1}/${files.length}): ${Math.floor(received / size * 100)}%`)
+              })
+            } catch (e) {
+              failed.push(`${file.name}: ${e.message}`)
+            }
+          }
+          setUploadProgress('')
+          if (failed.length) alert(`The task was created, but some files could not be uploaded:\n${failed.join('\n')}`)
+        }
+        
         onClose();
         load();
+        loadProjects();
+        loadTags();
       } catch (e) { 
-        setEditError(e.message)
+        setCreateError(e.message)
       }
     }
 
-    const uploadFiles = async (files) => {
-      if (!files || files.length === 0) return
-      
+    const createFromTemplate = async () => {
+      setCreateError('')
+      const missing = template.placeholders.find(name => !(placeholderValues[name] || '').trim())
+      if (missing) {
+        setCreateError(`Fill in {${missing}}`)
+        return
+      }
       try {
-        validateFiles(Array.from(files));
-        setEditError('') // Clear any previous errors
-      } catch (error) {
-        setEditError(error.message);
-        return;
+        await fetchJson(`${apiBase}/templates/${template.id}/tasks`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ values: placeholderValues, workspaceId })
+        })
+        onClose()
+        load()
+      } catch (e) {
+        setCreateError(e.message)
       }
-      
-      for (const file of Array.from(files)) {
-        const tempId = `temp-${Date.now()}-${Math.random().toString(16).slice(2)}`
-        const temp = { id: tempId, filename: file.name, originalName: file.name, url: '#', uploading: true }
-        setAttachments(prev => [...prev, temp])
+    }
 
-        const fd = new FormData();
-        fd.append('attachment', file)
-        try {
-          const token = typeof localStorage !== 'undefined' ? localStorage.getItem('authToken') : null
-          const res = await fetch(`${apiBase}/tasks/${task.id}/attachments`, { 
-            method: 'POST', 
-            body: fd,
-            credentials: 'include',
-            headers: token ? { 'Authorization': `Bearer ${token}` } : undefined
-          })
-          if (res.ok) {
-            const payload = await res.json().catch(()=>null)
-            const items = Array.isArray(payload) ? payload : (payload ? [payload] : [])
-            if (items.length) {
-              const created = items[0]
-              setAttachments(prev => prev.map(a => a.id === tempId ? {
-                id: created.id,
-                filename: created.filename,
-                originalName: created.originalName,
-                filePath: created.filePath,
-                url: created.url
-              } : a))
-            } else {
-              setAttachments(prev => prev.filter(a => a.id !== tempId))
-            }
-          } else {
-            const errorData = await res.json().catch(() => ({}));
-            setEditError(`File upload error: ${errorData.error || file.name}`)
-            setAttachments(prev => prev.filter(a => a.id !== tempId))
-          }
-        } catch (e) {
-          setEditError(`File upload error: ${e.message}`)
-          setAttachments(prev => prev.filter(a => a.id !== tempId))
-        }
+    return (
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+        <div className="modal">
+          <div className="modal-header">
+            <h3>Create Task</h3>
+            <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
+          </div>
+          <div className="modal-body">
+            {createError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{createError}</div>}
+            {uploadProgress ? <p className="muted">{uploadProgress}</p> : null}
+            {templates.length ? (
+              <label className="template-choice">
+                Start from{' '}
+                <select value={templateId} onChange={e=>{ setTemplateId(e.target.value); setPlaceholderValues({}) }}>
+                  <option value="">a blank task</option>
+                  {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+              </label>
+            ) : null}
+            {template ? (
+              <div className="template-fill">
+                {template.placeholders.map(name => (
+                  <label key={name}>
+                    {`{${name}}`}{' '}
+                    <input value={placeholderValues[name] || ''} onChange={e=>setPlaceholderValues(v=>({...v, [name]: e.target.value}))} />
+                  </label>
+                ))}
+                <p><strong>{fillPlaceholders(template.title, placeholderValues, user?.timeZone)}</strong></p>
+                {template.description ? <p className="muted">{fillPlaceholders(template.description, placeholderValues, user?.timeZone)}</p> : null}
+                <p className="muted">
+                  {template.status ? `${badgeText(template.status, workflow)} · ` : ''}{priorityText(template.priority)}
+                  {template.dueOffsetDays !== null ? ` · due ${offsetText(template.dueOffsetDays)}` : ''}
+                  {template.checklist.length ? ` · ${template.checklist.length} checklist item(s)` : ''}
+                  {template.attachments.length ? ` · ${template.attachments.length} file(s)` : ''}
+                </p>
+              </div>
+            ) : (
+              <>
+                <form className="inline" onSubmit={(e)=>{e.preventDefault(); create()}}>
+                  <input placeholder="Title" value={local.title} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} />
+                  <input type="date" value={local.dueDate} onChange={e=>setLocal(v=>({...v, dueDate: e.target.value}))} />
+                  <input type="time" value={local.dueTime} disabled={!local.dueDate} title="Due time (optional)" onChange={e=>setLocal(v=>({...v, dueTime: e.target.value}))} />
+                  <select value={local.status} onChange={e=>setLocal(v=>({...v, status: e.target.value}))}>
+                    {workflow.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+                  </select>
+                  <select value={local.priority} onChange={e=>setLocal(v=>({...v, priority: e.target.value}))} title="Priority">
+                    <option value="low">low</option>
+                    <option value="normal">normal</option>
+                    <option value="high">high</option>
+                    <option value="urgent">urgent</option>
+                  </select>
+                  <input type="number" min="0" step="0.25" placeholder="Estimate (h)" title="Estimate in hours" value={local.estimateHours}
+                    onChange={e=>setLocal(v=>({...v, estimateHours: e.target.value}))} style={{width:110}} />
+                  <select value={local.projectId} onChange={e=>setLocal(v=>({...v, projectId: e.target.value}))}>
+                    <option value="">No project</option>
+                    {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                  <input placeholder="Description" value={local.description} onChange={e=>setLocal(v=>({...v, description: e.target.value}))} style={{minWidth:220}} />
+                </form>
+                <TagPicker available={availableTags} selected={local.tagIds} onChange={tagIds=>setLocal(v=>({...v, tagIds}))}
+                  onCreated={tag=>setAvailableTags(prev=>[...prev, tag])} />
+                <ReminderPicker value={local.reminders} disabled={!local.dueDate} onChange={reminders=>setLocal(v=>({...v, reminders}))} />
+                <RecurrenceEditor value={local.recurrence} onChange={recurrence=>setLocal(v=>({...v, recurrence}))} />
+                <div className="attachments">
+                  <h4>Attachments</h4>
+                  <input 
+                    key={fileInputKey}
+                    type="file" 
+                    multiple 
+                    onChange={e=> { 
+                      addFiles(e.target.files); 
+                    }} 
+                  />
+                  {files && files.length ? (
+                    <ul style={{display:'flex',flexWrap:'wrap',gap:'0.5rem', marginTop:8}}>
+                      {files.map((f, idx) => (
+                        <li key={idx} className="chip">
+                          <span>{f.name}</span>
+                          <button className="delete-x" title="Remove" aria-label="Remove" onClick={()=>removeFile(idx)}>×</button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : null}
+                </div>
+              </>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-primary" onClick={template ? createFromTemplate : create}>Create</button>
+            <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const ProjectDeleteModal = ({ target, onClose }) => {
+    const others = projects.filter(p => p.id !== target.id)
+    const [mode, setMode] = useState('move')
+    const [moveTo, setMoveTo] = useState('')
+    const [deleteError, setDeleteError] = useState('')
+
+    const remove = async () => {
+      setDeleteError('')
+      const query = mode === 'move' && moveTo ? `mode=move&target=${moveTo}` : `mode=${mode}`
+      try {
+        await fetchJson(`${apiBase}/projects/${target.id}?${query}`, { method: 'DELETE' })
+        if (project === String(target.id)) setProject('all')
+        onClose()
+        loadProjects()
+        load()
+      } catch (e) {
+        setDeleteError(e.message)
       }
     }
 
-    const delAttachment = async (id) => {
+    return (
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+        <div className="modal">
+          <div className="modal-header">
+            <h3>Delete project "{target.name}"</h3>
+            <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
+          </div>
+          <div className="modal-body">
+            {deleteError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{deleteError}</div>}
+            <p style={{ marginBottom: '0.75rem' }}>This project has {target.taskCount} task(s). What should happen to them?</p>
+            <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+              <input type="radio" checked={mode === 'move'} onChange={()=>setMode('move')} /> Move them to{' '}
+              <select value={moveTo} onChange={e=>setMoveTo(e.target.value)} disabled={mode !== 'move'}>
+                <option value="">No project</option>
+                {others.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            </label>
+            <label style={{ display: 'block' }}>
+              <input type="radio" checked={mode === 'cascade'} onChange={()=>setMode('cascade')} /> Move them to the trash together with the project
+            </label>
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-delete" onClick={remove}>Delete</button>
+            <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  // Members, roles and invitations of the current workspace, invitations waiting for the user
+  // and new workspaces. Every change is saved immediately.
+  const WorkspaceModal = ({ onClose }) => {
+    const [details, setDetails] = useState(null)
+    const [name, setName] = useState('')
+    const [newName, setNewName] = useState('')
+    const [inviteRole, setInviteRole] = useState('member')
+    const [workspaceError, setWorkspaceError] = useState('')
+
+    const request = async (url, options) => {
+      setWorkspaceError('')
       try {
-        await fetchJson(`${apiBase}/attachments/${id}`, { method: 'DELETE' })
-        setAttachments(prev => prev.filter(a => a.id !== id))
-        setEditError('') // Clear any previous errors
+        return await fetchJson(url, options)
       } catch (e) {
         if (e.message === 'AUTH_REQUIRED') {
           setUser(null)
           setShowLogin(true)
         } else {
-          setEditError('Failed to delete attachment: ' + e.message)
+          setWorkspaceError(e.message)
         }
+        return null
+      }
+    }
+
+    const loadDetails = async () => {
+      const data = await request(`${apiBase}/workspaces/${workspaceId}`)
+      if (data) {
+        setDetails(data)
+        setName(data.name)
       }
     }
 
+    useEffect(() => { if (workspaceId) loadDetails() }, [workspaceId])
+
+    const json = (method, body) => ({ method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    const canManage = details && details.assignableRoles.length > 0
+
+    const rename = async () => {
+      if (!name.trim() || name.trim() === details.name) return
+      if (await request(`${apiBase}/workspaces/${details.id}`, json('PUT', { name: name.trim() }))) {
+        await loadWorkspaces()
+        await loadDetails()
+      }
+    }
+
+    const invite = async (target) => {
+      if (await request(`${apiBase}/workspaces/${details.id}/invitations`, json('POST', { userId: target.id, role: inviteRole }))) loadDetails()
+    }
+
+    const changeRole = async (member, role) => {
+      if (await request(`${apiBase}/workspaces/${details.id}/members/${member.userId}`, json('PUT', { role }))) loadDetails()
+    }
+
+    const removeMember = async (member) => {
+      const leaving = member.userId === user.id
+      if (!confirm(leaving ? `Leave "${details.name}"?` : `Remove ${member.username} from "${details.name}"?`)) return
+      if (!(await request(`${apiBase}/workspaces/${details.id}/members/${member.userId}`, { method: 'DELETE' }))) return
+      if (leaving) {
+        await loadWorkspaces()
+        onClose()
+      } else {
+        loadDetails()
+      }
+    }
+
+    const cancelInvitation = async (invitation) => {
+      if (await request(`${apiBase}/invitations/${invitation.id}`, { method: 'DELETE' })) loadDetails()
+    }
+
+    const deleteWorkspace = async () => {
+      if (!confirm(`Delete "${details.name}" and all of its tasks and files? This cannot be undone.`)) return
+      if (!(await request(`${apiBase}/workspaces/${details.id}`, { method: 'DELETE' }))) return
+      await loadWorkspaces()
+      onClose()
+    }
+
+    const answer = async (invitation, accept) => {
+      const joined = accept
+        ? await request(`${apiBase}/invitations/${invitation.id}/accept`, { method: 'POST' })
+        : await request(`${apiBase}/invitations/${invitation.id}`, { method: 'DELETE' })
+      if (!joined) return
+      await loadWorkspaces()
+      if (accept) switchWorkspace(joined.id)
+    }
+
+    const create = async () => {
+      if (!newName.trim()) return
+      const created = await request(`${apiBase}/workspaces`, json('POST', { name: newName.trim() }))
+      if (!created) return
+      setNewName('')
+      await loadWorkspaces()
+      switchWorkspace(created.id)
+    }
+
     return (
       <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
         <div className="modal">
           <div className="modal-header">
-            <h3>Edit Task</h3>
+            <h3>Workspace</h3>
             <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
           </div>
           <div className="modal-body">
-            {editError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{editError}</div>}
-            <form className="inline" onSubmit={(e)=>{e.preventDefault(); save()}}>
-              <input value={local.title} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} />
-              <input type="date" value={local.dueDate} onChange={e=>setLocal(v=>({...v, dueDate: e.target.value}))} />
-              <select value={local.status} onChange={e=>setLocal(v=>({...v, status: e.target.value}))}>
-                <option value="pending">pending</option>
-                <option value="in-progress">in-progress</option>
-                <option value="completed">completed</option>
-              </select>
-              <input value={local.description} onChange={e=>setLocal(v=>({...v, description: e.target.value}))} style={{minWidth:220}} />
+            {workspaceError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{workspaceError}</div>}
+            {invitations.length ? (
+              <div className="workspace-invitations">
+                <h4>Invitations</h4>
+                <ul>
+                  {invitations.map(inv => (
+                    <li key={inv.id} className="sharing-row">
+                      <span><strong>{inv.workspaceName}</strong> as {inv.role}{inv.invitedBy ? <span className="muted"> · from {inv.invitedBy}</span> : null}</span>
+                      <button className="btn btn-edit" onClick={()=>answer(inv, true)}>Join</button>
+                      <button className="btn btn-secondary" onClick={()=>answer(inv, false)}>Decline</button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
+
+            {!details ? <p className="muted">Loading...</p> : (
+              <>
+                <form className="inline" onSubmit={(e)=>{e.preventDefault(); rename()}}>
+                  {details.role === 'owner' || details.role === 'admin' ? (
+                    <>
+                      <input value={name} maxLength={100} onChange={e=>setName(e.target.value)} />
+                      <button type="submit" className="btn btn-secondary" disabled={!name.trim() || name.trim() === details.name}>Rename</button>
+                    </>
+                  ) : <strong>{details.name}</strong>}
+                  <span className="muted">Your role: {details.role}</span>
+                </form>
+
+                <div className="sharing">
+                  <h4>Members ({details.members.length})</h4>
+                  <ul>
+                    {details.members.map(m => (
+                      <li key={m.userId} className="sharing-row">
+                        {m.username}{m.userId === user.id ? <span className="muted"> (you)</span> : null}
+                        {m.userId !== user.id && details.assignableRoles.includes(m.role) ? (
+                          <select value={m.role} onChange={e=>changeRole(m, e.target.value)}>
+                            {details.assignableRoles.map(r => <option key={r} value={r}>{r}</option>)}
+                          </select>
+                        ) : <span className="muted">{m.role}</span>}
+                        {(m.userId === user.id && m.role !== 'owner') || (m.userId !== user.id && details.assignableRoles.includes(m.role)) ? (
+                          <button type="button" className="btn btn-secondary" onClick={()=>removeMember(m)}>{m.userId === user.id ? 'Leave' : 'Remove'}</button>
+                        ) : null}
+                      </li>
+                    ))}
+                  </ul>
+                  {canManage && !details.personal ? (
+                    <>
+                      <div className="sharing-row">
+                        <UserPicker placeholder="Invite…" exclude={[...details.members.map(m => m.userId), ...details.invitations.map(i => i.userId)]} onSelect={invite} />
+                        <select value={inviteRole} onChange={e=>setInviteRole(e.target.value)}>
+                          {details.assignableRoles.map(r => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                      </div>
+                      {details.invitations.length ? (
+                        <ul>
+                          {details.invitations.map(inv => (
+                            <li key={inv.id} className="sharing-row muted">
+                              {inv.username} invited as {inv.role}
+                              <button type="button" aria-label="Cancel invitation" title="Cancel invitation" className="delete-x" onClick={()=>cancelInvitation(inv)}>×</button>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : null}
+                    </>
+                  ) : null}
+                  {details.personal ? <p className="muted">Your personal workspace is only yours. Create a workspace to work with others.</p> : null}
+                </div>
+
+                {details.role === 'owner' && !details.personal ? (
+                  <button className="btn btn-delete" onClick={deleteWorkspace}>Delete workspace</button>
+                ) : null}
+              </>
+            )}
+
+            <form className="inline workspace-create" onSubmit={(e)=>{e.preventDefault(); create()}}>
+              <input placeholder="New workspace name" maxLength={100} value={newName} onChange={e=>setNewName(e.target.value)} />
+              <button type="submit" className="btn btn-primary" disabled={!newName.trim()}>Create workspace</button>
             </form>
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-secondary" onClick={onClose}>Close</button>
+          </div>
+        </div>
+      </div>
+    )
+  }
 
-            <div className="attachments">
-              <h4>Attachments</h4>
-              <ul style={{display:'flex',flexWrap:'wrap',gap:'0.5rem'}}>
-                {attachments?.length ? attachments.map(a => (
-                  <li key={a.id} style={{display:'flex', alignItems:'center', gap:6}}>
-                    <a href={a.url} target="_blank" rel="noreferrer">{a.originalName || a.filename}</a>
-                    {a.uploading ? <span className="uploading">(uploading…)</span> : (
-                      <button aria-label="Delete file" title="Delete" className="delete-x" onClick={()=>delAttachment(a.id)}>×</button>
-                    )}
+  // Deleted tasks; restoring or purging is immediate, the task list refreshes on close
+  const TrashModal = ({ onClose }) => {
+    const [items, setItems] = useState(null)
+    const [trashError, setTrashError] = useState('')
+    const [changed, setChanged] = useState(false)
+
+    useEffect(() => {
+      fetchJson(`${apiBase}/trash`)
+        .then(setItems)
+        .catch(e => {
+          if (e.message === 'AUTH_REQUIRED') {
+            setUser(null)
+            setShowLogin(true)
+          } else {
+            setTrashError(e.message)
+          }
+        })
+    }, [])
+
+    const close = () => {
+      onClose()
+      if (changed) {
+        load()
+        loadProjects()
+      }
+    }
+
+    const restore = async (item) => {
+      setTrashError('')
+      try {
+        await fetchJson(`${apiBase}/trash/${item.id}/restore`, { method: 'POST' })
+        setItems(prev => prev.filter(x => x.id !== item.id))
+        setChanged(true)
+      } catch (e) {
+        setTrashError(e.message)
+      }
+    }
+
+    const purge = async (item) => {
+      if (!confirm(`Permanently delete "${item.title}"${item.attachmentCount ? ` and its ${item.attachmentCount} file(s)` : ''}? This cannot be undone.`)) return
+      setTrashError('')
+      try {
+        await fetchJson(`${apiBase}/trash/${item.id}`, { method: 'DELETE' })
+        setItems(prev => prev.filter(x => x.id !== item.id))
+      } catch (e) {
+        setTrashError(e.message)
+      }
+    }
+
+    return (
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) close() }}>
+        <div className="modal">
+          <div className="modal-header">
+            <h3>Trash</h3>
+            <button aria-label="Close" className="delete-x" onClick={close}>×</button>
+          </div>
+          <div className="modal-body">
+            {trashError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{trashError}</div>}
+            {!items ? <p className="muted">Loading...</p> : items.length ? (
+              <ul className="trash-list">
+                {items.map(item => (
+                  <li key={item.id}>
+                    <div className="trash-title">
+                      <strong>{item.title}</strong>
+                      <span className="muted">
+                        Deleted {new Date(item.deletedAt).toLocaleString()}, removed for good on {new Date(item.purgeAt).toLocaleDateString()}
+                        {item.attachmentCount ? ` · ${item.attachmentCount} file(s)` : ''}
+                      </span>
+                    </div>
+                    <button className="btn btn-edit" onClick={()=>restore(item)}>Restore</button>
+                    <button className="btn btn-delete" onClick={()=>purge(item)}>Delete forever</button>
                   </li>
-                )) : <li><span className="muted">No attachments</span></li>}
+                ))}
               </ul>
-              <form className="inline" onSubmit={(e)=>{e.preventDefault()}}>
-                <input type="file" multiple onChange={e=> { uploadFiles(e.target.files); e.target.value=''; }} />
-              </form>
-            </div>
+            ) : <p className="muted">The trash is empty.</p>}
           </div>
           <div className="modal-footer">
-            <button className="btn btn-edit" onClick={save}>Save</button>
-            <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button className="btn btn-secondary" onClick={close}>Close</button>
           </div>
         </div>
       </div>
     )
   }
 
-  const LoginModal = ({ onClose }) => {
-    const [formData, setFormData] = useState({ username: '', password: '' })
-    const [loginError, setLoginError] = useState('')
-
-    const handleSubmit = async (e) => {
-      e.preventDefault()
-      e.stopPropagation()
-      setLoginError('')
-      
-      // Basic validation
-      if (!formData.username || !formData.password) {
-        setLoginError('Please enter both username and password')
-        return
-      }
-      
+  // Rename, recolour and delete tags; changes show on every task using the tag
+  // Time logged per day or week and status. The CSV comes from the same endpoint over HTTP.
+  const ReportModal = ({ onClose }) => {
+    const [query, setQuery] = useState(() => ({
+      groupBy: 'day',
+      from: localDateTime(Date.now() - 13 * 86400000).slice(0, 10),
+      to: localDateTime(Date.now()).slice(0, 10)
+    }))
+    const [report, setReport] = useState(null)
+    const [reportError, setReportError] = useState('')
+
+    const reportUrl = (format) => {
+      const params = new URLSearchParams({ groupBy: query.groupBy, format })
+      if (query.from) params.set('from', query.from)
+      if (query.to) params.set('to', query.to)
+      if (project !== 'all') params.set('project', project)
+      return `${apiBase}/reports/time?${params}`
+    }
+
+    useEffect(() => {
+      let active = true
+      setReportError('')
+      fetchJson(reportUrl('json'))
+        .then(data => { if (active) setReport(data) })
+        .catch(e => {
+          if (!active) return
+          if (e.message === 'AUTH_REQUIRED') {
+            setUser(null)
+            setShowLogin(true)
+          } else {
+            setReportError(e.message)
+          }
+        })
+      return () => { active = false }
+    }, [query])
+
+    const downloadCsv = async () => {
+      setReportError('')
       try {
-        const success = await login(formData.username, formData.password)
-        if (success) {
-          onClose()
-        }
+        const token = localStorage.getItem('authToken')
+        const res = await fetch(reportUrl('csv'), { credentials: 'include', headers: token ? { 'Authorization': `Bearer ${token}` } : {} })
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Download failed')
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(await res.blob())
+        link.download = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'time-report.csv'
+        link.click()
+        URL.revokeObjectURL(link.href)
       } catch (e) {
-        setLoginError(e.message || 'Invalid username or password')
-        // Clear only password, keep username
-        setFormData(prev => ({ ...prev, password: '' }))
+        setReportError(e.message)
       }
     }
 
     return (
-      <div className="modal-backdrop" onClick={(e) => { 
-        e.preventDefault()
-        e.stopPropagation()
-        if (e.target === e.currentTarget) onClose() 
-      }}>
-        <div className="modal" onClick={(e) => { e.stopPropagation() }}>
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+        <div className="modal">
           <div className="modal-header">
-            <h3>Login</h3>
+            <h3>Time report{project !== 'all' ? ` · ${project === 'none' ? 'No project' : projectName(parseInt(project))}` : ''}</h3>
             <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
           </div>
           <div className="modal-body">
-            <form onSubmit={handleSubmit}>
-              <div style={{ marginBottom: '1rem' }}>
-                <input
-                  type="text"
-                  placeholder="Username"
-                  value={formData.username}
-                  onChange={e => setFormData(prev => ({ ...prev, username: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
-                />
-                <input
-                  type="password"
-                  placeholder="Password"
-                  value={formData.password}
-                  onChange={e => setFormData(prev => ({ ...prev, password: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem' }}
-                />
-              </div>
-              {loginError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px', position: 'relative', zIndex: 1001 }}>{loginError}</div>}
-              
-              <div className="modal-footer">
-                <button type="submit" className="btn btn-primary" disabled={authLoading}>
-                  {authLoading ? 'Logging in...' : 'Login'}
-                </button>
-                <button type="button" className="btn btn-secondary" onClick={() => { setShowRegister(true); onClose() }}>
-                  Register
-                </button>
-                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-              </div>
+            {reportError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{reportError}</div>}
+            <form className="inline" onSubmit={(e)=>e.preventDefault()}>
+              <select value={query.groupBy} onChange={e=>setQuery(q=>({...q, groupBy: e.target.value}))}>
+                <option value="day">By day</option>
+                <option value="week">By week</option>
+              </select>
+              <label>From <input type="date" value={query.from} onChange={e=>setQuery(q=>({...q, from: e.target.value}))} /></label>
+              <label>to <input type="date" value={query.to} onChange={e=>setQuery(q=>({...q, to: e.target.value}))} /></label>
             </form>
+            {report ? (
+              <table className="time-report">
+                <thead>
+                  <tr><th>{report.groupBy === 'week' ? 'Week of' : 'Day'}</th><th>Status</th><th>Tasks</th><th>Time</th></tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(r => (
+                    <tr key={`${r.period}-${r.status}`}>
+                      <td>{r.period}</td><td>{badgeText(r.status, workflow)}</td><td>{r.taskCount}</td><td>{formatDuration(r.seconds)}</td>
+                    </tr>
+                  ))}
+                  {!report.rows.length ? <tr><td colSpan={4} className="muted">No time logged in this range</td></tr> : null}
+                </tbody>
+                <tfoot>
+                  <tr><th colSpan={3}>Total</th><th>{formatDuration(report.totals.seconds)}</th></tr>
+                </tfoot>
+              </table>
+            ) : <p className="muted">Loading...</p>}
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-primary" onClick={downloadCsv}>Download CSV</button>
+            <button className="btn btn-secondary" onClick={onClose}>Close</button>
           </div>
         </div>
       </div>
     )
   }
 
-  const RegisterModal = ({ onClose }) => {
-    const [formData, setFormData] = useState({ username: '', email: '', password: '', confirmPassword: '' })
-    const [registerError, setRegisterError] = useState('')
+  const TagsModal = ({ onClose }) => {
+    const [drafts, setDrafts] = useState(() => Object.fromEntries(tags.map(t => [t.id, { name: t.name, color: t.color }])))
+    const [tagsError, setTagsError] = useState('')
 
-    const handleSubmit = async (e) => {
-      e.preventDefault()
-      e.stopPropagation()
-      setRegisterError('')
-      
-      // Frontend validation
-      if (!formData.username || !formData.email || !formData.password || !formData.confirmPassword) {
-        setRegisterError('Please fill in all fields')
-        return
-      }
-      
-      if (formData.username.length < 3 || formData.username.length > 50) {
-        setRegisterError('Username must be 3-50 characters')
-        return
-      }
-      
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(formData.email)) {
-        setRegisterError('Please enter a valid email address')
-        return
-      }
-      
-      if (formData.password.length < 6) {
-        setRegisterError('Password must be at least 6 characters')
-        return
-      }
-      
-      if (formData.password !== formData.confirmPassword) {
-        setRegisterError('Passwords do not match')
-        // Clear only passwords, keep username and email
-        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }))
-        return
+    const saveTag = async (tag) => {
+      setTagsError('')
+      try {
+        await fetchJson(`${apiBase}/tags/${tag.id}`, {
+          method: 'PUT', headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(drafts[tag.id])
+        })
+        await loadTags()
+        load()
+      } catch (e) {
+        setTagsError(e.message)
       }
-      
+    }
+
+    const removeTag = async (tag) => {
+      if (!confirm(`Delete tag "${tag.name}"? It will be removed from ${tag.taskCount} task(s).`)) return
+      setTagsError('')
       try {
-        const success = await register(formData.username, formData.email, formData.password)
-        if (success) {
-          onClose()
-        }
+        await fetchJson(`${apiBase}/tags/${tag.id}`, { method: 'DELETE' })
+        await loadTags()
+        load()
       } catch (e) {
-        setRegisterError(e.message || 'Registration failed')
-        // Keep username and email, clear passwords
-        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }))
+        setTagsError(e.message)
       }
     }
 
     return (
-      <div className="modal-backdrop" onClick={(e) => { 
-        e.preventDefault()
-        e.stopPropagation()
-        if (e.target === e.currentTarget) onClose() 
-      }}>
-        <div className="modal" onClick={(e) => { e.stopPropagation() }}>
+      <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
+        <div className="modal">
           <div className="modal-header">
-            <h3>Register</h3>
+            <h3>Tags</h3>
             <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
           </div>
           <div className="modal-body">
-            <form onSubmit={handleSubmit}>
-              <div style={{ marginBottom: '1rem' }}>
-                <input
-                  type="text"
-                  placeholder="Username"
-                  value={formData.username}
-                  onChange={e => setFormData(prev => ({ ...prev, username: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
-                />
-                <input
-                  type="email"
-                  placeholder="Email"
-                  value={formData.email}
-                  onChange={e => setFormData(prev => ({ ...prev, email: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
-                />
-                <input
-                  type="password"
-                  placeholder="Password"
-                  value={formData.password}
-                  onChange={e => setFormData(prev => ({ ...prev, password: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem', marginBottom: '0.5rem' }}
-                />
-                <input
-                  type="password"
-                  placeholder="Confirm Password"
-                  value={formData.confirmPassword}
-                  onChange={e => setFormData(prev => ({ ...prev, confirmPassword: e.target.value }))}
-                  required
-                  style={{ width: '100%', padding: '0.75rem' }}
-                />
-              </div>
-              {registerError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px', position: 'relative', zIndex: 1001 }}>{registerError}</div>}
-              
-              <div className="modal-footer">
-                <button type="submit" className="btn btn-primary" disabled={authLoading}>
-                  {authLoading ? 'Registering...' : 'Register'}
-                </button>
-                <button type="button" className="btn btn-secondary" onClick={() => { setShowLogin(true); onClose() }}>
-                  Login
-                </button>
-                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-              </div>
-            </form>
+            {tagsError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{tagsError}</div>}
+            {tags.length ? tags.map(tag => (
+              <form key={tag.id} className="inline" style={{ marginBottom: '0.5rem' }} onSubmit={(e)=>{e.preventDefault(); saveTag(tag)}}>
+                <input value={drafts[tag.id]?.name ?? tag.name} onChange={e=>setDrafts(d=>({...d, [tag.id]: {...d[tag.id], name: e.target.value}}))} />
+                <input type="color" value={drafts[tag.id]?.color ?? tag.color} onChange={e=>setDrafts(d=>({...d, [tag.id]: {...d[tag.id], color: e.target.value}}))} />
+                <span className="muted">{tag.taskCount} task(s)</span>
+                <button type="submit" className="btn btn-edit">Save</button>
+                <button type="button" aria-label="Delete tag" className="delete-x" onClick={()=>removeTag(tag)}>×</button>
+              </form>
+            )) : <p className="muted">No tags yet. Add them from a task.</p>}
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-secondary" onClick={onClose}>Close</button>
           </div>
         </div>
       </div>
     )
   }
 
-  const CreateModal = ({ onClose }) => {
-    const [local, setLocal] = useState({ title: '', description: '', status: 'pending', dueDate: '' })
-    const [files, setFiles] = useState([])
-    const [fileInputKey, setFileInputKey] = useState(0)
-    const [createError, setCreateError] = useState('')
-
-    const removeFile = (idx) => setFiles(prev => prev.filter((_, i) => i !== idx))
+  // Edit the ordered statuses, their colours, done flags and allowed transitions
+  const WorkflowModal = ({ onClose }) => {
+    const [draft, setDraft] = useState(() => workflow.map(s => ({ ...s, originalKey: s.key })))
+    const [remap, setRemap] = useState({})
+    const [workflowError, setWorkflowError] = useState('')
 
-    const addFiles = (newFiles) => {
-      if (newFiles && newFiles.length > 0) {
-        try {
-          validateFiles(Array.from(newFiles));
-          setFiles(prev => [...prev, ...Array.from(newFiles)])
-          setFileInputKey(prev => prev + 1)
-          setCreateError('') // Clear any previous errors
-        } catch (error) {
-          setCreateError(error.message);
-        }
-      }
+    const update = (idx, patch) => setDraft(d => d.map((s, i) => i === idx ? { ...s, ...patch } : s))
+    const move = (idx, delta) => setDraft(d => {
+      const target = idx + delta
+      if (target < 0 || target >= d.length) return d
+      const next = [...d]
+      ;[next[idx], next[target]] = [next[target], next[idx]]
+      return next
+    })
+    const remove = (idx) => setDraft(d => d.filter((_, i) => i !== idx))
+    const add = () => setDraft(d => [...d, { key: '', name: '', color: '#94a3b8', isDone: false, next: null }])
+    const toggleNext = (idx, key) => {
+      const s = draft[idx]
+      const current = s.next || draft.map(o => o.key || o.originalKey)
+      update(idx, { next: current.includes(key) ? current.filter(k => k !== key) : [...current, key] })
     }
 
-    const create = async () => {
-      setCreateError('')
-      
-      // Validation
-      if (!local.title.trim()) {
-        setCreateError('Title is required');
-        return;
-      }
-      
-      if (local.title.length > 255) {
-        setCreateError('Title must be 255 characters or less');
-        return;
-      }
-      
-      if (local.description.length > 10000) {
-        setCreateError('Description must be 10,000 characters or less');
-        return;
-      }
-      
+    // Statuses removed from the workflow; their tasks are moved to the chosen replacement
+    const removed = workflow.filter(s => !draft.some(d => d.originalKey === s.key))
+
+    const save = async () => {
+      setWorkflowError('')
+      const fallback = draft.find(d => d.originalKey)?.originalKey
+      const finalRemap = Object.fromEntries(removed.map(s => [s.key, remap[s.key] || fallback]))
       try {
-        const created = await fetchJson(`${apiBase}/tasks`, {
-          method: 'POST', headers: { 'Content-Type': 'application/json' },
+        await fetchJson(`${apiBase}/workflow`, {
+          method: 'PUT', headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            title: local.title,
-            description: local.description,
-            status: local.status,
-            dueDate: local.dueDate || null
+            statuses: draft.map(({ originalKey, position, ...s }) => ({ ...s, key: originalKey || s.key || s.name })),
+            remap: finalRemap
           })
         })
-        
-        // Upload files after task creation
-        if (files && files.length) {
-          for (const file of files) {
-            const fd = new FormData();
-            fd.append('attachment', file)
-            await fetch(`${apiBase}/tasks/${created.id}/attachments`, { 
-              method: 'POST', 
-              body: fd,
-              credentials: 'include',
-              headers: (()=>{ const t = localStorage.getItem('authToken'); return t ? { 'Authorization': `Bearer ${t}` } : {} })()
-            })
-          }
-        }
-        
-        onClose();
-        load();
-      } catch (e) { 
-        setCreateError(e.message)
+        onClose()
+        loadWorkflow()
+        load()
+      } catch (e) {
+        setWorkflowError(e.message)
       }
     }
 
@@ -756,45 +3577,52 @@ function App() {
       <div className="modal-backdrop" onClick={(e)=>{ if (e.target === e.currentTarget) onClose() }}>
         <div className="modal">
           <div className="modal-header">
-            <h3>Create Task</h3>
+            <h3>Workflow</h3>
             <button aria-label="Close" className="delete-x" onClick={onClose}>×</button>
           </div>
           <div className="modal-body">
-            {createError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{createError}</div>}
-            <form className="inline" onSubmit={(e)=>{e.preventDefault(); create()}}>
-              <input placeholder="Title" value={local.title} onChange={e=>setLocal(v=>({...v, title: e.target.value}))} />
-              <input type="date" value={local.dueDate} onChange={e=>setLocal(v=>({...v, dueDate: e.target.value}))} />
-              <select value={local.status} onChange={e=>setLocal(v=>({...v, status: e.target.value}))}>
-                <option value="pending">pending</option>
-                <option value="in-progress">in-progress</option>
-                <option value="completed">completed</option>
-              </select>
-              <input placeholder="Description" value={local.description} onChange={e=>setLocal(v=>({...v, description: e.target.value}))} style={{minWidth:220}} />
-            </form>
-            <div className="attachments">
-              <h4>Attachments</h4>
-              <input 
-                key={fileInputKey}
-                type="file" 
-                multiple 
-                onChange={e=> { 
-                  addFiles(e.target.files); 
-                }} 
-              />
-              {files && files.length ? (
-                <ul style={{display:'flex',flexWrap:'wrap',gap:'0.5rem', marginTop:8}}>
-                  {files.map((f, idx) => (
-                    <li key={idx} className="chip">
-                      <span>{f.name}</span>
-                      <button className="delete-x" title="Remove" aria-label="Remove" onClick={()=>removeFile(idx)}>×</button>
-                    </li>
-                  ))}
-                </ul>
-              ) : null}
-            </div>
+            {workflowError && <div style={{ color: 'red', marginBottom: '1rem', padding: '0.5rem', backgroundColor: '#ffe6e6', border: '1px solid #ff0000', borderRadius: '4px' }}>{workflowError}</div>}
+            {draft.map((s, idx) => (
+              <div key={s.originalKey || `new-${idx}`} className="workflow-row">
+                <form className="inline" onSubmit={(e)=>e.preventDefault()}>
+                  <input placeholder="Status name" value={s.name} onChange={e=>update(idx, { name: e.target.value })} />
+                  <input type="color" value={s.color} onChange={e=>update(idx, { color: e.target.value })} />
+                  <label><input type="checkbox" checked={s.isDone} onChange={e=>update(idx, { isDone: e.target.checked })} /> counts as done</label>
+                  <button type="button" className="btn-icon" title="Move up" disabled={idx === 0} onClick={()=>move(idx, -1)}>↑</button>
+                  <button type="button" className="btn-icon" title="Move down" disabled={idx === draft.length - 1} onClick={()=>move(idx, 1)}>↓</button>
+                  <button type="button" aria-label="Remove status" className="delete-x" onClick={()=>remove(idx)}>×</button>
+                </form>
+                {s.originalKey ? (
+                  <div className="workflow-next">
+                    <span className="muted">Can move to:</span>
+                    <label><input type="checkbox" checked={!s.next} onChange={e=>update(idx, { next: e.target.checked ? null : [] })} /> any</label>
+                    {s.next ? draft.filter(o => o.originalKey && o.originalKey !== s.originalKey).map(o => (
+                      <label key={o.originalKey}>
+                        <input type="checkbox" checked={s.next.includes(o.originalKey)} onChange={()=>toggleNext(idx, o.originalKey)} /> {o.name}
+                      </label>
+                    )) : null}
+                  </div>
+                ) : null}
+              </div>
+            ))}
+            <button type="button" className="btn btn-secondary" onClick={add}>Add status</button>
+            {removed.length ? (
+              <div className="workflow-remap">
+                <h4>Move tasks from removed statuses</h4>
+                {removed.map(s => (
+                  <label key={s.key}>
+                    {s.name} →{' '}
+                    <select value={remap[s.key] || ''} onChange={e=>setRemap(r=>({ ...r, [s.key]: e.target.value }))}>
+                      <option value="">{draft.find(d => d.originalKey)?.name || '(first status)'}</option>
+                      {draft.filter(d => d.originalKey).map(d => <option key={d.originalKey} value={d.originalKey}>{d.name}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            ) : null}
           </div>
           <div className="modal-footer">
-            <button className="btn btn-primary" onClick={create}>Create</button>
+            <button className="btn btn-primary" onClick={save}>Save</button>
             <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
           </div>
         </div>
@@ -802,6 +3630,9 @@ function App() {
     )
   }
 
+  const selectedProject = projects.find(p => String(p.id) === project)
+  const currentWorkspace = workspaces.find(w => w.id === workspaceId)
+
   return (
     <>
       <header>
@@ -811,12 +3642,54 @@ function App() {
             {user ? (
               <>
                 <span style={{ marginRight: '1rem' }}>Welcome, {user.username}!</span>
-                <button className="btn btn-primary" onClick={()=>setShowCreate(true)}>Add</button>
+                <select className="header-filter" value={workspaceId ?? ''} onChange={e=>switchWorkspace(parseInt(e.target.value))} title="Workspace">
+                  {workspaces.map(w => <option key={w.id} value={w.id}>{w.name}{w.personal ? '' : ` (${w.role})`}</option>)}
+                </select>
+                <button className="btn btn-secondary" onClick={()=>setShowWorkspace(true)}>
+                  Workspace{invitations.length ? <span className="badge-count">{invitations.length}</span> : null}
+                </button>
+                {currentWorkspace?.role !== 'viewer' ? <button className="btn btn-primary" onClick={()=>setShowCreate(true)}>Add</button> : null}
+                <select className="header-filter" value={project} onChange={e=>setProject(e.target.value)}>
+                  <option value="all">All projects</option>
+                  <option value="none">No project</option>
+                  {projects.map(p => <option key={p.id} value={p.id}>{p.name} ({p.taskCount})</option>)}
+                </select>
+                <button className="btn btn-secondary" title="New project" onClick={createProject}>+ Project</button>
+                {selectedProject ? (
+                  <>
+                    <button className="btn btn-secondary" onClick={()=>renameProject(selectedProject)}>Rename</button>
+                    <button className="btn btn-delete" onClick={()=>setDeletingProject(selectedProject)}>Delete project</button>
+                  </>
+                ) : null}
+                <input type="search" className="header-filter search-box" placeholder="Search tasks and files…"
+                  value={searchInput} onChange={e=>setSearchInput(e.target.value)} />
+                <select className="header-filter" value={view} onChange={e=>setView(e.target.value)} title="Whose tasks">
+                  <option value="all">All my tasks</option>
+                  <option value="owned">Created by me</option>
+                  <option value="assigned">Assigned to me</option>
+                  <option value="shared">Shared with me</option>
+                </select>
                 <select className="header-filter" value={status} onChange={e=>setStatus(e.target.value)}>
                   <option value="all">All</option>
-                  <option value="pending">Pending</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="completed">Completed</option>
+                  {workflow.map(s => <option key={s.key} value={s.key}>{s.name}</option>)}
+                </select>
+                <button className="btn btn-secondary" onClick={()=>setShowWorkflow(true)}>Workflow</button>
+                <select className="header-filter" value={sort} onChange={e=>setSort(e.target.value)} title="Sort">
+                  <option value="created">Newest first</option>
+                  <option value="updated">Recently updated</option>
+                  <option value="priority">Priority</option>
+                  <option value="due">Due date</option>
+                  <option value="title">Title</option>
+                  <option value="manual">Manual (drag to reorder)</option>
+                </select>
+                <button className={`btn btn-secondary${showFilters ? ' active' : ''}`} onClick={()=>setShowFilters(v => !v)}>Filters</button>
+                <button className="btn btn-secondary" onClick={()=>setShowTags(true)}>Tags</button>
+                <button className="btn btn-secondary" onClick={()=>setShowTemplates(true)}>Templates</button>
+                <button className="btn btn-secondary" onClick={()=>setShowTrash(true)}>Trash</button>
+                <button className="btn btn-secondary" onClick={()=>setShowReport(true)}>Time report</button>
+                <RunningTimer userId={user.id} onOpen={openTask} onStopped={load} />
+                <select className="header-filter" value={user.timeZone || 'UTC'} onChange={e=>changeTimeZone(e.target.value)} title="Time zone for due dates and reminders">
+                  {timeZoneOptions(user.timeZone).map(zone => <option key={zone} value={zone}>{zone === DEVICE_TIME_ZONE ? `${zone} (this device)` : zone}</option>)}
                 </select>
                 <a href="#" onClick={(e)=>{e.preventDefault(); load()}}>Refresh</a>
                 <button className="btn btn-secondary" onClick={logout}>Logout</button>
@@ -828,6 +3701,31 @@ function App() {
               </>
             )}
           </div>
+          {user && showFilters ? (
+            <div className="header-toolbar list-filters">
+              <label>Due from <input type="date" value={filters.dueFrom} onChange={e=>setFilters(f=>({...f, dueFrom: e.target.value}))} /></label>
+              <label>to <input type="date" value={filters.dueTo} onChange={e=>setFilters(f=>({...f, dueTo: e.target.value}))} /></label>
+              <label><input type="checkbox" checked={filters.overdue} onChange={e=>setFilters(f=>({...f, overdue: e.target.checked}))} /> Overdue only</label>
+              <select className="header-filter" value={filters.hasAttachments} onChange={e=>setFilters(f=>({...f, hasAttachments: e.target.value}))} title="Attachments">
+                <option value="">With or without files</option>
+                <option value="true">With files</option>
+                <option value="false">Without files</option>
+              </select>
+              <button type="button" className="btn btn-secondary" onClick={()=>setFilters({ dueFrom: '', dueTo: '', overdue: false, hasAttachments: '' })}>Clear</button>
+            </div>
+          ) : null}
+          {user && tags.length ? (
+            <div className="header-toolbar tag-filter">
+              {tags.map(tag => (
+                <button key={tag.id} type="button" className={`tag tag-toggle${tagFilter.includes(tag.name) ? ' selected' : ''}`}
+                  style={{ background: tag.color }} onClick={()=>toggleTagFilter(tag.name)}>{tag.name}</button>
+              ))}
+              <select className="header-filter" value={tagMatch} onChange={e=>setTagMatch(e.target.value)} title="Tag match mode">
+                <option value="any">Any tag</option>
+                <option value="all">All tags</option>
+              </select>
+            </div>
+          ) : null}
         </nav>
       </header>
 
@@ -836,7 +3734,15 @@ function App() {
           <section style={{flex:'1 1 auto'}}>
             {user ? (
               <div className="tasks">
-                <h2>Tasks ({tasks.length})</h2>
+                <h2>
+                  {search ? 'Results for "' + search + '"' : 'Tasks'} ({tasks.length}{nextCursor ? '+' : ''}){' '}
+                  {!selected ? <button className="btn btn-secondary" onClick={()=>setSelected([])}>Select</button> : null}
+                </h2>
+                {selected ? (
+                  <BulkToolbar selected={selected} onSelect={setSelected} tasks={tasks} workflow={workflow} projects={projects}
+                    workspaces={workspaces} workspaceId={workspaceId}
+                    onChanged={()=>{ load(); loadProjects() }} onAuthRequired={()=>{ setUser(null); setShowLogin(true) }} />
+                ) : null}
                 {loading ? <div className="no-tasks"><p>Loading...</p></div> : (
                   tasks.length === 0 ? (
                     <div className="no-tasks"><p>No tasks found.</p></div>
@@ -846,6 +3752,9 @@ function App() {
                     </div>
                   )
                 )}
+                <div ref={sentinelRef} className="scroll-sentinel">
+                  {loadingMore ? <p className="muted">Loading more...</p> : null}
+                </div>
               </div>
             ) : (
               <div className="welcome-message" style={{textAlign: 'center', padding: '2rem'}}>
@@ -861,8 +3770,30 @@ function App() {
         <p>&copy; 2025 Task Manager by Rita</p>
       </footer>
 
+      {reminderAlerts.length ? (
+        <div className="reminder-toasts">
+          {reminderAlerts.map(r => (
+            <div key={r.id} className="reminder-toast" role="alert">
+              <strong>🔔 {r.title}</strong>
+              <span className="muted">Due {formatDue(r)} · {reminderText(r.minutesBefore)}</span>
+              <div>
+                <button className="btn btn-primary" onClick={()=>openReminder(r)}>Open</button>
+                <button className="btn btn-secondary" onClick={()=>dismissReminder(r.id)}>Dismiss</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : null}
       {editingTask && <EditModal task={editingTask} onClose={()=>setEditingTask(null)} />}
       {showCreate && <CreateModal onClose={()=>setShowCreate(false)} />}
+      {showTags && <TagsModal onClose={()=>setShowTags(false)} />}
+      {showTemplates && <TemplatesModal templates={templates} workflow={workflow} onChanged={loadTemplates}
+        onAuthRequired={()=>{ setUser(null); setShowLogin(true) }} onClose={()=>setShowTemplates(false)} />}
+      {showWorkflow && <WorkflowModal onClose={()=>setShowWorkflow(false)} />}
+      {showTrash && <TrashModal onClose={()=>setShowTrash(false)} />}
+      {showWorkspace && <WorkspaceModal onClose={()=>setShowWorkspace(false)} />}
+      {showReport && <ReportModal onClose={()=>setShowReport(false)} />}
+      {deletingProject && <ProjectDeleteModal target={deletingProject} onClose={()=>setDeletingProject(null)} />}
       {showLogin && <LoginModal onClose={() => setShowLogin(false)} />}
       {showRegister && <RegisterModal onClose={() => setShowRegister(false)} />}
     </>
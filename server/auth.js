@@ -35,6 +35,9 @@ async function initializeUsersTable() {
     await authPool.query(`
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
     `);
+
+    // IANA zone the user's due dates and times are in; reminders fire in this zone
+    await authPool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC'`);
     
     console.log('Users table initialized successfully');
   } catch (error) {
@@ -51,7 +54,7 @@ const userDb = {
     const passwordHash = await bcrypt.hash(password, saltRounds);
     
     const result = await authPool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, time_zone, created_at',
       [username, email, passwordHash]
     );
     return result.rows[0];
@@ -75,12 +78,30 @@ const userDb = {
 
   async getUserById(id) {
     const result = await authPool.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, time_zone, created_at FROM users WHERE id = $1',
       [id]
     );
     return result.rows[0] || null;
   },
 
+  async updateTimeZone(id, timeZone) {
+    const result = await authPool.query(
+      'UPDATE users SET time_zone = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, username, email, time_zone, created_at',
+      [timeZone, id]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Accounts whose username starts with `query`, for picking assignees and share targets.
+  // Only ids and usernames are returned.
+  async searchUsers(query, limit = 10) {
+    const result = await authPool.query(
+      `SELECT id, username FROM users WHERE username ILIKE $1 ORDER BY LOWER(username) ASC LIMIT $2`,
+      [`${String(query).replace(/[\\%_]/g, '\\$&')}%`, limit]
+    );
+    return result.rows;
+  },
+
   async verifyPassword(username, password) {
     const user = await this.getUserByUsername(username);
     if (!user) return null;
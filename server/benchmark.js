@@ -0,0 +1,129 @@
+// Task list loading benchmark.
+//
+// Seeds a throwaway user with a few thousand tasks (attachments, tags, checklist items) and
+// times two loaders over the same data:
+//   before - the old per-task loading: one round of detail queries for every task (N+1)
+//   after  - db.getAllTasks, which loads the details in a fixed number of queries
+// The user, its workspace and everything it owns are removed at the end.
+//
+// Usage: node benchmark.js [taskCount=3000] [runs=5]
+
+const { initializeUsersTable } = require('./auth');
+const { db, pool, initializeDatabase } = require('./database');
+
+const TASK_COUNT = Number(process.argv[2]) || 3000;
+const RUNS = Number(process.argv[3]) || 5;
+
+// Count every query issued through the shared pool
+let queryCount = 0;
+const poolQuery = pool.query.bind(pool);
+pool.query = (...args) => {
+  queryCount++;
+  return poolQuery(...args);
+};
+
+async function seed() {
+  const stamp = Date.now();
+  const user = await pool.query(
+    'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
+    [`bench_${stamp}`, `bench_${stamp}@example.com`, 'not-a-real-hash']
+  );
+  const userId = user.rows[0].id;
+  await db.getWorkflow(userId);
+  const workspace = await db.getPersonalWorkspace(userId);
+
+  await pool.query(
+    `INSERT INTO tasks (title, description, status, due_date, priority, user_id, workspace_id, position)
+     SELECT 'Benchmark task ' || i, 'Seeded description for task ' || i,
+       (ARRAY['pending', 'in-progress', 'completed'])[1 + i % 3], CURRENT_DATE + (i % 60),
+       (ARRAY['low', 'normal', 'high', 'urgent'])[1 + i % 4], $1, $3, i * 1024
+     FROM generate_series(1, $2) i`,
+    [userId, TASK_COUNT, workspace.id]
+  );
+  // Two attachment rows on every other task (no files on disk are needed)
+  await pool.query(
+    `INSERT INTO attachments (task_id, filename, original_name, file_path)
+     SELECT t.id, 'bench-' || t.id || '-' || n || '.txt', 'notes-' || n || '.txt', 'benchmark'
+     FROM tasks t CROSS JOIN generate_series(1, 2) n WHERE t.user_id = $1 AND t.id % 2 = 0`,
+    [userId]
+  );
+  const tags = await pool.query(
+    `INSERT INTO tags (user_id, name) SELECT $1, 'bench-' || n FROM generate_series(1, 3) n RETURNING id`,
+    [userId]
+  );
+  await pool.query(
+    `INSERT INTO task_tags (task_id, tag_id)
+     SELECT t.id, ($2::int[])[1 + t.id % 3] FROM tasks t WHERE t.user_id = $1`,
+    [userId, tags.rows.map(r => r.id)]
+  );
+  await pool.query(
+    `INSERT INTO checklist_items (task_id, text, done, position)
+     SELECT t.id, 'Step ' || n, n = 1, n FROM tasks t CROSS JOIN generate_series(1, 3) n
+     WHERE t.user_id = $1 AND t.id % 3 = 0`,
+    [userId]
+  );
+  return userId;
+}
+
+// The loading loop getAllTasks used before details were batched
+async function loadPerTask(userId) {
+  const result = await pool.query(
+    'SELECT * FROM tasks WHERE user_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC, id DESC',
+    [userId]
+  );
+  for (const task of result.rows) {
+    task.attachments = (await pool.query('SELECT * FROM attachments WHERE task_id = $1 ORDER BY uploaded_at ASC', [task.id])).rows;
+    task.tags = await db.getTaskTags(task.id);
+    task.checklist = await db.getChecklist(task.id);
+    task.recurrence = task.recurrence_id ? await db.getRecurrence(task.recurrence_id) : null;
+    for (const [joinColumn, matchColumn, key] of [['blocked_by_id', 'task_id', 'blockedBy'], ['task_id', 'blocked_by_id', 'blocks']]) {
+      task[key] = (await pool.query(
+        `SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.${joinColumn}
+         WHERE d.${matchColumn} = $1 ORDER BY t.title ASC`,
+        [task.id]
+      )).rows;
+    }
+  }
+  return result.rows;
+}
+
+async function measure(label, fn) {
+  const times = [];
+  let queries = 0;
+  let rows = 0;
+  for (let i = 0; i < RUNS; i++) {
+    queryCount = 0;
+    const started = process.hrtime.bigint();
+    rows = (await fn()).length;
+    times.push(Number(process.hrtime.bigint() - started) / 1e6);
+    queries = queryCount;
+  }
+  times.sort((a, b) => a - b);
+  const median = times[Math.floor(times.length / 2)];
+  console.log(`${label.padEnd(28)} ${rows} tasks  median ${median.toFixed(1)} ms  best ${times[0].toFixed(1)} ms  ${queries} queries`);
+  return median;
+}
+
+async function main() {
+  await initializeUsersTable();
+  await initializeDatabase();
+  console.log(`Seeding ${TASK_COUNT} tasks...`);
+  const userId = await seed();
+  try {
+    const before = await measure('before (per-task queries)', () => loadPerTask(userId));
+    const after = await measure('after (batched)', async () => (await db.getAllTasks({}, userId)).tasks);
+    await measure('after, first page of 50', async () => (await db.getAllTasks({ limit: 50 }, userId)).tasks);
+    console.log(`Speed-up: ${(before / after).toFixed(1)}x`);
+  } finally {
+    await pool.query('DELETE FROM workspaces WHERE created_by = $1', [userId]);
+    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    await db.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('Benchmark failed:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+// Recurring task completion check.
+//
+// Against a running server, a throwaway user completes a recurring task, reopens it and
+// completes it again, by a plain edit and through its checklist. Every request must succeed and
+// the series must have spawned exactly one next occurrence per task. The user and everything it
+// owns are removed at the end, straight from the database.
+//
+// A manual check for a development server and database, like benchmark.js: it is not run by any
+// test script, and never point it at production data.
+//
+// Usage: node check-recurrence.js [baseUrl=http://localhost:3001]
+
+const { db, pool } = require('./database');
+
+const BASE_URL = (process.argv[2] || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+
+let cookie = '';
+
+async function request(method, path, body) {
+  const res = await fetch(`${BASE_URL}/api${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'If-Match': '*', ...(cookie ? { Cookie: cookie } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const setCookie = res.headers.get('set-cookie');
+  if (setCookie) cookie = setCookie.split(';')[0];
+  const payload = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`${method} ${path} answered ${res.status}: ${payload && payload.error}`);
+  return payload;
+}
+
+async function occurrenceCount(taskId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM tasks WHERE recurrence_id = (SELECT recurrence_id FROM tasks WHERE id = $1)',
+    [taskId]
+  );
+  return result.rows[0].count;
+}
+
+async function expectOccurrences(label, taskId, expected) {
+  const count = await occurrenceCount(taskId);
+  if (count !== expected) throw new Error(`${label}: expected ${expected} occurrences, found ${count}`);
+  console.log(`ok  ${label}`);
+}
+
+const recurringTask = (title, extra = {}) => request('POST', '/tasks', {
+  title,
+  dueDate: new Date().toISOString().slice(0, 10),
+  recurrence: { freq: 'daily', interval: 1 },
+  ...extra
+});
+
+async function main() {
+  const stamp = Date.now();
+  const { user } = await request('POST', '/auth/register', {
+    username: `check_${stamp}`,
+    email: `check_${stamp}@example.com`,
+    password: `check-${stamp}`
+  });
+  try {
+    const edited = await recurringTask('Recurring, edited');
+    await request('PUT', `/tasks/${edited.id}`, { status: 'completed' });
+    await expectOccurrences('completing spawns the next occurrence', edited.id, 2);
+    await request('PUT', `/tasks/${edited.id}`, { status: 'pending' });
+    await request('PUT', `/tasks/${edited.id}`, { status: 'completed' });
+    await expectOccurrences('complete, reopen, complete again spawns nothing more', edited.id, 2);
+
+    const checked = await recurringTask('Recurring, by checklist', { autoComplete: true });
+    const item = await request('POST', `/tasks/${checked.id}/checklist`, { text: 'Only step' });
+    await request('POST', `/tasks/${checked.id}/checklist/${item.id}/toggle`);
+    await expectOccurrences('a finished checklist completes and spawns', checked.id, 2);
+    await request('POST', `/tasks/${checked.id}/checklist/${item.id}/toggle`);
+    await request('PUT', `/tasks/${checked.id}`, { status: 'pending' });
+    await request('POST', `/tasks/${checked.id}/checklist/${item.id}/toggle`);
+    await expectOccurrences('finishing the checklist again spawns nothing more', checked.id, 2);
+  } finally {
+    await pool.query('DELETE FROM workspaces WHERE created_by = $1', [user.id]);
+    await pool.query('DELETE FROM users WHERE id = $1', [user.id]);
+    await db.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('Recurrence check failed:', e.message);
+    process.exit(1);
+  });
@@ -1,7 +1,24 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
 
+// Keep DATE columns as 'YYYY-MM-DD' strings. The default parser makes a Date at local
+// midnight, which toISOString() then moves to the previous day on servers east of UTC.
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Workflow every user starts with; matches the statuses allowed before workflows existed
+const DEFAULT_WORKFLOW = [
+  { key: 'pending', name: 'Pending', color: '#f59e0b', isDone: false },
+  { key: 'in-progress', name: 'In Progress', color: '#3b82f6', isDone: false },
+  { key: 'completed', name: 'Completed', color: '#10b981', isDone: true }
+];
+
+// Spacing between manual task positions; halved on each insert between neighbours
+const POSITION_GAP = 1024;
+
+// Reminders of tasks that have a due date but no due time count from this time of day
+const REMINDER_DAY_TIME = '09:00';
+
 // Database configuration with UTF-8 encoding
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -69,6 +86,331 @@ async function initializeDatabase() {
       )
     `);
 
+    // Projects group a user's tasks into named boards
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL CHECK (LENGTH(name) <= 100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id)`);
+
+    // Tasks without a project stay valid; deleting a project decides their fate explicitly
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id)`);
+
+    // Per-user tags and the tasks<->tags relation
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL CHECK (LENGTH(name) <= 50),
+        color VARCHAR(7) NOT NULL DEFAULT '#60a5fa',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (task_id, tag_id)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)`);
+
+    // Ordered checklist items (subtasks) inside a task
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS checklist_items (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        text VARCHAR(500) NOT NULL CHECK (LENGTH(text) <= 500),
+        done BOOLEAN NOT NULL DEFAULT FALSE,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON checklist_items(task_id, position)`);
+    // When set, the task moves to 'completed' once every checklist item is done
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT FALSE`);
+
+    // Priority and manual ordering. Positions are sparse so a move only rewrites one row;
+    // existing rows are seeded in their old created_at DESC order.
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent'))`);
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION`);
+    await pool.query(`
+      UPDATE tasks SET position = ordered.rn * ${POSITION_GAP}
+      FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC, id DESC) AS rn FROM tasks) ordered
+      WHERE tasks.id = ordered.id AND tasks.position IS NULL
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_user_position ON tasks(user_id, position)`);
+
+    // Recurring series: the rule plus the template each new occurrence is generated from
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurrences (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        rule JSONB NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        priority VARCHAR(10) NOT NULL DEFAULT 'normal',
+        project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_id INTEGER REFERENCES recurrences(id) ON DELETE SET NULL`);
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_index INTEGER`);
+    // Set once the next occurrence exists, so re-completing a task never spawns twice
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_spawned BOOLEAN NOT NULL DEFAULT FALSE`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_id ON tasks(recurrence_id)`);
+
+    // User-defined workflows. tasks.status holds a status key; next_statuses NULL means
+    // "may move to any status".
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflow_statuses (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        key VARCHAR(50) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL DEFAULT '#94a3b8',
+        position INTEGER NOT NULL DEFAULT 0,
+        is_done BOOLEAN NOT NULL DEFAULT FALSE,
+        next_statuses TEXT[],
+        UNIQUE (user_id, key)
+      )
+    `);
+    // "Blocked by" links between tasks: task_id cannot finish before blocked_by_id
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        blocked_by_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, blocked_by_id),
+        CHECK (task_id <> blocked_by_id)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by ON task_dependencies(blocked_by_id)`);
+
+    // Discussion threads on tasks; body is stored as written (markdown subset)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        body TEXT NOT NULL CHECK (LENGTH(body) <= 5000),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_comments_task_id ON comments(task_id, created_at)`);
+
+    // Audit trail; no FK on task_id so the "deleted" entry outlives the task row
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_history (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL,
+        changes JSONB NOT NULL DEFAULT '{}',
+        snapshot JSONB,
+        reverted_from INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_history_task_id ON task_history(task_id, created_at)`);
+
+    // Soft delete: trashed tasks keep their row (and attachments) until restored or purged
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL`);
+
+    // Full-text search. The 'simple' configuration does no stemming, so it works the same
+    // for every language users write in; titles weigh more than descriptions.
+    await pool.query(`
+      ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(description, '')), 'B')
+      ) STORED
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN(search_vector)`);
+    await pool.query(`
+      ALTER TABLE attachments ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        to_tsvector('simple', regexp_replace(COALESCE(original_name, ''), '[._-]+', ' ', 'g'))
+      ) STORED
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_attachments_search ON attachments USING GIN(search_vector)`);
+
+    // Optional time of day for due_date, in the owner's time zone (users.time_zone)
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TIME`);
+    // Reminders N minutes before a task is due. remind_at is derived from the due date/time and
+    // the owner's zone; sent_at is set once the reminder went out (or was skipped).
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_reminders (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        minutes_before INTEGER NOT NULL CHECK (minutes_before BETWEEN 0 AND 40320),
+        remind_at TIMESTAMPTZ,
+        sent_at TIMESTAMPTZ,
+        UNIQUE (task_id, minutes_before)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_reminders_pending ON task_reminders(remind_at) WHERE sent_at IS NULL`);
+
+    // Time tracking: an optional estimate per task and the intervals worked on it.
+    // An entry without ended_at is a running timer.
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimate_minutes INTEGER CHECK (estimate_minutes >= 0)`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        started_at TIMESTAMPTZ NOT NULL,
+        ended_at TIMESTAMPTZ CHECK (ended_at >= started_at),
+        note VARCHAR(500) NOT NULL DEFAULT '' CHECK (LENGTH(note) <= 500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id, started_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_time_entries_user_id ON time_entries(user_id, started_at)`);
+    // One running timer per user
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL`);
+
+    // Sharing: a task can be assigned to another user and shared with others for reading or
+    // writing. The owner (user_id) keeps full control.
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks(assignee_id)`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_shares (
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        permission VARCHAR(10) NOT NULL DEFAULT 'read' CHECK (permission IN ('read', 'write')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, user_id)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_shares_user_id ON task_shares(user_id)`);
+
+    // Workspaces: every task lives in one, and members see its tasks according to their role.
+    // Each user has a personal workspace; existing tasks move into their owner's.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL CHECK (LENGTH(name) <= 100),
+        personal BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal ON workspaces(created_by) WHERE personal`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'admin', 'member', 'viewer')),
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (workspace_id, user_id)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id)`);
+    // Pending invitations; accepting one turns it into a membership
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workspace_invitations (
+        id SERIAL PRIMARY KEY,
+        workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL CHECK (role IN ('admin', 'member', 'viewer')),
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (workspace_id, user_id)
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_workspace_invitations_user_id ON workspace_invitations(user_id)`);
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_tasks_workspace_id ON tasks(workspace_id)`);
+    await seedPersonalWorkspace(pool, 'SELECT id FROM users');
+    // Tasks without an owner stay outside every workspace, so nobody can see or claim them
+    await pool.query(`
+      UPDATE tasks t SET workspace_id = w.id FROM workspaces w
+      WHERE t.workspace_id IS NULL AND w.personal AND w.created_by = t.user_id
+    `);
+    // Bumped by every change to a task's fields, so editors can detect stale writes
+    await pool.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`);
+
+    // Task templates of a user; their files are copies, independent of the task they came from
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_templates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        status VARCHAR(50),
+        priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+        due_offset_days INTEGER,
+        checklist TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_task_templates_user_id ON task_templates(user_id)`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS template_attachments (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER NOT NULL REFERENCES task_templates(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_template_attachments_template_id ON template_attachments(template_id)`);
+
+    // Chunked uploads in progress: the bytes received so far are staged on the server until the
+    // upload is completed and stored as an attachment
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(255) NOT NULL,
+        size BIGINT NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        received BIGINT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id)`);
+
+    // Rendered thumbnails and previews of attachments (see previews.js), kept until the attachment goes
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attachment_previews (
+        attachment_id INTEGER NOT NULL REFERENCES attachments(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        data BYTEA NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (attachment_id, kind)
+      )
+    `);
+
+    // The old fixed-status CHECK would reject custom statuses
+    await pool.query(`ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check`);
+    // Give every existing user the default workflow, plus any status their tasks already use
+    await seedDefaultWorkflow(pool, 'SELECT id FROM users');
+    await pool.query(`
+      INSERT INTO workflow_statuses (user_id, key, name, position)
+      SELECT DISTINCT t.user_id, t.status, t.status, 100 FROM tasks t
+      WHERE t.user_id IS NOT NULL AND t.status IS NOT NULL
+      ON CONFLICT (user_id, key) DO NOTHING
+    `);
+
     console.log('Database tables initialized successfully with UTF-8 support');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -76,82 +418,603 @@ async function initializeDatabase() {
   }
 }
 
+// Sort keys accepted by getAllTasks; created_at DESC stays the default order. Each sort is a
+// list of [expression, direction, type] keys ending with the id, so the order is total and
+// usable for keyset pagination; nullable columns are COALESCEd to sort last.
+const TASK_SORTS = {
+  created: [['created_at', 'DESC', 'timestamp'], ['id', 'DESC', 'int']],
+  updated: [['updated_at', 'DESC', 'timestamp'], ['id', 'DESC', 'int']],
+  priority: [
+    [`CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END`, 'ASC', 'int'],
+    ['created_at', 'DESC', 'timestamp'], ['id', 'DESC', 'int']
+  ],
+  // Tasks without a due time sort after the timed ones of the same day
+  due: [
+    [`COALESCE(due_date + COALESCE(due_time, TIME '24:00'), 'infinity'::timestamp)`, 'ASC', 'timestamp'],
+    ['created_at', 'DESC', 'timestamp'], ['id', 'DESC', 'int']
+  ],
+  title: [['LOWER(title)', 'ASC', 'text'], ['id', 'ASC', 'int']],
+  manual: [[`COALESCE(position, 'Infinity'::float8)`, 'ASC', 'float8'], ['id', 'ASC', 'int']]
+};
+const TASK_SORT_KEYS = Object.keys(TASK_SORTS);
+
+// Tasks user `param` can see: those of their workspaces, the ones assigned to them and the ones
+// shared with them
+function visibleTaskSql(param) {
+  return `(tasks.workspace_id IN (SELECT m.workspace_id FROM workspace_members m WHERE m.user_id = ${param})
+    OR tasks.assignee_id = ${param} OR tasks.id IN (SELECT s.task_id FROM task_shares s WHERE s.user_id = ${param}))`;
+}
+
+// What user `param` may do with a task, from their role in its workspace and the task's own
+// assignee and shares: 'owner' (workspace owners and admins, and members on the tasks they
+// created), 'write' (other members, the assignee, write shares), 'read' (viewers, read shares),
+// or NULL when it is not visible to them. server/policy.js maps these levels to actions.
+function taskAccessSql(param) {
+  return `(SELECT CASE
+      WHEN m.role IN ('owner', 'admin') OR (m.role = 'member' AND tasks.user_id = ${param}) THEN 'owner'
+      WHEN m.role = 'member' OR tasks.assignee_id = ${param} THEN 'write'
+      ELSE COALESCE((SELECT s.permission FROM task_shares s WHERE s.task_id = tasks.id AND s.user_id = ${param}),
+        CASE WHEN m.role = 'viewer' THEN 'read' END)
+    END FROM (SELECT 1) one
+    LEFT JOIN workspace_members m ON m.workspace_id = tasks.workspace_id AND m.user_id = ${param})`;
+}
+
+// The views of getAllTasks, on top of what the user can see; 'all' adds nothing
+const TASK_VIEWS = {
+  all: null,
+  owned: 'tasks.user_id = $1',
+  assigned: 'tasks.assignee_id = $1',
+  shared: 'tasks.id IN (SELECT s.task_id FROM task_shares s WHERE s.user_id = $1)'
+};
+
+// Columns a bulk operation may set (see applyBulk)
+const BULK_COLUMNS = ['status', 'due_date', 'project_id', 'workspace_id'];
+
+// [filter name, column, operator] for the date range filters of getAllTasks
+const TASK_RANGE_FILTERS = [
+  ['dueFrom', 'due_date', '>='],
+  ['dueTo', 'due_date', '<='],
+  ['createdFrom', 'created_at', '>='],
+  ['createdTo', 'created_at', '<='],
+  ['updatedFrom', 'updated_at', '>='],
+  ['updatedTo', 'updated_at', '<=']
+];
+
+// Cursors are opaque to clients: base64url JSON of the sort name and the last row's key values
+function encodeCursor(sortName, values) {
+  return Buffer.from(JSON.stringify({ s: sortName, v: values })).toString('base64url');
+}
+
+// Whether a date (and time) as Postgres prints a timestamp casts back to one; Date.parse alone
+// lets days like Feb 30 through
+function isTimestampText(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2})(?:\.\d{1,6})?)?$/.exec(value);
+  if (!match) return /^-?infinity$/.test(value);
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 && minute < 60 && second < 60;
+}
+
+// Per sort key type, whether a cursor value casts to it (see the placeholders in getAllTasks)
+const CURSOR_VALUE_CHECKS = {
+  timestamp: isTimestampText,
+  int: value => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= 2147483647,
+  float8: value => /^-?Infinity$|^NaN$/.test(value) ||
+    (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/.test(value) && Number.isFinite(Number(value))),
+  text: () => true
+};
+
+// Returns the key values, or null when the cursor is malformed, was issued for another sort or
+// holds a value that does not fit its key's type
+function decodeCursor(cursor, sortName, keys) {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sortName || !Array.isArray(v) || v.length !== keys.length) return null;
+    return v.every((value, i) => typeof value === 'string' && CURSOR_VALUE_CHECKS[keys[i][2]](value)) ? v : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Blockers of task $1 whose status does not count as done in their owner's workflow
+const OPEN_BLOCKERS_SQL = `
+  SELECT b.id, b.title, b.status FROM task_dependencies d
+  JOIN tasks b ON b.id = d.blocked_by_id
+  WHERE d.task_id = $1 AND b.deleted_at IS NULL
+    AND b.status NOT IN (SELECT w.key FROM workflow_statuses w WHERE w.user_id = b.user_id AND w.is_done)`;
+
+// Matches are wrapped in these private-use characters so the client can mark them up
+// without ever treating task text as HTML
+const HIGHLIGHT_OPTIONS = 'StartSel=\uE000, StopSel=\uE001, HighlightAll=true';
+const SNIPPET_OPTIONS = 'StartSel=\uE000, StopSel=\uE001, MaxFragments=2, MaxWords=20, MinWords=8';
+
+// Turn free text into a prefix tsquery ("rep inv" -> "rep:* & inv:*"), or null without words
+function toPrefixQuery(text) {
+  const terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  return terms ? terms.slice(0, 10).map(t => `${t}:*`).join(' & ') : null;
+}
+
+// Tasks carrying tag `g`, leaving out the ones in the trash
+const TAG_TASK_COUNT_SQL = `(SELECT COUNT(*) FROM task_tags tt JOIN tasks t ON t.id = tt.task_id
+  WHERE tt.tag_id = g.id AND t.deleted_at IS NULL)::int AS task_count`;
+
+const COMMENT_COUNT_SQL = '(SELECT COUNT(*)::int FROM comments c WHERE c.task_id = tasks.id) AS comment_count';
+
+// Length of time entry `e` in whole seconds; a running timer counts up to now
+const ENTRY_SECONDS_SQL = 'EXTRACT(EPOCH FROM (COALESCE(e.ended_at, NOW()) - e.started_at))::int';
+
+// Whether task `t` sits in a status that counts as done in its owner's workflow
+const TASK_DONE_SQL = 't.status IN (SELECT w.key FROM workflow_statuses w WHERE w.user_id = t.user_id AND w.is_done)';
+
+// (Re)compute remind_at for the reminders of tasks whose `column` (id or user_id) is `value`.
+// A reminder whose time moved is armed again, unless the new time has already passed:
+// editing an old task should not fire all of its reminders at once.
+async function scheduleReminders(client, column, value) {
+  await client.query(`
+    UPDATE task_reminders r SET
+      remind_at = s.remind_at,
+      sent_at = CASE WHEN s.remind_at IS NOT DISTINCT FROM r.remind_at THEN r.sent_at
+                     WHEN s.remind_at <= NOW() THEN NOW() END
+    FROM (
+      SELECT r2.id, (t.due_date + COALESCE(t.due_time, TIME '${REMINDER_DAY_TIME}')) AT TIME ZONE u.time_zone
+        - r2.minutes_before * INTERVAL '1 minute' AS remind_at
+      FROM task_reminders r2 JOIN tasks t ON t.id = r2.task_id JOIN users u ON u.id = t.user_id
+      WHERE t.${column} = $1
+    ) s
+    WHERE r.id = s.id`, [value]);
+}
+
+// Create the personal workspace, with the user as its owner, for each user id returned by
+// `usersQuery` that has none yet
+async function seedPersonalWorkspace(client, usersQuery, params = []) {
+  await client.query(
+    `WITH created AS (
+       INSERT INTO workspaces (name, personal, created_by)
+       SELECT 'Personal', TRUE, u.id FROM (${usersQuery}) u
+       WHERE NOT EXISTS (SELECT 1 FROM workspaces w WHERE w.created_by = u.id AND w.personal)
+       ON CONFLICT (created_by) WHERE personal DO NOTHING
+       RETURNING id, created_by
+     )
+     INSERT INTO workspace_members (workspace_id, user_id, role) SELECT id, created_by, 'owner' FROM created`,
+    params
+  );
+}
+
+// Insert DEFAULT_WORKFLOW for each user id returned by `usersQuery` that has no workflow yet
+async function seedDefaultWorkflow(client, usersQuery, params = []) {
+  const values = DEFAULT_WORKFLOW.map((s, i) => {
+    const base = params.length + i * 5;
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}::int, $${base + 5}::boolean)`;
+  });
+  await client.query(
+    `INSERT INTO workflow_statuses (user_id, key, name, color, position, is_done)
+     SELECT u.id, d.* FROM (${usersQuery}) u CROSS JOIN (VALUES ${values.join(', ')}) d
+     WHERE NOT EXISTS (SELECT 1 FROM workflow_statuses w WHERE w.user_id = u.id)
+     ON CONFLICT (user_id, key) DO NOTHING`,
+    [...params, ...DEFAULT_WORKFLOW.flatMap((s, i) => [s.key, s.name, s.color, i, s.isDone])]
+  );
+}
+
+// Write a task_history row; `client` is the pool or a transaction's client
+async function insertHistory(client, taskId, userId, { action, changes = {}, snapshot = null, revertedFrom = null }) {
+  const result = await client.query(
+    `INSERT INTO task_history (task_id, user_id, action, changes, snapshot, reverted_from)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [taskId, userId, action, JSON.stringify(changes), snapshot ? JSON.stringify(snapshot) : null, revertedFrom]
+  );
+  return result.rows[0];
+}
+
+// Group rows by one of their columns: Map(key -> [rows without that column])
+function groupBy(rows, column) {
+  const groups = new Map();
+  for (const { [column]: key, ...row } of rows) {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+// Fill attachments, tags, checklist, recurrence, reminders, time spent, blockedBy/blocks, shares and
+// the owner and assignee names on task rows in place.
+// A fixed number of queries for the whole list instead of one round per task.
+async function loadTaskDetails(tasks) {
+  if (!tasks.length) return tasks;
+  const ids = tasks.map(t => t.id);
+  const recurrenceIds = [...new Set(tasks.map(t => t.recurrence_id).filter(Boolean))];
+  const userIds = [...new Set(tasks.flatMap(t => [t.user_id, t.assignee_id]).filter(Boolean))];
+  const linked = (joinColumn, ownerColumn) => pool.query(
+    `SELECT d.${ownerColumn} AS owner_id, t.id, t.title, t.status,
+       EXISTS (SELECT 1 FROM workflow_statuses w WHERE w.user_id = t.user_id AND w.key = t.status AND w.is_done) AS done
+     FROM task_dependencies d JOIN tasks t ON t.id = d.${joinColumn}
+     WHERE d.${ownerColumn} = ANY($1) AND t.deleted_at IS NULL ORDER BY t.title ASC`,
+    [ids]
+  );
+
+  const [attachments, tags, checklist, recurrences, reminders, time, blockedBy, blocks, shares, users] = await Promise.all([
+    pool.query('SELECT * FROM attachments WHERE task_id = ANY($1) ORDER BY uploaded_at ASC', [ids]),
+    pool.query(
+      `SELECT tt.task_id, g.id, g.name, g.color FROM task_tags tt JOIN tags g ON g.id = tt.tag_id
+       WHERE tt.task_id = ANY($1) ORDER BY LOWER(g.name) ASC`,
+      [ids]
+    ),
+    pool.query('SELECT * FROM checklist_items WHERE task_id = ANY($1) ORDER BY position ASC, id ASC', [ids]),
+    recurrenceIds.length ? pool.query('SELECT * FROM recurrences WHERE id = ANY($1)', [recurrenceIds]) : { rows: [] },
+    pool.query(
+      'SELECT task_id, minutes_before, remind_at, sent_at FROM task_reminders WHERE task_id = ANY($1) ORDER BY minutes_before DESC',
+      [ids]
+    ),
+    pool.query(
+      `SELECT e.task_id, SUM(${ENTRY_SECONDS_SQL})::int AS seconds, MAX(e.started_at) FILTER (WHERE e.ended_at IS NULL) AS running_since
+       FROM time_entries e WHERE e.task_id = ANY($1) GROUP BY e.task_id`,
+      [ids]
+    ),
+    linked('blocked_by_id', 'task_id'),
+    linked('task_id', 'blocked_by_id'),
+    pool.query(
+      `SELECT s.task_id, s.user_id, s.permission, u.username FROM task_shares s JOIN users u ON u.id = s.user_id
+       WHERE s.task_id = ANY($1) ORDER BY LOWER(u.username) ASC`,
+      [ids]
+    ),
+    userIds.length ? pool.query('SELECT id, username FROM users WHERE id = ANY($1)', [userIds]) : { rows: [] }
+  ]);
+
+  // Attachment and checklist rows keep their task_id column, as before
+  const attachmentsByTask = groupBy(attachments.rows.map(a => ({ ...a, owner_id: a.task_id })), 'owner_id');
+  const checklistByTask = groupBy(checklist.rows.map(i => ({ ...i, owner_id: i.task_id })), 'owner_id');
+  const tagsByTask = groupBy(tags.rows, 'task_id');
+  const recurrencesById = new Map(recurrences.rows.map(r => [r.id, r]));
+  const remindersByTask = groupBy(reminders.rows, 'task_id');
+  const timeByTask = new Map(time.rows.map(r => [r.task_id, r]));
+  const blockedByTask = groupBy(blockedBy.rows, 'owner_id');
+  const blocksByTask = groupBy(blocks.rows, 'owner_id');
+  const sharesByTask = groupBy(shares.rows, 'task_id');
+  const usernames = new Map(users.rows.map(u => [u.id, u.username]));
+
+  for (const task of tasks) {
+    task.attachments = attachmentsByTask.get(task.id) || [];
+    task.tags = tagsByTask.get(task.id) || [];
+    task.checklist = checklistByTask.get(task.id) || [];
+    task.recurrence = task.recurrence_id ? recurrencesById.get(task.recurrence_id) || null : null;
+    task.reminders = remindersByTask.get(task.id) || [];
+    task.time_spent = timeByTask.get(task.id)?.seconds || 0;
+    task.timer_started_at = timeByTask.get(task.id)?.running_since || null;
+    task.blockedBy = blockedByTask.get(task.id) || [];
+    task.blocks = blocksByTask.get(task.id) || [];
+    task.shares = sharesByTask.get(task.id) || [];
+    task.owner_name = usernames.get(task.user_id) || null;
+    task.assignee_name = task.assignee_id ? usernames.get(task.assignee_id) || null : null;
+  }
+  return tasks;
+}
+
+// Fill the `attachments` of template rows
+async function loadTemplateAttachments(templates) {
+  if (!templates.length) return templates;
+  const result = await pool.query(
+    'SELECT * FROM template_attachments WHERE template_id = ANY($1) ORDER BY uploaded_at ASC, id ASC',
+    [templates.map(t => t.id)]
+  );
+  const byTemplate = groupBy(result.rows, 'template_id');
+  for (const template of templates) template.attachments = byTemplate.get(template.id) || [];
+  return templates;
+}
+
+// Run several queries on one client inside BEGIN/COMMIT, rolling back on error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Database operations
 const db = {
   // Task operations
-  async getAllTasks(statusFilter = 'all', userId) {
-    let query = 'SELECT * FROM tasks WHERE user_id = $1 ORDER BY created_at DESC';
-    let params = [userId];
+  // filters: { workspaceId: <id>, view: <key of TASK_VIEWS>, status: 'all' | <status>, projectId: 'all' | 'none' | <id>,
+  //            tags: [<tag name>], match: 'any' | 'all', sort: <key of TASK_SORTS>, q: <search text>,
+  //            dueFrom, dueTo, createdFrom, createdTo, updatedFrom, updatedTo: <date or datetime>,
+  //            overdue: bool, hasAttachments: bool, limit: N, cursor: <nextCursor of the previous page> }
+  // `workspaceId` limits the list to one workspace, except for the 'shared' view, which lists
+  // what was shared with the user from anywhere.
+  // With `q`, rows are ranked by relevance and carry search_* highlight columns. Every row has
+  // the user's `access` to it (see taskAccessSql); tags match by name, so the ones on tasks of
+  // other owners count too.
+  // Returns { tasks, nextCursor } (nextCursor is null on the last page or without a limit),
+  // or { error } for a cursor that does not belong to this sort.
+  async getAllTasks(filters = {}, userId) {
+    const { view = 'all', status = 'all', projectId = 'all', tags = [], match = 'any', sort = 'created', q = '', limit = null, cursor = null } = filters;
+    const conditions = [visibleTaskSql('$1'), 'deleted_at IS NULL'];
+    const params = [userId];
+    const columns = ['tasks.*', COMMENT_COUNT_SQL, `${taskAccessSql('$1')} AS access`];
+    let keys = TASK_SORTS[sort] || TASK_SORTS.created;
 
-    if (statusFilter !== 'all') {
-      query = 'SELECT * FROM tasks WHERE user_id = $1 AND status = $2 ORDER BY created_at DESC';
-      params = [userId, statusFilter];
+    if (TASK_VIEWS[view]) conditions.push(TASK_VIEWS[view]);
+    if (filters.workspaceId && view !== 'shared') {
+      params.push(filters.workspaceId);
+      conditions.push(`workspace_id = $${params.length}`);
     }
 
-    const result = await pool.query(query, params);
-    const tasks = result.rows;
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (projectId === 'none') {
+      conditions.push('project_id IS NULL');
+    } else if (projectId !== 'all') {
+      params.push(projectId);
+      conditions.push(`project_id = $${params.length}`);
+    }
+    if (tags.length) {
+      params.push(tags.map(t => t.toLowerCase()));
+      const tagSubquery = `SELECT tt.task_id FROM task_tags tt JOIN tags g ON g.id = tt.tag_id
+        WHERE LOWER(g.name) = ANY($${params.length})`;
+      if (match === 'all') {
+        params.push(new Set(tags.map(t => t.toLowerCase())).size);
+        conditions.push(`id IN (${tagSubquery} GROUP BY tt.task_id HAVING COUNT(DISTINCT g.id) = $${params.length})`);
+      } else {
+        conditions.push(`id IN (${tagSubquery})`);
+      }
+    }
+    for (const [filter, column, op] of TASK_RANGE_FILTERS) {
+      if (!filters[filter]) continue;
+      params.push(filters[filter]);
+      conditions.push(`${column} ${op} $${params.length}`);
+    }
+    if (filters.overdue) {
+      // Past the due time (or the end of the due day) on the user's own clock
+      conditions.push(`due_date + COALESCE(due_time, TIME '24:00') < NOW() AT TIME ZONE (SELECT u.time_zone FROM users u WHERE u.id = $1)
+        AND status NOT IN (SELECT w.key FROM workflow_statuses w WHERE w.user_id = tasks.user_id AND w.is_done)`);
+    }
+    if (filters.hasAttachments !== undefined && filters.hasAttachments !== null) {
+      conditions.push(`${filters.hasAttachments ? '' : 'NOT '}EXISTS (SELECT 1 FROM attachments a WHERE a.task_id = tasks.id)`);
+    }
 
-    // Get attachments for each task
-    for (let task of tasks) {
-      const attachmentsResult = await pool.query(
-        'SELECT * FROM attachments WHERE task_id = $1 ORDER BY uploaded_at ASC',
-        [task.id]
+    const tsquery = toPrefixQuery(q);
+    if (tsquery) {
+      params.push(tsquery);
+      const query = `to_tsquery('simple', $${params.length})`;
+      const matchingAttachments = `FROM attachments a WHERE a.task_id = tasks.id AND a.search_vector @@ ${query}`;
+      const rank = `(ts_rank(search_vector, ${query}) + COALESCE((SELECT MAX(ts_rank(a.search_vector, ${query})) ${matchingAttachments}), 0) * 0.5)::float8`;
+      conditions.push(`(search_vector @@ ${query} OR EXISTS (SELECT 1 ${matchingAttachments}))`);
+      columns.push(
+        `${rank} AS search_rank`,
+        `ts_headline('simple', title, ${query}, '${HIGHLIGHT_OPTIONS}') AS search_title`,
+        `CASE WHEN to_tsvector('simple', COALESCE(description, '')) @@ ${query}
+           THEN ts_headline('simple', description, ${query}, '${SNIPPET_OPTIONS}') END AS search_description`,
+        `ARRAY(SELECT ts_headline('simple', a.original_name, ${query}, '${HIGHLIGHT_OPTIONS}') ${matchingAttachments}) AS search_attachments`
       );
-      task.attachments = attachmentsResult.rows;
+      keys = [[rank, 'DESC', 'float8'], ...keys];
+    }
+
+    // Keyset pagination: the cursor holds the sort key values of the last row of the previous page
+    const sortName = `${TASK_SORTS[sort] ? sort : 'created'}${tsquery ? ':search' : ''}`;
+    columns.push(`ARRAY[${keys.map(([expr]) => `(${expr})::text`).join(', ')}] AS sort_key`);
+    if (cursor) {
+      const values = decodeCursor(cursor, sortName, keys);
+      if (!values) return { error: 'Invalid cursor' };
+      const placeholders = values.map((v, i) => {
+        params.push(v);
+        return `$${params.length}::${keys[i][2]}`;
+      });
+      // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with < for descending keys
+      conditions.push('(' + keys.map((_, i) => {
+        const equal = keys.slice(0, i).map(([expr], j) => `(${expr}) = ${placeholders[j]}`);
+        const [expr, dir] = keys[i];
+        return '(' + [...equal, `(${expr}) ${dir === 'DESC' ? '<' : '>'} ${placeholders[i]}`].join(' AND ') + ')';
+      }).join(' OR ') + ')');
+    }
+
+    let query = `SELECT ${columns.join(', ')} FROM tasks WHERE ${conditions.join(' AND ')}
+      ORDER BY ${keys.map(([expr, dir]) => `${expr} ${dir}`).join(', ')}`;
+    if (limit) {
+      // One extra row tells whether another page exists
+      params.push(limit + 1);
+      query += ` LIMIT $${params.length}`;
     }
+    const result = await pool.query(query, params);
+    const tasks = limit ? result.rows.slice(0, limit) : result.rows;
+    const nextCursor = limit && result.rows.length > limit ? encodeCursor(sortName, tasks[tasks.length - 1].sort_key) : null;
 
-    return tasks;
+    await loadTaskDetails(tasks);
+    return { tasks, nextCursor };
   },
 
+  // Any task the user can see, with their `access` to it
   async getTaskById(id, userId) {
-    const result = await pool.query('SELECT * FROM tasks WHERE id = $1 AND user_id = $2', [id, userId]);
+    const result = await pool.query(
+      `SELECT tasks.*, ${COMMENT_COUNT_SQL}, ${taskAccessSql('$2')} AS access FROM tasks
+       WHERE id = $1 AND ${visibleTaskSql('$2')} AND deleted_at IS NULL`,
+      [id, userId]
+    );
     if (result.rows.length === 0) {
       return null;
     }
 
     const task = result.rows[0];
+    await loadTaskDetails([task]);
+    return task;
+  },
 
-    // Get attachments for the task
-    const attachmentsResult = await pool.query(
-      'SELECT * FROM attachments WHERE task_id = $1 ORDER BY uploaded_at ASC',
+  // Everyone who can see the task (see visibleTaskSql), also while it is in the trash
+  async getTaskViewerIds(id) {
+    const result = await pool.query(
+      `SELECT m.user_id FROM tasks t JOIN workspace_members m ON m.workspace_id = t.workspace_id WHERE t.id = $1
+       UNION SELECT assignee_id FROM tasks WHERE id = $1 AND assignee_id IS NOT NULL
+       UNION SELECT user_id FROM task_shares WHERE task_id = $1`,
       [id]
     );
-    task.attachments = attachmentsResult.rows;
+    return result.rows.map(r => r.user_id);
+  },
 
-    return task;
+  // New tasks go to the top of their workspace's manual order, matching the default newest-first list.
+  // A `checklist` (item texts) and `attachments` ({ filename, originalName, filePath }) are saved
+  // with the task, all or nothing.
+  async createTask(taskData) {
+    const { title, description, status, dueDate, dueTime, projectId, autoComplete, priority, estimateMinutes, assigneeId, workspaceId, userId, checklist = [], attachments = [] } = taskData;
+    const dueDateValue = dueDate && String(dueDate).trim() !== '' ? dueDate : null;
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO tasks (title, description, status, due_date, due_time, project_id, auto_complete, priority, estimate_minutes, user_id, assignee_id, workspace_id, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+           (SELECT COALESCE(MIN(position), ${POSITION_GAP * 2}) - ${POSITION_GAP} FROM tasks WHERE workspace_id = $12 AND deleted_at IS NULL))
+         RETURNING *`,
+        [title, description, status, dueDateValue, dueDateValue && dueTime ? dueTime : null, projectId || null, !!autoComplete, priority || 'normal', estimateMinutes ?? null, userId, assigneeId ?? null, workspaceId]
+      );
+      const created = result.rows[0];
+      for (const [position, text] of checklist.entries()) {
+        await client.query('INSERT INTO checklist_items (task_id, text, position) VALUES ($1, $2, $3)', [created.id, text, position]);
+      }
+      for (const a of attachments) {
+        await client.query(
+          'INSERT INTO attachments (task_id, filename, original_name, file_path) VALUES ($1, $2, $3, $4)',
+          [created.id, a.filename, a.originalName, a.filePath]
+        );
+      }
+      return created;
+    });
+  },
+
+  // `userId` is the editor, who needs write access. Reminders follow the (possibly changed) due
+  // date and time. With `expectedVersion` set, nothing changes (and null is returned) unless the
+  // task is still at that version.
+  async updateTask(id, taskData) {
+    const { title, description, status, dueDate, dueTime, projectId, autoComplete, priority, estimateMinutes, assigneeId, userId, expectedVersion = null } = taskData;
+    const dueDateValue = dueDate && String(dueDate).trim() !== '' ? dueDate : null;
+    const result = await pool.query(
+      `UPDATE tasks SET title = $1, description = $2, status = $3, due_date = $4, due_time = $5, project_id = $6, auto_complete = $7,
+         priority = $8, estimate_minutes = $9, assignee_id = $12, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10 AND ${taskAccessSql('$11')} IN ('owner', 'write') AND ($13::int IS NULL OR version = $13) RETURNING *`,
+      [title, description, status, dueDateValue, dueDateValue && dueTime ? dueTime : null, projectId || null, !!autoComplete, priority || 'normal', estimateMinutes ?? null, id, userId, assigneeId ?? null, expectedVersion]
+    );
+    if (result.rows[0]) await scheduleReminders(pool, 'id', id);
+    return result.rows[0];
+  },
+
+  // Move a task between two neighbours of the manual order (either may be null for the ends).
+  // The order is the one of the user's list, so the neighbours may be any tasks they can see;
+  // moving the task itself needs write access. Returns the moved row, null if a task is not
+  // visible (or the task not writable), or { conflict: true } when the neighbours are no longer
+  // in order (the client's view is stale).
+  async reorderTask(id, userId, { beforeId = null, afterId = null }) {
+    return withTransaction(async (client) => {
+      // Serialise reorders of overlapping lists so two concurrent moves cannot pick the same slot
+      await client.query(`SELECT id FROM tasks WHERE ${visibleTaskSql('$1')} ORDER BY id FOR UPDATE`, [userId]);
+
+      const load = async (taskId) => {
+        if (taskId === null) return null;
+        const r = await client.query(
+          `SELECT id, position FROM tasks WHERE id = $1 AND ${visibleTaskSql('$2')} AND deleted_at IS NULL`,
+          [taskId, userId]
+        );
+        return r.rows[0] || undefined;
+      };
+      let [moving, before, after] = [await load(id), await load(beforeId), await load(afterId)];
+      if (!moving || before === undefined || after === undefined) return null;
+      if (before && after && before.position >= after.position) return { conflict: true };
+
+      const target = () => {
+        if (before && after) return (before.position + after.position) / 2;
+        if (before) return before.position + POSITION_GAP;
+        if (after) return after.position - POSITION_GAP;
+        return moving.position;
+      };
+      let position = target();
+
+      // Ran out of room between the neighbours: respace the whole list and recompute
+      if (before && after && (position <= before.position || position >= after.position || after.position - before.position < 1e-6)) {
+        await client.query(`
+          UPDATE tasks SET position = ordered.rn * ${POSITION_GAP}
+          FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY position ASC NULLS LAST, id ASC) AS rn FROM tasks WHERE ${visibleTaskSql('$1')}) ordered
+          WHERE tasks.id = ordered.id
+        `, [userId]);
+        [before, after] = [await load(beforeId), await load(afterId)];
+        position = target();
+      }
+
+      const result = await client.query(
+        `UPDATE tasks SET position = $1 WHERE id = $2 AND ${taskAccessSql('$3')} IN ('owner', 'write') RETURNING *`,
+        [position, id, userId]
+      );
+      return result.rows[0] || null;
+    });
   },
 
-  // Claim orphan task (no owner) to a user, return task or null
-  async claimTaskOwner(id, userId) {
+  // Moves the task to the trash (see getTrash); purgeTask removes it for good, and the caller its
+  // files then, so a restored task still has them. Needs 'owner' access: the owner or an admin of
+  // its workspace, whatever it is shared for.
+  async deleteTask(id, userId) {
     const result = await pool.query(
-      'UPDATE tasks SET user_id = $2 WHERE id = $1 AND user_id IS NULL RETURNING *',
+      `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND ${taskAccessSql('$2')} = 'owner' AND deleted_at IS NULL RETURNING *`,
       [id, userId]
     );
     return result.rows[0] || null;
   },
 
-  async createTask(taskData) {
-    const { title, description, status, dueDate, userId } = taskData;
-    const dueDateValue = dueDate && String(dueDate).trim() !== '' ? dueDate : null;
+  // Trash operations. A trashed task is in the trash of everyone who could delete it, that is
+  // with 'owner' access as it stands now, and restoring or purging it needs the same.
+  async getTrash(userId) {
     const result = await pool.query(
-      'INSERT INTO tasks (title, description, status, due_date, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [title, description, status, dueDateValue, userId]
+      `SELECT tasks.*, (SELECT COUNT(*) FROM attachments a WHERE a.task_id = tasks.id)::int AS attachment_count
+       FROM tasks WHERE ${visibleTaskSql('$1')} AND ${taskAccessSql('$1')} = 'owner' AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC`,
+      [userId]
     );
-    return result.rows[0];
+    return result.rows;
   },
 
-  async updateTask(id, taskData) {
-    const { title, description, status, dueDate, userId } = taskData;
-    const dueDateValue = dueDate && String(dueDate).trim() !== '' ? dueDate : null;
+  // Any trashed task the user can see, with their `access` to it (see getTaskById)
+  async getTrashedTask(id, userId) {
     const result = await pool.query(
-      'UPDATE tasks SET title = $1, description = $2, status = $3, due_date = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND user_id = $6 RETURNING *',
-      [title, description, status, dueDateValue, id, userId]
+      `SELECT tasks.*, ${taskAccessSql('$2')} AS access FROM tasks
+       WHERE id = $1 AND ${visibleTaskSql('$2')} AND deleted_at IS NOT NULL`,
+      [id, userId]
     );
-    return result.rows[0];
+    return result.rows[0] || null;
   },
 
-  async deleteTask(id, userId) {
-    await pool.query('DELETE FROM tasks WHERE id = $1 AND user_id = $2', [id, userId]);
+  async restoreTask(id, userId) {
+    const result = await pool.query(
+      `UPDATE tasks SET deleted_at = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND ${taskAccessSql('$2')} = 'owner' AND deleted_at IS NOT NULL RETURNING *`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Permanently delete a trashed task. Returns its attachment rows so the caller can remove
+  // the files, or null when the task is not in the trash or the user lacks 'owner' access.
+  async purgeTask(id, userId) {
+    return withTransaction(async (client) => {
+      const attachments = await client.query('SELECT * FROM attachments WHERE task_id = $1', [id]);
+      const deleted = await client.query(
+        `DELETE FROM tasks WHERE id = $1 AND ${taskAccessSql('$2')} = 'owner' AND deleted_at IS NOT NULL`,
+        [id, userId]
+      );
+      return deleted.rowCount ? attachments.rows : null;
+    });
+  },
+
+  // Permanently delete everything trashed more than `retentionDays` ago.
+  // Returns { tasks: [{ id, user_id }], attachments: [...] }.
+  async purgeExpiredTrash(retentionDays) {
+    return withTransaction(async (client) => {
+      const expired = "deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)";
+      const attachments = await client.query(
+        `SELECT * FROM attachments WHERE task_id IN (SELECT id FROM tasks WHERE ${expired})`,
+        [retentionDays]
+      );
+      const tasks = await client.query(`DELETE FROM tasks WHERE ${expired} RETURNING id, user_id`, [retentionDays]);
+      return { tasks: tasks.rows, attachments: attachments.rows };
+    });
   },
 
   async toggleTaskStatus(id) {
@@ -168,7 +1031,7 @@ const db = {
     }
 
     const result = await pool.query(
-      'UPDATE tasks SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      'UPDATE tasks SET status = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
       [newStatus, id]
     );
     return result.rows[0];
@@ -184,8 +1047,975 @@ const db = {
     return result.rows[0];
   },
 
-  async deleteAttachment(id) {
-    await pool.query('DELETE FROM attachments WHERE id = $1', [id]);
+  async getAttachment(id) {
+    const result = await pool.query('SELECT * FROM attachments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async getAttachmentPreview(attachmentId, kind) {
+    const result = await pool.query(
+      'SELECT content_type, data FROM attachment_previews WHERE attachment_id = $1 AND kind = $2',
+      [attachmentId, kind]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Store a rendered preview; returns it like getAttachmentPreview
+  async saveAttachmentPreview(attachmentId, kind, { contentType, data }) {
+    const result = await pool.query(
+      `INSERT INTO attachment_previews (attachment_id, kind, content_type, data) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (attachment_id, kind) DO UPDATE SET content_type = EXCLUDED.content_type, data = EXCLUDED.data, created_at = CURRENT_TIMESTAMP
+       RETURNING content_type, data`,
+      [attachmentId, kind, contentType, data]
+    );
+    return result.rows[0];
+  },
+
+  // Removes the row only while `userId` may edit its task (and the task is not in the trash).
+  // Returns the removed row, whose file the caller deletes, or null.
+  async deleteAttachment(id, userId) {
+    const result = await pool.query(
+      `DELETE FROM attachments a USING tasks
+       WHERE a.id = $1 AND tasks.id = a.task_id AND tasks.deleted_at IS NULL AND ${taskAccessSql('$2')} IN ('owner', 'write')
+       RETURNING a.*`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Upload session operations
+  async createUploadSession(sessionData) {
+    const { id, userId, taskId, originalName, mimeType, size, checksum } = sessionData;
+    const result = await pool.query(
+      `INSERT INTO upload_sessions (id, user_id, task_id, original_name, mime_type, size, checksum)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [id, userId, taskId, originalName, mimeType, size, checksum]
+    );
+    return result.rows[0];
+  },
+
+  async getUploadSession(id, userId) {
+    const result = await pool.query('SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows[0] || null;
+  },
+
+  // An unfinished upload of the same file to the same task, to resume instead of starting over
+  async findUploadSession(userId, { taskId, originalName, size, checksum }) {
+    const result = await pool.query(
+      `SELECT * FROM upload_sessions
+       WHERE user_id = $1 AND task_id = $2 AND original_name = $3 AND size = $4 AND checksum = $5
+       ORDER BY received DESC LIMIT 1`,
+      [userId, taskId, originalName, size, checksum]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Move `received` from `offset` to `offset + length`; null when another chunk got there first
+  async advanceUploadSession(id, offset, length) {
+    const result = await pool.query(
+      `UPDATE upload_sessions SET received = received + $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND received = $2 RETURNING *`,
+      [id, offset, length]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Returns the removed row (null if there was none)
+  async deleteUploadSession(id) {
+    const result = await pool.query('DELETE FROM upload_sessions WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Remove sessions untouched for `hours`; returns their ids, whose staged files the caller deletes
+  async deleteStaleUploadSessions(hours) {
+    const result = await pool.query(
+      `DELETE FROM upload_sessions WHERE updated_at < CURRENT_TIMESTAMP - make_interval(hours => $1) RETURNING id`,
+      [hours]
+    );
+    return result.rows.map(r => r.id);
+  },
+
+  // Project operations
+  async getProjects(userId) {
+    const result = await pool.query(
+      `SELECT p.*, (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL)::int AS task_count
+       FROM projects p WHERE p.user_id = $1 ORDER BY p.name ASC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async getProjectById(id, userId) {
+    const result = await pool.query(
+      `SELECT p.*, (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.deleted_at IS NULL)::int AS task_count
+       FROM projects p WHERE p.id = $1 AND p.user_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async createProject(projectData) {
+    const { name, userId } = projectData;
+    const result = await pool.query(
+      'INSERT INTO projects (name, user_id) VALUES ($1, $2) RETURNING *',
+      [name, userId]
+    );
+    return result.rows[0];
+  },
+
+  async updateProject(id, projectData) {
+    const { name, userId } = projectData;
+    const result = await pool.query(
+      'UPDATE projects SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 RETURNING *',
+      [name, id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // The tasks filed under a project, trashed ones included, with their details
+  async getProjectTasks(id, userId) {
+    const result = await pool.query('SELECT * FROM tasks WHERE project_id = $1 AND user_id = $2', [id, userId]);
+    await loadTaskDetails(result.rows);
+    return result.rows;
+  },
+
+  // mode 'cascade' moves the project's tasks to the trash, 'move' reassigns them to targetProjectId (null = no project).
+  // `entries` maps task ids to the history entry written alongside each changed task (see applyBulk).
+  async deleteProject(id, userId, { mode, targetProjectId = null, entries = new Map() }) {
+    return withTransaction(async (client) => {
+      const changed = mode === 'cascade'
+        ? await client.query(
+          'UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE project_id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id',
+          [id, userId]
+        )
+        : await client.query(
+          'UPDATE tasks SET project_id = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE project_id = $2 AND user_id = $3 RETURNING id',
+          [targetProjectId, id, userId]
+        );
+      for (const { id: taskId } of changed.rows) {
+        if (entries.get(taskId)) await insertHistory(client, taskId, userId, entries.get(taskId));
+      }
+      await client.query('DELETE FROM projects WHERE id = $1 AND user_id = $2', [id, userId]);
+      return changed.rowCount;
+    });
+  },
+
+  // Tag operations
+  async getTags(userId) {
+    const result = await pool.query(
+      `SELECT g.*, ${TAG_TASK_COUNT_SQL} FROM tags g WHERE g.user_id = $1 ORDER BY LOWER(g.name) ASC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async getTagById(id, userId) {
+    const result = await pool.query('SELECT * FROM tags WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rows[0] || null;
+  },
+
+  async getTagByName(name, userId) {
+    const result = await pool.query('SELECT * FROM tags WHERE LOWER(name) = LOWER($1) AND user_id = $2', [name, userId]);
+    return result.rows[0] || null;
+  },
+
+  async createTag(tagData) {
+    const { name, color, userId } = tagData;
+    const result = await pool.query(
+      'INSERT INTO tags (name, color, user_id) VALUES ($1, COALESCE($2, \'#60a5fa\'), $3) RETURNING *',
+      [name, color || null, userId]
+    );
+    return result.rows[0];
+  },
+
+  // Tasks reference tags by id, so a rename is visible on every tagged task at once
+  async updateTag(id, tagData) {
+    const { name, color, userId } = tagData;
+    const result = await pool.query(
+      `UPDATE tags g SET name = $1, color = $2 WHERE g.id = $3 AND g.user_id = $4 RETURNING g.*, ${TAG_TASK_COUNT_SQL}`,
+      [name, color, id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Returns ids of the tasks that lost the tag (task_tags rows go with ON DELETE CASCADE)
+  async deleteTag(id, userId) {
+    return withTransaction(async (client) => {
+      const tagged = await client.query('SELECT task_id FROM task_tags WHERE tag_id = $1', [id]);
+      await client.query('DELETE FROM tags WHERE id = $1 AND user_id = $2', [id, userId]);
+      return tagged.rows.map(r => r.task_id);
+    });
+  },
+
+  async getTaskTags(taskId) {
+    const result = await pool.query(
+      `SELECT g.id, g.name, g.color FROM task_tags tt JOIN tags g ON g.id = tt.tag_id
+       WHERE tt.task_id = $1 ORDER BY LOWER(g.name) ASC`,
+      [taskId]
+    );
+    return result.rows;
+  },
+
+  // Replace the full tag set of a task
+  async setTaskTags(taskId, tagIds) {
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM task_tags WHERE task_id = $1', [taskId]);
+      if (tagIds.length) {
+        await client.query(
+          'INSERT INTO task_tags (task_id, tag_id) SELECT $1, UNNEST($2::int[]) ON CONFLICT DO NOTHING',
+          [taskId, tagIds]
+        );
+      }
+    });
+  },
+
+  // Reminder operations
+  // `minutesList` replaces the task's reminders; kept ones keep their sent state
+  async setTaskReminders(taskId, minutesList) {
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM task_reminders WHERE task_id = $1 AND NOT (minutes_before = ANY($2::int[]))', [taskId, minutesList]);
+      if (minutesList.length) {
+        await client.query(
+          'INSERT INTO task_reminders (task_id, minutes_before) SELECT $1, UNNEST($2::int[]) ON CONFLICT DO NOTHING',
+          [taskId, minutesList]
+        );
+      }
+      await scheduleReminders(client, 'id', taskId);
+    });
+  },
+
+  // After a time zone change every reminder of the user moves with the wall clock
+  async rescheduleUserReminders(userId) {
+    await scheduleReminders(pool, 'user_id', userId);
+  },
+
+  // Mark due reminders as sent and return them with their task. Only reminders of `userIds`
+  // (users with a connected client) are claimed, so the rest wait until their owner is back;
+  // reminders of trashed or finished tasks are retired without being returned.
+  async claimDueReminders(userIds) {
+    const result = await pool.query(
+      `UPDATE task_reminders r SET sent_at = NOW()
+       FROM tasks t
+       WHERE t.id = r.task_id AND r.sent_at IS NULL AND r.remind_at <= NOW()
+         AND (t.user_id = ANY($1::int[]) OR t.deleted_at IS NOT NULL OR ${TASK_DONE_SQL})
+       RETURNING r.id, r.task_id, r.minutes_before, r.remind_at, t.user_id, t.title, t.due_date, t.due_time,
+         t.deleted_at IS NULL AND NOT ${TASK_DONE_SQL} AS active`,
+      [userIds]
+    );
+    return result.rows.filter(r => r.active);
+  },
+
+  // Checklist operations
+  async getChecklist(taskId) {
+    const result = await pool.query(
+      'SELECT * FROM checklist_items WHERE task_id = $1 ORDER BY position ASC, id ASC',
+      [taskId]
+    );
+    return result.rows;
+  },
+
+  async getChecklistItem(id, taskId) {
+    const result = await pool.query('SELECT * FROM checklist_items WHERE id = $1 AND task_id = $2', [id, taskId]);
+    return result.rows[0] || null;
+  },
+
+  async addChecklistItem(taskId, text) {
+    const result = await pool.query(
+      `INSERT INTO checklist_items (task_id, text, position)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(position), -1) + 1 FROM checklist_items WHERE task_id = $1))
+       RETURNING *`,
+      [taskId, text]
+    );
+    return result.rows[0];
+  },
+
+  async updateChecklistItem(id, taskId, itemData) {
+    const { text, done } = itemData;
+    const result = await pool.query(
+      'UPDATE checklist_items SET text = $1, done = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND task_id = $4 RETURNING *',
+      [text, !!done, id, taskId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async deleteChecklistItem(id, taskId) {
+    await pool.query('DELETE FROM checklist_items WHERE id = $1 AND task_id = $2', [id, taskId]);
+  },
+
+  // itemIds must list every item of the task exactly once, in the new order
+  async reorderChecklist(taskId, itemIds) {
+    return withTransaction(async (client) => {
+      const current = await client.query('SELECT id FROM checklist_items WHERE task_id = $1 FOR UPDATE', [taskId]);
+      const known = new Set(current.rows.map(r => r.id));
+      if (itemIds.length !== known.size || new Set(itemIds).size !== itemIds.length || !itemIds.every(id => known.has(id))) {
+        return false;
+      }
+      for (let i = 0; i < itemIds.length; i++) {
+        await client.query('UPDATE checklist_items SET position = $1 WHERE id = $2', [i, itemIds[i]]);
+      }
+      return true;
+    });
+  },
+
+  // Move an auto_complete task to the first "done" status of its owner's workflow
+  // when its (non-empty) checklist is fully done
+  async completeTaskIfChecklistDone(taskId) {
+    const result = await pool.query(
+      `UPDATE tasks SET status = done.key, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       FROM (SELECT w.key FROM workflow_statuses w JOIN tasks t ON t.user_id = w.user_id
+             WHERE t.id = $1 AND w.is_done ORDER BY w.position LIMIT 1) done
+       WHERE tasks.id = $1 AND tasks.auto_complete
+         AND tasks.status NOT IN (SELECT w.key FROM workflow_statuses w WHERE w.user_id = tasks.user_id AND w.is_done)
+         AND EXISTS (SELECT 1 FROM checklist_items WHERE task_id = $1)
+         AND NOT EXISTS (${OPEN_BLOCKERS_SQL})
+         AND NOT EXISTS (SELECT 1 FROM checklist_items WHERE task_id = $1 AND NOT done)
+       RETURNING *`,
+      [taskId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Recurrence operations
+  async getRecurrence(id) {
+    const result = await pool.query('SELECT * FROM recurrences WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Start a series from an existing task, which becomes occurrence #1
+  async createRecurrence(taskId, rule) {
+    return withTransaction(async (client) => {
+      const created = await client.query(
+        `INSERT INTO recurrences (user_id, rule, title, description, priority, project_id)
+         SELECT user_id, $2, title, description, priority, project_id FROM tasks WHERE id = $1
+         RETURNING *`,
+        [taskId, JSON.stringify(rule)]
+      );
+      await client.query(
+        'UPDATE tasks SET recurrence_id = $1, recurrence_index = 1, recurrence_spawned = FALSE WHERE id = $2',
+        [created.rows[0].id, taskId]
+      );
+      return created.rows[0];
+    });
+  },
+
+  async updateRecurrenceRule(id, rule) {
+    const result = await pool.query(
+      'UPDATE recurrences SET rule = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [JSON.stringify(rule), id]
+    );
+    return result.rows[0] || null;
+  },
+
+  // "All future" edit: refresh the series template and every open occurrence from fromIndex on
+  async updateRecurrenceTemplate(id, fromIndex, templateData) {
+    const { title, description, priority, projectId } = templateData;
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE recurrences SET title = $1, description = $2, priority = $3, project_id = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5',
+        [title, description, priority, projectId || null, id]
+      );
+      await client.query(
+        `UPDATE tasks SET title = $1, description = $2, priority = $3, project_id = $4, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE recurrence_id = $5 AND recurrence_index > $6
+           AND status NOT IN (SELECT w.key FROM workflow_statuses w WHERE w.user_id = tasks.user_id AND w.is_done)`,
+        [title, description, priority, projectId || null, id, fromIndex]
+      );
+    });
+  },
+
+  // Stop a series; its tasks stay but lose the link (ON DELETE SET NULL)
+  async endRecurrence(id) {
+    await pool.query('DELETE FROM recurrences WHERE id = $1', [id]);
+  },
+
+  // Create the occurrence after `taskId` due on `dueDate` in the same workspace, copying the assignee, shares, tags, reminders
+  // and a reset checklist.
+  // Returns the new task row, or null if this occurrence already spawned its successor.
+  async spawnNextOccurrence(taskId, dueDate) {
+    return withTransaction(async (client) => {
+      const claimed = await client.query(
+        'UPDATE tasks SET recurrence_spawned = TRUE WHERE id = $1 AND recurrence_id IS NOT NULL AND NOT recurrence_spawned RETURNING *',
+        [taskId]
+      );
+      const current = claimed.rows[0];
+      if (!current) return null;
+      const created = await client.query(
+        `INSERT INTO tasks (title, description, status, due_date, due_time, project_id, auto_complete, priority, estimate_minutes, user_id, assignee_id, workspace_id, position, recurrence_id, recurrence_index)
+         SELECT r.title, r.description,
+           COALESCE((SELECT key FROM workflow_statuses WHERE user_id = $4 ORDER BY is_done, position LIMIT 1), 'pending'),
+           $2, $6, r.project_id, $3, r.priority, $7, $4, $8, $9,
+           (SELECT COALESCE(MIN(position), ${POSITION_GAP * 2}) - ${POSITION_GAP} FROM tasks WHERE workspace_id = $9 AND deleted_at IS NULL),
+           r.id, $5
+         FROM recurrences r WHERE r.id = $1
+         RETURNING *`,
+        [current.recurrence_id, dueDate, current.auto_complete, current.user_id, (current.recurrence_index || 1) + 1, current.due_time, current.estimate_minutes, current.assignee_id, current.workspace_id]
+      );
+      const next = created.rows[0];
+      await client.query('INSERT INTO task_tags (task_id, tag_id) SELECT $1, tag_id FROM task_tags WHERE task_id = $2', [next.id, taskId]);
+      await client.query(
+        'INSERT INTO task_shares (task_id, user_id, permission) SELECT $1, user_id, permission FROM task_shares WHERE task_id = $2',
+        [next.id, taskId]
+      );
+      await client.query(
+        'INSERT INTO checklist_items (task_id, text, position) SELECT $1, text, position FROM checklist_items WHERE task_id = $2',
+        [next.id, taskId]
+      );
+      await client.query(
+        'INSERT INTO task_reminders (task_id, minutes_before) SELECT $1, minutes_before FROM task_reminders WHERE task_id = $2',
+        [next.id, taskId]
+      );
+      await scheduleReminders(client, 'id', next.id);
+      return next;
+    });
+  },
+
+  // Sharing operations
+  // (shares of loaded tasks come from loadTaskDetails)
+  // Share a task with a user, or change the permission of an existing share
+  async setTaskShare(taskId, userId, permission) {
+    const result = await pool.query(
+      `INSERT INTO task_shares (task_id, user_id, permission) VALUES ($1, $2, $3)
+       ON CONFLICT (task_id, user_id) DO UPDATE SET permission = EXCLUDED.permission RETURNING *`,
+      [taskId, userId, permission]
+    );
+    return result.rows[0];
+  },
+
+  async removeTaskShare(taskId, userId) {
+    const result = await pool.query('DELETE FROM task_shares WHERE task_id = $1 AND user_id = $2', [taskId, userId]);
+    return result.rowCount > 0;
+  },
+
+  // Several tasks the user can see (in no particular order), with their `access` to each
+  async getTasksByIds(ids, userId) {
+    const result = await pool.query(
+      `SELECT tasks.*, ${COMMENT_COUNT_SQL}, ${taskAccessSql('$2')} AS access FROM tasks
+       WHERE id = ANY($1) AND ${visibleTaskSql('$2')} AND deleted_at IS NULL`,
+      [ids, userId]
+    );
+    await loadTaskDetails(result.rows);
+    return result.rows;
+  },
+
+  // Apply the checked changes of a bulk operation in one transaction. Each change is
+  // { id, fields: { <column of BULK_COLUMNS>: value } } or { id, delete: true }, with an optional
+  // history `entry` written alongside. Returns the ids that changed; tasks trashed meanwhile are
+  // skipped, and any error rolls back every change.
+  async applyBulk(changes, userId) {
+    return withTransaction(async (client) => {
+      const applied = [];
+      for (const change of changes) {
+        let result;
+        if (change.delete) {
+          result = await client.query('UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL', [change.id]);
+        } else {
+          const columns = Object.keys(change.fields).filter(c => BULK_COLUMNS.includes(c));
+          result = await client.query(
+            `UPDATE tasks SET ${columns.map((c, i) => `${c} = $${i + 2}, `).join('')}version = version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND deleted_at IS NULL`,
+            [change.id, ...columns.map(c => change.fields[c])]
+          );
+          if (result.rowCount && columns.includes('due_date')) await scheduleReminders(client, 'id', change.id);
+        }
+        if (!result.rowCount) continue;
+        if (change.entry) await insertHistory(client, change.id, userId, change.entry);
+        applied.push(change.id);
+      }
+      return applied;
+    });
+  },
+
+  // Move a task into another workspace; permissions are checked by the caller
+  async moveTaskToWorkspace(id, workspaceId) {
+    const result = await pool.query(
+      'UPDATE tasks SET workspace_id = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+      [id, workspaceId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Workspace operations
+  // The user's workspaces with their `role` and the member count, personal one first.
+  // New accounts get their personal workspace on first use.
+  async getWorkspaces(userId) {
+    await seedPersonalWorkspace(pool, 'SELECT $1::int AS id', [userId]);
+    const result = await pool.query(
+      `SELECT w.*, m.role, (SELECT COUNT(*)::int FROM workspace_members x WHERE x.workspace_id = w.id) AS member_count
+       FROM workspaces w JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $1
+       ORDER BY w.personal DESC, LOWER(w.name) ASC, w.id ASC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async getPersonalWorkspace(userId) {
+    await seedPersonalWorkspace(pool, 'SELECT $1::int AS id', [userId]);
+    const result = await pool.query(
+      `SELECT w.*, 'owner' AS role FROM workspaces w WHERE w.created_by = $1 AND w.personal`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  // The workspace with the user's `role` in it, or null when they are not a member
+  async getMembership(workspaceId, userId) {
+    const result = await pool.query(
+      `SELECT w.*, m.role FROM workspaces w JOIN workspace_members m ON m.workspace_id = w.id
+       WHERE w.id = $1 AND m.user_id = $2`,
+      [workspaceId, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async getMembers(workspaceId) {
+    const result = await pool.query(
+      `SELECT m.*, u.username FROM workspace_members m JOIN users u ON u.id = m.user_id
+       WHERE m.workspace_id = $1
+       ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 WHEN 'member' THEN 2 ELSE 3 END, LOWER(u.username) ASC`,
+      [workspaceId]
+    );
+    return result.rows;
+  },
+
+  async createWorkspace(name, userId) {
+    return withTransaction(async (client) => {
+      const created = await client.query(
+        'INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING *',
+        [name, userId]
+      );
+      const workspace = created.rows[0];
+      await client.query(
+        "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [workspace.id, userId]
+      );
+      return { ...workspace, role: 'owner', member_count: 1 };
+    });
+  },
+
+  async renameWorkspace(id, name) {
+    const result = await pool.query('UPDATE workspaces SET name = $1 WHERE id = $2 RETURNING *', [name, id]);
+    return result.rows[0] || null;
+  },
+
+  // Delete a workspace with all of its tasks. Returns the attachment rows of those tasks so
+  // the caller can remove the files, and the ids of the members to notify.
+  async deleteWorkspace(id) {
+    return withTransaction(async (client) => {
+      const attachments = await client.query(
+        'SELECT a.* FROM attachments a JOIN tasks t ON t.id = a.task_id WHERE t.workspace_id = $1',
+        [id]
+      );
+      const members = await client.query('SELECT user_id FROM workspace_members WHERE workspace_id = $1', [id]);
+      await client.query('DELETE FROM workspaces WHERE id = $1', [id]);
+      return { attachments: attachments.rows, memberIds: members.rows.map(r => r.user_id) };
+    });
+  },
+
+  async setMemberRole(workspaceId, userId, role) {
+    const result = await pool.query(
+      'UPDATE workspace_members SET role = $3 WHERE workspace_id = $1 AND user_id = $2 RETURNING *',
+      [workspaceId, userId, role]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Tasks the member created stay in the workspace
+  async removeMember(workspaceId, userId) {
+    const result = await pool.query('DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2', [workspaceId, userId]);
+    return result.rowCount > 0;
+  },
+
+  // Invitation operations
+  async getInvitations(workspaceId) {
+    const result = await pool.query(
+      `SELECT i.*, u.username, inviter.username AS invited_by_name FROM workspace_invitations i
+       JOIN users u ON u.id = i.user_id LEFT JOIN users inviter ON inviter.id = i.invited_by
+       WHERE i.workspace_id = $1 ORDER BY i.created_at ASC`,
+      [workspaceId]
+    );
+    return result.rows;
+  },
+
+  // Invitations waiting for the user, with the workspace names
+  async getUserInvitations(userId) {
+    const result = await pool.query(
+      `SELECT i.*, w.name AS workspace_name, inviter.username AS invited_by_name FROM workspace_invitations i
+       JOIN workspaces w ON w.id = i.workspace_id LEFT JOIN users inviter ON inviter.id = i.invited_by
+       WHERE i.user_id = $1 ORDER BY i.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async getInvitation(id) {
+    const result = await pool.query('SELECT * FROM workspace_invitations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Inviting someone again only changes the offered role
+  async createInvitation(workspaceId, userId, role, invitedBy) {
+    const result = await pool.query(
+      `INSERT INTO workspace_invitations (workspace_id, user_id, role, invited_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by
+       RETURNING *`,
+      [workspaceId, userId, role, invitedBy]
+    );
+    return result.rows[0];
+  },
+
+  async deleteInvitation(id) {
+    const result = await pool.query('DELETE FROM workspace_invitations WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  },
+
+  // Turn the user's invitation into a membership. Returns the membership row, or null when
+  // there is no such invitation for them.
+  async acceptInvitation(id, userId) {
+    return withTransaction(async (client) => {
+      const invitation = await client.query(
+        'DELETE FROM workspace_invitations WHERE id = $1 AND user_id = $2 RETURNING *',
+        [id, userId]
+      );
+      const accepted = invitation.rows[0];
+      if (!accepted) return null;
+      const member = await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = workspace_members.role
+         RETURNING *`,
+        [accepted.workspace_id, userId, accepted.role]
+      );
+      return member.rows[0];
+    });
+  },
+
+  // Dependency operations
+  // (blockedBy/blocks of loaded tasks come from loadTaskDetails)
+  async getOpenBlockers(taskId) {
+    const result = await pool.query(OPEN_BLOCKERS_SQL, [taskId]);
+    return result.rows;
+  },
+
+  // Record that taskId is blocked by blockedById. Returns { cycle: true } instead when
+  // blockedById already (transitively) waits on taskId.
+  async addDependency(taskId, blockedById) {
+    return withTransaction(async (client) => {
+      // One writer at a time, so two concurrent links cannot close a cycle together
+      await client.query('LOCK TABLE task_dependencies IN SHARE ROW EXCLUSIVE MODE');
+      const cycle = await client.query(
+        `WITH RECURSIVE chain(id) AS (
+           SELECT blocked_by_id FROM task_dependencies WHERE task_id = $1
+           UNION
+           SELECT d.blocked_by_id FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+         )
+         SELECT 1 FROM chain WHERE id = $2 LIMIT 1`,
+        [blockedById, taskId]
+      );
+      if (cycle.rows.length) return { cycle: true };
+      await client.query(
+        'INSERT INTO task_dependencies (task_id, blocked_by_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [taskId, blockedById]
+      );
+      return { cycle: false };
+    });
+  },
+
+  async removeDependency(taskId, blockedById) {
+    await pool.query('DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by_id = $2', [taskId, blockedById]);
+  },
+
+  // Comment operations
+  // Rows carry the author's username for display
+  async getComments(taskId) {
+    const result = await pool.query(
+      `SELECT c.*, u.username FROM comments c LEFT JOIN users u ON u.id = c.user_id
+       WHERE c.task_id = $1 ORDER BY c.created_at ASC, c.id ASC`,
+      [taskId]
+    );
+    return result.rows;
+  },
+
+  async getComment(id, taskId) {
+    const result = await pool.query(
+      `SELECT c.*, u.username FROM comments c LEFT JOIN users u ON u.id = c.user_id
+       WHERE c.id = $1 AND c.task_id = $2`,
+      [id, taskId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async createComment(taskId, userId, body) {
+    const result = await pool.query(
+      'INSERT INTO comments (task_id, user_id, body) VALUES ($1, $2, $3) RETURNING id',
+      [taskId, userId, body]
+    );
+    return this.getComment(result.rows[0].id, taskId);
+  },
+
+  // Only the author may change a comment; returns null otherwise
+  async updateComment(id, taskId, userId, body) {
+    const result = await pool.query(
+      'UPDATE comments SET body = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND task_id = $3 AND user_id = $4 RETURNING id',
+      [body, id, taskId, userId]
+    );
+    return result.rows.length ? this.getComment(id, taskId) : null;
+  },
+
+  async deleteComment(id, taskId, userId) {
+    const result = await pool.query(
+      'DELETE FROM comments WHERE id = $1 AND task_id = $2 AND user_id = $3',
+      [id, taskId, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Time tracking operations
+  // Entry rows carry the username and their length in `seconds`
+  async getTimeEntries(taskId) {
+    const result = await pool.query(
+      `SELECT e.*, u.username, ${ENTRY_SECONDS_SQL} AS seconds FROM time_entries e LEFT JOIN users u ON u.id = e.user_id
+       WHERE e.task_id = $1 ORDER BY e.started_at DESC, e.id DESC`,
+      [taskId]
+    );
+    return result.rows;
+  },
+
+  async getTimeEntry(id, taskId) {
+    const result = await pool.query(
+      `SELECT e.*, u.username, ${ENTRY_SECONDS_SQL} AS seconds FROM time_entries e LEFT JOIN users u ON u.id = e.user_id
+       WHERE e.id = $1 AND e.task_id = $2`,
+      [id, taskId]
+    );
+    return result.rows[0] || null;
+  },
+
+  async createTimeEntry(taskId, userId, { startedAt, endedAt, note }) {
+    const result = await pool.query(
+      'INSERT INTO time_entries (task_id, user_id, started_at, ended_at, note) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [taskId, userId, startedAt, endedAt, note]
+    );
+    return this.getTimeEntry(result.rows[0].id, taskId);
+  },
+
+  // A running entry stays running; its end is set by stopTimer
+  async updateTimeEntry(id, taskId, { startedAt, endedAt, note }) {
+    const result = await pool.query(
+      `UPDATE time_entries SET started_at = $1, ended_at = CASE WHEN ended_at IS NULL THEN NULL ELSE $2::timestamptz END,
+         note = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND task_id = $5 RETURNING id`,
+      [startedAt, endedAt, note, id, taskId]
+    );
+    return result.rows.length ? this.getTimeEntry(id, taskId) : null;
+  },
+
+  async deleteTimeEntry(id, taskId) {
+    const result = await pool.query('DELETE FROM time_entries WHERE id = $1 AND task_id = $2', [id, taskId]);
+    return result.rowCount > 0;
+  },
+
+  // The user's running timer with its task title, or null
+  async getRunningTimer(userId) {
+    const result = await pool.query(
+      `SELECT e.*, t.title, ${ENTRY_SECONDS_SQL} AS seconds FROM time_entries e JOIN tasks t ON t.id = e.task_id
+       WHERE e.user_id = $1 AND e.ended_at IS NULL`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Start a timer on the task, stopping the user's running one first.
+  // Returns { entry, stopped } (stopped is the entry that was running elsewhere, or null).
+  async startTimer(taskId, userId) {
+    const ids = await withTransaction(async (client) => {
+      // Serialise starts per user so two tabs cannot both insert a running entry
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const running = await client.query('SELECT id, task_id FROM time_entries WHERE user_id = $1 AND ended_at IS NULL', [userId]);
+      if (running.rows[0] && running.rows[0].task_id === taskId) return { entryId: running.rows[0].id, stopped: null };
+      const stopped = await client.query(
+        'UPDATE time_entries SET ended_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND ended_at IS NULL RETURNING id, task_id',
+        [userId]
+      );
+      const created = await client.query(
+        'INSERT INTO time_entries (task_id, user_id, started_at) VALUES ($1, $2, NOW()) RETURNING id',
+        [taskId, userId]
+      );
+      return { entryId: created.rows[0].id, stopped: stopped.rows[0] || null };
+    });
+    return {
+      entry: await this.getTimeEntry(ids.entryId, taskId),
+      stopped: ids.stopped ? await this.getTimeEntry(ids.stopped.id, ids.stopped.task_id) : null
+    };
+  },
+
+  // Stop the user's running timer; returns the finished entry or null when none was running
+  async stopTimer(userId) {
+    const result = await pool.query(
+      'UPDATE time_entries SET ended_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND ended_at IS NULL RETURNING id, task_id',
+      [userId]
+    );
+    const row = result.rows[0];
+    return row ? this.getTimeEntry(row.id, row.task_id) : null;
+  },
+
+  // Logged seconds per period ('day' or 'week', in the user's time zone) and task status.
+  // An entry counts towards the day it started on. from/to are optional YYYY-MM-DD bounds.
+  async getTimeReport(userId, { groupBy = 'day', from = null, to = null, projectId = 'all' }) {
+    const conditions = ['e.user_id = $1', 't.deleted_at IS NULL'];
+    const params = [userId, groupBy];
+    const localDay = '(e.started_at AT TIME ZONE u.time_zone)::date';
+    if (from) {
+      params.push(from);
+      conditions.push(`${localDay} >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`${localDay} <= $${params.length}`);
+    }
+    if (projectId === 'none') {
+      conditions.push('t.project_id IS NULL');
+    } else if (projectId !== 'all') {
+      params.push(projectId);
+      conditions.push(`t.project_id = $${params.length}`);
+    }
+    const result = await pool.query(
+      `SELECT to_char(date_trunc($2, e.started_at AT TIME ZONE u.time_zone), 'YYYY-MM-DD') AS period, t.status,
+         COUNT(DISTINCT t.id)::int AS task_count, SUM(${ENTRY_SECONDS_SQL})::int AS seconds
+       FROM time_entries e JOIN tasks t ON t.id = e.task_id JOIN users u ON u.id = e.user_id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY 1, 2 ORDER BY 1 ASC, 2 ASC`,
+      params
+    );
+    return result.rows;
+  },
+
+  // History operations
+  async addHistory(taskId, userId, entryData) {
+    return insertHistory(pool, taskId, userId, entryData);
+  },
+
+  // Newest first, with the actor's username
+  async getHistory(taskId) {
+    const result = await pool.query(
+      `SELECT h.*, u.username FROM task_history h LEFT JOIN users u ON u.id = h.user_id
+       WHERE h.task_id = $1 ORDER BY h.created_at DESC, h.id DESC`,
+      [taskId]
+    );
+    return result.rows;
+  },
+
+  async getHistoryEntry(id, taskId) {
+    const result = await pool.query('SELECT * FROM task_history WHERE id = $1 AND task_id = $2', [id, taskId]);
+    return result.rows[0] || null;
+  },
+
+  // Template operations
+  async getTemplates(userId) {
+    const result = await pool.query('SELECT * FROM task_templates WHERE user_id = $1 ORDER BY LOWER(name) ASC, id ASC', [userId]);
+    return loadTemplateAttachments(result.rows);
+  },
+
+  async getTemplateById(id, userId) {
+    const result = await pool.query('SELECT * FROM task_templates WHERE id = $1 AND user_id = $2', [id, userId]);
+    return (await loadTemplateAttachments(result.rows))[0] || null;
+  },
+
+  // `attachments` are files already copied for the template: [{ filename, originalName, filePath }]
+  async createTemplate(templateData) {
+    const { name, title, description, status, priority, dueOffsetDays, checklist, attachments = [], userId } = templateData;
+    return withTransaction(async (client) => {
+      const created = await client.query(
+        `INSERT INTO task_templates (user_id, name, title, description, status, priority, due_offset_days, checklist)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [userId, name, title, description || '', status || null, priority || 'normal', dueOffsetDays ?? null, checklist || []]
+      );
+      for (const a of attachments) {
+        await client.query(
+          'INSERT INTO template_attachments (template_id, filename, original_name, file_path) VALUES ($1, $2, $3, $4)',
+          [created.rows[0].id, a.filename, a.originalName, a.filePath]
+        );
+      }
+      return created.rows[0];
+    });
+  },
+
+  async updateTemplate(id, templateData) {
+    const { name, title, description, status, priority, dueOffsetDays, checklist, userId } = templateData;
+    const result = await pool.query(
+      `UPDATE task_templates SET name = $1, title = $2, description = $3, status = $4, priority = $5, due_offset_days = $6,
+         checklist = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND user_id = $9 RETURNING *`,
+      [name, title, description || '', status || null, priority || 'normal', dueOffsetDays ?? null, checklist || [], id, userId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Returns the attachments of the removed template, whose files the caller deletes (null if there was none)
+  async deleteTemplate(id, userId) {
+    return withTransaction(async (client) => {
+      const attachments = await client.query(
+        'SELECT a.* FROM template_attachments a JOIN task_templates t ON t.id = a.template_id WHERE t.id = $1 AND t.user_id = $2',
+        [id, userId]
+      );
+      const deleted = await client.query('DELETE FROM task_templates WHERE id = $1 AND user_id = $2', [id, userId]);
+      return deleted.rowCount ? attachments.rows : null;
+    });
+  },
+
+  async getTemplateAttachment(id, templateId) {
+    const result = await pool.query('SELECT * FROM template_attachments WHERE id = $1 AND template_id = $2', [id, templateId]);
+    return result.rows[0] || null;
+  },
+
+  // Returns the removed row (null if there was none)
+  async deleteTemplateAttachment(id, templateId) {
+    const result = await pool.query('DELETE FROM template_attachments WHERE id = $1 AND template_id = $2 RETURNING *', [id, templateId]);
+    return result.rows[0] || null;
+  },
+
+  // Workflow operations
+  // Ordered statuses of a user's workflow; new accounts get the default one on first use
+  async getWorkflow(userId) {
+    const query = 'SELECT * FROM workflow_statuses WHERE user_id = $1 ORDER BY position ASC, id ASC';
+    let result = await pool.query(query, [userId]);
+    if (result.rows.length === 0) {
+      await seedDefaultWorkflow(pool, 'SELECT $1::int AS id', [userId]);
+      result = await pool.query(query, [userId]);
+    }
+    return result.rows;
+  },
+
+  // Replace the whole workflow. `remap` ({ oldKey: newKey }) moves tasks off removed statuses;
+  // returns { inUse: { key: count } } without changing anything if tasks would be left behind.
+  async replaceWorkflow(userId, statuses, remap = {}) {
+    return withTransaction(async (client) => {
+      const keys = statuses.map(s => s.key);
+      for (const [from, to] of Object.entries(remap)) {
+        if (!keys.includes(from)) {
+          await client.query('UPDATE tasks SET status = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 AND status = $3', [to, userId, from]);
+        }
+      }
+      const orphaned = await client.query(
+        'SELECT status, COUNT(*)::int AS count FROM tasks WHERE user_id = $1 AND NOT (status = ANY($2)) GROUP BY status',
+        [userId, keys]
+      );
+      if (orphaned.rows.length) {
+        throw Object.assign(new Error('Workflow statuses still in use'), {
+          inUse: Object.fromEntries(orphaned.rows.map(r => [r.status, r.count]))
+        });
+      }
+      await client.query('DELETE FROM workflow_statuses WHERE user_id = $1', [userId]);
+      for (let i = 0; i < statuses.length; i++) {
+        const s = statuses[i];
+        await client.query(
+          `INSERT INTO workflow_statuses (user_id, key, name, color, position, is_done, next_statuses)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [userId, s.key, s.name, s.color, i, !!s.isDone, s.next ?? null]
+        );
+      }
+      return { inUse: null };
+    }).catch((error) => {
+      if (error.inUse) return { inUse: error.inUse };
+      throw error;
+    });
   },
 
   // Close database connection
@@ -194,4 +2024,4 @@ const db = {
   }
 };
 
-module.exports = { db, initializeDatabase };
+module.exports = { db, initializeDatabase, pool, TASK_SORT_KEYS };
@@ -0,0 +1,81 @@
+// Reconcile attachment storage with the attachment tables.
+//
+// Works on the storage driver configured in config.env (see storage.js). Reports stored files
+// that no task or template attachment refers to, and attachment rows whose file is gone. With
+// --remove, the orphan files are deleted and the rows without a file are dropped. Files younger
+// than --min-age minutes are left alone, since an upload stores its file before its row.
+//
+// Usage: node gc-uploads.js [--remove] [--min-age=60]
+
+const path = require('path');
+const { initializeUsersTable } = require('./auth');
+const { pool, initializeDatabase } = require('./database');
+const { createStorage } = require('./storage');
+
+const storage = createStorage();
+const ATTACHMENT_TABLES = ['attachments', 'template_attachments'];
+
+const args = process.argv.slice(2);
+const REMOVE = args.includes('--remove');
+const minAgeArg = args.find(a => a.startsWith('--min-age='));
+const MIN_AGE_MINUTES = minAgeArg ? Number(minAgeArg.slice('--min-age='.length)) : 60;
+
+async function listFiles() {
+  const files = await storage.list();
+  return files.map(f => ({ name: f.key, size: f.size, modified: f.modified.getTime() }));
+}
+
+async function listRows() {
+  const rows = [];
+  for (const table of ATTACHMENT_TABLES) {
+    const result = await pool.query(`SELECT id, filename, original_name FROM ${table} ORDER BY id`);
+    rows.push(...result.rows.map(r => ({ table, ...r, name: path.basename(r.filename) })));
+  }
+  return rows;
+}
+
+async function main() {
+  if (!Number.isFinite(MIN_AGE_MINUTES) || MIN_AGE_MINUTES < 0) throw new Error('--min-age must be a number of minutes');
+  await initializeUsersTable();
+  await initializeDatabase();
+
+  const [files, rows] = await Promise.all([listFiles(), listRows()]);
+  const referenced = new Set(rows.map(r => r.name));
+  const present = new Set(files.map(f => f.name));
+  const cutoff = Date.now() - MIN_AGE_MINUTES * 60 * 1000;
+  const orphanFiles = files.filter(f => !referenced.has(f.name) && f.modified < cutoff);
+  const missingRows = rows.filter(r => !present.has(r.name));
+
+  console.log(`${files.length} file(s) in ${storage.name} storage, ${rows.length} attachment row(s)`);
+  console.log(`${orphanFiles.length} file(s) without an attachment row:`);
+  for (const f of orphanFiles) console.log(`  ${f.name} (${f.size} bytes)`);
+  console.log(`${missingRows.length} attachment row(s) without a file:`);
+  for (const r of missingRows) console.log(`  ${r.table} #${r.id} ${r.filename} ("${r.original_name}")`);
+
+  if (!REMOVE) {
+    if (orphanFiles.length || missingRows.length) console.log('Run with --remove to clean up.');
+    return;
+  }
+  let removedFiles = 0;
+  for (const f of orphanFiles) {
+    try {
+      await storage.remove(f.name);
+      removedFiles++;
+    } catch (e) {
+      console.error(`Failed to remove ${f.name}:`, e.message);
+    }
+  }
+  for (const table of ATTACHMENT_TABLES) {
+    const ids = missingRows.filter(r => r.table === table).map(r => r.id);
+    if (ids.length) await pool.query(`DELETE FROM ${table} WHERE id = ANY($1)`, [ids]);
+  }
+  console.log(`Removed ${removedFiles} file(s) and ${missingRows.length} row(s).`);
+}
+
+main()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('Upload cleanup failed:', e);
+    process.exit(1);
+  });
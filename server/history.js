@@ -0,0 +1,44 @@
+// Change history for tasks.
+//
+// A snapshot holds the user-editable fields of a task:
+//   { title, description, status, priority, dueDate, dueTime, reminders, estimateMinutes, projectId, autoComplete,
+//     assigneeId, assignee, tagIds, tags }
+// Every history entry stores the snapshot after the change (before it, for deletes) and a
+// field-level diff { field: { from, to } } against the previous state.
+
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'dueTime', 'reminders', 'estimateMinutes', 'projectId', 'autoComplete', 'assignee', 'tags'];
+
+// `task` is a db row; tags, reminders and the assignee's name are only known when it was loaded through getTaskById/getAllTasks
+function snapshot(task) {
+  if (!task) return null;
+  return {
+    title: task.title,
+    description: task.description || '',
+    status: task.status,
+    priority: task.priority || 'normal',
+    dueDate: task.due_date || null,
+    dueTime: task.due_time ? task.due_time.slice(0, 5) : null,
+    reminders: task.reminders ? task.reminders.map(r => r.minutes_before).sort((a, b) => b - a) : undefined,
+    estimateMinutes: task.estimate_minutes ?? null,
+    projectId: task.project_id ?? null,
+    autoComplete: !!task.auto_complete,
+    assigneeId: task.assignee_id ?? null,
+    assignee: task.assignee_name,
+    tagIds: task.tags ? task.tags.map(t => t.id).sort((a, b) => a - b) : undefined,
+    tags: task.tags ? task.tags.map(t => t.name).sort() : undefined
+  };
+}
+
+// Fields missing on either side (e.g. tags of a bare row) are left out rather than reported
+function diff(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+    if (from === undefined || to === undefined) continue;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+module.exports = { snapshot, diff };
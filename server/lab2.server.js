@@ -2,13 +2,21 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
 const multer = require('multer');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const { db, initializeDatabase } = require('./database');
-const { initializeUsersTable, userDb, tokenUtils, authMiddleware } = require('./auth');
+const { db, initializeDatabase, TASK_SORT_KEYS } = require('./database');
+const { initializeUsersTable, userDb, tokenUtils, authMiddleware, JWT_SECRET } = require('./auth');
+const recurrence = require('./recurrence');
+const history = require('./history');
+const policy = require('./policy');
+const templates = require('./templates');
+const previews = require('./previews');
+const { createStorage } = require('./storage');
 
 const app = express();
 const server = createServer(app);
@@ -20,11 +28,26 @@ const io = new Server(server, {
   }
 });
 const PORT = process.env.PORT || 3001;
+// Trashed tasks are purged (with their files) after TRASH_RETENTION_DAYS; the purge job
+// runs every TRASH_PURGE_INTERVAL_MINUTES
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+// Signed download URLs (for <img> tags and plain links) work without a session for this long
+const DOWNLOAD_URL_TTL_SECONDS = Number(process.env.DOWNLOAD_URL_TTL_SECONDS) || 15 * 60;
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || JWT_SECRET;
+// Chunked uploads (uploads:* events, /api/uploads) take files up to UPLOAD_MAX_MB in chunks of
+// at most UPLOAD_CHUNK_BYTES; unfinished ones are dropped after UPLOAD_SESSION_HOURS without a chunk
+const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 100) * 1024 * 1024;
+const UPLOAD_CHUNK_BYTES = 512 * 1024;
+const UPLOAD_SESSION_HOURS = Number(process.env.UPLOAD_SESSION_HOURS) || 24;
+// How often the scheduler looks for reminders that fell due
+const REMINDER_CHECK_SECONDS = Number(process.env.REMINDER_CHECK_SECONDS) || 30;
 
 app.use(cors({
   origin: [/^http:\/\/localhost:\d+$/],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Chunk-SHA256'],
+  exposedHeaders: ['ETag'],
   credentials: true // Allow cookies to be sent
 }));
 
@@ -32,46 +55,56 @@ app.use(cookieParser());
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-// Ensure uploads directory exists and serve it
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-try { if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true }); } catch (e) { console.error('Failed to ensure uploads dir:', e); }
-app.use('/uploads', express.static(uploadsDir));
+// Attachment files live in the storage driver picked in config.env (see storage.js) and are
+// only served through the download routes
+const storage = createStorage();
 
-// Multer storage for attachments
-const storage = multer.diskStorage({
+// Uploads are staged in a temp dir and moved into storage once complete: multipart ones by
+// multer, chunked ones under partial/
+const uploadStagingDir = path.join(os.tmpdir(), 'task-uploads');
+const partialUploadsDir = path.join(uploadStagingDir, 'partial');
+
+// Unique storage key for an uploaded file, keeping its name and extension readable
+function storedFilename(originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(originalName);
+  const base = path.basename(originalName, ext).replace(/[<>:"/\\|?*]/g, '_');
+  return `${base}-${uniqueSuffix}${ext}`;
+}
+
+// Allow only specific file types
+function isAllowedFile(originalName, mimetype) {
+  const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|zip|rar/;
+  const extname = allowedTypes.test(path.extname(originalName).toLowerCase());
+  const allowedMime = /image\/jpeg|image\/jpg|image\/png|image\/gif|application\/pdf|application\/msword|application\/vnd\.openxmlformats-officedocument\.wordprocessingml\.document|text\/plain|application\/zip|application\/x-rar-compressed/.test(mimetype);
+  return extname && allowedMime;
+}
+
+const stagingStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const dir = path.join(__dirname, '..', 'uploads');
     try {
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      if (!fs.existsSync(uploadStagingDir)) fs.mkdirSync(uploadStagingDir, { recursive: true });
     } catch (e) {
       return cb(e);
     }
-    cb(null, dir);
+    cb(null, uploadStagingDir);
   },
   filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
     let originalName = file.originalname;
     if (originalName.includes('Ð') || originalName.includes('Ñ')) {
       try { originalName = Buffer.from(originalName, 'latin1').toString('utf8'); } catch (e) {}
     }
-    const ext = path.extname(originalName);
-    const base = path.basename(originalName, ext).replace(/[<>:"/\\|?*]/g, '_');
-    cb(null, `${base}-${uniqueSuffix}${ext}`);
+    cb(null, storedFilename(originalName));
   }
 });
 const upload = multer({ 
-  storage,
+  storage: stagingStorage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit per file
     files: 10 // Max 10 files per request
   },
   fileFilter: (req, file, cb) => {
-    // Allow only specific file types
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|zip|rar/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = /image\/jpeg|image\/jpg|image\/png|image\/gif|application\/pdf|application\/msword|application\/vnd\.openxmlformats-officedocument\.wordprocessingml\.document|text\/plain|application\/zip|application\/x-rar-compressed/.test(file.mimetype);
-    
-    if (extname && mimetype) {
+    if (isAllowedFile(file.originalname, file.mimetype)) {
       return cb(null, true);
     } else {
       cb(new Error('Only images, PDFs, documents, and archives are allowed'));
@@ -79,6 +112,23 @@ const upload = multer({
   }
 });
 
+// previewType is 'image', 'pdf', 'text' or null; the thumbnail and preview URLs serve an image
+// for the first two and a plain-text snippet for text files
+function normalizeAttachment(a) {
+  const previewType = previews.previewType(a.filename);
+  return {
+    id: a.id,
+    filename: a.filename,
+    originalName: a.original_name,
+    filePath: a.file_path,
+    url: signedDownloadUrl(`/api/attachments/${a.id}/download`),
+    previewType,
+    thumbnailUrl: previewType ? signedDownloadUrl(`/api/attachments/${a.id}/thumbnail`) : null,
+    previewUrl: previewType ? signedDownloadUrl(`/api/attachments/${a.id}/preview`) : null,
+    uploadedAt: a.uploaded_at
+  };
+}
+
 function normalizeTask(task) {
   if (!task) return null;
   return {
@@ -86,471 +136,4177 @@ function normalizeTask(task) {
     title: task.title,
     description: task.description,
     status: task.status,
-    dueDate: task.due_date ? new Date(task.due_date).toISOString().slice(0, 10) : null,
+    priority: task.priority || 'normal',
+    position: task.position ?? null,
+    projectId: task.project_id ?? null,
+    dueDate: task.due_date || null,
+    dueTime: task.due_time ? task.due_time.slice(0, 5) : null,
+    reminders: task.reminders?.map(r => ({ minutesBefore: r.minutes_before, remindAt: r.remind_at, sent: !!r.sent_at })) || [],
+    estimateMinutes: task.estimate_minutes ?? null,
+    timeSpent: { seconds: task.time_spent || 0, runningSince: task.timer_started_at || null },
+    // Sent back with updates (If-Match / `version`) to detect edits made in the meantime
+    version: task.version ?? 1,
+    workspaceId: task.workspace_id ?? null,
+    owner: { id: task.user_id, username: task.owner_name || null },
+    assignee: task.assignee_id ? { id: task.assignee_id, username: task.assignee_name || null } : null,
+    // What the requesting user may do: 'owner', 'write' or 'read'
+    access: task.access || 'owner',
+    shares: task.shares?.map(normalizeShare) || [],
+    tags: task.tags?.map(t => ({ id: t.id, name: t.name, color: t.color })) || [],
+    autoComplete: !!task.auto_complete,
+    checklist: task.checklist?.map(normalizeChecklistItem) || [],
+    progress: {
+      done: task.checklist?.filter(i => i.done).length || 0,
+      total: task.checklist?.length || 0
+    },
+    blockedBy: task.blockedBy?.map(normalizeLinkedTask) || [],
+    blocks: task.blocks?.map(normalizeLinkedTask) || [],
+    commentCount: task.comment_count || 0,
+    recurrence: task.recurrence ? {
+      ...task.recurrence.rule,
+      rrule: recurrence.toRRule(task.recurrence.rule),
+      text: recurrence.describeRule(task.recurrence.rule),
+      index: task.recurrence_index
+    } : null,
+    // Only present on search results; matches are wrapped in \uE000...\uE001
+    ...(task.search_rank !== undefined ? {
+      search: {
+        rank: task.search_rank,
+        title: task.search_title,
+        description: task.search_description || null,
+        attachments: task.search_attachments || []
+      }
+    } : {}),
     createdAt: task.created_at,
     updatedAt: task.updated_at,
-    attachments: task.attachments?.map(a => ({
-      id: a.id,
-      filename: a.filename,
-      originalName: a.original_name,
-      filePath: a.file_path,
-      url: `/uploads/${a.filename}`,
-      uploadedAt: a.uploaded_at
-    })) || []
+    attachments: task.attachments?.map(normalizeAttachment) || []
   };
 }
 
-// Authentication routes
-app.post('/api/auth/register', async (req, res) => {
+function normalizeLinkedTask(t) {
+  return { id: t.id, title: t.title, status: t.status, done: t.done };
+}
+
+function normalizeShare(share) {
+  return { userId: share.user_id, username: share.username, permission: share.permission };
+}
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const TASK_PAGE_SIZE = 50;
+const TASK_PAGE_MAX = 200;
+const TASK_RANGE_FILTERS = ['dueFrom', 'dueTo', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'];
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const REMINDER_MAX_MINUTES = 40320; // four weeks
+const REMINDER_MAX_COUNT = 5;
+const ESTIMATE_MAX_MINUTES = 9999 * 60;
+const TIME_REPORT_GROUPS = ['day', 'week'];
+const TASK_VIEWS = ['all', 'owned', 'assigned', 'shared'];
+const SHARE_PERMISSIONS = ['read', 'write'];
+const USER_SEARCH_LIMIT = 10;
+const BULK_ACTIONS = ['status', 'shiftDue', 'delete', 'move'];
+const BULK_MAX_TASKS = 200;
+const SHIFT_MAX_DAYS = 3650;
+// Roles an invitation can offer; each workspace has exactly one owner, its creator
+const INVITE_ROLES = ['admin', 'member', 'viewer'];
+const TEMPLATE_CHECKLIST_MAX = 100;
+
+// A real calendar day in YYYY-MM-DD form (rejects 2025-02-30)
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_ONLY_RE.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+// 'YYYY-MM-DD' moved by a number of days
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// Canonical IANA name for a time zone ('europe/berlin' -> 'Europe/Berlin'), or null
+function resolveTimeZone(value) {
+  if (!value || typeof value !== 'string' || value.length > 64) return null;
   try {
-    const { username, email, password } = req.body;
-    
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
-    if (username.length < 3 || username.length > 50) {
-      return res.status(400).json({ error: 'Username must be 3-50 characters' });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
-    
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Please enter a valid email address' });
-    }
-    
-    // Check if user already exists
-    const existingUser = await userDb.getUserByUsername(username);
-    if (existingUser) {
-      return res.status(400).json({ error: 'Username already exists' });
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Validate dueDate, dueTime and reminders (minutes before the due time) of a task payload.
+// Absent fields keep the values of `existing` (null on create); null or '' clears them.
+// Returns { dueDate, dueTime, reminders } (reminders undefined = leave alone) or { error }.
+function resolveDue(data, existing = null) {
+  const pick = (value, fallback) => value === undefined ? fallback ?? null : (value === '' ? null : value);
+  const dueDate = pick(data.dueDate, existing?.due_date);
+  let dueTime = pick(data.dueTime, existing?.due_time);
+  if (dueDate !== null && !isValidDate(dueDate)) return { error: 'Due date must be a valid YYYY-MM-DD date' };
+  if (dueTime !== null && (typeof dueTime !== 'string' || !TIME_RE.test(dueTime))) return { error: 'Due time must be a HH:MM time' };
+  if (dueTime !== null && dueDate === null) {
+    // Clearing the date drops a stored time with it
+    if (data.dueTime !== undefined) return { error: 'A due time needs a due date' };
+    dueTime = null;
+  }
+  let reminders;
+  if (data.reminders !== undefined && data.reminders !== null) {
+    if (!Array.isArray(data.reminders)) return { error: 'reminders must be a list of minutes before the due time' };
+    reminders = [...new Set(data.reminders.map(Number))];
+    if (!reminders.every(m => Number.isInteger(m) && m >= 0 && m <= REMINDER_MAX_MINUTES)) {
+      return { error: `Reminders must be whole minutes between 0 and ${REMINDER_MAX_MINUTES} before the due time` };
     }
-    
-    // Check if email already exists
-    const existingEmail = await userDb.getUserByEmail(email);
-    if (existingEmail) {
-      return res.status(400).json({ error: 'Email already exists' });
+    if (reminders.length > REMINDER_MAX_COUNT) return { error: `A task can have at most ${REMINDER_MAX_COUNT} reminders` };
+  }
+  return { dueDate, dueTime: dueTime && dueTime.slice(0, 5), reminders };
+}
+
+// Payload of a reminders:due event
+function normalizeReminder(reminder) {
+  return {
+    id: reminder.id,
+    taskId: reminder.task_id,
+    title: reminder.title,
+    dueDate: reminder.due_date,
+    dueTime: reminder.due_time ? reminder.due_time.slice(0, 5) : null,
+    minutesBefore: reminder.minutes_before,
+    remindAt: reminder.remind_at
+  };
+}
+
+function normalizeChecklistItem(item) {
+  if (!item) return null;
+  return {
+    id: item.id,
+    text: item.text,
+    done: item.done,
+    position: item.position
+  };
+}
+
+// true/false from a query string ('true', '1', 'false', '0') or a socket payload; undefined when
+// absent and null when unreadable
+function parseFlag(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+}
+
+// Read the task list filters from a query string (REST) or a tasks:get payload.
+// Returns { filters, paged } or { error }. Paging (and the { tasks, paging } response shape)
+// is opt-in with `limit` or `cursor`, so callers that expect a plain array keep working.
+function parseTaskListQuery(source = {}) {
+  const projectId = parseProjectFilter(source.project);
+  if (projectId === null) return { error: 'Invalid project filter' };
+  const match = source.match || 'any';
+  if (match !== 'any' && match !== 'all') return { error: 'match must be "any" or "all"' };
+  const sort = source.sort || 'created';
+  if (!TASK_SORT_KEYS.includes(sort)) return { error: `sort must be one of: ${TASK_SORT_KEYS.join(', ')}` };
+  const view = source.view || 'all';
+  if (!TASK_VIEWS.includes(view)) return { error: `view must be one of: ${TASK_VIEWS.join(', ')}` };
+
+  const filters = {
+    workspaceId: source.workspaceId ? parseInt(source.workspaceId) || 0 : null,
+    view,
+    status: source.status || 'all',
+    projectId,
+    tags: parseTagFilter(source.tags),
+    match,
+    sort,
+    q: source.q ? String(source.q).slice(0, 200) : ''
+  };
+  for (const name of TASK_RANGE_FILTERS) {
+    const value = source[name];
+    if (value === undefined || value === null || value === '') continue;
+    if (!DATE_TIME_RE.test(value) || Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be a YYYY-MM-DD date or an ISO date-time` };
     }
-    
-    // Create user
-    const user = await userDb.createUser({ username, email, password });
-    
-    // Generate token
-    const token = tokenUtils.generateToken(user);
-    
-    // Set httpOnly cookie
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: false, // Set to true in production with HTTPS
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      sameSite: 'lax'
-    });
-    
-    res.status(201).json({ 
-      message: 'User created successfully',
-      user: { id: user.id, username: user.username, email: user.email }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    // A bare end date includes the whole day for the timestamp columns
+    filters[name] = name !== 'dueTo' && name.endsWith('To') && DATE_ONLY_RE.test(value) ? `${value} 23:59:59.999999` : value;
+  }
+  for (const name of ['overdue', 'hasAttachments']) {
+    const flag = parseFlag(source[name]);
+    if (flag === null) return { error: `${name} must be true or false` };
+    filters[name] = flag;
   }
-});
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+  const paged = source.limit !== undefined || source.cursor !== undefined;
+  if (paged) {
+    const limit = source.limit === undefined || source.limit === '' ? TASK_PAGE_SIZE : Number(source.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > TASK_PAGE_MAX) {
+      return { error: `limit must be a whole number between 1 and ${TASK_PAGE_MAX}` };
     }
-    
-    // Verify credentials
-    const user = await userDb.verifyPassword(username, password);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid username or password' });
+    filters.limit = limit;
+    filters.cursor = source.cursor || null;
+  }
+  return { filters, paged };
+}
+
+// Body for a task list: a plain array, or { tasks, paging } when the caller asked for pages
+function taskListResponse(page, { filters, paged }) {
+  const tasks = page.tasks.map(normalizeTask);
+  if (!paged) return tasks;
+  return {
+    tasks,
+    paging: { limit: filters.limit, sort: filters.sort, nextCursor: page.nextCursor, hasMore: !!page.nextCursor }
+  };
+}
+
+// Load a workspace the user belongs to and check their role against a workspace action (see
+// policy.js). A missing workspaceId means the user's personal workspace.
+// Returns { workspace } (with the user's `role`) or { status, error }.
+async function resolveWorkspace(workspaceId, userId, action = 'createTask') {
+  const workspace = workspaceId === undefined || workspaceId === null || workspaceId === ''
+    ? await db.getPersonalWorkspace(userId)
+    : await db.getMembership(parseInt(workspaceId) || 0, userId);
+  if (!workspace) return { status: 404, error: 'Workspace not found' };
+  const denied = policy.workspaceError(workspace.role, action);
+  if (denied) return { status: 403, error: denied };
+  return { workspace };
+}
+
+// Validate moving a task to `workspaceId` (undefined or the current one keeps it where it is):
+// the user needs 'move' on the task and has to be allowed to create tasks in the target.
+// Returns { workspaceId } (null = no move) or { status, error }.
+async function resolveWorkspaceMove(existing, workspaceId, userId) {
+  if (workspaceId === undefined || parseInt(workspaceId) === existing.workspace_id) return { workspaceId: null };
+  const denied = policy.taskError(existing, 'move');
+  if (denied) return { status: 403, error: denied };
+  const target = await resolveWorkspace(workspaceId, userId);
+  if (target.error) return target;
+  return { workspaceId: target.workspace.id };
+}
+
+// Resolve assigneeId from a task payload: undefined keeps `fallback`, null or '' clears it.
+// Returns { assigneeId } or { error } when there is no such user.
+async function resolveAssignee(assigneeId, fallback = null) {
+  if (assigneeId === undefined) return { assigneeId: fallback ?? null };
+  if (assigneeId === null || assigneeId === '') return { assigneeId: null };
+  const user = await userDb.getUserById(parseInt(assigneeId) || 0);
+  if (!user) return { error: 'Assignee not found' };
+  return { assigneeId: user.id };
+}
+
+// Returns an error message or null
+function validateChecklistText(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) return 'Checklist item text is required';
+  if (text.length > 500) return 'Checklist item must be 500 characters or less';
+  return null;
+}
+
+// Validate estimateMinutes of a task payload: undefined keeps `fallback`, null or '' clears it.
+// Returns { estimateMinutes } or { error }.
+function resolveEstimate(value, fallback = null) {
+  if (value === undefined) return { estimateMinutes: fallback ?? null };
+  if (value === null || value === '') return { estimateMinutes: null };
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > ESTIMATE_MAX_MINUTES) {
+    return { error: `Estimate must be a whole number of minutes between 0 and ${ESTIMATE_MAX_MINUTES}` };
+  }
+  return { estimateMinutes: minutes };
+}
+
+function normalizeTimeEntry(entry) {
+  if (!entry) return null;
+  return {
+    id: entry.id,
+    taskId: entry.task_id,
+    userId: entry.user_id,
+    author: entry.username || null,
+    startedAt: entry.started_at,
+    endedAt: entry.ended_at,
+    running: !entry.ended_at,
+    seconds: entry.seconds || 0,
+    note: entry.note,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+  };
+}
+
+// The user's running timer as sent by timer:get and timer:changed
+function normalizeTimer(entry) {
+  if (!entry) return null;
+  return { id: entry.id, taskId: entry.task_id, title: entry.title, startedAt: entry.started_at };
+}
+
+// Validate a manual time entry: { startedAt, endedAt | minutes, note }. Fields missing on an
+// update keep the values of `existing`; a running entry has no end to set.
+// Returns { startedAt, endedAt, note } or { error }.
+function validateTimeEntry(data, existing = null) {
+  if (!data.startedAt && !existing) return { error: 'startedAt is required' };
+  const startedAt = data.startedAt === undefined && existing ? new Date(existing.started_at) : new Date(data.startedAt);
+  if (Number.isNaN(startedAt.getTime())) return { error: 'startedAt must be an ISO date-time' };
+  if (startedAt > new Date()) return { error: 'Time entries cannot start in the future' };
+
+  let endedAt = null;
+  if (!existing || existing.ended_at) {
+    if (data.minutes !== undefined) {
+      const minutes = Number(data.minutes);
+      if (!Number.isInteger(minutes) || minutes < 1) return { error: 'minutes must be a positive whole number' };
+      endedAt = new Date(startedAt.getTime() + minutes * 60000);
+    } else if (data.endedAt !== undefined) {
+      endedAt = new Date(data.endedAt);
+    } else if (existing) {
+      endedAt = new Date(existing.ended_at);
+    } else {
+      return { error: 'endedAt or minutes is required' };
     }
-    
-    // Generate token
-    const token = tokenUtils.generateToken(user);
-    
-    // Set httpOnly cookie
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: false, 
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      sameSite: 'lax'
-    });
-    
-    res.status(200).json({ 
-      message: 'Login successful',
-      user: { id: user.id, username: user.username, email: user.email }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    if (Number.isNaN(endedAt.getTime())) return { error: 'endedAt must be an ISO date-time' };
+    if (endedAt < startedAt) return { error: 'A time entry cannot end before it starts' };
   }
-});
 
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('authToken');
-  res.status(200).json({ message: 'Logout successful' });
-});
+  const note = data.note === undefined ? (existing ? existing.note : '') : String(data.note ?? '');
+  if (note.length > 500) return { error: 'Note must be 500 characters or less' };
+  return { startedAt, endedAt, note: note.trim() };
+}
 
-app.get('/api/auth/me', authMiddleware, (req, res) => {
-  res.status(200).json({ 
-    user: { 
-      id: req.user.id, 
-      username: req.user.username, 
-      email: req.user.email 
-    } 
-  });
-});
+// Read the time report options from a query string or a reports:time payload.
+// Returns { groupBy, from, to, projectId, format } or { error }.
+function parseTimeReportQuery(source = {}) {
+  const groupBy = source.groupBy || 'day';
+  if (!TIME_REPORT_GROUPS.includes(groupBy)) return { error: `groupBy must be one of: ${TIME_REPORT_GROUPS.join(', ')}` };
+  for (const name of ['from', 'to']) {
+    if (source[name] && !isValidDate(source[name])) return { error: `${name} must be a YYYY-MM-DD date` };
+  }
+  const projectId = parseProjectFilter(source.project);
+  if (projectId === null) return { error: 'Invalid project filter' };
+  const format = source.format || 'json';
+  if (format !== 'json' && format !== 'csv') return { error: 'format must be "json" or "csv"' };
+  return { groupBy, from: source.from || null, to: source.to || null, projectId, format };
+}
 
-const api = express.Router();
+// { groupBy, from, to, rows: [{ period, status, taskCount, seconds }], totals }
+function timeReportResponse(rows, query) {
+  const totals = { seconds: 0, byPeriod: {}, byStatus: {} };
+  for (const r of rows) {
+    totals.seconds += r.seconds;
+    totals.byPeriod[r.period] = (totals.byPeriod[r.period] || 0) + r.seconds;
+    totals.byStatus[r.status] = (totals.byStatus[r.status] || 0) + r.seconds;
+  }
+  return {
+    groupBy: query.groupBy,
+    from: query.from,
+    to: query.to,
+    rows: rows.map(r => ({ period: r.period, status: r.status, taskCount: r.task_count, seconds: r.seconds })),
+    totals
+  };
+}
 
-api.get('/tasks', authMiddleware, async (req, res) => {
-  try {
-    const statusFilter = req.query.status || 'all';
-    const tasks = await db.getAllTasks(statusFilter, req.user.id);
-    res.status(200).json(tasks.map(normalizeTask));
-  } catch (e) {
-    console.error('GET /api/tasks error:', e);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per period and status; status names come from the user's workflow
+function timeReportCsv(report, workflow) {
+  const statusName = (key) => workflow.find(s => s.key === key)?.name || key;
+  const lines = [[report.groupBy === 'week' ? 'week_start' : 'day', 'status', 'tasks', 'hours']];
+  for (const r of report.rows) {
+    lines.push([r.period, statusName(r.status), r.taskCount, (r.seconds / 3600).toFixed(2)]);
   }
-});
+  lines.push(['total', '', '', (report.totals.seconds / 3600).toFixed(2)]);
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
 
-api.get('/tasks/:id', authMiddleware, async (req, res) => {
+// Push the new totals of the touched tasks and the user's current timer to connected clients.
+// The change is already saved by then, so a failure here is logged rather than reported to the
+// caller, whose callback or response has to carry the saved result.
+async function broadcastTimeChange(userId, taskIds) {
   try {
-    const id = parseInt(req.params.id);
-    const task = await db.getTaskById(id, req.user.id);
-    if (!task) return res.status(404).json({ error: 'Task not found' });
-    res.status(200).json(normalizeTask(task));
+    for (const id of new Set(taskIds)) await broadcastTask('tasks:updated', id);
+    io.to(userRoom(userId)).emit('timer:changed', { timer: normalizeTimer(await db.getRunningTimer(userId)) });
   } catch (e) {
-    console.error('GET /api/tasks/:id error:', e);
-    res.status(500).json({ error: 'Failed to fetch task' });
+    console.error('Failed to broadcast time change:', e);
   }
-});
+}
 
-api.post('/tasks', authMiddleware, async (req, res) => {
-  try {
-    const { title, description, status, dueDate } = req.body;
-    
-    // Validation
-    if (!title || typeof title !== 'string') {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-    if (title.length > 255) {
-      return res.status(400).json({ error: 'Title must be 255 characters or less' });
-    }
-    if (description && description.length > 10000) {
-      return res.status(400).json({ error: 'Description must be 10,000 characters or less' });
+function normalizeComment(comment) {
+  if (!comment) return null;
+  return {
+    id: comment.id,
+    taskId: comment.task_id,
+    userId: comment.user_id,
+    author: comment.username || null,
+    body: comment.body,
+    edited: new Date(comment.updated_at) > new Date(comment.created_at),
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at
+  };
+}
+
+// Returns an error message or null
+function validateCommentBody(body) {
+  if (!body || typeof body !== 'string' || !body.trim()) return 'Comment text is required';
+  if (body.length > 5000) return 'Comment must be 5,000 characters or less';
+  return null;
+}
+
+function normalizeTrashedTask(task) {
+  if (!task) return null;
+  const deletedAt = new Date(task.deleted_at);
+  return {
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    projectId: task.project_id ?? null,
+    attachmentCount: task.attachment_count || 0,
+    deletedAt: task.deleted_at,
+    purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000)
+  };
+}
+
+// Remove attachment files from storage; already missing files are not an error
+async function removeAttachmentFiles(attachments) {
+  for (const a of attachments) {
+    try {
+      await storage.remove(a.filename);
+    } catch (e) {
+      console.error(`Failed to remove file ${a.filename}:`, e);
     }
-    
-    const created = await db.createTask({ title, description: description || '', status: status || 'pending', dueDate: dueDate || null, userId: req.user.id });
-    const full = await db.getTaskById(created.id, req.user.id);
-    res.status(201).json(normalizeTask(full));
-  } catch (e) {
-    console.error('POST /api/tasks error:', e);
-    res.status(500).json({ error: 'Failed to create task' });
   }
-});
+}
 
-api.put('/tasks/:id', authMiddleware, async (req, res) => {
+// A signed URL is the path plus `expires` (unix seconds) and an HMAC of both
+function downloadSignature(pathname, expires) {
+  return crypto.createHmac('sha256', DOWNLOAD_URL_SECRET).update(`${pathname}:${expires}`).digest('base64url');
+}
+
+function signedDownloadUrl(pathname) {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+  return `${pathname}?expires=${expires}&signature=${downloadSignature(pathname, expires)}`;
+}
+
+function hasValidSignature(req) {
+  const expires = Number(req.query.expires);
+  if (!Number.isInteger(expires) || expires < Date.now() / 1000) return false;
+  const expected = Buffer.from(downloadSignature(req.originalUrl.split('?')[0], expires));
+  const given = Buffer.from(String(req.query.signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Download routes take a signed URL in place of a session; req.user is only set for the latter
+function downloadAuth(req, res, next) {
+  if (req.query.signature === undefined) return authMiddleware(req, res, next);
+  if (!hasValidSignature(req)) return res.status(403).json({ error: 'This download link is invalid or has expired' });
+  next();
+}
+
+// Types a browser may show in place (?inline=1, e.g. for <img>); everything else is a download
+const INLINE_TYPES = /^(image\/(png|jpeg|gif)|application\/pdf|text\/plain)\b/;
+
+// Stream a stored file under its original name, typed by its extension
+async function sendStoredFile(req, res, file) {
+  let stored;
   try {
-    const id = parseInt(req.params.id);
-    let existing = await db.getTaskById(id, req.user.id);
-    if (!existing) {
-      const claimed = await db.claimTaskOwner(id, req.user.id);
-      if (claimed) {
-        existing = claimed;
-      } else {
-        return res.status(404).json({ error: 'Task not found' });
-      }
+    stored = await storage.read(file.filename);
+  } catch (e) {
+    if (e.code === 'ENOENT') return res.status(404).json({ error: 'File not found' });
+    console.error(`Failed to read file ${file.filename}:`, e);
+    return res.status(500).json({ error: 'Failed to download file' });
+  }
+  res.attachment(file.original_name);
+  if (req.query.inline === '1' && INLINE_TYPES.test(res.get('Content-Type') || '')) {
+    res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.set('Content-Length', String(stored.size));
+  stored.stream.on('error', (err) => {
+    console.error(`Failed to send file ${file.filename}:`, err);
+    res.destroy(err);
+  });
+  stored.stream.pipe(res);
+}
+
+// A rendition of an attachment (see previews.js), rendered from its file on first use and kept
+// in the database. Resolves with { content_type, data }, or null when there is none.
+async function attachmentPreview(attachment, kind) {
+  const cached = await db.getAttachmentPreview(attachment.id, kind);
+  if (cached) return cached;
+  if (!previews.previewType(attachment.filename)) return null;
+  const { stream } = await storage.read(attachment.filename);
+  const rendered = await previews.render(stream, attachment.filename, kind);
+  return rendered && db.saveAttachmentPreview(attachment.id, kind, rendered);
+}
+
+// Render the renditions of a new upload in the background, so the first look at it is quick
+function warmPreviews(attachment) {
+  (async () => {
+    for (const kind of Object.keys(previews.KINDS)) await attachmentPreview(attachment, kind);
+  })().catch((e) => console.error(`Failed to render previews of ${attachment.filename}:`, e.message));
+}
+
+// Copy attachment files under new names, for a template or a task created from one. Files
+// already missing from storage are skipped. Returns [{ filename, originalName, filePath }].
+async function copyAttachmentFiles(attachments) {
+  const copies = [];
+  for (const a of attachments) {
+    const ext = path.extname(a.filename);
+    const base = path.basename(a.filename, ext).replace(/-\d+-\d+$/, '');
+    const filename = `${base}-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
+    try {
+      await storage.copy(a.filename, filename);
+    } catch (e) {
+      if (e.code === 'ENOENT') continue;
+      await removeAttachmentFiles(copies);
+      throw e;
     }
-    const { title, description, status, dueDate } = req.body;
-    
-    // Validation
-    const newTitle = title ?? existing.title;
-    const newDescription = description ?? existing.description;
-    
-    if (newTitle && newTitle.length > 255) {
-      return res.status(400).json({ error: 'Title must be 255 characters or less' });
+    copies.push({ filename, originalName: a.original_name, filePath: storage.locationOf(filename) });
+  }
+  return copies;
+}
+
+// Store an uploaded file staged at `localPath` and attach it to a task
+async function addUploadedAttachment(taskId, userId, { filename, originalName, localPath }) {
+  await storage.putFile(filename, localPath);
+  const created = await db.addAttachment(taskId, { filename, originalName, filePath: storage.locationOf(filename) });
+  await recordHistory(taskId, userId, 'attachment_added', { changes: { attachment: { from: null, to: originalName } } });
+  warmPreviews(created);
+  return created;
+}
+
+// CHUNKED UPLOADS
+// A client announces a file (name, size, SHA-256), sends it in chunks at the offset the server
+// reports and completes the upload, which checks the checksum and attaches the file. The bytes
+// received so far are staged on this server, so after a dropped connection (or a reload, by
+// announcing the same file again) the client asks where the upload stands and carries on.
+// Staging is per instance: with several instances behind a load balancer, a resume that lands on
+// another one finds nothing staged there and starts the file over (see getUploadSession), unless
+// the balancer keeps each client on one instance (sticky sessions, which Socket.IO needs anyway).
+
+const SHA256_RE = /^[0-9a-f]{64}$/;
+const partialUploadPath = (id) => path.join(partialUploadsDir, `${id}.part`);
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function fileSha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file).on('data', (chunk) => hash.update(chunk)).on('end', () => resolve(hash.digest('hex'))).on('error', reject);
+  });
+}
+
+function normalizeUploadSession(session) {
+  return {
+    uploadId: session.id,
+    taskId: session.task_id,
+    name: session.original_name,
+    size: Number(session.size),
+    received: Number(session.received),
+    chunkSize: UPLOAD_CHUNK_BYTES
+  };
+}
+
+// The caller's upload session, with `received` matching what is actually staged (a lost or
+// short staged file, e.g. after a temp dir cleanup, makes the client resend from there)
+async function getUploadSession(uploadId, userId) {
+  const session = await db.getUploadSession(String(uploadId), userId);
+  if (!session) return null;
+  const file = partialUploadPath(session.id);
+  let staged = 0;
+  try {
+    staged = (await fs.promises.stat(file)).size;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    await fs.promises.mkdir(partialUploadsDir, { recursive: true });
+    await fs.promises.writeFile(file, '');
+  }
+  const received = Number(session.received);
+  if (staged === received) return session;
+  const kept = Math.min(staged, received);
+  await fs.promises.truncate(file, kept);
+  return (await db.advanceUploadSession(session.id, received, kept - received)) || db.getUploadSession(session.id, userId);
+}
+
+async function dropUpload(id) {
+  await db.deleteUploadSession(id);
+  await fs.promises.rm(partialUploadPath(id), { force: true });
+}
+
+// Start a chunked upload to a task. `uploadId` looks up an existing upload instead; announcing a
+// file that is already partly uploaded to the task (same name, size and checksum) resumes it.
+async function initUpload(data, user) {
+  const { taskId, name, size, type, checksum, uploadId } = data || {};
+  if (uploadId) {
+    const session = await getUploadSession(uploadId, user.id);
+    return session ? { session } : { status: 404, error: 'Upload not found' };
+  }
+  const task = await db.getTaskById(parseInt(taskId), user.id);
+  if (!task) return { status: 404, error: 'Task not found' };
+  const denied = policy.taskError(task, 'edit');
+  if (denied) return { status: 403, error: denied };
+  if (typeof name !== 'string' || !name.trim() || name.length > 255) return { status: 400, error: 'File name is required' };
+  if (!Number.isSafeInteger(size) || size <= 0) return { status: 400, error: 'File size must be a positive number of bytes' };
+  if (size > UPLOAD_MAX_BYTES) return { status: 400, error: `File too large. Maximum size is ${UPLOAD_MAX_BYTES / 1024 / 1024}MB.` };
+  if (!isAllowedFile(name, type || '')) return { status: 400, error: 'Only images, PDFs, documents, and archives are allowed' };
+  const digest = typeof checksum === 'string' ? checksum.toLowerCase() : '';
+  if (!SHA256_RE.test(digest)) return { status: 400, error: 'checksum must be the SHA-256 of the file in hex' };
+
+  const fields = { taskId: task.id, originalName: name.trim(), size, checksum: digest };
+  const existing = await db.findUploadSession(user.id, fields);
+  if (existing) return { session: await getUploadSession(existing.id, user.id) };
+  await fs.promises.mkdir(partialUploadsDir, { recursive: true });
+  const session = await db.createUploadSession({ id: crypto.randomUUID(), userId: user.id, mimeType: type, ...fields });
+  await fs.promises.writeFile(partialUploadPath(session.id), '');
+  return { status: 201, session };
+}
+
+// Write one chunk. `offset` must be where the upload stands (errors carry `received` so the
+// client can pick up from there); `checksum`, when given, is the SHA-256 of the chunk.
+async function writeUploadChunk(uploadId, { offset, data, checksum }, user) {
+  const session = await getUploadSession(uploadId, user.id);
+  if (!session) return { status: 404, error: 'Upload not found' };
+  const received = Number(session.received);
+  if (!Buffer.isBuffer(data) || !data.length) return { status: 400, error: 'Chunk data is required', received };
+  if (data.length > UPLOAD_CHUNK_BYTES) return { status: 400, error: `Chunks may be at most ${UPLOAD_CHUNK_BYTES} bytes`, received };
+  if (Number(offset) !== received) return { status: 409, error: 'Chunk offset does not match the upload', received };
+  if (received + data.length > Number(session.size)) return { status: 400, error: 'Chunk goes past the end of the file', received };
+  if (checksum && sha256(data) !== String(checksum).toLowerCase()) return { status: 400, error: 'Chunk checksum mismatch', received };
+
+  const handle = await fs.promises.open(partialUploadPath(session.id), 'r+');
+  try {
+    await handle.write(data, 0, data.length, received);
+  } finally {
+    await handle.close();
+  }
+  const advanced = await db.advanceUploadSession(session.id, received, data.length);
+  if (!advanced) {
+    const current = await getUploadSession(session.id, user.id);
+    return { status: 409, error: 'Chunk offset does not match the upload', received: current ? Number(current.received) : 0 };
+  }
+  io.to(userRoom(user.id)).emit('uploads:progress', normalizeUploadSession(advanced));
+  return { session: advanced };
+}
+
+// Check the whole file against the announced checksum and attach it. A mismatch drops the
+// upload, since the staged bytes cannot be trusted.
+async function completeUpload(uploadId, user) {
+  const session = await getUploadSession(uploadId, user.id);
+  if (!session) return { status: 404, error: 'Upload not found' };
+  if (Number(session.received) < Number(session.size)) {
+    return { status: 409, error: 'The upload is not complete yet', received: Number(session.received) };
+  }
+  const task = await db.getTaskById(session.task_id, user.id);
+  const denied = task ? policy.taskError(task, 'edit') : 'Task not found';
+  if (denied) {
+    await dropUpload(session.id);
+    return { status: task ? 403 : 404, error: denied };
+  }
+  const staged = partialUploadPath(session.id);
+  if (await fileSha256(staged) !== session.checksum) {
+    await dropUpload(session.id);
+    return { status: 400, error: 'Checksum mismatch: the file was damaged on the way, please upload it again' };
+  }
+  // Claiming the session first keeps a repeated complete from attaching the file twice
+  if (!await db.deleteUploadSession(session.id)) return { status: 404, error: 'Upload not found' };
+  try {
+    const attachment = await addUploadedAttachment(task.id, user.id, {
+      filename: storedFilename(session.original_name),
+      originalName: session.original_name,
+      localPath: staged
+    });
+    return { status: 201, attachment };
+  } finally {
+    await fs.promises.rm(staged, { force: true });
+  }
+}
+
+async function abortUpload(uploadId, user) {
+  const session = await db.getUploadSession(String(uploadId), user.id);
+  if (!session) return { status: 404, error: 'Upload not found' };
+  await dropUpload(session.id);
+  return { success: true };
+}
+
+// Drop uploads nobody has sent a chunk to for UPLOAD_SESSION_HOURS, and staged files whose
+// session is gone (e.g. with its task)
+async function purgeStaleUploads() {
+  try {
+    for (const id of await db.deleteStaleUploadSessions(UPLOAD_SESSION_HOURS)) {
+      await fs.promises.rm(partialUploadPath(id), { force: true });
     }
-    if (newDescription && newDescription.length > 10000) {
-      return res.status(400).json({ error: 'Description must be 10,000 characters or less' });
+    const cutoff = Date.now() - UPLOAD_SESSION_HOURS * 3600 * 1000;
+    const names = await fs.promises.readdir(partialUploadsDir).catch(() => []);
+    for (const name of names) {
+      const file = path.join(partialUploadsDir, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat && stat.mtimeMs < cutoff) await fs.promises.rm(file, { force: true });
     }
-    
-    const updated = await db.updateTask(id, {
-      title: newTitle,
-      description: newDescription,
-      status: status ?? existing.status,
-      dueDate: dueDate ?? (existing.due_date ? new Date(existing.due_date).toISOString().slice(0, 10) : null),
-      userId: req.user.id
+  } catch (e) {
+    console.error('Upload cleanup error:', e);
+  }
+}
+
+// Permanently delete tasks that sat in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  try {
+    const { tasks, attachments } = await db.purgeExpiredTrash(TRASH_RETENTION_DAYS);
+    await removeAttachmentFiles(attachments);
+    for (const t of tasks) await recordHistory(t.id, null, 'purged');
+    if (tasks.length) console.log(`Purged ${tasks.length} trashed task(s) and ${attachments.length} file(s)`);
+  } catch (e) {
+    console.error('Trash purge error:', e);
+  }
+}
+
+function normalizeHistoryEntry(entry) {
+  if (!entry) return null;
+  return {
+    id: entry.id,
+    taskId: entry.task_id,
+    action: entry.action,
+    userId: entry.user_id,
+    actor: entry.username || null,
+    changes: entry.changes || {},
+    revertible: !!entry.snapshot && entry.action !== 'deleted',
+    revertedFrom: entry.reverted_from,
+    createdAt: entry.created_at
+  };
+}
+
+// Sockets viewing a task (EditModal open) join its room via comments:watch
+function taskRoom(taskId) {
+  return `task:${taskId}`;
+}
+
+// Every signed-in client joins its user's room via reminders:subscribe
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function connectedUserIds() {
+  return [...io.sockets.adapter.rooms.keys()]
+    .filter(room => room.startsWith('user:'))
+    .map(room => Number(room.slice(5)));
+}
+
+// The connected users who can see a task. Task events only go to their rooms: a task carries
+// its shares, its assignee and signed download links, none of which are for everyone.
+async function taskAudience(taskId) {
+  const connected = new Set(connectedUserIds());
+  return (await db.getTaskViewerIds(taskId)).filter(id => connected.has(id));
+}
+
+// Send `event` ('tasks:created' or 'tasks:updated') with the task as each of its connected
+// viewers sees it, with their own access. Users in `before` (an earlier taskAudience) who can no
+// longer see it, e.g. after a share is removed or the task moves workspace, get tasks:deleted.
+// Like broadcastTimeChange, this runs once the change is saved, so failures are only logged.
+async function broadcastTask(event, taskId, { before = [] } = {}) {
+  try {
+    const audience = await taskAudience(taskId);
+    for (const userId of audience) {
+      const task = await db.getTaskById(taskId, userId);
+      if (task) io.to(userRoom(userId)).emit(event, normalizeTask(task));
+    }
+    for (const userId of before) {
+      if (!audience.includes(userId)) io.to(userRoom(userId)).emit('tasks:deleted', { id: taskId });
+    }
+  } catch (e) {
+    console.error(`Failed to broadcast ${event} for task ${taskId}:`, e);
+  }
+}
+
+async function broadcastTaskDeleted(taskId) {
+  try {
+    for (const userId of await taskAudience(taskId)) io.to(userRoom(userId)).emit('tasks:deleted', { id: taskId });
+  } catch (e) {
+    console.error(`Failed to broadcast tasks:deleted for task ${taskId}:`, e);
+  }
+}
+
+// Send due reminders to their owners' connected clients. Reminders live in the database, so
+// the ones that fell due while the server was down (or the user was offline) go out on the
+// first run after their owner connects.
+async function deliverReminders(userIds = connectedUserIds()) {
+  try {
+    const due = await db.claimDueReminders(userIds);
+    for (const r of due) io.to(userRoom(r.user_id)).emit('reminders:due', normalizeReminder(r));
+  } catch (e) {
+    console.error('Reminder delivery error:', e);
+  }
+}
+
+function normalizeProject(project) {
+  if (!project) return null;
+  return {
+    id: project.id,
+    name: project.name,
+    taskCount: project.task_count ?? 0,
+    createdAt: project.created_at,
+    updatedAt: project.updated_at
+  };
+}
+
+// 'all' (default), 'none' (tasks without a project) or a numeric project id; null if invalid
+function parseProjectFilter(value) {
+  if (value === undefined || value === null || value === '' || value === 'all') return 'all';
+  if (value === 'none') return 'none';
+  const id = parseInt(value);
+  return Number.isNaN(id) ? null : id;
+}
+
+// Resolve a projectId from a task payload: undefined keeps `fallback`, null clears it.
+// Returns { projectId } or { error } when the project does not belong to the user.
+async function resolveTaskProject(projectId, userId, fallback = null) {
+  if (projectId === undefined) return { projectId: fallback };
+  if (projectId === null || projectId === '') return { projectId: null };
+  const project = await db.getProjectById(parseInt(projectId), userId);
+  if (!project) return { error: 'Project not found' };
+  return { projectId: project.id };
+}
+
+function normalizeTag(tag) {
+  if (!tag) return null;
+  return {
+    id: tag.id,
+    name: tag.name,
+    color: tag.color,
+    taskCount: tag.task_count ?? 0
+  };
+}
+
+// Comma-separated tag names ("bug,frontend") -> trimmed, non-empty list
+function parseTagFilter(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(t => String(t).trim()).filter(Boolean);
+}
+
+// Returns an error message or null; commas are reserved as the ?tags= separator
+function validateTag({ name, color }) {
+  if (!name || typeof name !== 'string' || !name.trim()) return 'Tag name is required';
+  if (name.length > 50) return 'Tag name must be 50 characters or less';
+  if (name.includes(',')) return 'Tag name cannot contain commas';
+  if (color !== undefined && color !== null && !/^#[0-9a-fA-F]{6}$/.test(color)) return 'Tag color must be a hex value like #60a5fa';
+  return null;
+}
+
+// Resolve tagIds from a task payload: undefined means "leave tags alone".
+// Returns { tagIds } (possibly undefined) or { error } when a tag does not belong to the user.
+async function resolveTaskTags(tagIds, userId) {
+  if (tagIds === undefined) return { tagIds: undefined };
+  if (!Array.isArray(tagIds)) return { error: 'tagIds must be an array' };
+  const ids = [...new Set(tagIds.map(t => parseInt(t)))];
+  for (const id of ids) {
+    const tag = Number.isNaN(id) ? null : await db.getTagById(id, userId);
+    if (!tag) return { error: 'Tag not found' };
+  }
+  return { tagIds: ids };
+}
+
+function normalizeStatus(status) {
+  return {
+    key: status.key,
+    name: status.name,
+    color: status.color,
+    position: status.position,
+    isDone: status.is_done,
+    next: status.next_statuses
+  };
+}
+
+// Validate a status against the user's workflow. `from` is the current status (null on create);
+// an empty `to` keeps `from`, or picks the first open status for a new task.
+// Returns { status } or { error }.
+async function resolveStatus(userId, from, to) {
+  const workflow = await db.getWorkflow(userId);
+  if (to === undefined || to === null || to === '') {
+    return { status: from ?? (workflow.find(s => !s.is_done) || workflow[0]).key };
+  }
+  const target = workflow.find(s => s.key === to);
+  if (!target) return { error: `Unknown status "${to}"` };
+  if (from && from !== to) {
+    const current = workflow.find(s => s.key === from);
+    if (current && current.next_statuses && !current.next_statuses.includes(to)) {
+      return { error: `Cannot move a task from "${current.name}" to "${target.name}"` };
+    }
+  }
+  return { status: to };
+}
+
+async function isDoneStatus(userId, key) {
+  const workflow = await db.getWorkflow(userId);
+  return !!workflow.find(s => s.key === key)?.is_done;
+}
+
+// Refuse moving a task into a done status while tasks blocking it are still open, unless the
+// caller passed ignoreBlockers. Statuses are read from the owner's workflow.
+// Returns { error, blockers } or null.
+async function checkBlockers(existing, newStatus, ignoreBlockers) {
+  if (ignoreBlockers || newStatus === existing.status) return null;
+  const ownerId = existing.user_id;
+  if (!(await isDoneStatus(ownerId, newStatus)) || await isDoneStatus(ownerId, existing.status)) return null;
+  const blockers = await db.getOpenBlockers(existing.id);
+  if (!blockers.length) return null;
+  return {
+    error: `Blocked by open task(s): ${blockers.map(b => `"${b.title}"`).join(', ')}`,
+    blockers: blockers.map(b => ({ id: b.id, title: b.title, status: b.status }))
+  };
+}
+
+// Optimistic concurrency: an update names the task version it was based on, as the ETag in
+// If-Match (REST) or as `version` (socket); '*' overwrites whatever is current.
+function taskETag(task) {
+  return `"${task.version}"`;
+}
+
+function parseIfMatch(header) {
+  if (!header) return undefined;
+  const value = header.trim();
+  return value === '*' ? value : value.replace(/^W\//, '').replace(/"/g, '');
+}
+
+// Returns { version } (null for '*') or { status, error }
+function resolveExpectedVersion(value) {
+  if (value === undefined || value === null || value === '') {
+    return { status: 428, error: 'Updates must include the version of the task they are based on' };
+  }
+  if (value === '*') return { version: null };
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) return { status: 400, error: 'version must be a positive integer' };
+  return { version };
+}
+
+// The 409 body when the task row `current` has moved past `version`: { error, current }, or null
+function versionConflict(current, version) {
+  if (!current || version === null || current.version === version) return null;
+  return { error: 'This task was changed by someone else since you opened it', current: normalizeTask(current) };
+}
+
+// Validate a new "taskId is blocked by blockedById" link for the user. Returns an error or null.
+async function validateDependency(taskId, blockedById, userId) {
+  if (Number.isNaN(blockedById)) return { status: 400, error: 'blockedById must be a task id' };
+  if (taskId === blockedById) return { status: 400, error: 'A task cannot block itself' };
+  const blocker = await db.getTaskById(blockedById, userId);
+  if (!blocker) return { status: 404, error: 'Blocking task not found' };
+  return null;
+}
+
+// Validate a full workflow payload: an ordered array of { key?, name, color?, isDone?, next? }.
+// Keys default to a slug of the name. Returns { statuses } or { error }.
+function statusKey(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function validateWorkflow(statuses) {
+  if (!Array.isArray(statuses) || statuses.length === 0) return { error: 'A workflow needs at least one status' };
+  if (statuses.length > 20) return { error: 'A workflow can have at most 20 statuses' };
+  const normalized = [];
+  for (const s of statuses) {
+    if (!s || typeof s.name !== 'string' || !s.name.trim()) return { error: 'Every status needs a name' };
+    if (s.name.length > 50) return { error: 'Status names must be 50 characters or less' };
+    const key = statusKey(s.key || s.name);
+    if (!key || key.length > 50) return { error: `Invalid key for status "${s.name}"` };
+    if (normalized.some(n => n.key === key)) return { error: `Duplicate status "${key}"` };
+    const color = s.color || '#94a3b8';
+    if (!/^#[0-9a-fA-F]{6}$/.test(color)) return { error: `Status "${s.name}" needs a hex color like #94a3b8` };
+    if (s.next !== undefined && s.next !== null && !Array.isArray(s.next)) return { error: 'next must be a list of status keys or null' };
+    // `next` may name statuses the way their keys were given, so it is slugged the same way
+    normalized.push({ key, name: s.name.trim(), color, isDone: !!s.isDone, next: s.next ? s.next.map(statusKey) : null });
+  }
+  const keys = normalized.map(s => s.key);
+  for (const s of normalized) {
+    if (s.next && !s.next.every(k => keys.includes(k))) return { error: `Status "${s.name}" allows a transition to an unknown status` };
+  }
+  if (!normalized.some(s => !s.isDone)) return { error: 'At least one status must not count as done' };
+  return { statuses: normalized };
+}
+
+// Validate a `recurrence` payload (rule object, RRULE string, or null to stop repeating).
+// Returns {} when absent, { rule } (null = stop) or { error }.
+function resolveRecurrence(value, dueDate, existingRule = null) {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { rule: null };
+  const input = typeof value === 'object' && existingRule && !value.start ? { ...value, start: existingRule.start } : value;
+  return recurrence.normalizeRule(input, dueDate || undefined);
+}
+
+// Start, change or stop the series of a task that was just saved. The rule is series-wide;
+// scope 'future' also copies the saved fields into the template for upcoming occurrences.
+async function applyRecurrenceUpdate(taskId, userId, { rule, scope }) {
+  const task = await db.getTaskById(taskId, userId);
+  if (rule === null && task.recurrence_id) {
+    await db.endRecurrence(task.recurrence_id);
+    return;
+  }
+  if (rule && !task.recurrence_id) {
+    await db.createRecurrence(taskId, rule);
+    return;
+  }
+  if (rule) await db.updateRecurrenceRule(task.recurrence_id, rule);
+  if (scope === 'future' && task.recurrence_id) {
+    await db.updateRecurrenceTemplate(task.recurrence_id, task.recurrence_index || 1, {
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      projectId: task.project_id
     });
-    const full = await db.getTaskById(updated.id, req.user.id);
-    res.status(200).json(normalizeTask(full));
+  }
+}
+
+// When a recurring task has just moved into a status that counts as done (in its owner's
+// workflow), generate its next occurrence. Returns the new task row or null.
+async function spawnNextIfCompleted(existing, taskId, userId) {
+  const task = await db.getTaskById(taskId, userId);
+  if (!task || !task.recurrence || task.status === existing.status) return null;
+  if (await isDoneStatus(task.user_id, existing.status) || !(await isDoneStatus(task.user_id, task.status))) return null;
+  const nextDue = recurrence.nextOccurrence(task.recurrence.rule, task.due_date || new Date(), task.recurrence_index || 1);
+  if (!nextDue) return null;
+  const spawned = await db.spawnNextOccurrence(taskId, nextDue);
+  // An occurrence spawns once: completing it again after a reopen adds nothing
+  if (!spawned) return null;
+  await recordHistory(spawned.id, userId, 'created', { after: await db.getTaskById(spawned.id, userId) });
+  return spawned;
+}
+
+// An edit only auto-completes a task when it switches auto-complete on without also picking a
+// status; otherwise a task with a finished checklist could never be reopened
+function turnsOnAutoComplete(existing, updated, status) {
+  return !existing.auto_complete && updated.auto_complete && (status === undefined || status === existing.status);
+}
+
+// Checklist auto-complete followed by the recurring-task hook; returns a spawned task or null
+async function completeIfChecklistDone(existing, userId) {
+  const completed = await db.completeTaskIfChecklistDone(existing.id);
+  if (completed) await recordHistory(existing.id, userId, 'updated', { before: existing, after: completed });
+  return spawnNextIfCompleted(existing, existing.id, userId);
+}
+
+// Append an audit entry. `before`/`after` are task rows (null on create/delete); updates that
+// touch no tracked field are skipped. Extra `changes` (e.g. attachments) are merged in.
+async function recordHistory(taskId, userId, action, details = {}) {
+  const entry = historyEntry(action, details);
+  return entry ? db.addHistory(taskId, userId, entry) : null;
+}
+
+// The history entry recordHistory writes, or null when nothing changed
+function historyEntry(action, { before = null, after = null, changes = {}, revertedFrom = null } = {}) {
+  const prev = history.snapshot(before);
+  const next = history.snapshot(after);
+  const allChanges = action === 'deleted' ? changes : { ...history.diff(prev, next), ...changes };
+  if ((action === 'updated' || action === 'reverted') && !Object.keys(allChanges).length) return null;
+  return { action, changes: allChanges, snapshot: next || prev, revertedFrom };
+}
+
+// History entries (by task id) for the tasks a project deletion trashes ('cascade') or files
+// under `targetProjectId` ('move'), for db.deleteProject
+async function projectDeletionEntries(projectId, userId, { mode, targetProjectId }) {
+  const tasks = await db.getProjectTasks(projectId, userId);
+  return new Map(tasks.map(task => [task.id, mode === 'cascade'
+    ? historyEntry('deleted', { before: task })
+    : historyEntry('updated', { before: task, after: { ...task, project_id: targetProjectId } })]));
+}
+
+// Put a task back to the fields saved with a history entry. Workflow transitions are not
+// enforced, but the status must still exist; vanished tags, projects and users are dropped.
+// Only users allowed to assign the task get the old assignee back.
+// Returns { task } or { status, error }.
+async function revertTask(taskId, entryId, userId, ignoreBlockers) {
+  const existing = await db.getTaskById(taskId, userId);
+  if (!existing) return { status: 404, error: 'Task not found' };
+  const denied = policy.taskError(existing, 'edit');
+  if (denied) return { status: 403, error: denied };
+  const entry = await db.getHistoryEntry(entryId, taskId);
+  if (!entry || !entry.snapshot || entry.action === 'deleted') return { status: 404, error: 'History entry not found' };
+  const target = entry.snapshot;
+  const ownerId = existing.user_id;
+  const workflow = await db.getWorkflow(ownerId);
+  if (!workflow.some(s => s.key === target.status)) {
+    return { status: 400, error: `Status "${target.status}" is no longer part of the workflow` };
+  }
+  const blocked = await checkBlockers(existing, target.status, ignoreBlockers);
+  if (blocked) return { status: 409, ...blocked };
+  const project = target.projectId ? await db.getProjectById(target.projectId, ownerId) : null;
+  const assignee = !policy.taskError(existing, 'assign') && target.assigneeId !== undefined
+    ? await resolveAssignee(target.assigneeId)
+    : { assigneeId: existing.assignee_id };
+  await db.updateTask(taskId, {
+    title: target.title,
+    description: target.description,
+    status: target.status,
+    dueDate: target.dueDate,
+    dueTime: target.dueTime !== undefined ? target.dueTime : existing.due_time,
+    estimateMinutes: target.estimateMinutes !== undefined ? target.estimateMinutes : existing.estimate_minutes,
+    projectId: project ? project.id : null,
+    autoComplete: target.autoComplete,
+    priority: target.priority,
+    assigneeId: assignee.error ? null : assignee.assigneeId,
+    userId
+  });
+  if (target.tagIds) {
+    const owned = new Set((await db.getTags(ownerId)).map(t => t.id));
+    await db.setTaskTags(taskId, target.tagIds.filter(id => owned.has(id)));
+  }
+  if (target.reminders) await db.setTaskReminders(taskId, target.reminders);
+  const full = await db.getTaskById(taskId, userId);
+  await recordHistory(taskId, userId, 'reverted', { before: existing, after: full, revertedFrom: entry.id });
+  return { task: full };
+}
+
+function normalizeWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    personal: !!workspace.personal,
+    // The requesting user's role
+    role: workspace.role,
+    memberCount: workspace.member_count ?? null,
+    createdAt: workspace.created_at
+  };
+}
+
+function normalizeMember(member) {
+  return { userId: member.user_id, username: member.username, role: member.role, joinedAt: member.joined_at };
+}
+
+function normalizeInvitation(invitation) {
+  return {
+    id: invitation.id,
+    workspaceId: invitation.workspace_id,
+    workspaceName: invitation.workspace_name,
+    userId: invitation.user_id,
+    username: invitation.username,
+    role: invitation.role,
+    invitedBy: invitation.invited_by_name || null,
+    createdAt: invitation.created_at
+  };
+}
+
+// Returns an error message or null
+function validateWorkspaceName(name) {
+  if (!name || typeof name !== 'string' || !name.trim()) return 'Workspace name is required';
+  if (name.trim().length > 100) return 'Workspace name must be 100 characters or less';
+  return null;
+}
+
+// A workspace with its members, the roles the user may hand out and, for those who may
+// invite, the pending invitations
+async function workspaceDetails(workspace) {
+  const members = await db.getMembers(workspace.id);
+  const invitations = policy.workspaceError(workspace.role, 'invite') ? [] : await db.getInvitations(workspace.id);
+  return {
+    ...normalizeWorkspace({ ...workspace, member_count: members.length }),
+    members: members.map(normalizeMember),
+    invitations: invitations.map(normalizeInvitation),
+    assignableRoles: policy.assignableRoles(workspace.role)
+  };
+}
+
+// Ask the users' connected clients to reload their workspaces and invitations
+function notifyWorkspaceChange(userIds) {
+  for (const userId of userIds) io.to(userRoom(userId)).emit('workspaces:changed');
+}
+
+// Invite { userId, role } into a workspace; inviting again changes the offered role.
+// Returns { invitation } or { status, error }.
+async function inviteMember(workspaceId, actor, { userId, role }) {
+  const target = await resolveWorkspace(workspaceId, actor.id, 'invite');
+  if (target.error) return target;
+  if (target.workspace.personal) return { status: 400, error: 'Nobody can be invited into a personal workspace' };
+  if (!INVITE_ROLES.includes(role)) return { status: 400, error: `role must be one of: ${INVITE_ROLES.join(', ')}` };
+  if (!policy.assignableRoles(target.workspace.role).includes(role)) return { status: 403, error: `You cannot make someone ${role}` };
+  const invitee = await userDb.getUserById(parseInt(userId) || 0);
+  if (!invitee) return { status: 404, error: 'User not found' };
+  if (await db.getMembership(target.workspace.id, invitee.id)) return { status: 400, error: `${invitee.username} is already a member` };
+  const invitation = await db.createInvitation(target.workspace.id, invitee.id, role, actor.id);
+  notifyWorkspaceChange([invitee.id]);
+  return { invitation: normalizeInvitation({ ...invitation, username: invitee.username, invited_by_name: actor.username }) };
+}
+
+// Give a member another role. Returns { member } or { status, error }.
+async function changeMemberRole(workspaceId, actor, memberId, role) {
+  const target = await resolveWorkspace(workspaceId, actor.id, 'view');
+  if (target.error) return target;
+  if (!INVITE_ROLES.includes(role)) return { status: 400, error: `role must be one of: ${INVITE_ROLES.join(', ')}` };
+  const member = await db.getMembership(target.workspace.id, memberId);
+  if (!member) return { status: 404, error: 'Member not found' };
+  const denied = policy.memberChangeError(target.workspace.role, member.role, role);
+  if (denied) return { status: 403, error: denied };
+  const updated = await db.setMemberRole(target.workspace.id, memberId, role);
+  notifyWorkspaceChange([memberId]);
+  return { member: updated };
+}
+
+// Remove a member. Everyone but the owner may also leave on their own.
+// Returns {} or { status, error }.
+async function removeMember(workspaceId, actor, memberId) {
+  const target = await resolveWorkspace(workspaceId, actor.id, 'view');
+  if (target.error) return target;
+  if (memberId === actor.id) {
+    if (target.workspace.role === 'owner') return { status: 400, error: 'The owner cannot leave a workspace; delete it instead' };
+  } else {
+    const member = await db.getMembership(target.workspace.id, memberId);
+    if (!member) return { status: 404, error: 'Member not found' };
+    const denied = policy.memberChangeError(target.workspace.role, member.role);
+    if (denied) return { status: 403, error: denied };
+  }
+  await db.removeMember(target.workspace.id, memberId);
+  notifyWorkspaceChange([memberId]);
+  return {};
+}
+
+// Delete a workspace with its tasks and their files. Returns {} or { status, error }.
+async function deleteWorkspace(workspaceId, actor) {
+  const target = await resolveWorkspace(workspaceId, actor.id, 'delete');
+  if (target.error) return target;
+  if (target.workspace.personal) return { status: 400, error: 'Your personal workspace cannot be deleted' };
+  const { attachments, memberIds } = await db.deleteWorkspace(target.workspace.id);
+  await removeAttachmentFiles(attachments);
+  notifyWorkspaceChange(memberIds.filter(id => id !== actor.id));
+  return {};
+}
+
+// The invitee declines an invitation, or someone who may invite into its workspace cancels it.
+// Returns {} or { status, error }.
+async function dropInvitation(invitationId, actor) {
+  const invitation = await db.getInvitation(invitationId);
+  if (!invitation) return { status: 404, error: 'Invitation not found' };
+  if (invitation.user_id !== actor.id) {
+    const target = await resolveWorkspace(invitation.workspace_id, actor.id, 'invite');
+    if (target.error) return target.status === 404 ? { status: 404, error: 'Invitation not found' } : target;
+  }
+  await db.deleteInvitation(invitation.id);
+  notifyWorkspaceChange([invitation.user_id]);
+  return {};
+}
+
+// Validate a bulk request body. Returns { ids, action, ...options } or { error }.
+function parseBulkRequest(body = {}) {
+  const { ids, action } = body;
+  const unique = Array.isArray(ids) ? [...new Set(ids.map(id => Number(id)))] : [];
+  if (!unique.length || unique.some(id => !Number.isInteger(id) || id < 1)) return { error: 'ids must be a non-empty list of task ids' };
+  if (unique.length > BULK_MAX_TASKS) return { error: `At most ${BULK_MAX_TASKS} tasks can be changed at once` };
+  if (!BULK_ACTIONS.includes(action)) return { error: `action must be one of: ${BULK_ACTIONS.join(', ')}` };
+  const request = { ids: unique, action };
+  if (action === 'status') {
+    if (!body.status || typeof body.status !== 'string') return { error: 'status is required' };
+    request.status = body.status;
+    request.ignoreBlockers = !!body.ignoreBlockers;
+  } else if (action === 'shiftDue') {
+    const days = Number(body.days);
+    if (!Number.isInteger(days) || days === 0 || Math.abs(days) > SHIFT_MAX_DAYS) {
+      return { error: `days must be a whole number of days between -${SHIFT_MAX_DAYS} and ${SHIFT_MAX_DAYS}, other than 0` };
+    }
+    request.days = days;
+  } else if (action === 'move') {
+    if (body.projectId === undefined && body.workspaceId === undefined) return { error: 'move needs a projectId or a workspaceId' };
+    request.projectId = body.projectId;
+    request.workspaceId = body.workspaceId;
+  }
+  return request;
+}
+
+// Check one task of a bulk request. Returns { fields } (columns to set), { delete: true }
+// or { status, error } (plus blockers for a 409).
+async function planBulkChange(existing, request, userId) {
+  if (request.action === 'delete') {
+    const denied = policy.taskError(existing, 'delete');
+    return denied ? { status: 403, error: denied } : { delete: true };
+  }
+  const denied = policy.taskError(existing, 'edit');
+  if (denied) return { status: 403, error: denied };
+  const fields = {};
+  if (request.action === 'status') {
+    const workflow = await resolveStatus(existing.user_id, existing.status, request.status);
+    if (workflow.error) return { status: 400, error: workflow.error };
+    const blocked = await checkBlockers(existing, workflow.status, request.ignoreBlockers);
+    if (blocked) return { status: 409, ...blocked };
+    fields.status = workflow.status;
+  } else if (request.action === 'shiftDue') {
+    if (!existing.due_date) return { status: 400, error: 'Task has no due date' };
+    fields.due_date = shiftDate(existing.due_date, request.days);
+  } else if (request.action === 'move') {
+    // Projects are the owner's, like in a single update
+    const project = await resolveTaskProject(request.projectId, existing.user_id, existing.project_id);
+    if (project.error) return { status: 400, error: project.error };
+    fields.project_id = project.projectId;
+    const move = await resolveWorkspaceMove(existing, request.workspaceId, userId);
+    if (move.error) return move;
+    if (move.workspaceId) fields.workspace_id = move.workspaceId;
+  }
+  return { fields };
+}
+
+// Apply one action to many tasks: { ids, action: 'status', status, ignoreBlockers? },
+// { ids, action: 'shiftDue', days }, { ids, action: 'delete' } or
+// { ids, action: 'move', projectId?, workspaceId? }.
+// Every task is checked on its own (blockers against the state before the operation); the ones
+// that pass change together in one transaction, with their history, and are broadcast as usual.
+// Returns { results: [{ id, ok, task? } | { id, ok: false, status, error, blockers? }], succeeded, failed }
+// in the order of `ids`, or { status, error } for an invalid request.
+async function runBulk(body, user) {
+  const request = parseBulkRequest(body);
+  if (request.error) return { status: 400, error: request.error };
+  const found = new Map((await db.getTasksByIds(request.ids, user.id)).map(t => [t.id, t]));
+  const results = new Map();
+  const changes = [];
+  for (const id of request.ids) {
+    const existing = found.get(id);
+    if (!existing) {
+      results.set(id, { id, ok: false, status: 404, error: 'Task not found' });
+      continue;
+    }
+    const planned = await planBulkChange(existing, request, user.id);
+    if (planned.error) {
+      results.set(id, { id, ok: false, ...planned });
+    } else if (planned.delete) {
+      changes.push({ id, delete: true, entry: historyEntry('deleted', { before: existing }) });
+    } else {
+      changes.push({
+        id,
+        fields: planned.fields,
+        entry: historyEntry('updated', { before: existing, after: { ...existing, ...planned.fields } }),
+        // Members of the workspace it leaves lose it
+        audience: planned.fields.workspace_id ? await taskAudience(id) : []
+      });
+    }
+  }
+
+  const applied = new Set(await db.applyBulk(changes, user.id));
+  const updated = new Map((await db.getTasksByIds([...applied], user.id)).map(t => [t.id, t]));
+  for (const change of changes) {
+    if (!applied.has(change.id)) {
+      results.set(change.id, { id: change.id, ok: false, status: 404, error: 'Task not found' });
+    } else if (change.delete) {
+      results.set(change.id, { id: change.id, ok: true });
+      await broadcastTaskDeleted(change.id);
+    } else {
+      const task = normalizeTask(updated.get(change.id));
+      results.set(change.id, { id: change.id, ok: true, task });
+      await broadcastTask('tasks:updated', change.id, { before: change.audience });
+      const spawned = await spawnNextIfCompleted(found.get(change.id), change.id, user.id);
+      if (spawned) await broadcastTask('tasks:created', spawned.id);
+    }
+  }
+  const list = request.ids.map(id => results.get(id));
+  const succeeded = list.filter(r => r.ok).length;
+  return { results: list, succeeded, failed: list.length - succeeded };
+}
+
+function normalizeTemplate(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    title: template.title,
+    description: template.description,
+    status: template.status,
+    priority: template.priority,
+    dueOffsetDays: template.due_offset_days ?? null,
+    checklist: template.checklist || [],
+    // Placeholders to fill in when creating a task, besides the automatic {date}
+    placeholders: templates.placeholders(template),
+    attachments: (template.attachments || []).map(a => ({
+      id: a.id,
+      originalName: a.original_name,
+      url: signedDownloadUrl(`/api/templates/${template.id}/attachments/${a.id}/download`),
+      uploadedAt: a.uploaded_at
+    })),
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+// The template fields of a task: its due date becomes an offset from the day it was created.
+// Statuses of someone else's workflow are not carried over.
+function templateFieldsFromTask(task, user) {
+  return {
+    name: task.title,
+    title: task.title,
+    description: task.description,
+    status: task.user_id === user.id ? task.status : null,
+    priority: task.priority,
+    dueOffsetDays: task.due_date ? templates.daysBetween(templates.localDate(user.time_zone, task.created_at), task.due_date) : null,
+    checklist: (task.checklist || []).map(i => i.text)
+  };
+}
+
+// Validate a template payload; absent fields keep those of `existing` (camelCase, as from
+// normalizeTemplate or templateFieldsFromTask). Returns { template } or { error }.
+async function resolveTemplate(data, userId, existing = {}) {
+  const pick = (field) => data[field] === undefined ? existing[field] : data[field];
+  const name = pick('name');
+  const title = pick('title');
+  const description = pick('description') || '';
+  const status = pick('status') || null;
+  const priority = pick('priority') || 'normal';
+  const dueOffsetDays = pick('dueOffsetDays') ?? null;
+  const checklist = pick('checklist') || [];
+  if (!name || typeof name !== 'string' || !name.trim()) return { error: 'Template name is required' };
+  if (name.length > 100) return { error: 'Template name must be 100 characters or less' };
+  if (!title || typeof title !== 'string' || !title.trim()) return { error: 'Title is required' };
+  if (title.length > 255) return { error: 'Title must be 255 characters or less' };
+  if (typeof description !== 'string' || description.length > 10000) {
+    return { error: 'Description must be 10,000 characters or less' };
+  }
+  if (!PRIORITIES.includes(priority)) return { error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+  if (dueOffsetDays !== null && !(Number.isInteger(dueOffsetDays) && Math.abs(dueOffsetDays) <= SHIFT_MAX_DAYS)) {
+    return { error: `dueOffsetDays must be a whole number of days between -${SHIFT_MAX_DAYS} and ${SHIFT_MAX_DAYS}` };
+  }
+  if (!Array.isArray(checklist) || checklist.length > TEMPLATE_CHECKLIST_MAX) {
+    return { error: `checklist must be a list of at most ${TEMPLATE_CHECKLIST_MAX} items` };
+  }
+  for (const text of checklist) {
+    const invalid = validateChecklistText(text);
+    if (invalid) return { error: invalid };
+  }
+  // A stored status that left the workflow is tolerated; it falls back when a task is created
+  if (data.status) {
+    const workflow = await resolveStatus(userId, null, status);
+    if (workflow.error) return { error: workflow.error };
+  }
+  return {
+    template: { name: name.trim(), title: title.trim(), description, status, priority, dueOffsetDays, checklist: checklist.map(t => t.trim()) }
+  };
+}
+
+// Create a template from the payload, or from a task the user can see when `taskId` is given:
+// the task's fields are then the defaults and its files are copied.
+// Returns { template } or { status, error }.
+async function createTemplate(data, user) {
+  let task = null;
+  if (data.taskId !== undefined && data.taskId !== null) {
+    task = await db.getTaskById(parseInt(data.taskId), user.id);
+    if (!task) return { status: 404, error: 'Task not found' };
+  }
+  const resolved = await resolveTemplate(data, user.id, task ? templateFieldsFromTask(task, user) : {});
+  if (resolved.error) return { status: 400, error: resolved.error };
+  const attachments = task ? await copyAttachmentFiles(task.attachments) : [];
+  let created;
+  try {
+    created = await db.createTemplate({ ...resolved.template, attachments, userId: user.id });
   } catch (e) {
-    console.error('PUT /api/tasks/:id error:', e);
-    res.status(500).json({ error: 'Failed to update task' });
+    await removeAttachmentFiles(attachments);
+    throw e;
   }
-});
+  return { template: await db.getTemplateById(created.id, user.id) };
+}
+
+async function updateTemplate(id, data, user) {
+  const existing = await db.getTemplateById(id, user.id);
+  if (!existing) return { status: 404, error: 'Template not found' };
+  const resolved = await resolveTemplate(data, user.id, normalizeTemplate(existing));
+  if (resolved.error) return { status: 400, error: resolved.error };
+  await db.updateTemplate(id, { ...resolved.template, userId: user.id });
+  return { template: await db.getTemplateById(id, user.id) };
+}
+
+async function removeTemplateAttachment(templateId, attachmentId, user) {
+  const template = await db.getTemplateById(templateId, user.id);
+  const removed = template && await db.deleteTemplateAttachment(attachmentId, templateId);
+  if (!removed) return { status: 404, error: 'Attachment not found' };
+  await removeAttachmentFiles([removed]);
+  return { template: await db.getTemplateById(templateId, user.id) };
+}
+
+// Create a task from a template in a workspace (the personal one by default). `values` fill the
+// placeholders; {date} and the due date count from today in the user's time zone.
+// Returns { task } (a full task row) or { status, error }.
+async function createTaskFromTemplate(templateId, user, { values = {}, workspaceId } = {}) {
+  const template = await db.getTemplateById(templateId, user.id);
+  if (!template) return { status: 404, error: 'Template not found' };
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { status: 400, error: 'values must map placeholder names to text' };
+  }
+  const target = await resolveWorkspace(workspaceId, user.id);
+  if (target.error) return target;
+  const today = templates.localDate(user.time_zone);
+  const filled = { ...values, date: today };
+  const title = templates.fill(template.title, filled).trim();
+  const description = templates.fill(template.description, filled);
+  if (!title) return { status: 400, error: 'Title is required' };
+  if (title.length > 255) return { status: 400, error: 'Title must be 255 characters or less' };
+  if (description.length > 10000) return { status: 400, error: 'Description must be 10,000 characters or less' };
+  let workflow = await resolveStatus(user.id, null, template.status);
+  if (workflow.error) workflow = await resolveStatus(user.id, null, null);
+
+  // The files are copied first so the task, its checklist and its attachments are saved together;
+  // the copies go again if that fails
+  const attachments = await copyAttachmentFiles(template.attachments);
+  let created;
+  try {
+    created = await db.createTask({
+      title,
+      description,
+      status: workflow.status,
+      dueDate: template.due_offset_days === null ? null : shiftDate(today, template.due_offset_days),
+      priority: template.priority,
+      workspaceId: target.workspace.id,
+      userId: user.id,
+      checklist: template.checklist,
+      attachments
+    });
+  } catch (e) {
+    await removeAttachmentFiles(attachments);
+    throw e;
+  }
+  const full = await db.getTaskById(created.id, user.id);
+  await recordHistory(full.id, user.id, 'created', { after: full });
+  return { task: full };
+}
+
+// Authentication routes
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    
+    // Validation
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'Username, email, and password are required' });
+    }
+    if (username.length < 3 || username.length > 50) {
+      return res.status(400).json({ error: 'Username must be 3-50 characters' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    
+    // Email validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+    
+    // Check if user already exists
+    const existingUser = await userDb.getUserByUsername(username);
+    if (existingUser) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    
+    // Check if email already exists
+    const existingEmail = await userDb.getUserByEmail(email);
+    if (existingEmail) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+    
+    // Create user
+    const user = await userDb.createUser({ username, email, password });
+    
+    // Generate token
+    const token = tokenUtils.generateToken(user);
+    
+    // Set httpOnly cookie
+    res.cookie('authToken', token, {
+      httpOnly: true,
+      secure: false, // Set to true in production with HTTPS
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      sameSite: 'lax'
+    });
+    
+    res.status(201).json({ 
+      message: 'User created successfully',
+      user: { id: user.id, username: user.username, email: user.email, timeZone: user.time_zone }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    
+    // Verify credentials
+    const user = await userDb.verifyPassword(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    // Generate token
+    const token = tokenUtils.generateToken(user);
+    
+    // Set httpOnly cookie
+    res.cookie('authToken', token, {
+      httpOnly: true,
+      secure: false, 
+      maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      sameSite: 'lax'
+    });
+    
+    res.status(200).json({ 
+      message: 'Login successful',
+      user: { id: user.id, username: user.username, email: user.email, timeZone: user.time_zone }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.clearCookie('authToken');
+  res.status(200).json({ message: 'Logout successful' });
+});
+
+app.get('/api/auth/me', authMiddleware, (req, res) => {
+  res.status(200).json({ 
+    user: { 
+      id: req.user.id, 
+      username: req.user.username, 
+      email: req.user.email,
+      timeZone: req.user.time_zone
+    } 
+  });
+});
+
+const api = express.Router();
+
+api.get('/tasks', authMiddleware, async (req, res) => {
+  try {
+    const list = parseTaskListQuery(req.query);
+    if (list.error) return res.status(400).json({ error: list.error });
+    const page = await db.getAllTasks(list.filters, req.user.id);
+    if (page.error) return res.status(400).json({ error: page.error });
+    res.status(200).json(taskListResponse(page, list));
+  } catch (e) {
+    console.error('GET /api/tasks error:', e);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Body: { id, beforeId, afterId } - the neighbours the task should land between (null at either end)
+api.patch('/tasks/reorder', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.body.id);
+    const beforeId = req.body.beforeId == null ? null : parseInt(req.body.beforeId);
+    const afterId = req.body.afterId == null ? null : parseInt(req.body.afterId);
+    if (Number.isNaN(id) || Number.isNaN(beforeId) || Number.isNaN(afterId)) {
+      return res.status(400).json({ error: 'id, beforeId and afterId must be task ids' });
+    }
+    if (id === beforeId || id === afterId) {
+      return res.status(400).json({ error: 'A task cannot be its own neighbour' });
+    }
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const moved = await db.reorderTask(id, req.user.id, { beforeId, afterId });
+    if (!moved) return res.status(404).json({ error: 'Task not found' });
+    if (moved.conflict) return res.status(409).json({ error: 'Task order changed, reload and try again' });
+    const full = await db.getTaskById(id, req.user.id);
+    res.status(200).json(normalizeTask(full));
+  } catch (e) {
+    console.error('PATCH /api/tasks/reorder error:', e);
+    res.status(500).json({ error: 'Failed to reorder task' });
+  }
+});
+
+// Body: { ids: [...], action: 'status' | 'shiftDue' | 'delete' | 'move', ... } - see runBulk.
+// Answers 200 with a result per task, also when some of them failed.
+api.post('/tasks/bulk', authMiddleware, async (req, res) => {
+  try {
+    const outcome = await runBulk(req.body, req.user);
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.status(200).json(outcome);
+  } catch (e) {
+    console.error('POST /api/tasks/bulk error:', e);
+    res.status(500).json({ error: 'Failed to update tasks' });
+  }
+});
+
+api.get('/tasks/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const task = await db.getTaskById(id, req.user.id);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    res.set('ETag', taskETag(task));
+    res.status(200).json(normalizeTask(task));
+  } catch (e) {
+    console.error('GET /api/tasks/:id error:', e);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+api.post('/tasks', authMiddleware, async (req, res) => {
+  try {
+    const { title, description, status, projectId, tagIds, autoComplete, priority } = req.body;
+    const due = resolveDue(req.body);
+    const estimate = resolveEstimate(req.body.estimateMinutes);
+    const repeat = resolveRecurrence(req.body.recurrence, due.dueDate);
+    
+    // Validation
+    if (due.error) {
+      return res.status(400).json({ error: due.error });
+    }
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+    if (repeat.error) {
+      return res.status(400).json({ error: repeat.error });
+    }
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+    if (priority && !PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+    if (title.length > 255) {
+      return res.status(400).json({ error: 'Title must be 255 characters or less' });
+    }
+    if (description && description.length > 10000) {
+      return res.status(400).json({ error: 'Description must be 10,000 characters or less' });
+    }
+    const project = await resolveTaskProject(projectId, req.user.id);
+    if (project.error) return res.status(400).json({ error: project.error });
+    const tags = await resolveTaskTags(tagIds, req.user.id);
+    if (tags.error) return res.status(400).json({ error: tags.error });
+    const workflow = await resolveStatus(req.user.id, null, status);
+    if (workflow.error) return res.status(400).json({ error: workflow.error });
+    const assignee = await resolveAssignee(req.body.assigneeId);
+    if (assignee.error) return res.status(400).json({ error: assignee.error });
+    const target = await resolveWorkspace(req.body.workspaceId, req.user.id);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    
+    const created = await db.createTask({ title, description: description || '', status: workflow.status, dueDate: due.dueDate, dueTime: due.dueTime, projectId: project.projectId, autoComplete, priority, estimateMinutes: estimate.estimateMinutes, assigneeId: assignee.assigneeId, workspaceId: target.workspace.id, userId: req.user.id });
+    if (tags.tagIds) await db.setTaskTags(created.id, tags.tagIds);
+    if (due.reminders) await db.setTaskReminders(created.id, due.reminders);
+    if (repeat.rule) await db.createRecurrence(created.id, repeat.rule);
+    const full = await db.getTaskById(created.id, req.user.id);
+    await recordHistory(full.id, req.user.id, 'created', { after: full });
+    res.status(201).json(normalizeTask(full));
+  } catch (e) {
+    console.error('POST /api/tasks error:', e);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+api.put('/tasks/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const expected = resolveExpectedVersion(parseIfMatch(req.get('If-Match')));
+    if (expected.error) return res.status(expected.status).json({ error: expected.error });
+    const stale = versionConflict(existing, expected.version);
+    if (stale) return res.status(409).json(stale);
+    const { title, description, status, projectId, tagIds, autoComplete, priority } = req.body;
+    // scope: 'this' edits only this occurrence, 'future' also the upcoming ones of its series
+    const scope = req.body.scope || 'this';
+    
+    // Validation
+    const newTitle = title ?? existing.title;
+    const newDescription = description ?? existing.description;
+    
+    if (newTitle && newTitle.length > 255) {
+      return res.status(400).json({ error: 'Title must be 255 characters or less' });
+    }
+    if (scope !== 'this' && scope !== 'future') {
+      return res.status(400).json({ error: 'scope must be "this" or "future"' });
+    }
+    const due = resolveDue(req.body, existing);
+    if (due.error) {
+      return res.status(400).json({ error: due.error });
+    }
+    const estimate = resolveEstimate(req.body.estimateMinutes, existing.estimate_minutes);
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+    const repeat = resolveRecurrence(req.body.recurrence, due.dueDate, existing.recurrence?.rule);
+    if (repeat.error) {
+      return res.status(400).json({ error: repeat.error });
+    }
+    if (priority && !PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+    if (newDescription && newDescription.length > 10000) {
+      return res.status(400).json({ error: 'Description must be 10,000 characters or less' });
+    }
+    // Projects, tags and statuses are the owner's, also when someone the task is shared with edits it
+    const project = await resolveTaskProject(projectId, existing.user_id, existing.project_id);
+    if (project.error) return res.status(400).json({ error: project.error });
+    const tags = await resolveTaskTags(tagIds, existing.user_id);
+    if (tags.error) return res.status(400).json({ error: tags.error });
+    const workflow = await resolveStatus(existing.user_id, existing.status, status);
+    if (workflow.error) return res.status(400).json({ error: workflow.error });
+    const assignee = await resolveAssignee(req.body.assigneeId, existing.assignee_id);
+    if (assignee.error) return res.status(400).json({ error: assignee.error });
+    if (assignee.assigneeId !== (existing.assignee_id ?? null) && policy.taskError(existing, 'assign')) {
+      return res.status(403).json({ error: policy.taskError(existing, 'assign') });
+    }
+    const move = await resolveWorkspaceMove(existing, req.body.workspaceId, req.user.id);
+    if (move.error) return res.status(move.status).json({ error: move.error });
+    const blocked = await checkBlockers(existing, workflow.status, req.body.ignoreBlockers);
+    if (blocked) return res.status(409).json(blocked);
+    
+    const updated = await db.updateTask(id, {
+      title: newTitle,
+      description: newDescription,
+      status: workflow.status,
+      dueDate: due.dueDate,
+      dueTime: due.dueTime,
+      projectId: project.projectId,
+      autoComplete: autoComplete ?? existing.auto_complete,
+      priority: priority ?? existing.priority,
+      estimateMinutes: estimate.estimateMinutes,
+      assigneeId: assignee.assigneeId,
+      userId: req.user.id,
+      expectedVersion: expected.version
+    });
+    if (!updated) {
+      // Changed (or unshared) between the checks above and the write
+      const conflict = versionConflict(await db.getTaskById(id, req.user.id), expected.version);
+      return conflict ? res.status(409).json(conflict) : res.status(404).json({ error: 'Task not found' });
+    }
+    if (tags.tagIds) await db.setTaskTags(id, tags.tagIds);
+    if (due.reminders) await db.setTaskReminders(id, due.reminders);
+    if (move.workspaceId) await db.moveTaskToWorkspace(id, move.workspaceId);
+    await applyRecurrenceUpdate(id, req.user.id, { rule: repeat.rule, scope });
+    if (turnsOnAutoComplete(existing, updated, status)) await db.completeTaskIfChecklistDone(id);
+    const full = await db.getTaskById(updated.id, req.user.id);
+    await recordHistory(id, req.user.id, 'updated', { before: existing, after: full });
+    await spawnNextIfCompleted(existing, id, req.user.id);
+    res.set('ETag', taskETag(full));
+    res.status(200).json(normalizeTask(full));
+  } catch (e) {
+    console.error('PUT /api/tasks/:id error:', e);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+api.delete('/tasks/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'delete');
+    if (denied) return res.status(403).json({ error: denied });
+    await recordHistory(id, req.user.id, 'deleted', { before: existing });
+    await db.deleteTask(id, req.user.id);
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+// Body: { blockedById } - the task that has to be finished first
+api.post('/tasks/:id/dependencies', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const blockedById = parseInt(req.body.blockedById);
+    const invalid = await validateDependency(id, blockedById, req.user.id);
+    if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+    const result = await db.addDependency(id, blockedById);
+    if (result.cycle) return res.status(409).json({ error: 'This link would create a dependency cycle' });
+    const full = await db.getTaskById(id, req.user.id);
+    res.status(201).json(normalizeTask(full));
+  } catch (e) {
+    console.error('POST /api/tasks/:id/dependencies error:', e);
+    res.status(500).json({ error: 'Failed to add dependency' });
+  }
+});
+
+api.delete('/tasks/:id/dependencies/:blockedById', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    await db.removeDependency(id, parseInt(req.params.blockedById));
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id/dependencies/:blockedById error:', e);
+    res.status(500).json({ error: 'Failed to remove dependency' });
+  }
+});
+
+// Body: { permission: 'read' | 'write' } - shares the task with the user, or changes their permission
+api.put('/tasks/:id/shares/:userId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'share');
+    if (denied) return res.status(403).json({ error: denied });
+    const permission = req.body.permission || 'read';
+    if (!SHARE_PERMISSIONS.includes(permission)) return res.status(400).json({ error: `permission must be one of: ${SHARE_PERMISSIONS.join(', ')}` });
+    const target = await userDb.getUserById(parseInt(req.params.userId) || 0);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (target.id === existing.user_id) return res.status(400).json({ error: 'The owner already has full access' });
+    await db.setTaskShare(id, target.id, permission);
+    const normalized = normalizeTask(await db.getTaskById(id, req.user.id));
+    res.status(200).json(normalized);
+    await broadcastTask('tasks:updated', id);
+  } catch (e) {
+    console.error('PUT /api/tasks/:id/shares/:userId error:', e);
+    res.status(500).json({ error: 'Failed to share task' });
+  }
+});
+
+// The owner can stop sharing with anyone; others can only remove themselves
+api.delete('/tasks/:id/shares/:userId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const userId = parseInt(req.params.userId);
+    const denied = userId === req.user.id ? null : policy.taskError(existing, 'share');
+    if (denied) return res.status(403).json({ error: denied });
+    if (!(await db.removeTaskShare(id, userId))) return res.status(404).json({ error: 'Share not found' });
+    res.status(204).end();
+    await broadcastTask('tasks:updated', id, { before: [userId] });
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id/shares/:userId error:', e);
+    res.status(500).json({ error: 'Failed to stop sharing task' });
+  }
+});
+
+api.get('/tasks/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const entries = await db.getHistory(id);
+    res.json(entries.map(normalizeHistoryEntry));
+  } catch (e) {
+    console.error('GET /api/tasks/:id/history error:', e);
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+// Body: { ignoreBlockers? } - restores the task to the version saved with the entry
+api.post('/tasks/:id/history/:entryId/revert', authMiddleware, async (req, res) => {
+  try {
+    const result = await revertTask(parseInt(req.params.id), parseInt(req.params.entryId), req.user.id, req.body.ignoreBlockers);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+    res.status(200).json(normalizeTask(result.task));
+  } catch (e) {
+    console.error('POST /api/tasks/:id/history/:entryId/revert error:', e);
+    res.status(500).json({ error: 'Failed to revert task' });
+  }
+});
+
+api.get('/tasks/:id/comments', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const comments = await db.getComments(id);
+    res.json(comments.map(normalizeComment));
+  } catch (e) {
+    console.error('GET /api/tasks/:id/comments error:', e);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Comment changes made over REST are pushed to live viewers too
+api.post('/tasks/:id/comments', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const invalid = validateCommentBody(req.body.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const comment = normalizeComment(await db.createComment(id, req.user.id, req.body.body.trim()));
+    io.to(taskRoom(id)).emit('comments:created', comment);
+    res.status(201).json(comment);
+  } catch (e) {
+    console.error('POST /api/tasks/:id/comments error:', e);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+api.put('/tasks/:id/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const current = await db.getComment(parseInt(req.params.commentId), id);
+    if (!current) return res.status(404).json({ error: 'Comment not found' });
+    if (current.user_id !== req.user.id) return res.status(403).json({ error: 'You can only edit your own comments' });
+    const invalid = validateCommentBody(req.body.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const comment = normalizeComment(await db.updateComment(current.id, id, req.user.id, req.body.body.trim()));
+    io.to(taskRoom(id)).emit('comments:updated', comment);
+    res.json(comment);
+  } catch (e) {
+    console.error('PUT /api/tasks/:id/comments/:commentId error:', e);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+api.delete('/tasks/:id/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const current = await db.getComment(parseInt(req.params.commentId), id);
+    if (!current) return res.status(404).json({ error: 'Comment not found' });
+    if (current.user_id !== req.user.id) return res.status(403).json({ error: 'You can only delete your own comments' });
+    await db.deleteComment(current.id, id, req.user.id);
+    io.to(taskRoom(id)).emit('comments:deleted', { id: current.id, taskId: id });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id/comments/:commentId error:', e);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+api.get('/tasks/:id/time', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const entries = await db.getTimeEntries(id);
+    res.json(entries.map(normalizeTimeEntry));
+  } catch (e) {
+    console.error('GET /api/tasks/:id/time error:', e);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Body: { startedAt, endedAt } or { startedAt, minutes }, plus an optional note
+api.post('/tasks/:id/time', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const entry = validateTimeEntry(req.body);
+    if (entry.error) return res.status(400).json({ error: entry.error });
+    const created = await db.createTimeEntry(id, req.user.id, entry);
+    res.status(201).json(normalizeTimeEntry(created));
+    await broadcastTimeChange(req.user.id, [id]);
+  } catch (e) {
+    console.error('POST /api/tasks/:id/time error:', e);
+    res.status(500).json({ error: 'Failed to add time entry' });
+  }
+});
+
+api.put('/tasks/:id/time/:entryId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const current = await db.getTimeEntry(parseInt(req.params.entryId), id);
+    if (!current) return res.status(404).json({ error: 'Time entry not found' });
+    if (current.user_id !== req.user.id) return res.status(403).json({ error: 'You can only edit your own time entries' });
+    const entry = validateTimeEntry(req.body, current);
+    if (entry.error) return res.status(400).json({ error: entry.error });
+    const updated = await db.updateTimeEntry(current.id, id, entry);
+    res.json(normalizeTimeEntry(updated));
+    await broadcastTimeChange(req.user.id, [id]);
+  } catch (e) {
+    console.error('PUT /api/tasks/:id/time/:entryId error:', e);
+    res.status(500).json({ error: 'Failed to update time entry' });
+  }
+});
+
+api.delete('/tasks/:id/time/:entryId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const current = await db.getTimeEntry(parseInt(req.params.entryId), id);
+    if (!current) return res.status(404).json({ error: 'Time entry not found' });
+    if (current.user_id !== req.user.id) return res.status(403).json({ error: 'You can only delete your own time entries' });
+    await db.deleteTimeEntry(current.id, id);
+    res.status(204).end();
+    await broadcastTimeChange(req.user.id, [id]);
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id/time/:entryId error:', e);
+    res.status(500).json({ error: 'Failed to delete time entry' });
+  }
+});
+
+// Starting a timer stops the one already running for the user, on whatever task
+api.post('/tasks/:id/timer/start', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const { entry, stopped } = await db.startTimer(id, req.user.id);
+    res.status(201).json({ entry: normalizeTimeEntry(entry), stopped: normalizeTimeEntry(stopped) });
+    await broadcastTimeChange(req.user.id, [id, ...(stopped ? [stopped.task_id] : [])]);
+  } catch (e) {
+    console.error('POST /api/tasks/:id/timer/start error:', e);
+    res.status(500).json({ error: 'Failed to start timer' });
+  }
+});
+
+api.get('/timer', authMiddleware, async (req, res) => {
+  try {
+    res.json({ timer: normalizeTimer(await db.getRunningTimer(req.user.id)) });
+  } catch (e) {
+    console.error('GET /api/timer error:', e);
+    res.status(500).json({ error: 'Failed to fetch timer' });
+  }
+});
+
+api.post('/timer/stop', authMiddleware, async (req, res) => {
+  try {
+    const stopped = await db.stopTimer(req.user.id);
+    if (!stopped) return res.status(404).json({ error: 'No timer is running' });
+    res.json(normalizeTimeEntry(stopped));
+    await broadcastTimeChange(req.user.id, [stopped.task_id]);
+  } catch (e) {
+    console.error('POST /api/timer/stop error:', e);
+    res.status(500).json({ error: 'Failed to stop timer' });
+  }
+});
+
+// ?groupBy=day|week&from=YYYY-MM-DD&to=YYYY-MM-DD&project=...&format=json|csv
+api.get('/reports/time', authMiddleware, async (req, res) => {
+  try {
+    const query = parseTimeReportQuery(req.query);
+    if (query.error) return res.status(400).json({ error: query.error });
+    const report = timeReportResponse(await db.getTimeReport(req.user.id, query), query);
+    if (query.format === 'csv') {
+      const name = `time-report-${query.from || 'start'}-${query.to || 'now'}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${name}"`);
+      return res.send(timeReportCsv(report, await db.getWorkflow(req.user.id)));
+    }
+    res.json(report);
+  } catch (e) {
+    console.error('GET /api/reports/time error:', e);
+    res.status(500).json({ error: 'Failed to build time report' });
+  }
+});
+
+api.post('/tasks/:id/checklist', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const { text } = req.body;
+    const invalid = validateChecklistText(text);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const item = await db.addChecklistItem(id, text.trim());
+    res.status(201).json(normalizeChecklistItem(item));
+  } catch (e) {
+    console.error('POST /api/tasks/:id/checklist error:', e);
+    res.status(500).json({ error: 'Failed to add checklist item' });
+  }
+});
+
+// Body: { itemIds: [...] } listing every item of the task in the new order
+api.post('/tasks/:id/checklist/reorder', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds)) return res.status(400).json({ error: 'itemIds must be an array' });
+    const ok = await db.reorderChecklist(id, itemIds.map(i => parseInt(i)));
+    if (!ok) return res.status(400).json({ error: 'itemIds must list every checklist item of the task exactly once' });
+    const items = await db.getChecklist(id);
+    res.status(200).json(items.map(normalizeChecklistItem));
+  } catch (e) {
+    console.error('POST /api/tasks/:id/checklist/reorder error:', e);
+    res.status(500).json({ error: 'Failed to reorder checklist' });
+  }
+});
+
+api.put('/tasks/:id/checklist/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const item = await db.getChecklistItem(parseInt(req.params.itemId), id);
+    if (!item) return res.status(404).json({ error: 'Checklist item not found' });
+    const text = req.body.text ?? item.text;
+    const invalid = validateChecklistText(text);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const updated = await db.updateChecklistItem(item.id, id, { text: text.trim(), done: req.body.done ?? item.done });
+    await completeIfChecklistDone(existing, req.user.id);
+    res.status(200).json(normalizeChecklistItem(updated));
+  } catch (e) {
+    console.error('PUT /api/tasks/:id/checklist/:itemId error:', e);
+    res.status(500).json({ error: 'Failed to update checklist item' });
+  }
+});
+
+api.post('/tasks/:id/checklist/:itemId/toggle', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const item = await db.getChecklistItem(parseInt(req.params.itemId), id);
+    if (!item) return res.status(404).json({ error: 'Checklist item not found' });
+    const updated = await db.updateChecklistItem(item.id, id, { text: item.text, done: !item.done });
+    await completeIfChecklistDone(existing, req.user.id);
+    res.status(200).json(normalizeChecklistItem(updated));
+  } catch (e) {
+    console.error('POST /api/tasks/:id/checklist/:itemId/toggle error:', e);
+    res.status(500).json({ error: 'Failed to toggle checklist item' });
+  }
+});
+
+api.delete('/tasks/:id/checklist/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const item = await db.getChecklistItem(parseInt(req.params.itemId), id);
+    if (!item) return res.status(404).json({ error: 'Checklist item not found' });
+    await db.deleteChecklistItem(item.id, id);
+    // Removing the last open item can complete the task
+    await completeIfChecklistDone(existing, req.user.id);
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/tasks/:id/checklist/:itemId error:', e);
+    res.status(500).json({ error: 'Failed to delete checklist item' });
+  }
+});
+
+api.post('/tasks/:id/attachments', authMiddleware, upload.array('attachment', 10), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTaskById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Task not found' });
+    const denied = policy.taskError(existing, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+
+    const uploadedFiles = [];
+    
+    for (const file of req.files) {
+      let displayName = file.originalname;
+      if (displayName.includes('Ð') || displayName.includes('Ñ')) {
+        try { displayName = Buffer.from(displayName, 'latin1').toString('utf8'); } catch (e) {}
+      }
+
+      const created = await addUploadedAttachment(id, req.user.id, {
+        filename: file.filename,
+        originalName: displayName,
+        localPath: file.path
+      });
+
+      uploadedFiles.push(normalizeAttachment(created));
+    }
+
+    res.status(201).json(uploadedFiles);
+  } catch (e) {
+    console.error('POST /api/tasks/:id/attachments error:', e);
+    if (e.message.includes('Only images, PDFs')) {
+      res.status(400).json({ error: e.message });
+    } else if (e.code === 'LIMIT_FILE_SIZE') {
+      res.status(400).json({ error: 'File too large. Maximum size is 5MB per file.' });
+    } else if (e.code === 'LIMIT_FILE_COUNT') {
+      res.status(400).json({ error: 'Too many files. Maximum 10 files per upload.' });
+    } else {
+      res.status(500).json({ error: 'Failed to upload attachment' });
+    }
+  } finally {
+    // Staged copies are no longer needed once stored (or when storing failed)
+    for (const file of req.files || []) fs.promises.unlink(file.path).catch(() => {});
+  }
+});
+
+// Files of tasks the caller can see, or behind a signed URL from normalizeTask
+api.get('/attachments/:id/download', downloadAuth, async (req, res) => {
+  try {
+    const attachment = await db.getAttachment(parseInt(req.params.id));
+    const visible = attachment && (!req.user || await db.getTaskById(attachment.task_id, req.user.id));
+    if (!visible) return res.status(404).json({ error: 'Attachment not found' });
+    await sendStoredFile(req, res, attachment);
+  } catch (e) {
+    console.error('GET /api/attachments/:id/download error:', e);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Thumbnail or lightbox preview of an attachment, with the same access as its download
+api.get('/attachments/:id/:kind(thumbnail|preview)', downloadAuth, async (req, res) => {
+  try {
+    const attachment = await db.getAttachment(parseInt(req.params.id));
+    const visible = attachment && (!req.user || await db.getTaskById(attachment.task_id, req.user.id));
+    if (!visible) return res.status(404).json({ error: 'Attachment not found' });
+    let preview;
+    try {
+      preview = await attachmentPreview(attachment, req.params.kind);
+    } catch (e) {
+      if (e.code === 'ENOENT') return res.status(404).json({ error: 'File not found' });
+      console.error(`Failed to render ${req.params.kind} of ${attachment.filename}:`, e.message);
+      return res.status(404).json({ error: 'Preview not available' });
+    }
+    if (!preview) return res.status(404).json({ error: 'This file has no preview' });
+    res.set('Content-Type', preview.content_type);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(preview.data);
+  } catch (e) {
+    console.error('GET /api/attachments/:id/:kind error:', e);
+    res.status(500).json({ error: 'Failed to load preview' });
+  }
+});
+
+// Chunked uploads, the REST side of uploads:init / uploads:chunk / uploads:complete: POST the
+// file's { taskId, name, size, type, checksum }, PUT each chunk as application/octet-stream to
+// /uploads/:id/chunks?offset=N (optionally with its SHA-256 in X-Chunk-SHA256), then POST
+// /uploads/:id/complete. GET /uploads/:id tells where an interrupted upload stands.
+api.post('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const result = await initUpload(req.body, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(result.status || 200).json(normalizeUploadSession(result.session));
+  } catch (e) {
+    console.error('POST /api/uploads error:', e);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+api.get('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    res.json(normalizeUploadSession(session));
+  } catch (e) {
+    console.error('GET /api/uploads/:id error:', e);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+api.put('/uploads/:id/chunks', authMiddleware, express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_BYTES }), async (req, res) => {
+  try {
+    const result = await writeUploadChunk(req.params.id, {
+      offset: req.query.offset,
+      data: Buffer.isBuffer(req.body) ? req.body : null,
+      checksum: req.get('X-Chunk-SHA256')
+    }, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error, received: result.received });
+    res.json(normalizeUploadSession(result.session));
+  } catch (e) {
+    console.error('PUT /api/uploads/:id/chunks error:', e);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+api.post('/uploads/:id/complete', authMiddleware, async (req, res) => {
+  try {
+    const result = await completeUpload(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error, received: result.received });
+    res.status(201).json(normalizeAttachment(result.attachment));
+  } catch (e) {
+    console.error('POST /api/uploads/:id/complete error:', e);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+api.delete('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await abortUpload(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/uploads/:id error:', e);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
+// Removing a file needs write access to its task
+api.delete('/attachments/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const attachment = await db.getAttachment(id);
+    const task = attachment && await db.getTaskById(attachment.task_id, req.user.id);
+    if (!task) return res.status(404).json({ error: 'Attachment not found' });
+    const denied = policy.taskError(task, 'edit');
+    if (denied) return res.status(403).json({ error: denied });
+    const removed = await db.deleteAttachment(id, req.user.id);
+    if (!removed) return res.status(404).json({ error: 'Attachment not found' });
+    await removeAttachmentFiles([removed]);
+    await recordHistory(removed.task_id, req.user.id, 'attachment_removed', { changes: { attachment: { from: removed.original_name, to: null } } });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/attachments/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+api.get('/trash', authMiddleware, async (req, res) => {
+  try {
+    const tasks = await db.getTrash(req.user.id);
+    res.json(tasks.map(normalizeTrashedTask));
+  } catch (e) {
+    console.error('GET /api/trash error:', e);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+api.post('/trash/:id/restore', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const trashed = await db.getTrashedTask(id, req.user.id);
+    if (!trashed) return res.status(404).json({ error: 'Task not found in trash' });
+    const denied = policy.taskError(trashed, 'delete');
+    if (denied) return res.status(403).json({ error: denied });
+    const restored = await db.restoreTask(id, req.user.id);
+    if (!restored) return res.status(404).json({ error: 'Task not found in trash' });
+    await recordHistory(id, req.user.id, 'restored');
+    const full = await db.getTaskById(id, req.user.id);
+    res.status(200).json(normalizeTask(full));
+  } catch (e) {
+    console.error('POST /api/trash/:id/restore error:', e);
+    res.status(500).json({ error: 'Failed to restore task' });
+  }
+});
+
+api.delete('/trash/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const trashed = await db.getTrashedTask(id, req.user.id);
+    if (!trashed) return res.status(404).json({ error: 'Task not found in trash' });
+    const denied = policy.taskError(trashed, 'delete');
+    if (denied) return res.status(403).json({ error: denied });
+    const attachments = await db.purgeTask(id, req.user.id);
+    if (!attachments) return res.status(404).json({ error: 'Task not found in trash' });
+    await removeAttachmentFiles(attachments);
+    await recordHistory(id, req.user.id, 'purged');
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/trash/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete task permanently' });
+  }
+});
+
+api.get('/projects', authMiddleware, async (req, res) => {
+  try {
+    const projects = await db.getProjects(req.user.id);
+    res.status(200).json(projects.map(normalizeProject));
+  } catch (e) {
+    console.error('GET /api/projects error:', e);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+api.get('/projects/:id', authMiddleware, async (req, res) => {
+  try {
+    const project = await db.getProjectById(parseInt(req.params.id), req.user.id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.status(200).json(normalizeProject(project));
+  } catch (e) {
+    console.error('GET /api/projects/:id error:', e);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+});
+
+api.post('/projects', authMiddleware, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ error: 'Project name must be 100 characters or less' });
+    }
+    const created = await db.createProject({ name: name.trim(), userId: req.user.id });
+    res.status(201).json(normalizeProject(created));
+  } catch (e) {
+    console.error('POST /api/projects error:', e);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+api.put('/projects/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Project name is required' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ error: 'Project name must be 100 characters or less' });
+    }
+    const updated = await db.updateProject(id, { name: name.trim(), userId: req.user.id });
+    if (!updated) return res.status(404).json({ error: 'Project not found' });
+    const full = await db.getProjectById(id, req.user.id);
+    res.status(200).json(normalizeProject(full));
+  } catch (e) {
+    console.error('PUT /api/projects/:id error:', e);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// DELETE /api/projects/:id?mode=cascade|move[&target=<projectId>]
+api.delete('/projects/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getProjectById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Project not found' });
+    const mode = req.query.mode;
+    if (mode !== 'cascade' && mode !== 'move') {
+      return res.status(400).json({ error: 'mode must be "cascade" or "move"' });
+    }
+    let targetProjectId = null;
+    if (mode === 'move' && req.query.target) {
+      targetProjectId = parseInt(req.query.target);
+      if (targetProjectId === id) return res.status(400).json({ error: 'Cannot move tasks into the project being deleted' });
+      const target = await db.getProjectById(targetProjectId, req.user.id);
+      if (!target) return res.status(400).json({ error: 'Target project not found' });
+    }
+    const entries = await projectDeletionEntries(id, req.user.id, { mode, targetProjectId });
+    await db.deleteProject(id, req.user.id, { mode, targetProjectId, entries });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/projects/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+api.get('/templates', authMiddleware, async (req, res) => {
+  try {
+    const list = await db.getTemplates(req.user.id);
+    res.status(200).json(list.map(normalizeTemplate));
+  } catch (e) {
+    console.error('GET /api/templates error:', e);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+api.get('/templates/:id', authMiddleware, async (req, res) => {
+  try {
+    const template = await db.getTemplateById(parseInt(req.params.id), req.user.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.status(200).json(normalizeTemplate(template));
+  } catch (e) {
+    console.error('GET /api/templates/:id error:', e);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// Body: the template fields, or { taskId, ...overrides } to save a task as a template
+api.post('/templates', authMiddleware, async (req, res) => {
+  try {
+    const result = await createTemplate(req.body || {}, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(normalizeTemplate(result.template));
+  } catch (e) {
+    console.error('POST /api/templates error:', e);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+api.put('/templates/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await updateTemplate(parseInt(req.params.id), req.body || {}, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(200).json(normalizeTemplate(result.template));
+  } catch (e) {
+    console.error('PUT /api/templates/:id error:', e);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+api.delete('/templates/:id', authMiddleware, async (req, res) => {
+  try {
+    const attachments = await db.deleteTemplate(parseInt(req.params.id), req.user.id);
+    if (!attachments) return res.status(404).json({ error: 'Template not found' });
+    await removeAttachmentFiles(attachments);
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/templates/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+api.get('/templates/:id/attachments/:attachmentId/download', downloadAuth, async (req, res) => {
+  try {
+    const templateId = parseInt(req.params.id);
+    const attachment = await db.getTemplateAttachment(parseInt(req.params.attachmentId), templateId);
+    const visible = attachment && (!req.user || await db.getTemplateById(templateId, req.user.id));
+    if (!visible) return res.status(404).json({ error: 'Attachment not found' });
+    await sendStoredFile(req, res, attachment);
+  } catch (e) {
+    console.error('GET /api/templates/:id/attachments/:attachmentId/download error:', e);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+api.delete('/templates/:id/attachments/:attachmentId', authMiddleware, async (req, res) => {
+  try {
+    const result = await removeTemplateAttachment(parseInt(req.params.id), parseInt(req.params.attachmentId), req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(200).json(normalizeTemplate(result.template));
+  } catch (e) {
+    console.error('DELETE /api/templates/:id/attachments/:attachmentId error:', e);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// Body: { values: { name: 'Alice' }, workspaceId }
+api.post('/templates/:id/tasks', authMiddleware, async (req, res) => {
+  try {
+    const result = await createTaskFromTemplate(parseInt(req.params.id), req.user, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(normalizeTask(result.task));
+  } catch (e) {
+    console.error('POST /api/templates/:id/tasks error:', e);
+    res.status(500).json({ error: 'Failed to create task from template' });
+  }
+});
+
+// ?taskId=<id> returns the workflow of that task's owner instead, whose statuses a shared task uses
+api.get('/workflow', authMiddleware, async (req, res) => {
+  try {
+    let ownerId = req.user.id;
+    if (req.query.taskId !== undefined) {
+      const task = await db.getTaskById(parseInt(req.query.taskId), req.user.id);
+      if (!task) return res.status(404).json({ error: 'Task not found' });
+      ownerId = task.user_id;
+    }
+    const workflow = await db.getWorkflow(ownerId);
+    res.status(200).json(workflow.map(normalizeStatus));
+  } catch (e) {
+    console.error('GET /api/workflow error:', e);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+// Body: { statuses: [...ordered], remap: { removedKey: replacementKey } }
+api.put('/workflow', authMiddleware, async (req, res) => {
+  try {
+    const { statuses, error } = validateWorkflow(req.body.statuses);
+    if (error) return res.status(400).json({ error });
+    const remap = req.body.remap || {};
+    if (!Object.values(remap).every(k => statuses.some(s => s.key === k))) {
+      return res.status(400).json({ error: 'remap must point to statuses in the new workflow' });
+    }
+    const result = await db.replaceWorkflow(req.user.id, statuses, remap);
+    if (result.inUse) {
+      return res.status(409).json({ error: 'Some removed statuses are still used by tasks', inUse: result.inUse });
+    }
+    const workflow = await db.getWorkflow(req.user.id);
+    res.status(200).json(workflow.map(normalizeStatus));
+  } catch (e) {
+    console.error('PUT /api/workflow error:', e);
+    res.status(500).json({ error: 'Failed to update workflow' });
+  }
+});
+
+// Workspaces the user belongs to, with their role in each
+api.get('/workspaces', authMiddleware, async (req, res) => {
+  try {
+    const workspaces = await db.getWorkspaces(req.user.id);
+    res.json(workspaces.map(normalizeWorkspace));
+  } catch (e) {
+    console.error('GET /api/workspaces error:', e);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+api.post('/workspaces', authMiddleware, async (req, res) => {
+  try {
+    const invalid = validateWorkspaceName(req.body.name);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const workspace = await db.createWorkspace(req.body.name.trim(), req.user.id);
+    res.status(201).json(normalizeWorkspace(workspace));
+  } catch (e) {
+    console.error('POST /api/workspaces error:', e);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+api.get('/workspaces/:id', authMiddleware, async (req, res) => {
+  try {
+    const target = await resolveWorkspace(req.params.id, req.user.id, 'view');
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    res.json(await workspaceDetails(target.workspace));
+  } catch (e) {
+    console.error('GET /api/workspaces/:id error:', e);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+// Body: { name }
+api.put('/workspaces/:id', authMiddleware, async (req, res) => {
+  try {
+    const target = await resolveWorkspace(req.params.id, req.user.id, 'rename');
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    const invalid = validateWorkspaceName(req.body.name);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const renamed = await db.renameWorkspace(target.workspace.id, req.body.name.trim());
+    const members = await db.getMembers(target.workspace.id);
+    notifyWorkspaceChange(members.map(m => m.user_id).filter(id => id !== req.user.id));
+    res.json(normalizeWorkspace({ ...renamed, role: target.workspace.role, member_count: members.length }));
+  } catch (e) {
+    console.error('PUT /api/workspaces/:id error:', e);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+// Deletes every task of the workspace too
+api.delete('/workspaces/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await deleteWorkspace(req.params.id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/workspaces/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+// Body: { userId, role: 'admin' | 'member' | 'viewer' }
+api.post('/workspaces/:id/invitations', authMiddleware, async (req, res) => {
+  try {
+    const result = await inviteMember(req.params.id, req.user, { userId: req.body.userId, role: req.body.role || 'member' });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(result.invitation);
+  } catch (e) {
+    console.error('POST /api/workspaces/:id/invitations error:', e);
+    res.status(500).json({ error: 'Failed to invite member' });
+  }
+});
+
+// Body: { role }
+api.put('/workspaces/:id/members/:userId', authMiddleware, async (req, res) => {
+  try {
+    const result = await changeMemberRole(req.params.id, req.user, parseInt(req.params.userId), req.body.role);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ userId: result.member.user_id, role: result.member.role });
+  } catch (e) {
+    console.error('PUT /api/workspaces/:id/members/:userId error:', e);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Removing yourself leaves the workspace
+api.delete('/workspaces/:id/members/:userId', authMiddleware, async (req, res) => {
+  try {
+    const result = await removeMember(req.params.id, req.user, parseInt(req.params.userId));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/workspaces/:id/members/:userId error:', e);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Invitations waiting for the user
+api.get('/invitations', authMiddleware, async (req, res) => {
+  try {
+    const invitations = await db.getUserInvitations(req.user.id);
+    res.json(invitations.map(normalizeInvitation));
+  } catch (e) {
+    console.error('GET /api/invitations error:', e);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Answers with the joined workspace
+api.post('/invitations/:id/accept', authMiddleware, async (req, res) => {
+  try {
+    const member = await db.acceptInvitation(parseInt(req.params.id), req.user.id);
+    if (!member) return res.status(404).json({ error: 'Invitation not found' });
+    res.json(normalizeWorkspace(await db.getMembership(member.workspace_id, req.user.id)));
+  } catch (e) {
+    console.error('POST /api/invitations/:id/accept error:', e);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Declines an invitation, or cancels it when sent by someone who may invite
+api.delete('/invitations/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await dropInvitation(parseInt(req.params.id), req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/invitations/:id error:', e);
+    res.status(500).json({ error: 'Failed to remove invitation' });
+  }
+});
+
+// ?q=<start of a username> - accounts to assign or share tasks with
+api.get('/users', authMiddleware, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    res.json(q ? await userDb.searchUsers(q, USER_SEARCH_LIMIT) : []);
+  } catch (e) {
+    console.error('GET /api/users error:', e);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Per-user settings; due dates and times are read in `timeZone`
+api.get('/settings', authMiddleware, async (req, res) => {
+  res.status(200).json({ timeZone: req.user.time_zone });
+});
+
+api.put('/settings', authMiddleware, async (req, res) => {
+  try {
+    const timeZone = resolveTimeZone(req.body.timeZone);
+    if (!timeZone) return res.status(400).json({ error: 'timeZone must be an IANA time zone like Europe/Berlin' });
+    const updated = await userDb.updateTimeZone(req.user.id, timeZone);
+    await db.rescheduleUserReminders(req.user.id);
+    res.status(200).json({ timeZone: updated.time_zone });
+  } catch (e) {
+    console.error('PUT /api/settings error:', e);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+api.get('/tags', authMiddleware, async (req, res) => {
+  try {
+    const tags = await db.getTags(req.user.id);
+    res.status(200).json(tags.map(normalizeTag));
+  } catch (e) {
+    console.error('GET /api/tags error:', e);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+api.post('/tags', authMiddleware, async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const invalid = validateTag({ name, color });
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (await db.getTagByName(name.trim(), req.user.id)) {
+      return res.status(400).json({ error: 'Tag already exists' });
+    }
+    const created = await db.createTag({ name: name.trim(), color, userId: req.user.id });
+    res.status(201).json(normalizeTag(created));
+  } catch (e) {
+    console.error('POST /api/tags error:', e);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+api.put('/tags/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTagById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Tag not found' });
+    const name = req.body.name ?? existing.name;
+    const color = req.body.color ?? existing.color;
+    const invalid = validateTag({ name, color });
+    if (invalid) return res.status(400).json({ error: invalid });
+    const clash = await db.getTagByName(name.trim(), req.user.id);
+    if (clash && clash.id !== id) return res.status(400).json({ error: 'Tag already exists' });
+    const updated = await db.updateTag(id, { name: name.trim(), color, userId: req.user.id });
+    res.status(200).json(normalizeTag(updated));
+  } catch (e) {
+    console.error('PUT /api/tags/:id error:', e);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+api.delete('/tags/:id', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await db.getTagById(id, req.user.id);
+    if (!existing) return res.status(404).json({ error: 'Tag not found' });
+    await db.deleteTag(id, req.user.id);
+    res.status(204).end();
+  } catch (e) {
+    console.error('DELETE /api/tags/:id error:', e);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+app.use('/api', api);
+
+// Socket.IO event handlers mirroring REST API
+io.on('connection', (socket) => {
+  // AUTH
+  socket.on('auth:register', async (data, callback) => {
+    try {
+      const { username, email, password } = data || {};
+      if (!username || !email || !password) {
+        return callback({ error: 'Username, email, and password are required' });
+      }
+      if (username.length < 3 || username.length > 50) {
+        return callback({ error: 'Username must be 3-50 characters' });
+      }
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return callback({ error: 'Please enter a valid email address' });
+      }
+      if (password.length < 6) {
+        return callback({ error: 'Password must be at least 6 characters' });
+      }
+
+      const existingUser = await userDb.getUserByUsername(username);
+      if (existingUser) return callback({ error: 'Username already exists' });
+      const existingEmail = await userDb.getUserByEmail(email);
+      if (existingEmail) return callback({ error: 'Email already exists' });
+
+      const user = await userDb.createUser({ username, email, password });
+      const token = tokenUtils.generateToken(user);
+      callback({ user: { id: user.id, username: user.username, email: user.email, timeZone: user.time_zone }, token });
+    } catch (error) {
+      console.error('Socket register error:', error);
+      callback({ error: 'Registration failed' });
+    }
+  });
+
+  socket.on('auth:login', async (data, callback) => {
+    try {
+      const { username, password } = data || {};
+      if (!username || !password) {
+        return callback({ error: 'Username and password are required' });
+      }
+      const user = await userDb.verifyPassword(username, password);
+      if (!user) return callback({ error: 'Invalid username or password' });
+      const token = tokenUtils.generateToken(user);
+      callback({ user: { id: user.id, username: user.username, email: user.email, timeZone: user.time_zone }, token });
+    } catch (error) {
+      console.error('Socket login error:', error);
+      callback({ error: 'Login failed' });
+    }
+  });
+
+  socket.on('auth:logout', (data, callback) => {
+    if (typeof callback === 'function') {
+      callback({ message: 'Logout successful' });
+    }
+  });
+
+  socket.on('auth:me', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'Authentication required' });
+      callback({ user: { id: user.id, username: user.username, email: user.email, timeZone: user.time_zone } });
+    } catch (error) {
+      console.error('Socket me error:', error);
+      callback({ error: 'Authentication failed' });
+    }
+  });
+
+  // Helper to require auth per-event
+  const requireAuth = async (data) => {
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      ((socket.handshake.headers && socket.handshake.headers.cookie || '').match(/(?:^|; )authToken=([^;]+)/)?.[1] && decodeURIComponent((socket.handshake.headers.cookie.match(/(?:^|; )authToken=([^;]+)/) || [])[1])) ||
+      (data && data.token) || null;
+    if (!token) return null;
+    const decoded = tokenUtils.verifyToken(token);
+    if (!decoded) return null;
+    const user = await userDb.getUserById(decoded.userId);
+    return user || null;
+  };
+
+  // TASKS
+  socket.on('tasks:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const list = parseTaskListQuery(data || {});
+      if (list.error) return callback({ error: list.error });
+      const page = await db.getAllTasks(list.filters, user.id);
+      if (page.error) return callback({ error: page.error });
+      callback(taskListResponse(page, list));
+    } catch (e) {
+      console.error('Socket tasks:get error:', e);
+      callback({ error: 'Failed to fetch tasks' });
+    }
+  });
+
+  socket.on('tasks:getById', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const task = await db.getTaskById(id, user.id);
+      if (!task) return callback({ error: 'Task not found' });
+      callback(normalizeTask(task));
+    } catch (e) {
+      console.error('Socket tasks:getById error:', e);
+      callback({ error: 'Failed to fetch task' });
+    }
+  });
+
+  socket.on('tasks:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { title, description, status, projectId, tagIds, autoComplete, priority } = data || {};
+      const due = resolveDue(data || {});
+      if (due.error) return callback({ error: due.error });
+      const estimate = resolveEstimate(data && data.estimateMinutes);
+      if (estimate.error) return callback({ error: estimate.error });
+      const repeat = resolveRecurrence(data && data.recurrence, due.dueDate);
+      if (repeat.error) return callback({ error: repeat.error });
+      if (!title || typeof title !== 'string') return callback({ error: 'Title is required' });
+      if (priority && !PRIORITIES.includes(priority)) return callback({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+      if (title.length > 255) return callback({ error: 'Title must be 255 characters or less' });
+      if (description && description.length > 10000) return callback({ error: 'Description must be 10,000 characters or less' });
+      const project = await resolveTaskProject(projectId, user.id);
+      if (project.error) return callback({ error: project.error });
+      const tags = await resolveTaskTags(tagIds, user.id);
+      if (tags.error) return callback({ error: tags.error });
+      const workflow = await resolveStatus(user.id, null, status);
+      if (workflow.error) return callback({ error: workflow.error });
+      const assignee = await resolveAssignee(data && data.assigneeId);
+      if (assignee.error) return callback({ error: assignee.error });
+      const target = await resolveWorkspace(data && data.workspaceId, user.id);
+      if (target.error) return callback({ error: target.error });
+      const created = await db.createTask({ title, description: description || '', status: workflow.status, dueDate: due.dueDate, dueTime: due.dueTime, projectId: project.projectId, autoComplete, priority, estimateMinutes: estimate.estimateMinutes, assigneeId: assignee.assigneeId, workspaceId: target.workspace.id, userId: user.id });
+      if (tags.tagIds) await db.setTaskTags(created.id, tags.tagIds);
+      if (due.reminders) await db.setTaskReminders(created.id, due.reminders);
+      if (repeat.rule) await db.createRecurrence(created.id, repeat.rule);
+      const full = await db.getTaskById(created.id, user.id);
+      await recordHistory(full.id, user.id, 'created', { after: full });
+      const normalized = normalizeTask(full);
+      callback(normalized);
+      await broadcastTask('tasks:created', full.id);
+    } catch (e) {
+      console.error('Socket tasks:create error:', e);
+      callback({ error: 'Failed to create task' });
+    }
+  });
+
+  socket.on('tasks:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { id, title, description, status, projectId, tagIds, autoComplete, priority } = data || {};
+      const existing = await db.getTaskById(parseInt(id), user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const expected = resolveExpectedVersion(data.version);
+      if (expected.error) return callback({ error: expected.error });
+      const stale = versionConflict(existing, expected.version);
+      if (stale) return callback(stale);
+      if (priority && !PRIORITIES.includes(priority)) return callback({ error: `Priority must be one of: ${PRIORITIES.join(', ')}` });
+      const scope = data.scope || 'this';
+      if (scope !== 'this' && scope !== 'future') return callback({ error: 'scope must be "this" or "future"' });
+      const due = resolveDue(data, existing);
+      if (due.error) return callback({ error: due.error });
+      const estimate = resolveEstimate(data.estimateMinutes, existing.estimate_minutes);
+      if (estimate.error) return callback({ error: estimate.error });
+      const repeat = resolveRecurrence(data.recurrence, due.dueDate, existing.recurrence?.rule);
+      if (repeat.error) return callback({ error: repeat.error });
+      const newTitle = title ?? existing.title;
+      const newDescription = description ?? existing.description;
+      if (newTitle && newTitle.length > 255) return callback({ error: 'Title must be 255 characters or less' });
+      if (newDescription && newDescription.length > 10000) return callback({ error: 'Description must be 10,000 characters or less' });
+      const project = await resolveTaskProject(projectId, existing.user_id, existing.project_id);
+      if (project.error) return callback({ error: project.error });
+      const tags = await resolveTaskTags(tagIds, existing.user_id);
+      if (tags.error) return callback({ error: tags.error });
+      const workflow = await resolveStatus(existing.user_id, existing.status, status);
+      if (workflow.error) return callback({ error: workflow.error });
+      const assignee = await resolveAssignee(data.assigneeId, existing.assignee_id);
+      if (assignee.error) return callback({ error: assignee.error });
+      if (assignee.assigneeId !== (existing.assignee_id ?? null) && policy.taskError(existing, 'assign')) {
+        return callback({ error: policy.taskError(existing, 'assign') });
+      }
+      const move = await resolveWorkspaceMove(existing, data.workspaceId, user.id);
+      if (move.error) return callback({ error: move.error });
+      const blocked = await checkBlockers(existing, workflow.status, data.ignoreBlockers);
+      if (blocked) return callback(blocked);
+      // A new assignee or workspace can take the task away from some of its viewers
+      const before = await taskAudience(existing.id);
+      const updated = await db.updateTask(parseInt(id), {
+        title: newTitle,
+        description: newDescription,
+        status: workflow.status,
+        dueDate: due.dueDate,
+        dueTime: due.dueTime,
+        projectId: project.projectId,
+        autoComplete: autoComplete ?? existing.auto_complete,
+        priority: priority ?? existing.priority,
+        estimateMinutes: estimate.estimateMinutes,
+        assigneeId: assignee.assigneeId,
+        userId: user.id,
+        expectedVersion: expected.version
+      });
+      if (!updated) {
+        const conflict = versionConflict(await db.getTaskById(existing.id, user.id), expected.version);
+        return callback(conflict || { error: 'Task not found' });
+      }
+      if (tags.tagIds) await db.setTaskTags(updated.id, tags.tagIds);
+      if (due.reminders) await db.setTaskReminders(updated.id, due.reminders);
+      if (move.workspaceId) await db.moveTaskToWorkspace(updated.id, move.workspaceId);
+      await applyRecurrenceUpdate(updated.id, user.id, { rule: repeat.rule, scope });
+      if (turnsOnAutoComplete(existing, updated, status)) await db.completeTaskIfChecklistDone(updated.id);
+      const full = await db.getTaskById(updated.id, user.id);
+      await recordHistory(updated.id, user.id, 'updated', { before: existing, after: full });
+      const spawned = await spawnNextIfCompleted(existing, updated.id, user.id);
+      const normalized = normalizeTask(full);
+      callback(normalized);
+      await broadcastTask('tasks:updated', updated.id, { before });
+      if (spawned) await broadcastTask('tasks:created', spawned.id);
+    } catch (e) {
+      console.error('Socket tasks:update error:', e);
+      callback({ error: 'Failed to update task' });
+    }
+  });
+
+  socket.on('tasks:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const existing = await db.getTaskById(id, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'delete');
+      if (denied) return callback({ error: denied });
+      await recordHistory(id, user.id, 'deleted', { before: existing });
+      await db.deleteTask(id, user.id);
+      callback({ success: true });
+      await broadcastTaskDeleted(id);
+    } catch (e) {
+      console.error('Socket tasks:delete error:', e);
+      callback({ error: 'Failed to delete task' });
+    }
+  });
+
+  socket.on('tasks:reorder', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const beforeId = data.beforeId == null ? null : parseInt(data.beforeId);
+      const afterId = data.afterId == null ? null : parseInt(data.afterId);
+      if (Number.isNaN(id) || Number.isNaN(beforeId) || Number.isNaN(afterId)) return callback({ error: 'id, beforeId and afterId must be task ids' });
+      if (id === beforeId || id === afterId) return callback({ error: 'A task cannot be its own neighbour' });
+      const existing = await db.getTaskById(id, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const moved = await db.reorderTask(id, user.id, { beforeId, afterId });
+      if (!moved) return callback({ error: 'Task not found' });
+      if (moved.conflict) return callback({ error: 'Task order changed, reload and try again' });
+      const normalized = normalizeTask(await db.getTaskById(id, user.id));
+      callback(normalized);
+      await broadcastTask('tasks:updated', id);
+    } catch (e) {
+      console.error('Socket tasks:reorder error:', e);
+      callback({ error: 'Failed to reorder task' });
+    }
+  });
+
+  socket.on('tasks:bulk', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const outcome = await runBulk(data || {}, user);
+      if (outcome.error) return callback({ error: outcome.error });
+      callback(outcome);
+    } catch (e) {
+      console.error('Socket tasks:bulk error:', e);
+      callback({ error: 'Failed to update tasks' });
+    }
+  });
+
+  // DEPENDENCIES
+  // Both ends of a link change, so both tasks are re-broadcast
+  socket.on('dependencies:add', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const blockedById = parseInt(data.blockedById);
+      const invalid = await validateDependency(taskId, blockedById, user.id);
+      if (invalid) return callback({ error: invalid.error });
+      const result = await db.addDependency(taskId, blockedById);
+      if (result.cycle) return callback({ error: 'This link would create a dependency cycle' });
+      const normalized = normalizeTask(await db.getTaskById(taskId, user.id));
+      callback(normalized);
+      await broadcastTask('tasks:updated', taskId);
+      await broadcastTask('tasks:updated', blockedById);
+    } catch (e) {
+      console.error('Socket dependencies:add error:', e);
+      callback({ error: 'Failed to add dependency' });
+    }
+  });
+
+  socket.on('dependencies:remove', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const blockedById = parseInt(data.blockedById);
+      await db.removeDependency(taskId, blockedById);
+      const normalized = normalizeTask(await db.getTaskById(taskId, user.id));
+      callback(normalized);
+      await broadcastTask('tasks:updated', taskId);
+      await broadcastTask('tasks:updated', blockedById);
+    } catch (e) {
+      console.error('Socket dependencies:remove error:', e);
+      callback({ error: 'Failed to remove dependency' });
+    }
+  });
+
+  // TRASH
+  socket.on('trash:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const tasks = await db.getTrash(user.id);
+      callback(tasks.map(normalizeTrashedTask));
+    } catch (e) {
+      console.error('Socket trash:get error:', e);
+      callback({ error: 'Failed to fetch trash' });
+    }
+  });
+
+  socket.on('trash:restore', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const trashed = await db.getTrashedTask(id, user.id);
+      if (!trashed) return callback({ error: 'Task not found in trash' });
+      const denied = policy.taskError(trashed, 'delete');
+      if (denied) return callback({ error: denied });
+      const restored = await db.restoreTask(id, user.id);
+      if (!restored) return callback({ error: 'Task not found in trash' });
+      await recordHistory(id, user.id, 'restored');
+      const normalized = normalizeTask(await db.getTaskById(id, user.id));
+      callback(normalized);
+      await broadcastTask('tasks:created', id);
+    } catch (e) {
+      console.error('Socket trash:restore error:', e);
+      callback({ error: 'Failed to restore task' });
+    }
+  });
+
+  socket.on('trash:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const trashed = await db.getTrashedTask(id, user.id);
+      if (!trashed) return callback({ error: 'Task not found in trash' });
+      const denied = policy.taskError(trashed, 'delete');
+      if (denied) return callback({ error: denied });
+      const attachments = await db.purgeTask(id, user.id);
+      if (!attachments) return callback({ error: 'Task not found in trash' });
+      await removeAttachmentFiles(attachments);
+      await recordHistory(id, user.id, 'purged');
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket trash:delete error:', e);
+      callback({ error: 'Failed to delete task permanently' });
+    }
+  });
+
+  // WORKSPACES
+  // Clients reload their workspaces and invitations on workspaces:changed
+  socket.on('workspaces:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const workspaces = await db.getWorkspaces(user.id);
+      callback(workspaces.map(normalizeWorkspace));
+    } catch (e) {
+      console.error('Socket workspaces:get error:', e);
+      callback({ error: 'Failed to fetch workspaces' });
+    }
+  });
+
+  socket.on('workspaces:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const invalid = validateWorkspaceName(data && data.name);
+      if (invalid) return callback({ error: invalid });
+      const workspace = await db.createWorkspace(data.name.trim(), user.id);
+      callback(normalizeWorkspace(workspace));
+    } catch (e) {
+      console.error('Socket workspaces:create error:', e);
+      callback({ error: 'Failed to create workspace' });
+    }
+  });
+
+  socket.on('workspaces:getById', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const target = await resolveWorkspace(data && data.id, user.id, 'view');
+      if (target.error) return callback({ error: target.error });
+      callback(await workspaceDetails(target.workspace));
+    } catch (e) {
+      console.error('Socket workspaces:getById error:', e);
+      callback({ error: 'Failed to fetch workspace' });
+    }
+  });
+
+  socket.on('workspaces:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const target = await resolveWorkspace(data && data.id, user.id, 'rename');
+      if (target.error) return callback({ error: target.error });
+      const invalid = validateWorkspaceName(data.name);
+      if (invalid) return callback({ error: invalid });
+      const renamed = await db.renameWorkspace(target.workspace.id, data.name.trim());
+      const members = await db.getMembers(target.workspace.id);
+      callback(normalizeWorkspace({ ...renamed, role: target.workspace.role, member_count: members.length }));
+      notifyWorkspaceChange(members.map(m => m.user_id).filter(id => id !== user.id));
+    } catch (e) {
+      console.error('Socket workspaces:update error:', e);
+      callback({ error: 'Failed to update workspace' });
+    }
+  });
+
+  socket.on('workspaces:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await deleteWorkspace(data && data.id, user);
+      if (result.error) return callback({ error: result.error });
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket workspaces:delete error:', e);
+      callback({ error: 'Failed to delete workspace' });
+    }
+  });
+
+  socket.on('invitations:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await inviteMember(data && data.workspaceId, user, { userId: data.userId, role: data.role || 'member' });
+      if (result.error) return callback({ error: result.error });
+      callback(result.invitation);
+    } catch (e) {
+      console.error('Socket invitations:create error:', e);
+      callback({ error: 'Failed to invite member' });
+    }
+  });
+
+  socket.on('members:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await changeMemberRole(data && data.workspaceId, user, parseInt(data.userId), data.role);
+      if (result.error) return callback({ error: result.error });
+      callback({ userId: result.member.user_id, role: result.member.role });
+    } catch (e) {
+      console.error('Socket members:update error:', e);
+      callback({ error: 'Failed to change role' });
+    }
+  });
+
+  socket.on('members:remove', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await removeMember(data && data.workspaceId, user, parseInt(data.userId));
+      if (result.error) return callback({ error: result.error });
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket members:remove error:', e);
+      callback({ error: 'Failed to remove member' });
+    }
+  });
+
+  socket.on('invitations:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const invitations = await db.getUserInvitations(user.id);
+      callback(invitations.map(normalizeInvitation));
+    } catch (e) {
+      console.error('Socket invitations:get error:', e);
+      callback({ error: 'Failed to fetch invitations' });
+    }
+  });
+
+  socket.on('invitations:accept', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const member = await db.acceptInvitation(parseInt(data && data.id), user.id);
+      if (!member) return callback({ error: 'Invitation not found' });
+      callback(normalizeWorkspace(await db.getMembership(member.workspace_id, user.id)));
+    } catch (e) {
+      console.error('Socket invitations:accept error:', e);
+      callback({ error: 'Failed to accept invitation' });
+    }
+  });
+
+  socket.on('invitations:remove', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await dropInvitation(parseInt(data && data.id), user);
+      if (result.error) return callback({ error: result.error });
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket invitations:remove error:', e);
+      callback({ error: 'Failed to remove invitation' });
+    }
+  });
+
+  // SHARING
+  socket.on('shares:set', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'share');
+      if (denied) return callback({ error: denied });
+      const permission = data.permission || 'read';
+      if (!SHARE_PERMISSIONS.includes(permission)) return callback({ error: `permission must be one of: ${SHARE_PERMISSIONS.join(', ')}` });
+      const target = await userDb.getUserById(parseInt(data.userId) || 0);
+      if (!target) return callback({ error: 'User not found' });
+      if (target.id === existing.user_id) return callback({ error: 'The owner already has full access' });
+      await db.setTaskShare(taskId, target.id, permission);
+      const normalized = normalizeTask(await db.getTaskById(taskId, user.id));
+      callback(normalized);
+      await broadcastTask('tasks:updated', taskId);
+    } catch (e) {
+      console.error('Socket shares:set error:', e);
+      callback({ error: 'Failed to share task' });
+    }
+  });
+
+  socket.on('shares:remove', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const userId = parseInt(data.userId);
+      const denied = userId === user.id ? null : policy.taskError(existing, 'share');
+      if (denied) return callback({ error: denied });
+      if (!(await db.removeTaskShare(taskId, userId))) return callback({ error: 'Share not found' });
+      const normalized = normalizeTask(await db.getTaskById(taskId, existing.user_id));
+      callback(normalized);
+      await broadcastTask('tasks:updated', taskId, { before: [userId] });
+    } catch (e) {
+      console.error('Socket shares:remove error:', e);
+      callback({ error: 'Failed to stop sharing task' });
+    }
+  });
+
+  socket.on('users:search', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const q = String((data && data.q) || '').trim();
+      callback(q ? await userDb.searchUsers(q, USER_SEARCH_LIMIT) : []);
+    } catch (e) {
+      console.error('Socket users:search error:', e);
+      callback({ error: 'Failed to search users' });
+    }
+  });
+
+  // HISTORY
+  socket.on('history:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const entries = await db.getHistory(taskId);
+      callback(entries.map(normalizeHistoryEntry));
+    } catch (e) {
+      console.error('Socket history:get error:', e);
+      callback({ error: 'Failed to fetch task history' });
+    }
+  });
+
+  socket.on('history:revert', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      // Reverting can bring back an earlier assignee
+      const before = await taskAudience(taskId);
+      const result = await revertTask(taskId, parseInt(data.entryId), user.id, data.ignoreBlockers);
+      if (result.error) {
+        const { status, ...body } = result;
+        return callback(body);
+      }
+      const normalized = normalizeTask(result.task);
+      callback(normalized);
+      await broadcastTask('tasks:updated', taskId, { before });
+    } catch (e) {
+      console.error('Socket history:revert error:', e);
+      callback({ error: 'Failed to revert task' });
+    }
+  });
+
+  // COMMENTS
+  // comments:watch joins the task's room and answers with the current thread
+  socket.on('comments:watch', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      socket.join(taskRoom(taskId));
+      const comments = await db.getComments(taskId);
+      callback(comments.map(normalizeComment));
+    } catch (e) {
+      console.error('Socket comments:watch error:', e);
+      callback({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  socket.on('comments:unwatch', (data, callback) => {
+    socket.leave(taskRoom(parseInt(data && data.taskId)));
+    if (typeof callback === 'function') callback({ success: true });
+  });
+
+  socket.on('comments:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const invalid = validateCommentBody(data.body);
+      if (invalid) return callback({ error: invalid });
+      const comment = normalizeComment(await db.createComment(taskId, user.id, data.body.trim()));
+      callback(comment);
+      io.to(taskRoom(taskId)).emit('comments:created', comment);
+    } catch (e) {
+      console.error('Socket comments:create error:', e);
+      callback({ error: 'Failed to add comment' });
+    }
+  });
+
+  socket.on('comments:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const current = await db.getComment(parseInt(data.id), taskId);
+      if (!current) return callback({ error: 'Comment not found' });
+      if (current.user_id !== user.id) return callback({ error: 'You can only edit your own comments' });
+      const invalid = validateCommentBody(data.body);
+      if (invalid) return callback({ error: invalid });
+      const comment = normalizeComment(await db.updateComment(current.id, taskId, user.id, data.body.trim()));
+      callback(comment);
+      io.to(taskRoom(taskId)).emit('comments:updated', comment);
+    } catch (e) {
+      console.error('Socket comments:update error:', e);
+      callback({ error: 'Failed to update comment' });
+    }
+  });
+
+  socket.on('comments:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const current = await db.getComment(parseInt(data.id), taskId);
+      if (!current) return callback({ error: 'Comment not found' });
+      if (current.user_id !== user.id) return callback({ error: 'You can only delete your own comments' });
+      await db.deleteComment(current.id, taskId, user.id);
+      callback({ success: true });
+      io.to(taskRoom(taskId)).emit('comments:deleted', { id: current.id, taskId });
+    } catch (e) {
+      console.error('Socket comments:delete error:', e);
+      callback({ error: 'Failed to delete comment' });
+    }
+  });
+
+  // TIME TRACKING
+  socket.on('time:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const entries = await db.getTimeEntries(taskId);
+      callback(entries.map(normalizeTimeEntry));
+    } catch (e) {
+      console.error('Socket time:get error:', e);
+      callback({ error: 'Failed to fetch time entries' });
+    }
+  });
+
+  socket.on('time:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const entry = validateTimeEntry(data);
+      if (entry.error) return callback({ error: entry.error });
+      const created = await db.createTimeEntry(taskId, user.id, entry);
+      callback(normalizeTimeEntry(created));
+      await broadcastTimeChange(user.id, [taskId]);
+    } catch (e) {
+      console.error('Socket time:create error:', e);
+      callback({ error: 'Failed to add time entry' });
+    }
+  });
+
+  socket.on('time:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const current = await db.getTimeEntry(parseInt(data.id), taskId);
+      if (!current) return callback({ error: 'Time entry not found' });
+      if (current.user_id !== user.id) return callback({ error: 'You can only edit your own time entries' });
+      const entry = validateTimeEntry(data, current);
+      if (entry.error) return callback({ error: entry.error });
+      const updated = await db.updateTimeEntry(current.id, taskId, entry);
+      callback(normalizeTimeEntry(updated));
+      await broadcastTimeChange(user.id, [taskId]);
+    } catch (e) {
+      console.error('Socket time:update error:', e);
+      callback({ error: 'Failed to update time entry' });
+    }
+  });
+
+  socket.on('time:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const current = await db.getTimeEntry(parseInt(data.id), taskId);
+      if (!current) return callback({ error: 'Time entry not found' });
+      if (current.user_id !== user.id) return callback({ error: 'You can only delete your own time entries' });
+      await db.deleteTimeEntry(current.id, taskId);
+      callback({ success: true });
+      await broadcastTimeChange(user.id, [taskId]);
+    } catch (e) {
+      console.error('Socket time:delete error:', e);
+      callback({ error: 'Failed to delete time entry' });
+    }
+  });
+
+  socket.on('timer:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      callback({ timer: normalizeTimer(await db.getRunningTimer(user.id)) });
+    } catch (e) {
+      console.error('Socket timer:get error:', e);
+      callback({ error: 'Failed to fetch timer' });
+    }
+  });
+
+  socket.on('timer:start', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const { entry, stopped } = await db.startTimer(taskId, user.id);
+      callback({ entry: normalizeTimeEntry(entry), stopped: normalizeTimeEntry(stopped) });
+      await broadcastTimeChange(user.id, [taskId, ...(stopped ? [stopped.task_id] : [])]);
+    } catch (e) {
+      console.error('Socket timer:start error:', e);
+      callback({ error: 'Failed to start timer' });
+    }
+  });
+
+  socket.on('timer:stop', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const stopped = await db.stopTimer(user.id);
+      if (!stopped) return callback({ error: 'No timer is running' });
+      callback(normalizeTimeEntry(stopped));
+      await broadcastTimeChange(user.id, [stopped.task_id]);
+    } catch (e) {
+      console.error('Socket timer:stop error:', e);
+      callback({ error: 'Failed to stop timer' });
+    }
+  });
+
+  // CSV downloads go through GET /api/reports/time?format=csv
+  socket.on('reports:time', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const query = parseTimeReportQuery(data || {});
+      if (query.error) return callback({ error: query.error });
+      callback(timeReportResponse(await db.getTimeReport(user.id, query), query));
+    } catch (e) {
+      console.error('Socket reports:time error:', e);
+      callback({ error: 'Failed to build time report' });
+    }
+  });
+
+  // CHECKLIST
+  // Every checklist event answers with the full updated task so clients can redraw progress
+  const emitChecklistTask = async (existing, userId, callback) => {
+    const spawned = await completeIfChecklistDone(existing, userId);
+    const normalized = normalizeTask(await db.getTaskById(existing.id, userId));
+    callback(normalized);
+    await broadcastTask('tasks:updated', existing.id);
+    if (spawned) await broadcastTask('tasks:created', spawned.id);
+  };
+
+  socket.on('checklist:add', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const invalid = validateChecklistText(data.text);
+      if (invalid) return callback({ error: invalid });
+      await db.addChecklistItem(taskId, data.text.trim());
+      await emitChecklistTask(existing, user.id, callback);
+    } catch (e) {
+      console.error('Socket checklist:add error:', e);
+      callback({ error: 'Failed to add checklist item' });
+    }
+  });
+
+  socket.on('checklist:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const item = await db.getChecklistItem(parseInt(data.id), taskId);
+      if (!item) return callback({ error: 'Checklist item not found' });
+      const text = data.text ?? item.text;
+      const invalid = validateChecklistText(text);
+      if (invalid) return callback({ error: invalid });
+      await db.updateChecklistItem(item.id, taskId, { text: text.trim(), done: data.done ?? item.done });
+      await emitChecklistTask(existing, user.id, callback);
+    } catch (e) {
+      console.error('Socket checklist:update error:', e);
+      callback({ error: 'Failed to update checklist item' });
+    }
+  });
+
+  socket.on('checklist:toggle', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const item = await db.getChecklistItem(parseInt(data.id), taskId);
+      if (!item) return callback({ error: 'Checklist item not found' });
+      await db.updateChecklistItem(item.id, taskId, { text: item.text, done: !item.done });
+      await emitChecklistTask(existing, user.id, callback);
+    } catch (e) {
+      console.error('Socket checklist:toggle error:', e);
+      callback({ error: 'Failed to toggle checklist item' });
+    }
+  });
+
+  socket.on('checklist:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      const item = await db.getChecklistItem(parseInt(data.id), taskId);
+      if (!item) return callback({ error: 'Checklist item not found' });
+      await db.deleteChecklistItem(item.id, taskId);
+      await emitChecklistTask(existing, user.id, callback);
+    } catch (e) {
+      console.error('Socket checklist:delete error:', e);
+      callback({ error: 'Failed to delete checklist item' });
+    }
+  });
+
+  socket.on('checklist:reorder', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const taskId = parseInt(data && data.taskId);
+      const existing = await db.getTaskById(taskId, user.id);
+      if (!existing) return callback({ error: 'Task not found' });
+      const denied = policy.taskError(existing, 'edit');
+      if (denied) return callback({ error: denied });
+      if (!Array.isArray(data.itemIds)) return callback({ error: 'itemIds must be an array' });
+      const ok = await db.reorderChecklist(taskId, data.itemIds.map(i => parseInt(i)));
+      if (!ok) return callback({ error: 'itemIds must list every checklist item of the task exactly once' });
+      await emitChecklistTask(existing, user.id, callback);
+    } catch (e) {
+      console.error('Socket checklist:reorder error:', e);
+      callback({ error: 'Failed to reorder checklist' });
+    }
+  });
+
+  // PROJECTS
+  socket.on('projects:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const projects = await db.getProjects(user.id);
+      callback(projects.map(normalizeProject));
+    } catch (e) {
+      console.error('Socket projects:get error:', e);
+      callback({ error: 'Failed to fetch projects' });
+    }
+  });
 
-api.delete('/tasks/:id', authMiddleware, async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    let existing = await db.getTaskById(id, req.user.id);
-    if (!existing) {
-      const claimed = await db.claimTaskOwner(id, req.user.id);
-      if (claimed) {
-        existing = claimed;
-      } else {
-        return res.status(404).json({ error: 'Task not found' });
-      }
+  socket.on('projects:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { name } = data || {};
+      if (!name || typeof name !== 'string' || !name.trim()) return callback({ error: 'Project name is required' });
+      if (name.length > 100) return callback({ error: 'Project name must be 100 characters or less' });
+      const created = await db.createProject({ name: name.trim(), userId: user.id });
+      const normalized = normalizeProject(created);
+      callback(normalized);
+      io.to(userRoom(user.id)).emit('projects:created', normalized);
+    } catch (e) {
+      console.error('Socket projects:create error:', e);
+      callback({ error: 'Failed to create project' });
     }
-    await db.deleteTask(id, req.user.id);
-    res.status(204).end();
-  } catch (e) {
-    console.error('DELETE /api/tasks/:id error:', e);
-    res.status(500).json({ error: 'Failed to delete task' });
-  }
-});
+  });
 
-api.post('/tasks/:id/attachments', authMiddleware, upload.array('attachment', 10), async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    let existing = await db.getTaskById(id, req.user.id);
-    if (!existing) {
-      // Backward-compat: claim orphan tasks created before user_id migration
-      const claimed = await db.claimTaskOwner(id, req.user.id);
-      if (claimed) {
-        existing = claimed;
-      } else {
-        return res.status(404).json({ error: 'Task not found' });
-      }
+  socket.on('projects:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { id, name } = data || {};
+      if (!name || typeof name !== 'string' || !name.trim()) return callback({ error: 'Project name is required' });
+      if (name.length > 100) return callback({ error: 'Project name must be 100 characters or less' });
+      const updated = await db.updateProject(parseInt(id), { name: name.trim(), userId: user.id });
+      if (!updated) return callback({ error: 'Project not found' });
+      const normalized = normalizeProject(await db.getProjectById(updated.id, user.id));
+      callback(normalized);
+      io.to(userRoom(user.id)).emit('projects:updated', normalized);
+    } catch (e) {
+      console.error('Socket projects:update error:', e);
+      callback({ error: 'Failed to update project' });
     }
-    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+  });
 
-    const uploadedFiles = [];
-    
-    for (const file of req.files) {
-      let displayName = file.originalname;
-      if (displayName.includes('Ð') || displayName.includes('Ñ')) {
-        try { displayName = Buffer.from(displayName, 'latin1').toString('utf8'); } catch (e) {}
+  socket.on('projects:delete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const id = parseInt(data && data.id);
+      const existing = await db.getProjectById(id, user.id);
+      if (!existing) return callback({ error: 'Project not found' });
+      const { mode, target } = data || {};
+      if (mode !== 'cascade' && mode !== 'move') return callback({ error: 'mode must be "cascade" or "move"' });
+      let targetProjectId = null;
+      if (mode === 'move' && target) {
+        targetProjectId = parseInt(target);
+        if (targetProjectId === id) return callback({ error: 'Cannot move tasks into the project being deleted' });
+        const targetProject = await db.getProjectById(targetProjectId, user.id);
+        if (!targetProject) return callback({ error: 'Target project not found' });
       }
+      const entries = await projectDeletionEntries(id, user.id, { mode, targetProjectId });
+      await db.deleteProject(id, user.id, { mode, targetProjectId, entries });
+      callback({ success: true });
+      io.to(userRoom(user.id)).emit('projects:deleted', { id, mode, targetProjectId });
+    } catch (e) {
+      console.error('Socket projects:delete error:', e);
+      callback({ error: 'Failed to delete project' });
+    }
+  });
 
-      const created = await db.addAttachment(id, {
-        filename: file.filename,
-        originalName: displayName,
-        filePath: file.path
-      });
-
-      uploadedFiles.push({
-        id: created.id,
-        filename: created.filename,
-        originalName: created.original_name,
-        filePath: created.file_path,
-        url: `/uploads/${created.filename}`,
-        uploadedAt: created.uploaded_at
-      });
+  // TEMPLATES
+  socket.on('templates:get', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const list = await db.getTemplates(user.id);
+      callback(list.map(normalizeTemplate));
+    } catch (e) {
+      console.error('Socket templates:get error:', e);
+      callback({ error: 'Failed to fetch templates' });
     }
+  });
 
-    res.status(201).json(uploadedFiles);
-  } catch (e) {
-    console.error('POST /api/tasks/:id/attachments error:', e);
-    if (e.message.includes('Only images, PDFs')) {
-      res.status(400).json({ error: e.message });
-    } else if (e.code === 'LIMIT_FILE_SIZE') {
-      res.status(400).json({ error: 'File too large. Maximum size is 5MB per file.' });
-    } else if (e.code === 'LIMIT_FILE_COUNT') {
-      res.status(400).json({ error: 'Too many files. Maximum 10 files per upload.' });
-    } else {
-      res.status(500).json({ error: 'Failed to upload attachment' });
+  socket.on('templates:getById', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const template = await db.getTemplateById(parseInt(data && data.id), user.id);
+      if (!template) return callback({ error: 'Template not found' });
+      callback(normalizeTemplate(template));
+    } catch (e) {
+      console.error('Socket templates:getById error:', e);
+      callback({ error: 'Failed to fetch template' });
     }
-  }
-});
+  });
 
-api.delete('/attachments/:id', authMiddleware, async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    await db.deleteAttachment(id);
-    res.status(204).end();
-  } catch (e) {
-    console.error('DELETE /api/attachments/:id error:', e);
-    res.status(500).json({ error: 'Failed to delete attachment' });
-  }
-});
+  socket.on('templates:create', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await createTemplate(data || {}, user);
+      if (result.error) return callback({ error: result.error });
+      callback(normalizeTemplate(result.template));
+    } catch (e) {
+      console.error('Socket templates:create error:', e);
+      callback({ error: 'Failed to create template' });
+    }
+  });
 
-app.use('/api', api);
+  socket.on('templates:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await updateTemplate(parseInt(data && data.id), data || {}, user);
+      if (result.error) return callback({ error: result.error });
+      callback(normalizeTemplate(result.template));
+    } catch (e) {
+      console.error('Socket templates:update error:', e);
+      callback({ error: 'Failed to update template' });
+    }
+  });
 
-// Socket.IO event handlers mirroring REST API
-io.on('connection', (socket) => {
-  // AUTH
-  socket.on('auth:register', async (data, callback) => {
+  socket.on('templates:delete', async (data, callback) => {
     try {
-      const { username, email, password } = data || {};
-      if (!username || !email || !password) {
-        return callback({ error: 'Username, email, and password are required' });
-      }
-      if (username.length < 3 || username.length > 50) {
-        return callback({ error: 'Username must be 3-50 characters' });
-      }
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return callback({ error: 'Please enter a valid email address' });
-      }
-      if (password.length < 6) {
-        return callback({ error: 'Password must be at least 6 characters' });
-      }
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const attachments = await db.deleteTemplate(parseInt(data && data.id), user.id);
+      if (!attachments) return callback({ error: 'Template not found' });
+      await removeAttachmentFiles(attachments);
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket templates:delete error:', e);
+      callback({ error: 'Failed to delete template' });
+    }
+  });
 
-      const existingUser = await userDb.getUserByUsername(username);
-      if (existingUser) return callback({ error: 'Username already exists' });
-      const existingEmail = await userDb.getUserByEmail(email);
-      if (existingEmail) return callback({ error: 'Email already exists' });
+  socket.on('templates:removeAttachment', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { id, attachmentId } = data || {};
+      const result = await removeTemplateAttachment(parseInt(id), parseInt(attachmentId), user);
+      if (result.error) return callback({ error: result.error });
+      callback(normalizeTemplate(result.template));
+    } catch (e) {
+      console.error('Socket templates:removeAttachment error:', e);
+      callback({ error: 'Failed to delete attachment' });
+    }
+  });
 
-      const user = await userDb.createUser({ username, email, password });
-      const token = tokenUtils.generateToken(user);
-      callback({ user: { id: user.id, username: user.username, email: user.email }, token });
-    } catch (error) {
-      console.error('Socket register error:', error);
-      callback({ error: 'Registration failed' });
+  socket.on('templates:createTask', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await createTaskFromTemplate(parseInt(data && data.id), user, data || {});
+      if (result.error) return callback({ error: result.error });
+      const normalized = normalizeTask(result.task);
+      callback(normalized);
+      await broadcastTask('tasks:created', result.task.id);
+    } catch (e) {
+      console.error('Socket templates:createTask error:', e);
+      callback({ error: 'Failed to create task from template' });
     }
   });
 
-  socket.on('auth:login', async (data, callback) => {
+  // WORKFLOW
+  socket.on('workflow:get', async (data, callback) => {
     try {
-      const { username, password } = data || {};
-      if (!username || !password) {
-        return callback({ error: 'Username and password are required' });
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      let ownerId = user.id;
+      if (data && data.taskId !== undefined) {
+        const task = await db.getTaskById(parseInt(data.taskId), user.id);
+        if (!task) return callback({ error: 'Task not found' });
+        ownerId = task.user_id;
       }
-      const user = await userDb.verifyPassword(username, password);
-      if (!user) return callback({ error: 'Invalid username or password' });
-      const token = tokenUtils.generateToken(user);
-      callback({ user: { id: user.id, username: user.username, email: user.email }, token });
-    } catch (error) {
-      console.error('Socket login error:', error);
-      callback({ error: 'Login failed' });
+      const workflow = await db.getWorkflow(ownerId);
+      callback(workflow.map(normalizeStatus));
+    } catch (e) {
+      console.error('Socket workflow:get error:', e);
+      callback({ error: 'Failed to fetch workflow' });
     }
   });
 
-  socket.on('auth:logout', (data, callback) => {
-    if (typeof callback === 'function') {
-      callback({ message: 'Logout successful' });
+  socket.on('workflow:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { statuses, error } = validateWorkflow(data && data.statuses);
+      if (error) return callback({ error });
+      const remap = data.remap || {};
+      if (!Object.values(remap).every(k => statuses.some(s => s.key === k))) {
+        return callback({ error: 'remap must point to statuses in the new workflow' });
+      }
+      const result = await db.replaceWorkflow(user.id, statuses, remap);
+      if (result.inUse) return callback({ error: 'Some removed statuses are still used by tasks', inUse: result.inUse });
+      const normalized = (await db.getWorkflow(user.id)).map(normalizeStatus);
+      callback(normalized);
+      io.to(userRoom(user.id)).emit('workflow:updated', { userId: user.id, statuses: normalized });
+    } catch (e) {
+      console.error('Socket workflow:update error:', e);
+      callback({ error: 'Failed to update workflow' });
     }
   });
 
-  socket.on('auth:me', async (data, callback) => {
+  // SETTINGS
+  socket.on('settings:get', async (data, callback) => {
     try {
       const user = await requireAuth(data);
-      if (!user) return callback({ error: 'Authentication required' });
-      callback({ user: { id: user.id, username: user.username, email: user.email } });
-    } catch (error) {
-      console.error('Socket me error:', error);
-      callback({ error: 'Authentication failed' });
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      callback({ timeZone: user.time_zone });
+    } catch (e) {
+      console.error('Socket settings:get error:', e);
+      callback({ error: 'Failed to fetch settings' });
     }
   });
 
-  // Helper to require auth per-event
-  const requireAuth = async (data) => {
-    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
-      ((socket.handshake.headers && socket.handshake.headers.cookie || '').match(/(?:^|; )authToken=([^;]+)/)?.[1] && decodeURIComponent((socket.handshake.headers.cookie.match(/(?:^|; )authToken=([^;]+)/) || [])[1])) ||
-      (data && data.token) || null;
-    if (!token) return null;
-    const decoded = tokenUtils.verifyToken(token);
-    if (!decoded) return null;
-    const user = await userDb.getUserById(decoded.userId);
-    return user || null;
-  };
+  socket.on('settings:update', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const timeZone = resolveTimeZone(data && data.timeZone);
+      if (!timeZone) return callback({ error: 'timeZone must be an IANA time zone like Europe/Berlin' });
+      const updated = await userDb.updateTimeZone(user.id, timeZone);
+      await db.rescheduleUserReminders(user.id);
+      callback({ timeZone: updated.time_zone });
+      // Other tabs of the user pick up the new zone
+      socket.to(userRoom(user.id)).emit('settings:updated', { timeZone: updated.time_zone });
+    } catch (e) {
+      console.error('Socket settings:update error:', e);
+      callback({ error: 'Failed to update settings' });
+    }
+  });
 
-  // TASKS
-  socket.on('tasks:get', async (data, callback) => {
+  // REMINDERS
+  // Clients subscribe after every (re)connect; reminders that fell due meanwhile are sent at once
+  socket.on('reminders:subscribe', async (data, callback) => {
     try {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
-      const statusFilter = (data && data.status) || 'all';
-      const tasks = await db.getAllTasks(statusFilter, user.id);
-      callback(tasks.map(normalizeTask));
+      socket.join(userRoom(user.id));
+      callback({ success: true });
+      await deliverReminders([user.id]);
     } catch (e) {
-      console.error('Socket tasks:get error:', e);
-      callback({ error: 'Failed to fetch tasks' });
+      console.error('Socket reminders:subscribe error:', e);
+      callback({ error: 'Failed to subscribe to reminders' });
     }
   });
 
-  socket.on('tasks:getById', async (data, callback) => {
+  // TAGS
+  socket.on('tags:get', async (data, callback) => {
     try {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
-      const id = parseInt(data && data.id);
-      const task = await db.getTaskById(id, user.id);
-      if (!task) return callback({ error: 'Task not found' });
-      callback(normalizeTask(task));
+      const tags = await db.getTags(user.id);
+      callback(tags.map(normalizeTag));
     } catch (e) {
-      console.error('Socket tasks:getById error:', e);
-      callback({ error: 'Failed to fetch task' });
+      console.error('Socket tags:get error:', e);
+      callback({ error: 'Failed to fetch tags' });
     }
   });
 
-  socket.on('tasks:create', async (data, callback) => {
+  socket.on('tags:create', async (data, callback) => {
     try {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
-      const { title, description, status, dueDate } = data || {};
-      if (!title || typeof title !== 'string') return callback({ error: 'Title is required' });
-      if (title.length > 255) return callback({ error: 'Title must be 255 characters or less' });
-      if (description && description.length > 10000) return callback({ error: 'Description must be 10,000 characters or less' });
-      const created = await db.createTask({ title, description: description || '', status: status || 'pending', dueDate: dueDate || null, userId: user.id });
-      const full = await db.getTaskById(created.id, user.id);
-      const normalized = normalizeTask(full);
+      const { name, color } = data || {};
+      const invalid = validateTag({ name, color });
+      if (invalid) return callback({ error: invalid });
+      if (await db.getTagByName(name.trim(), user.id)) return callback({ error: 'Tag already exists' });
+      const created = await db.createTag({ name: name.trim(), color, userId: user.id });
+      const normalized = normalizeTag(created);
       callback(normalized);
-      io.emit('tasks:created', normalized);
+      io.to(userRoom(user.id)).emit('tags:created', normalized);
     } catch (e) {
-      console.error('Socket tasks:create error:', e);
-      callback({ error: 'Failed to create task' });
+      console.error('Socket tags:create error:', e);
+      callback({ error: 'Failed to create tag' });
     }
   });
 
-  socket.on('tasks:update', async (data, callback) => {
+  socket.on('tags:update', async (data, callback) => {
     try {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
-      const { id, title, description, status, dueDate } = data || {};
-      const existing = await db.getTaskById(parseInt(id), user.id);
-      if (!existing) return callback({ error: 'Task not found' });
-      const newTitle = title ?? existing.title;
-      const newDescription = description ?? existing.description;
-      if (newTitle && newTitle.length > 255) return callback({ error: 'Title must be 255 characters or less' });
-      if (newDescription && newDescription.length > 10000) return callback({ error: 'Description must be 10,000 characters or less' });
-      const updated = await db.updateTask(parseInt(id), {
-        title: newTitle,
-        description: newDescription,
-        status: status ?? existing.status,
-        dueDate: dueDate ?? (existing.due_date ? new Date(existing.due_date).toISOString().slice(0, 10) : null),
-        userId: user.id
-      });
-      const full = await db.getTaskById(updated.id, user.id);
-      const normalized = normalizeTask(full);
+      const id = parseInt(data && data.id);
+      const existing = await db.getTagById(id, user.id);
+      if (!existing) return callback({ error: 'Tag not found' });
+      const name = data.name ?? existing.name;
+      const color = data.color ?? existing.color;
+      const invalid = validateTag({ name, color });
+      if (invalid) return callback({ error: invalid });
+      const clash = await db.getTagByName(name.trim(), user.id);
+      if (clash && clash.id !== id) return callback({ error: 'Tag already exists' });
+      const updated = await db.updateTag(id, { name: name.trim(), color, userId: user.id });
+      const normalized = normalizeTag(updated);
       callback(normalized);
-      io.emit('tasks:updated', normalized);
+      io.to(userRoom(user.id)).emit('tags:updated', normalized);
     } catch (e) {
-      console.error('Socket tasks:update error:', e);
-      callback({ error: 'Failed to update task' });
+      console.error('Socket tags:update error:', e);
+      callback({ error: 'Failed to update tag' });
     }
   });
 
-  socket.on('tasks:delete', async (data, callback) => {
+  socket.on('tags:delete', async (data, callback) => {
     try {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
       const id = parseInt(data && data.id);
-      const existing = await db.getTaskById(id, user.id);
-      if (!existing) return callback({ error: 'Task not found' });
-      await db.deleteTask(id, user.id);
+      const existing = await db.getTagById(id, user.id);
+      if (!existing) return callback({ error: 'Tag not found' });
+      const taskIds = await db.deleteTag(id, user.id);
       callback({ success: true });
-      io.emit('tasks:deleted', { id });
+      io.to(userRoom(user.id)).emit('tags:deleted', { id, taskIds });
     } catch (e) {
-      console.error('Socket tasks:delete error:', e);
-      callback({ error: 'Failed to delete task' });
+      console.error('Socket tags:delete error:', e);
+      callback({ error: 'Failed to delete tag' });
     }
   });
 
@@ -559,7 +4315,15 @@ io.on('connection', (socket) => {
       const user = await requireAuth(data);
       if (!user) return callback({ error: 'AUTH_REQUIRED' });
       const id = parseInt(data && data.id);
-      await db.deleteAttachment(id);
+      const attachment = await db.getAttachment(id);
+      const task = attachment && await db.getTaskById(attachment.task_id, user.id);
+      if (!task) return callback({ error: 'Attachment not found' });
+      const denied = policy.taskError(task, 'edit');
+      if (denied) return callback({ error: denied });
+      const removed = await db.deleteAttachment(id, user.id);
+      if (!removed) return callback({ error: 'Attachment not found' });
+      await removeAttachmentFiles([removed]);
+      await recordHistory(removed.task_id, user.id, 'attachment_removed', { changes: { attachment: { from: removed.original_name, to: null } } });
       callback({ success: true });
       io.emit('attachments:deleted', { id });
     } catch (e) {
@@ -567,6 +4331,63 @@ io.on('connection', (socket) => {
       callback({ error: 'Failed to delete attachment' });
     }
   });
+
+  // CHUNKED UPLOADS
+  // uploads:init starts an upload or, given an uploadId, says where it stands (after a reconnect);
+  // chunks carry `data` as binary. Progress also goes to the user's room as uploads:progress.
+  socket.on('uploads:init', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await initUpload(data, user);
+      if (result.error) return callback({ error: result.error });
+      callback(normalizeUploadSession(result.session));
+    } catch (e) {
+      console.error('Socket uploads:init error:', e);
+      callback({ error: 'Failed to start upload' });
+    }
+  });
+
+  socket.on('uploads:chunk', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const { uploadId, offset, checksum } = data || {};
+      const chunk = data && Buffer.isBuffer(data.data) ? data.data : null;
+      const result = await writeUploadChunk(uploadId, { offset, data: chunk, checksum }, user);
+      if (result.error) return callback({ error: result.error, received: result.received });
+      callback(normalizeUploadSession(result.session));
+    } catch (e) {
+      console.error('Socket uploads:chunk error:', e);
+      callback({ error: 'Failed to store chunk' });
+    }
+  });
+
+  socket.on('uploads:complete', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await completeUpload(data && data.uploadId, user);
+      if (result.error) return callback({ error: result.error, received: result.received });
+      callback(normalizeAttachment(result.attachment));
+    } catch (e) {
+      console.error('Socket uploads:complete error:', e);
+      callback({ error: 'Failed to complete upload' });
+    }
+  });
+
+  socket.on('uploads:abort', async (data, callback) => {
+    try {
+      const user = await requireAuth(data);
+      if (!user) return callback({ error: 'AUTH_REQUIRED' });
+      const result = await abortUpload(data && data.uploadId, user);
+      if (result.error) return callback({ error: result.error });
+      callback({ success: true });
+    } catch (e) {
+      console.error('Socket uploads:abort error:', e);
+      callback({ error: 'Failed to cancel upload' });
+    }
+  });
 });
 
 async function start() {
@@ -574,6 +4395,11 @@ async function start() {
     await initializeDatabase();
     await initializeUsersTable();
     server.listen(PORT, () => console.log(`Server listening on http://localhost:${PORT}`));
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    purgeStaleUploads();
+    setInterval(purgeStaleUploads, 60 * 60 * 1000);
+    setInterval(deliverReminders, REMINDER_CHECK_SECONDS * 1000);
   } catch (e) {
     console.error('Failed to start server:', e);
     process.exit(1);
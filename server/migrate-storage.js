@@ -0,0 +1,96 @@
+// Move attachment files from one storage driver to another.
+//
+// Copies the file of every task and template attachment from the --from driver to the --to
+// driver (both configured in config.env, see storage.js) and points the row's file_path at the
+// new location. Rows already pointing at the target are skipped, so an interrupted run can simply
+// be started again; rows whose file is missing from the source are reported and left alone. With
+// --remove-source, each file is deleted from the source once its row is updated.
+//
+// Stop the server (or keep it on the source driver) while this runs, then set STORAGE_DRIVER to
+// the target and restart it.
+//
+// Usage: node migrate-storage.js --from=local --to=s3 [--remove-source]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { initializeUsersTable } = require('./auth');
+const { pool, initializeDatabase } = require('./database');
+const { createStorage, DRIVERS } = require('./storage');
+
+const ATTACHMENT_TABLES = ['attachments', 'template_attachments'];
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+const FROM = option('from');
+const TO = option('to');
+const REMOVE_SOURCE = args.includes('--remove-source');
+
+// Drivers store from a local path, so each file passes through a temp file
+async function transfer(source, target, key, stagingDir) {
+  const staged = path.join(stagingDir, path.basename(key));
+  try {
+    const { stream } = await source.read(key);
+    await pipeline(stream, fs.createWriteStream(staged));
+    await target.putFile(key, staged);
+  } finally {
+    await fs.promises.rm(staged, { force: true });
+  }
+}
+
+async function main() {
+  if (!DRIVERS.includes(FROM) || !DRIVERS.includes(TO) || FROM === TO) {
+    throw new Error(`Pass two different drivers: --from=<driver> --to=<driver> (${DRIVERS.join(', ')})`);
+  }
+  const source = createStorage(FROM);
+  const target = createStorage(TO);
+  await initializeUsersTable();
+  await initializeDatabase();
+
+  const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'migrate-storage-'));
+  const counts = { moved: 0, skipped: 0, missing: 0, failed: 0 };
+  try {
+    for (const table of ATTACHMENT_TABLES) {
+      const { rows } = await pool.query(`SELECT id, filename, file_path FROM ${table} ORDER BY id`);
+      for (const row of rows) {
+        const location = target.locationOf(row.filename);
+        if (row.file_path === location) {
+          counts.skipped++;
+          continue;
+        }
+        try {
+          await transfer(source, target, row.filename, stagingDir);
+          await pool.query(`UPDATE ${table} SET file_path = $1 WHERE id = $2`, [location, row.id]);
+          if (REMOVE_SOURCE) await source.remove(row.filename);
+          counts.moved++;
+        } catch (e) {
+          if (e.code === 'ENOENT') {
+            console.log(`  missing: ${table} #${row.id} ${row.filename}`);
+            counts.missing++;
+          } else {
+            console.error(`  failed: ${table} #${row.id} ${row.filename}:`, e.message);
+            counts.failed++;
+          }
+        }
+      }
+    }
+  } finally {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  }
+
+  console.log(`${FROM} -> ${TO}: moved ${counts.moved}, already there ${counts.skipped}, missing ${counts.missing}, failed ${counts.failed}`);
+  if (counts.failed) throw new Error(`${counts.failed} file(s) could not be moved; run again to retry them`);
+  if ((process.env.STORAGE_DRIVER || 'local') !== TO) console.log(`Set STORAGE_DRIVER=${TO} in config.env and restart the server.`);
+}
+
+main()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error('Storage migration failed:', e);
+    process.exit(1);
+  });
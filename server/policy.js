@@ -0,0 +1,87 @@
+// Permission policy shared by the REST routes and the Socket.IO handlers.
+//
+// Workspace roles, from least to most: viewer, member, admin, owner. A role allows every
+// workspace action up to its rank in WORKSPACE_ACTIONS.
+// Task access levels ('read', 'write', 'owner') come with every task row from getTaskById and
+// getAllTasks (see taskAccessSql in database.js, which derives them from the workspace role,
+// the assignee and the task's shares). Tasks the user cannot see are not found at all, so
+// viewing one needs no further check. Trashed tasks carry theirs from getTrashedTask; restoring
+// or purging one is a 'delete'.
+// Projects, tags, the workflow, settings and timers belong to the signed-in user and are
+// scoped to them by the queries themselves.
+
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+const ACCESS_LEVELS = ['read', 'write', 'owner'];
+
+// Lowest role needed for each workspace action
+const WORKSPACE_ACTIONS = {
+  view: 'viewer',
+  createTask: 'member',
+  invite: 'admin',
+  manageMembers: 'admin',
+  rename: 'admin',
+  delete: 'owner'
+};
+
+// Lowest task access level needed for each task action
+const TASK_ACTIONS = {
+  view: 'read',
+  comment: 'read',
+  edit: 'write',
+  delete: 'owner',
+  assign: 'owner',
+  share: 'owner',
+  move: 'owner'
+};
+
+function rank(list, value) {
+  return list.indexOf(value);
+}
+
+// Returns an error message (for a 403) or null
+function workspaceError(role, action) {
+  const needed = WORKSPACE_ACTIONS[action];
+  if (!needed) throw new Error(`Unknown workspace action "${action}"`);
+  if (rank(ROLES, role) >= rank(ROLES, needed)) return null;
+  if (needed === 'owner') return 'Only the owner of this workspace can do that';
+  if (needed === 'admin') return 'Only workspace admins can do that';
+  return 'Viewers cannot change anything in this workspace';
+}
+
+// Check the access of a task row against an action. Returns an error message (for a 403) or null.
+function taskError(task, action) {
+  const needed = TASK_ACTIONS[action];
+  if (!needed) throw new Error(`Unknown task action "${action}"`);
+  if (rank(ACCESS_LEVELS, task.access) >= rank(ACCESS_LEVELS, needed)) return null;
+  return needed === 'owner'
+    ? 'Only the owner of this task or a workspace admin can do that'
+    : 'You can only view this task';
+}
+
+// Roles a member with `role` may hand out through invitations and role changes: admins manage
+// members and viewers, the owner also admins. Ownership itself cannot be given away.
+function assignableRoles(role) {
+  if (role === 'owner') return ['admin', 'member', 'viewer'];
+  if (role === 'admin') return ['member', 'viewer'];
+  return [];
+}
+
+// May `actorRole` change the role of, or remove, a member with `targetRole` (and give them
+// `newRole`, when set)? Returns an error message or null.
+function memberChangeError(actorRole, targetRole, newRole = null) {
+  const denied = workspaceError(actorRole, 'manageMembers');
+  if (denied) return denied;
+  if (targetRole === 'owner') return 'The owner of a workspace cannot be changed or removed';
+  if (!assignableRoles(actorRole).includes(targetRole)) return 'Only the owner of this workspace can manage admins';
+  if (newRole && !assignableRoles(actorRole).includes(newRole)) return `You cannot make someone ${newRole}`;
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  ACCESS_LEVELS,
+  workspaceError,
+  taskError,
+  assignableRoles,
+  memberChangeError
+};
@@ -0,0 +1,115 @@
+// Attachment previews.
+//
+// Every previewable attachment has two renditions: a `thumbnail` for the strip on task cards and
+// in the editor, and a larger `preview` for the lightbox.
+//   image - png, jpeg and gif files, scaled down with sharp (animated gifs show their first frame)
+//   pdf   - the first page, rendered with pdftoppm from poppler-utils, which must be on the PATH;
+//           without it PDFs simply have no preview
+//   text  - .txt files: the first lines as plain text
+// Other files have none.
+//
+// Files are read as streams: text files only as far as the snippet needs, images and PDFs through
+// a temp file, so a large attachment is never held in memory whole.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+
+const KINDS = {
+  thumbnail: { size: 240, lines: 6, chars: 300 },
+  preview: { size: 1600, lines: 200, chars: 8000 }
+};
+const PDF_TIMEOUT_MS = 20000;
+
+// 'image', 'pdf', 'text' or null, from the file extension
+function previewType(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  if (['.png', '.jpg', '.jpeg', '.gif'].includes(ext)) return 'image';
+  if (ext === '.pdf') return 'pdf';
+  if (ext === '.txt') return 'text';
+  return null;
+}
+
+function scaleImage(input, size) {
+  return sharp(input)
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
+
+// Write `stream` to a file in a fresh temp dir and run `fn(file, dir)`; the dir goes afterwards
+async function withTempFile(stream, filename, fn) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+  try {
+    const file = path.join(dir, `input${path.extname(filename).toLowerCase()}`);
+    await pipeline(stream, fs.createWriteStream(file));
+    return await fn(file, dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// The first page of the PDF at `file` as a PNG at most `size` pixels on its longer side
+async function renderPdfPage(file, dir, size) {
+  await new Promise((resolve, reject) => {
+    execFile('pdftoppm', ['-f', '1', '-l', '1', '-singlefile', '-png', '-scale-to', String(size), file, path.join(dir, 'page')],
+      { timeout: PDF_TIMEOUT_MS }, (err) => {
+        // Not to be mistaken for a missing attachment file
+        if (err && err.code === 'ENOENT') return reject(new Error('pdftoppm is not installed'));
+        err ? reject(err) : resolve();
+      });
+  });
+  return fs.promises.readFile(path.join(dir, 'page.png'));
+}
+
+// The first `bytes` bytes of a stream; the rest is not read
+async function readStart(stream, bytes) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= bytes) break;
+  }
+  return Buffer.concat(chunks).subarray(0, bytes);
+}
+
+// The first lines of a text file, cut at a line (or word) boundary
+function textSnippet(buffer, { lines, chars }) {
+  let text = buffer.subarray(0, chars * 4).toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  text = text.split('\n').slice(0, lines).join('\n');
+  if (text.length > chars) text = text.slice(0, chars).replace(/\s+\S*$/, '') + '…';
+  return text.replace(/\uFFFD+$/, '').trimEnd();
+}
+
+// Render `kind` ('thumbnail' or 'preview') of a file read from `stream`, which is used up or
+// destroyed: { contentType, data }, or null when the file type has no preview
+async function render(stream, filename, kind) {
+  const options = KINDS[kind];
+  if (!options) {
+    stream.destroy();
+    throw new Error(`Unknown preview kind "${kind}"`);
+  }
+  switch (previewType(filename)) {
+    case 'image':
+      return { contentType: 'image/webp', data: await withTempFile(stream, filename, file => scaleImage(file, options.size)) };
+    case 'pdf':
+      return {
+        contentType: 'image/webp',
+        data: await withTempFile(stream, filename, async (file, dir) => scaleImage(await renderPdfPage(file, dir, options.size), options.size))
+      };
+    case 'text': {
+      const start = await readStart(stream, options.chars * 4);
+      return { contentType: 'text/plain; charset=utf-8', data: Buffer.from(textSnippet(start, options), 'utf8') };
+    }
+    default:
+      stream.destroy();
+      return null;
+  }
+}
+
+module.exports = { KINDS, previewType, render };
@@ -0,0 +1,143 @@
+// Recurrence rules for repeating tasks.
+//
+// A rule is a plain object stored as JSONB:
+//   { freq: 'daily' | 'weekly' | 'monthly', interval: N,
+//     byWeekday: [0-6] (weekly, 0 = Sunday), byMonthDay: 1-31 (monthly),
+//     start: 'YYYY-MM-DD', until: 'YYYY-MM-DD' | null, count: N | null }
+// "Every N days" is { freq: 'daily', interval: N }. Rules can also be given as an
+// RRULE string (FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT).
+
+const FREQS = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// All date math is done on UTC midnights so local offsets never shift a day
+function parseDate(value) {
+  if (value instanceof Date) return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function parseRRule(text) {
+  const parts = Object.fromEntries(String(text).replace(/^RRULE:/i, '').split(';')
+    .filter(Boolean)
+    .map(p => p.split('='))
+    .map(([k, v]) => [String(k).toUpperCase(), v]));
+  const rule = { freq: String(parts.FREQ || '').toLowerCase() };
+  if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+  if (parts.BYDAY) rule.byWeekday = parts.BYDAY.split(',').map(c => WEEKDAY_CODES.indexOf(c.toUpperCase()));
+  if (parts.BYMONTHDAY) rule.byMonthDay = Number(parts.BYMONTHDAY);
+  if (parts.COUNT) rule.count = Number(parts.COUNT);
+  if (parts.UNTIL) rule.until = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  return rule;
+}
+
+// Validate and fill defaults. `start` is the first occurrence's due date (or today).
+// Returns { rule } or { error }.
+function normalizeRule(input, start) {
+  if (!input) return { rule: null };
+  const raw = typeof input === 'string' ? parseRRule(input) : input;
+  if (!FREQS.includes(raw.freq)) return { error: `Recurrence freq must be one of: ${FREQS.join(', ')}` };
+
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  const rule = { freq: raw.freq, interval, start: raw.start || formatDate(parseDate(start || new Date())) };
+  if (!DATE_RE.test(rule.start)) return { error: 'Recurrence start must be a YYYY-MM-DD date' };
+
+  if (rule.freq === 'weekly') {
+    const days = Array.isArray(raw.byWeekday) && raw.byWeekday.length
+      ? [...new Set(raw.byWeekday.map(Number))].sort()
+      : [parseDate(rule.start).getUTCDay()];
+    if (!days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'Recurrence weekdays must be numbers 0 (Sunday) to 6 (Saturday)' };
+    }
+    rule.byWeekday = days;
+  }
+  if (rule.freq === 'monthly') {
+    const day = raw.byMonthDay === undefined ? parseDate(rule.start).getUTCDate() : Number(raw.byMonthDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) return { error: 'Recurrence day of month must be between 1 and 31' };
+    rule.byMonthDay = day;
+  }
+
+  rule.until = raw.until || null;
+  if (rule.until && !DATE_RE.test(rule.until)) return { error: 'Recurrence end date must be a YYYY-MM-DD date' };
+  rule.count = raw.count === undefined || raw.count === null || raw.count === '' ? null : Number(raw.count);
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    return { error: 'Recurrence count must be a positive whole number' };
+  }
+  if (rule.until && rule.count) return { error: 'Recurrence can end on a date or after a count, not both' };
+  return { rule };
+}
+
+// Due date of the occurrence after `fromDate`, or null when the rule has ended.
+// `index` is the 1-based number of the occurrence at `fromDate`.
+function nextOccurrence(rule, fromDate, index) {
+  if (!rule) return null;
+  if (rule.count && index >= rule.count) return null;
+  const from = parseDate(fromDate);
+  let next;
+
+  if (rule.freq === 'daily') {
+    next = addDays(from, rule.interval);
+  } else if (rule.freq === 'weekly') {
+    // Weeks are counted from the week (Sunday-based) holding the series start
+    const anchor = parseDate(rule.start);
+    const anchorWeek = addDays(anchor, -anchor.getUTCDay());
+    next = addDays(from, 1);
+    for (let i = 0; i < 7 * rule.interval + 7; i++, next = addDays(next, 1)) {
+      const weekStart = addDays(next, -next.getUTCDay());
+      const weekOffset = Math.round((weekStart - anchorWeek) / (7 * 86400000));
+      if (weekOffset % rule.interval === 0 && rule.byWeekday.includes(next.getUTCDay())) break;
+    }
+  } else {
+    const month = from.getUTCMonth() + rule.interval;
+    const year = from.getUTCFullYear() + Math.floor(month / 12);
+    const m = month % 12;
+    next = new Date(Date.UTC(year, m, Math.min(rule.byMonthDay, daysInMonth(year, m))));
+  }
+
+  if (rule.until && next > parseDate(rule.until)) return null;
+  return formatDate(next);
+}
+
+function toRRule(rule) {
+  if (!rule) return null;
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+  if (rule.byWeekday) parts.push(`BYDAY=${rule.byWeekday.map(d => WEEKDAY_CODES[d]).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+// Short human summary, e.g. "Every 2 weeks on Mon, Thu until 2025-12-31"
+function describeRule(rule) {
+  if (!rule) return null;
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.freq];
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  if (rule.freq === 'weekly') text += ` on ${rule.byWeekday.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+  if (rule.freq === 'monthly') text += ` on day ${rule.byMonthDay}`;
+  if (rule.until) text += ` until ${rule.until}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  return text;
+}
+
+module.exports = { normalizeRule, nextOccurrence, toRRule, describeRule };
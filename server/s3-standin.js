@@ -0,0 +1,144 @@
+// A local stand-in for an S3-compatible server, to run the s3 storage driver without MinIO or AWS.
+//
+// Serves path-style requests for buckets in a directory: create/check a bucket, list it
+// (ListObjectsV2, one page), and put, copy, get, head and delete objects. Requests must be
+// signed with S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY from config.env; the signature is checked.
+// Not meant for production: no multipart uploads, ACLs or paging.
+//
+// Usage: node s3-standin.js [port=9000] [dir=../s3-standin-data]
+// then in config.env: STORAGE_DRIVER=s3, S3_ENDPOINT=http://localhost:9000 and a bucket name.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+const { signature } = require('./s3');
+
+const PORT = Number(process.argv[2]) || 9000;
+const DATA_DIR = path.resolve(process.argv[3] || path.join(__dirname, '..', 's3-standin-data'));
+const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+const SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function sendXml(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+}
+
+function sendError(res, status, code, message) {
+  sendXml(res, status, `<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+}
+
+// Objects are flat files named by their encoded key
+const bucketDir = (bucket) => path.join(DATA_DIR, path.basename(bucket));
+const objectFile = (bucket, key) => path.join(bucketDir(bucket), encodeURIComponent(key));
+
+// Returns an error message, or null when the request is signed with the configured key
+function signatureError(req, url) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'Missing or malformed Authorization header';
+  const [, accessKeyId, scope, signedHeaders, given] = match;
+  if (accessKeyId !== ACCESS_KEY_ID) return 'Unknown access key';
+  const headers = Object.fromEntries(signedHeaders.split(';').map(h => [h, req.headers[h] ?? '']));
+  const expected = signature({
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    headers,
+    secretAccessKey: SECRET_ACCESS_KEY,
+    region: scope.split('/')[1],
+    amzDate: req.headers['x-amz-date'] || ''
+  });
+  return expected.value === given ? null : 'The request signature does not match';
+}
+
+async function listBucket(res, bucket) {
+  const names = await fs.promises.readdir(bucketDir(bucket));
+  const contents = [];
+  for (const name of names.sort()) {
+    const stat = await fs.promises.stat(path.join(bucketDir(bucket), name));
+    contents.push(`<Contents><Key>${escapeXml(decodeURIComponent(name))}</Key><LastModified>${stat.mtime.toISOString()}</LastModified><Size>${stat.size}</Size></Contents>`);
+  }
+  sendXml(res, 200, `<ListBucketResult><Name>${escapeXml(bucket)}</Name><KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+}
+
+async function handleBucket(req, res, bucket, url) {
+  const exists = fs.existsSync(bucketDir(bucket));
+  if (req.method === 'PUT') {
+    await fs.promises.mkdir(bucketDir(bucket), { recursive: true });
+    return res.writeHead(200).end();
+  }
+  if (!exists) return sendError(res, 404, 'NoSuchBucket', `Bucket ${bucket} does not exist`);
+  if (req.method === 'HEAD') return res.writeHead(200).end();
+  if (req.method === 'GET' && url.searchParams.get('list-type') === '2') return listBucket(res, bucket);
+  sendError(res, 501, 'NotImplemented', `${req.method} on a bucket is not supported`);
+}
+
+async function handleObject(req, res, bucket, key) {
+  if (!fs.existsSync(bucketDir(bucket))) return sendError(res, 404, 'NoSuchBucket', `Bucket ${bucket} does not exist`);
+  const file = objectFile(bucket, key);
+  if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+    const [, sourceBucket, ...rest] = decodeURIComponent(req.headers['x-amz-copy-source']).split('/');
+    try {
+      await fs.promises.copyFile(objectFile(sourceBucket, rest.join('/')), file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return sendXml(res, 200, '<Error><Code>NoSuchKey</Code><Message>The source object does not exist</Message></Error>');
+    }
+    return sendXml(res, 200, `<CopyObjectResult><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+  }
+  if (req.method === 'PUT') {
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(file);
+      req.pipe(out);
+      out.on('finish', resolve);
+      out.on('error', reject);
+    });
+    return res.writeHead(200).end();
+  }
+  if (req.method === 'DELETE') {
+    await fs.promises.rm(file, { force: true });
+    return res.writeHead(204).end();
+  }
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      return req.method === 'HEAD' ? res.writeHead(404).end() : sendError(res, 404, 'NoSuchKey', 'The specified key does not exist');
+    }
+    res.writeHead(200, { 'content-length': stat.size, 'content-type': 'application/octet-stream', 'last-modified': stat.mtime.toUTCString() });
+    if (req.method === 'HEAD') return res.end();
+    return fs.createReadStream(file).pipe(res);
+  }
+  sendError(res, 501, 'NotImplemented', `${req.method} is not supported`);
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const denied = signatureError(req, url);
+    if (denied) return sendError(res, 403, 'SignatureDoesNotMatch', denied);
+    const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+    if (!bucket) return sendError(res, 501, 'NotImplemented', 'Listing buckets is not supported');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    if (key) await handleObject(req, res, decodeURIComponent(bucket), key);
+    else await handleBucket(req, res, decodeURIComponent(bucket), url);
+  } catch (e) {
+    console.error(`${req.method} ${req.url} failed:`, e);
+    if (!res.headersSent) sendError(res, 500, 'InternalError', e.message);
+    else res.destroy();
+  }
+});
+
+if (!ACCESS_KEY_ID || !SECRET_ACCESS_KEY) {
+  console.error('Set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY in config.env first');
+  process.exit(1);
+}
+fs.mkdirSync(DATA_DIR, { recursive: true });
+server.listen(PORT, () => console.log(`S3 stand-in listening on http://localhost:${PORT}, storing in ${DATA_DIR}`));
@@ -0,0 +1,196 @@
+// Minimal client for the S3 REST API (AWS Signature Version 4), enough for attachment storage:
+// put, get, head, delete, copy and list objects of one bucket. Works with AWS S3 and with
+// S3-compatible servers such as MinIO or s3-standin.js.
+//
+// Payloads are sent as UNSIGNED-PAYLOAD so files can be streamed; only the request line and
+// the host and x-amz-* headers are signed.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// RFC 3986 encoding as S3 expects it; '/' is kept in object paths
+function encode(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Signature of a request. `path` is already encoded, `query` an object of plain values and
+// `headers` the lowercase headers to sign (host and x-amz-* ones).
+function signature({ method, path, query = {}, headers, secretAccessKey, region, amzDate }) {
+  const day = amzDate.slice(0, 8);
+  const canonicalQuery = Object.keys(query).sort()
+    .map(k => `${encode(k)}=${encode(query[k])}`).join('&');
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery,
+    signedHeaders.map(h => `${h}:${String(headers[h]).trim()}\n`).join(''),
+    signedHeaders.join(';'),
+    headers['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+  return { scope, signedHeaders: signedHeaders.join(';'), value: hmac(key, stringToSign).toString('hex') };
+}
+
+function decodeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function xmlValues(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => decodeXml(m[1]));
+}
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', c => chunks.push(c));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+// Errors carry the S3 error code; a missing object gets code 'ENOENT' like a missing local file
+async function responseError(res) {
+  const body = await readBody(res);
+  const s3Code = xmlValues(body, 'Code')[0] || `HTTP ${res.statusCode}`;
+  const message = xmlValues(body, 'Message')[0] || s3Code;
+  const error = new Error(`S3 request failed: ${message}`);
+  error.code = s3Code === 'NoSuchKey' || (res.statusCode === 404 && s3Code !== 'NoSuchBucket') ? 'ENOENT' : s3Code;
+  error.statusCode = res.statusCode;
+  return error;
+}
+
+// { endpoint: 'http://localhost:9000', region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+function createS3Client(config) {
+  const endpoint = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+  const transport = endpoint.protocol === 'https:' ? https : http;
+  const host = config.forcePathStyle ? endpoint.host : `${config.bucket}.${endpoint.host}`;
+  const basePath = config.forcePathStyle ? `/${encode(config.bucket)}` : '';
+
+  // Resolves with the response (status 2xx) and its body stream still unread
+  function request(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const path = `${basePath}/${key ? encode(key, true) : ''}`;
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const signed = { host, 'x-amz-content-sha256': UNSIGNED_PAYLOAD, 'x-amz-date': amzDate };
+    for (const [name, value] of Object.entries(headers)) {
+      if (name.startsWith('x-amz-')) signed[name] = value;
+    }
+    const sig = signature({ method, path, query, headers: signed, secretAccessKey: config.secretAccessKey, region: config.region, amzDate });
+    const search = Object.keys(query).length ? '?' + Object.keys(query).map(k => `${encode(k)}=${encode(query[k])}`).join('&') : '';
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: endpoint.protocol,
+        hostname: config.forcePathStyle ? endpoint.hostname : `${config.bucket}.${endpoint.hostname}`,
+        port: endpoint.port || undefined,
+        method,
+        path: path + search,
+        headers: {
+          ...headers,
+          ...signed,
+          authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${sig.scope}, SignedHeaders=${sig.signedHeaders}, Signature=${sig.value}`
+        }
+      }, async (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) return resolve(res);
+        reject(await responseError(res));
+      });
+      req.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (e) => req.destroy(e));
+        body.pipe(req);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+
+  return {
+    bucket: config.bucket,
+
+    // `body` is a Buffer or a readable stream of `size` bytes
+    async putObject(key, body, { size, contentType = 'application/octet-stream' } = {}) {
+      const res = await request('PUT', key, {
+        body,
+        headers: { 'content-type': contentType, 'content-length': size ?? body.length }
+      });
+      res.resume();
+    },
+
+    // Resolves with { stream, size } of the object
+    async getObject(key) {
+      const res = await request('GET', key);
+      return { stream: res, size: Number(res.headers['content-length']) };
+    },
+
+    async headObject(key) {
+      const res = await request('HEAD', key);
+      res.resume();
+      return { size: Number(res.headers['content-length']), modified: new Date(res.headers['last-modified']) };
+    },
+
+    async deleteObject(key) {
+      const res = await request('DELETE', key);
+      res.resume();
+    },
+
+    // A copy can fail after the 200 status line, with the error in the body
+    async copyObject(fromKey, toKey) {
+      const res = await request('PUT', toKey, {
+        headers: { 'x-amz-copy-source': `/${encode(config.bucket)}/${encode(fromKey, true)}`, 'content-length': 0 }
+      });
+      const body = await readBody(res);
+      if (body.includes('<Error>')) {
+        const error = new Error(`S3 copy failed: ${xmlValues(body, 'Message')[0] || 'unknown error'}`);
+        error.code = xmlValues(body, 'Code')[0] === 'NoSuchKey' ? 'ENOENT' : xmlValues(body, 'Code')[0];
+        throw error;
+      }
+    },
+
+    // Every object of the bucket: [{ key, size, modified }]
+    async listObjects() {
+      const objects = [];
+      let token = null;
+      do {
+        const res = await request('GET', '', { query: { 'list-type': '2', ...(token ? { 'continuation-token': token } : {}) } });
+        const xml = await readBody(res);
+        for (const entry of xmlValues(xml, 'Contents')) {
+          objects.push({
+            key: xmlValues(entry, 'Key')[0],
+            size: Number(xmlValues(entry, 'Size')[0]),
+            modified: new Date(xmlValues(entry, 'LastModified')[0])
+          });
+        }
+        token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (token);
+      return objects;
+    },
+
+    // Create the bucket when it does not exist yet
+    async ensureBucket() {
+      try {
+        const res = await request('HEAD', '');
+        res.resume();
+      } catch (e) {
+        if (e.statusCode !== 404) throw e;
+        const res = await request('PUT', '', { headers: { 'content-length': 0 } });
+        res.resume();
+      }
+    }
+  };
+}
+
+module.exports = { createS3Client, signature, encode };
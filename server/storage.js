@@ -0,0 +1,131 @@
+// Attachment storage.
+//
+// Files are stored under a key (the attachment's unique `filename`) by one of two drivers,
+// picked with STORAGE_DRIVER in config.env:
+//   local - a directory on this server, UPLOADS_DIR (default: uploads/ next to server/)
+//   s3    - a bucket of AWS S3 or an S3-compatible server (MinIO, s3-standin.js):
+//           S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//           S3_FORCE_PATH_STYLE (default on when S3_ENDPOINT is set)
+// Only the s3 driver works for several server instances sharing the same files. Chunked uploads
+// are still staged on the instance receiving them until complete (see CHUNKED UPLOADS in
+// lab2.server.js).
+//
+// Every driver has:
+//   name
+//   putFile(key, localPath)  store a file (e.g. an upload staged by multer)
+//   read(key)                { stream, size }; a missing file rejects with code 'ENOENT'
+//   copy(fromKey, toKey)
+//   remove(key)              missing files are not an error
+//   list()                   [{ key, size, modified }] of every stored file
+//   locationOf(key)          where the file lives, stored as attachments.file_path
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+const { createS3Client } = require('./s3');
+
+const DRIVERS = ['local', 's3'];
+
+function createLocalStorage(dir = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads')) {
+  const fileOf = (key) => path.join(dir, path.basename(key));
+  try { fs.mkdirSync(dir, { recursive: true }); } catch (e) { console.error('Failed to ensure uploads dir:', e); }
+
+  return {
+    name: 'local',
+
+    async putFile(key, localPath) {
+      await fs.promises.copyFile(localPath, fileOf(key));
+    },
+
+    async read(key) {
+      const stat = await fs.promises.stat(fileOf(key));
+      return { stream: fs.createReadStream(fileOf(key)), size: stat.size };
+    },
+
+    async copy(fromKey, toKey) {
+      await fs.promises.copyFile(fileOf(fromKey), fileOf(toKey));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(fileOf(key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    },
+
+    async list() {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      const files = [];
+      for (const entry of entries.filter(e => e.isFile())) {
+        const stat = await fs.promises.stat(path.join(dir, entry.name));
+        files.push({ key: entry.name, size: stat.size, modified: stat.mtime });
+      }
+      return files;
+    },
+
+    locationOf(key) {
+      return fileOf(key);
+    }
+  };
+}
+
+function createS3Storage(env = process.env) {
+  if (!env.S3_BUCKET || !env.S3_ACCESS_KEY_ID || !env.S3_SECRET_ACCESS_KEY) {
+    throw new Error('The s3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const client = createS3Client({
+    endpoint: env.S3_ENDPOINT || null,
+    region: env.S3_REGION || 'us-east-1',
+    bucket: env.S3_BUCKET,
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : !!env.S3_ENDPOINT
+  });
+  let bucketReady = null;
+  // The bucket is created on first use, so a fresh MinIO or stand-in works out of the box
+  const ready = () => (bucketReady = bucketReady || client.ensureBucket().catch((e) => { bucketReady = null; throw e; }));
+
+  return {
+    name: 's3',
+
+    async putFile(key, localPath) {
+      await ready();
+      const { size } = await fs.promises.stat(localPath);
+      await client.putObject(key, fs.createReadStream(localPath), { size });
+    },
+
+    async read(key) {
+      await ready();
+      return client.getObject(key);
+    },
+
+    async copy(fromKey, toKey) {
+      await ready();
+      await client.copyObject(fromKey, toKey);
+    },
+
+    async remove(key) {
+      await ready();
+      await client.deleteObject(key);
+    },
+
+    async list() {
+      await ready();
+      return client.listObjects();
+    },
+
+    locationOf(key) {
+      return `s3://${client.bucket}/${key}`;
+    }
+  };
+}
+
+// The driver configured in config.env, or the one named
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  if (driver === 'local') return createLocalStorage();
+  if (driver === 's3') return createS3Storage();
+  throw new Error(`Unknown storage driver "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+}
+
+module.exports = { createStorage, DRIVERS };
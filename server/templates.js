@@ -0,0 +1,41 @@
+// Task templates.
+//
+// A template stores the shape of a task: a title pattern, description, status, priority, a due
+// date offset in days from the day the task is created, checklist items and copies of attached
+// files. The title and description may contain placeholders in braces: {date} is the day the task
+// is created in the user's time zone, any other name (e.g. {name}) is filled from the values given
+// when the task is created. Placeholders without a value are left as they are.
+
+const PLACEHOLDER_RE = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+const BUILT_IN = ['date'];
+
+// Names of the placeholders the creator has to fill in, in order of appearance
+function placeholders(template) {
+  const names = [];
+  for (const text of [template.title, template.description || '']) {
+    for (const match of text.matchAll(PLACEHOLDER_RE)) {
+      if (!BUILT_IN.includes(match[1]) && !names.includes(match[1])) names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+// Only the values' own keys count, so {constructor} or {toString} do not pick up Object.prototype
+function fill(text, values) {
+  return text.replace(PLACEHOLDER_RE, (whole, name) => {
+    const value = Object.hasOwn(values, name) ? values[name] : undefined;
+    return value === undefined || value === null || value === '' ? whole : String(value);
+  });
+}
+
+// The calendar day of `date` in a time zone, as YYYY-MM-DD
+function localDate(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+module.exports = { placeholders, fill, localDate, daysBetween };